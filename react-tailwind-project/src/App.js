@@ -1,6 +1,9 @@
 import React, { Suspense } from 'react';
-import { Routes, Route } from 'react-router-dom';
+import { Routes, Route, useLocation } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
+import { JOURNEY_TYPES } from './api/axiosConfig';
+import useJourney from './hooks/useJourney';
+import GlobalProgressBar from './components/GlobalProgressBar';
 import './App.css';
 
 // Import pages
@@ -10,6 +13,7 @@ import FormPage from './pages/FormPage';
 import CounterPage from './pages/CounterPage';
 import HelloWorldPage from './pages/HelloWorldPage';
 import ReduxPage from './pages/ReduxPage';
+import CountersPage from './pages/CountersPage';
 import TestingPage from './pages/TestingPage';
 import ApiTestingPage from './pages/ApiTestingPage';
 
@@ -75,6 +79,12 @@ const NotFound = () => {
           >
             🔄 Redux State Management
           </a>
+          <a
+            href="/counters"
+            className="block w-full bg-orange-500 hover:bg-orange-600 text-white font-semibold py-2 px-4 rounded-lg transition duration-200"
+          >
+            🗂️ My Counters
+          </a>
         </div>
       </div>
     </div>
@@ -82,8 +92,14 @@ const NotFound = () => {
 };
 
 function App() {
+  const location = useLocation();
+
+  // Each route visit is a journey; requests made on it carry its X-Journey-ID
+  useJourney(JOURNEY_TYPES.ROUTE, location.pathname);
+
   return (
     <div className="App">
+      <GlobalProgressBar />
       <Suspense fallback={<LoadingSpinner />}>
         <Routes>
           <Route path="/" element={<Home />} />
@@ -92,6 +108,7 @@ function App() {
           <Route path="/counter" element={<CounterPage />} />
           <Route path="/hello" element={<HelloWorldPage />} />
             <Route path="/redux" element={<ReduxPage />} />
+            <Route path="/counters" element={<CountersPage />} />
             <Route path="/testing" element={<TestingPage />} />
             <Route path="/api-testing" element={<ApiTestingPage />} />
             <Route path="*" element={<NotFound />} />
@@ -0,0 +1,196 @@
+/**
+ * Access Token Refresh Manager
+ *
+ * Handles expired access tokens for the API client:
+ * - Reads and stores the access/refresh token pair through a pluggable token store
+ * - Runs a single refresh call no matter how many requests hit a 401
+ * - Lets new requests wait until the refresh settles
+ * - Rejects waiting requests with AuthExpiredError and emits a logout
+ *   event when the refresh fails
+ */
+
+import { AuthExpiredError } from './errors';
+import { createLocalStorageTokenStore } from './tokenStore';
+
+/**
+ * Default parser for the refresh endpoint response body
+ * @param {Object} data - Response body
+ * @returns {{accessToken: string, refreshToken: string}} New token pair
+ */
+const defaultParseTokens = (data) => ({
+  accessToken: data?.accessToken,
+  refreshToken: data?.refreshToken,
+});
+
+class TokenRefreshManager {
+  /**
+   * @param {Object} options - Refresh configuration
+   * @param {string} options.refreshEndpoint - URL of the refresh endpoint
+   * @param {Function} options.parseTokens - Maps the refresh response body to a token pair
+   * @param {Object} options.tokenStore - Token store (see tokenStore.js), localStorage by default
+   */
+  constructor({
+    refreshEndpoint = '/auth/refresh',
+    parseTokens = defaultParseTokens,
+    tokenStore = createLocalStorageTokenStore()
+  } = {}) {
+    this.refreshEndpoint = refreshEndpoint;
+    this.parseTokens = parseTokens;
+    this.tokenStore = tokenStore;
+    this.refreshPromise = null;
+    this.logoutListeners = new Set();
+  }
+
+  /**
+   * Update refresh configuration at runtime
+   * @param {Object} options - Same options as the constructor
+   */
+  configure(options = {}) {
+    if (options.refreshEndpoint !== undefined) {
+      this.refreshEndpoint = options.refreshEndpoint;
+    }
+    if (options.parseTokens !== undefined) {
+      this.parseTokens = options.parseTokens;
+    }
+    if (options.tokenStore !== undefined) {
+      this.tokenStore = options.tokenStore;
+    }
+  }
+
+  /**
+   * Get the current access token
+   * @returns {string|null} Access token
+   */
+  getAccessToken() {
+    return this.tokenStore.get().accessToken;
+  }
+
+  /**
+   * Get the current refresh token
+   * @returns {string|null} Refresh token
+   */
+  getRefreshToken() {
+    return this.tokenStore.get().refreshToken;
+  }
+
+  /**
+   * Store a new token pair
+   * @param {Object} tokens - Token pair
+   * @param {string} tokens.accessToken - Access token
+   * @param {string} tokens.refreshToken - Refresh token (kept if omitted)
+   */
+  setTokens(tokens) {
+    this.tokenStore.set(tokens);
+  }
+
+  /**
+   * Remove both tokens
+   */
+  clearTokens() {
+    this.tokenStore.clear();
+  }
+
+  /**
+   * Check whether a refresh is in progress
+   * @returns {boolean} True while refreshing
+   */
+  isRefreshing() {
+    return this.refreshPromise !== null;
+  }
+
+  /**
+   * Wait for an in-progress refresh, if any
+   * @returns {Promise} Resolves once requests may proceed, rejects with AuthExpiredError
+   */
+  waitForRefresh() {
+    return this.refreshPromise || Promise.resolve();
+  }
+
+  /**
+   * Refresh the access token after a 401, sharing one refresh call between callers
+   * @param {Object} client - Axios instance used to call the refresh endpoint
+   * @param {Object} failedConfig - Config of the request that got the 401
+   * @returns {Promise<string>} New access token
+   */
+  refresh(client, failedConfig) {
+    if (this.refreshPromise) {
+      return this.refreshPromise;
+    }
+
+    // The request was sent with an older token that has already been replaced
+    const currentToken = this.getAccessToken();
+    const sentHeader = failedConfig?.headers?.['Authorization'];
+    if (currentToken && sentHeader && sentHeader !== `Bearer ${currentToken}`) {
+      return Promise.resolve(currentToken);
+    }
+
+    this.refreshPromise = this.performRefresh(client).finally(() => {
+      this.refreshPromise = null;
+    });
+    return this.refreshPromise;
+  }
+
+  /**
+   * Call the refresh endpoint and store the new token pair
+   * @param {Object} client - Axios instance
+   * @returns {Promise<string>} New access token
+   */
+  async performRefresh(client) {
+    const refreshToken = this.getRefreshToken();
+    if (!refreshToken) {
+      throw this.expire('No refresh token available');
+    }
+
+    let tokens;
+    try {
+      const response = await client.post(
+        this.refreshEndpoint,
+        { refreshToken },
+        { authRefresh: false, retry: false, schedule: false }
+      );
+      tokens = this.parseTokens(response.data);
+    } catch (error) {
+      throw this.expire('Token refresh failed', error);
+    }
+
+    if (!tokens?.accessToken) {
+      throw this.expire('Token refresh response did not include an access token');
+    }
+
+    this.setTokens(tokens);
+    return tokens.accessToken;
+  }
+
+  /**
+   * Clear tokens, notify logout listeners and build the error for waiting requests
+   * @param {string} message - Error message
+   * @param {Error} cause - Underlying error
+   * @returns {AuthExpiredError} Error to reject with
+   */
+  expire(message, cause) {
+    this.clearTokens();
+    const error = new AuthExpiredError(message, { cause });
+    this.logoutListeners.forEach((listener) => {
+      try {
+        listener(error);
+      } catch (listenerError) {
+        console.error('❌ Logout listener error:', listenerError);
+      }
+    });
+    return error;
+  }
+
+  /**
+   * Subscribe to logout events fired when the session can't be refreshed
+   * @param {Function} listener - Called with the AuthExpiredError
+   * @returns {Function} Unsubscribe function
+   */
+  onLogout(listener) {
+    this.logoutListeners.add(listener);
+    return () => {
+      this.logoutListeners.delete(listener);
+    };
+  }
+}
+
+export { TokenRefreshManager };
@@ -0,0 +1,172 @@
+/**
+ * Tests for the access token refresh flow
+ * Runs the real API client against a mocked axios adapter
+ */
+
+import { AxiosError } from 'axios';
+import api, { apiClient, authRefreshManager, requestScheduler } from './axiosConfig';
+import { AuthExpiredError } from './errors';
+import { createMemoryTokenStore } from './tokenStore';
+
+// Helper to build an adapter response or rejection
+const reply = (config, status, data = {}) => {
+  const response = { data, status, statusText: '', headers: {}, config, request: {} };
+  if (status >= 400) {
+    return Promise.reject(
+      new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_REQUEST, config, {}, response)
+    );
+  }
+  return Promise.resolve(response);
+};
+
+// Mock backend: protected routes accept only the current valid token
+const createBackend = ({ refreshStatus = 200, refreshDelay = 0 } = {}) => {
+  const backend = { validToken: 'fresh-access', refreshCalls: 0 };
+
+  backend.adapter = jest.fn(async (config) => {
+    if (config.url === '/auth/refresh') {
+      backend.refreshCalls += 1;
+      await new Promise((resolve) => setTimeout(resolve, refreshDelay));
+      if (refreshStatus !== 200) {
+        return reply(config, refreshStatus);
+      }
+      return reply(config, 200, { accessToken: backend.validToken, refreshToken: 'fresh-refresh' });
+    }
+
+    if (config.headers['Authorization'] !== `Bearer ${backend.validToken}`) {
+      return reply(config, 401);
+    }
+    return reply(config, 200, { url: config.url });
+  });
+
+  return backend;
+};
+
+describe('access token refresh', () => {
+  const originalAdapter = apiClient.defaults.adapter;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    requestScheduler.resetRateLimits();
+    localStorage.clear();
+    api.setTokens({ accessToken: 'expired-access', refreshToken: 'valid-refresh' });
+  });
+
+  afterEach(() => {
+    apiClient.defaults.adapter = originalAdapter;
+    console.error.mockRestore();
+  });
+
+  test('refreshes on 401 and replays the request with the new token', async () => {
+    const backend = createBackend();
+    apiClient.defaults.adapter = backend.adapter;
+
+    const response = await api.get('/profile');
+
+    expect(response.data).toEqual({ url: '/profile' });
+    expect(backend.refreshCalls).toBe(1);
+    expect(localStorage.getItem('authToken')).toBe('fresh-access');
+    expect(localStorage.getItem('refreshToken')).toBe('fresh-refresh');
+  });
+
+  test('sends the refresh token to the refresh endpoint', async () => {
+    const backend = createBackend();
+    apiClient.defaults.adapter = backend.adapter;
+
+    await api.get('/profile');
+
+    const refreshConfig = backend.adapter.mock.calls
+      .map(([config]) => config)
+      .find((config) => config.url === '/auth/refresh');
+    expect(JSON.parse(refreshConfig.data)).toEqual({ refreshToken: 'valid-refresh' });
+  });
+
+  test('shares a single refresh between concurrent 401s', async () => {
+    const backend = createBackend({ refreshDelay: 20 });
+    apiClient.defaults.adapter = backend.adapter;
+
+    const responses = await Promise.all([
+      api.get('/a'),
+      api.get('/b'),
+      api.get('/c')
+    ]);
+
+    expect(responses.map((response) => response.data.url)).toEqual(['/a', '/b', '/c']);
+    expect(backend.refreshCalls).toBe(1);
+  });
+
+  test('holds new requests until the refresh settles', async () => {
+    const backend = createBackend({ refreshDelay: 20 });
+    apiClient.defaults.adapter = backend.adapter;
+
+    const first = api.get('/first');
+    // Wait until the refresh has started, then fire a new request
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    expect(authRefreshManager.isRefreshing()).toBe(true);
+    const second = api.get('/second');
+
+    await expect(first).resolves.toMatchObject({ data: { url: '/first' } });
+    await expect(second).resolves.toMatchObject({ data: { url: '/second' } });
+
+    const secondCalls = backend.adapter.mock.calls.filter(([config]) => config.url === '/second');
+    expect(secondCalls).toHaveLength(1);
+    expect(backend.refreshCalls).toBe(1);
+  });
+
+  test('rejects queued requests with AuthExpiredError and emits logout when refresh fails', async () => {
+    const backend = createBackend({ refreshStatus: 401, refreshDelay: 10 });
+    apiClient.defaults.adapter = backend.adapter;
+    const onLogout = jest.fn();
+    const unsubscribe = api.onLogout(onLogout);
+
+    const results = await Promise.allSettled([api.get('/a'), api.get('/b')]);
+
+    results.forEach((result) => {
+      expect(result.status).toBe('rejected');
+      expect(result.reason).toBeInstanceOf(AuthExpiredError);
+      expect(result.reason.code).toBe('AUTH_EXPIRED');
+    });
+    expect(backend.refreshCalls).toBe(1);
+    expect(onLogout).toHaveBeenCalledTimes(1);
+    expect(localStorage.getItem('authToken')).toBeNull();
+    expect(localStorage.getItem('refreshToken')).toBeNull();
+
+    unsubscribe();
+  });
+
+  test('expires immediately without a refresh token', async () => {
+    const backend = createBackend();
+    apiClient.defaults.adapter = backend.adapter;
+    localStorage.removeItem('refreshToken');
+
+    await expect(api.get('/profile')).rejects.toBeInstanceOf(AuthExpiredError);
+    expect(backend.refreshCalls).toBe(0);
+  });
+
+  test('reads and writes tokens through a configured token store', async () => {
+    const backend = createBackend();
+    apiClient.defaults.adapter = backend.adapter;
+    const defaultStore = api.getTokenStore();
+    const memoryStore = createMemoryTokenStore({ accessToken: 'expired-access', refreshToken: 'memory-refresh' });
+    localStorage.clear();
+    api.setTokenStore(memoryStore);
+
+    try {
+      await expect(api.get('/profile')).resolves.toMatchObject({ data: { url: '/profile' } });
+      expect(memoryStore.get()).toEqual({ accessToken: 'fresh-access', refreshToken: 'fresh-refresh' });
+      expect(localStorage.getItem('authToken')).toBeNull();
+    } finally {
+      api.setTokenStore(defaultStore);
+    }
+  });
+
+  test('can be disabled per request', async () => {
+    const backend = createBackend();
+    apiClient.defaults.adapter = backend.adapter;
+
+    await expect(api.get('/profile', { authRefresh: false })).rejects.toMatchObject({
+      response: { status: 401 }
+    });
+    expect(backend.refreshCalls).toBe(0);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Authentication Strategies
+ *
+ * Each API client authenticates its requests through one strategy:
+ * - bearer: access token from a token store, refreshed on 401 (see authRefresh.js)
+ * - apiKey: static key sent in a header
+ * - none: no credentials
+ *
+ * A strategy implements:
+ * - waitForRefresh(): resolves once new requests may proceed
+ * - applyAuth(config): adds credentials to an outgoing request config
+ * - refresh(client, config): renews credentials after a 401 (only when `canRefresh`)
+ */
+
+import { TokenRefreshManager } from './authRefresh';
+
+/**
+ * Bearer token strategy with automatic refresh
+ * @param {Object} options - TokenRefreshManager options (refreshEndpoint, parseTokens, tokenStore)
+ * @returns {Object} Auth strategy exposing its `manager`
+ */
+export const createBearerAuth = (options = {}) => {
+  const manager = new TokenRefreshManager(options);
+
+  return {
+    type: 'bearer',
+    canRefresh: true,
+    manager,
+    waitForRefresh: () => manager.waitForRefresh(),
+    applyAuth: (config) => {
+      const token = manager.getAccessToken();
+      if (token) {
+        config.headers['Authorization'] = `Bearer ${token}`;
+      }
+    },
+    refresh: (client, config) => manager.refresh(client, config)
+  };
+};
+
+/**
+ * API key strategy
+ * @param {Object} options - Strategy options
+ * @param {string} options.header - Header carrying the key
+ * @param {string|Function} options.key - The key, or a function returning it
+ * @returns {Object} Auth strategy
+ */
+export const createApiKeyAuth = ({ header = 'X-API-Key', key } = {}) => ({
+  type: 'apiKey',
+  canRefresh: false,
+  waitForRefresh: () => Promise.resolve(),
+  applyAuth: (config) => {
+    const value = typeof key === 'function' ? key() : key;
+    if (value) {
+      config.headers[header] = value;
+    }
+  }
+});
+
+/**
+ * Strategy for public endpoints
+ * @returns {Object} Auth strategy
+ */
+export const createNoAuth = () => ({
+  type: 'none',
+  canRefresh: false,
+  waitForRefresh: () => Promise.resolve(),
+  applyAuth: () => {}
+});
@@ -1,17 +1,69 @@
 /**
  * Axios Configuration with Advanced Features
  * 
- * This module sets up a reusable Axios instance with:
+ * This module sets up the reusable API clients with:
  * - Base URL configuration
  * - Default headers including dynamic request IDs
  * - Request timeouts
  * - Request cancellation support
  * - Request/Response interceptors
- * - Error handling
+ * - Automatic retries with exponential backoff
+ * - Access token refresh with request queueing on 401
+ * - Pluggable token storage (memory, localStorage, sessionStorage)
+ * - Opt-in GET response cache with TTL and stale-while-revalidate
+ * - In-flight GET deduplication (cancel previous, share, or always new)
+ * - Typed, normalized error objects (see errors.js)
+ * - Offline outbox for mutations, replayed when back online (see offlineQueue.js)
+ * - Concurrency cap and per-host rate limit with request priorities
+ * - Mock adapter and fixture recorder for offline development (see mockAdapter.js)
+ * - Named clients per backend service, looked up through a registry
+ *   (see clientFactory.js)
+ * - Structured, redacted request logging (see utils/logger.js)
+ * - W3C trace context propagation with per-action spans (see utils/tracing.js)
+ * - Session and journey correlation headers (see correlationContext.js)
+ * - Request lifecycle events and in-flight activity (see requestEvents.js)
+ * - Optional Yup response schemas, strict/warn/off per environment (see schemaValidation.js)
+ * - Query cache shared by the useQuery and useMutation hooks (see queryCache.js)
  */
 
-import axios from 'axios';
-import { generateRequestId } from '../utils/requestId';
+import {
+  createRequestIdGenerator,
+  REQUEST_ID_FORMATS,
+  DEFAULT_REQUEST_ID_PREFIX
+} from '../utils/requestId';
+import {
+  createLogger,
+  createConsoleSink,
+  createRingBufferSink,
+  createHttpSink,
+  DEFAULT_REDACTION
+} from '../utils/logger';
+import { withSpan, getCurrentTraceId } from '../utils/tracing';
+import { DEFAULT_RETRY_POLICY } from './retryPolicy';
+import { createBearerAuth, createApiKeyAuth, createNoAuth } from './authStrategies';
+import { DEFAULT_CACHE_POLICY } from './responseCache';
+import { DEDUPE_MODES } from './inFlightRequests';
+import { OUTBOX_STATUS } from './offlineQueue';
+import { RequestScheduler, REQUEST_PRIORITIES, DEFAULT_SCHEDULER_OPTIONS } from './requestScheduler';
+import { createMockAdapter, resolveMockMode, FixtureRecorder, MOCK_MODES } from './mockAdapter';
+import mockRoutes, { fixtures } from './mockRoutes';
+import { RequestCancellationManager } from './cancellationManager';
+import { QueryCache, QUERY_STATUS } from './queryCache';
+import { createApiClient, DEFAULT_CLIENT_NAME } from './clientFactory';
+import { ApiClientRegistry } from './clientRegistry';
+import { CorrelationContext, JOURNEY_TYPES } from './correlationContext';
+import { RequestEventBus, REQUEST_EVENTS, ALL_EVENTS } from './requestEvents';
+import { DEFAULT_VALIDATION_POLICY, VALIDATION_MODES, resolveValidationMode } from './schemaValidation';
+
+/**
+ * Parse a latency env value: `300` or a `100-800` range
+ * @param {string} value - Raw env value
+ * @returns {number|number[]} Fixed delay or `[min, max]`
+ */
+const parseLatency = (value = '0') => {
+  const [min, max = min] = value.split('-').map(Number);
+  return min === max ? min : [min, max];
+};
 
 // Configuration constants
 const API_CONFIG = {
@@ -21,259 +73,240 @@ const API_CONFIG = {
     'Content-Type': 'application/json',
     'Accept': '*/*',
     'X-Requested-With': 'XMLHttpRequest',
+  },
+  RETRY: DEFAULT_RETRY_POLICY,
+  AUTH: {
+    REFRESH_ENDPOINT: process.env.REACT_APP_AUTH_REFRESH_URL || '/auth/refresh',
+  },
+  CACHE: DEFAULT_CACHE_POLICY,
+  RESPONSE_VALIDATION: {
+    ...DEFAULT_VALIDATION_POLICY,
+    // strict in development and tests, off in production unless REACT_APP_RESPONSE_VALIDATION says otherwise
+    mode: resolveValidationMode(process.env.NODE_ENV, process.env.REACT_APP_RESPONSE_VALIDATION),
+  },
+  CACHE_MAX_ENTRIES: 100,
+  DEDUPE_MODE: DEDUPE_MODES.CANCEL_PREVIOUS,
+  OFFLINE_QUEUE_STORAGE_KEY: 'api_offline_outbox',
+  UPLOAD_STORAGE_KEY: 'api_upload_sessions',
+  SCHEDULER: DEFAULT_SCHEDULER_OPTIONS,
+  MOCK: {
+    MODE: resolveMockMode(process.env.REACT_APP_API_MOCK),
+    LATENCY: parseLatency(process.env.REACT_APP_API_MOCK_LATENCY),
+    ERROR_RATE: Number(process.env.REACT_APP_API_MOCK_ERROR_RATE || 0),
+  },
+  LOGGING: {
+    LEVEL: process.env.REACT_APP_LOG_LEVEL || (process.env.NODE_ENV === 'development' ? 'debug' : 'error'),
+    COLLECTOR_URL: process.env.REACT_APP_LOG_COLLECTOR_URL,
+    BUFFER_SIZE: 200,
+    REDACT: DEFAULT_REDACTION,
+  },
+  REQUEST_ID: {
+    // One of REQUEST_ID_FORMATS; time-ordered UUIDv7 by default
+    FORMAT: process.env.REACT_APP_REQUEST_ID_FORMAT || REQUEST_ID_FORMATS.UUID_V7,
+    PREFIX: DEFAULT_REQUEST_ID_PREFIX,
+  },
+  CORRELATION: {
+    STORAGE_KEY: 'correlation_context',
+    IDLE_TIMEOUT: 30 * 60 * 1000, // 30 minutes
+  },
+  TRACING: {
+    // Our tracestate members, e.g. `app=web`
+    TRACESTATE: process.env.REACT_APP_TRACESTATE,
   }
 };
 
-/**
- * Create and configure Axios instance
- */
-const createAxiosInstance = () => {
-  const instance = axios.create({
-    baseURL: API_CONFIG.BASE_URL,
-    timeout: API_CONFIG.TIMEOUT,
-    headers: API_CONFIG.DEFAULT_HEADERS,
-    // Enable request cancellation
-    signal: undefined, // Will be set per request
-  });
+// Recent log entries, kept in memory for debugging and error reports
+const logBuffer = createRingBufferSink({ size: API_CONFIG.LOGGING.BUFFER_SIZE });
 
-  return instance;
-};
+// Logger shared by every client; each client logs through a child tagged with its name
+const apiLogger = createLogger({
+  level: API_CONFIG.LOGGING.LEVEL,
+  redact: API_CONFIG.LOGGING.REDACT,
+  sinks: [
+    createConsoleSink(),
+    logBuffer,
+    ...(API_CONFIG.LOGGING.COLLECTOR_URL ? [createHttpSink({ url: API_CONFIG.LOGGING.COLLECTOR_URL })] : [])
+  ]
+});
+
+// Captures real responses as fixtures in record mode
+const fixtureRecorder = new FixtureRecorder();
+
+// Global cancellation manager instance, shared by every client
+const cancellationManager = new RequestCancellationManager();
 
-// Create the main API instance
-const apiClient = createAxiosInstance();
+// X-Request-ID generator, shared by every client
+const generateRequestId = createRequestIdGenerator({
+  format: API_CONFIG.REQUEST_ID.FORMAT,
+  prefix: API_CONFIG.REQUEST_ID.PREFIX
+});
+
+// Concurrency and rate limits for outgoing requests, shared by every client
+const requestScheduler = new RequestScheduler(API_CONFIG.SCHEDULER);
+
+// Session and journey IDs, shared by every client
+const correlationContext = new CorrelationContext({
+  storageKey: API_CONFIG.CORRELATION.STORAGE_KEY,
+  idleTimeout: API_CONFIG.CORRELATION.IDLE_TIMEOUT
+});
+
+// Lifecycle events of every client's requests
+const requestEvents = new RequestEventBus();
+
+// Results of useQuery, shared by every component reading the same query key
+const queryCache = new QueryCache({ cancellationManager });
+
+// Named clients, looked up with getApiClient(name)
+const clientRegistry = new ApiClientRegistry();
 
 /**
- * Request Interceptor
- * Adds dynamic headers and request tracking
+ * Adapter for the current mock mode
+ * @returns {Function|undefined} Mock or recording adapter, undefined for the real network
  */
-apiClient.interceptors.request.use(
-  (config) => {
-    // Generate unique request ID for each request
-    const requestId = generateRequestId();
-    config.headers['X-Request-ID'] = requestId;
-    
-    // Add timestamp for request tracking
-    config.metadata = {
-      startTime: Date.now(),
-      requestId: requestId
-    };
-    
-    // Add authentication token if available
-    const token = localStorage.getItem('authToken');
-    if (token) {
-      config.headers['Authorization'] = `Bearer ${token}`;
-    }
-    
-    // Log request details in development
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`🚀 API Request [${requestId}]:`, {
-        method: config.method?.toUpperCase(),
-        url: config.url,
-        baseURL: config.baseURL,
-        headers: config.headers,
-        data: config.data
-      });
-    }
-    
-    return config;
-  },
-  (error) => {
-    console.error('❌ Request Interceptor Error:', error);
-    return Promise.reject(error);
+const resolveAdapter = () => {
+  // Serve routes and fixtures instead of the network, or record real responses
+  if (API_CONFIG.MOCK.MODE === MOCK_MODES.MOCK) {
+    return createMockAdapter({
+      routes: mockRoutes,
+      fixtures,
+      latency: API_CONFIG.MOCK.LATENCY,
+      errorRate: API_CONFIG.MOCK.ERROR_RATE
+    });
+  }
+  if (API_CONFIG.MOCK.MODE === MOCK_MODES.RECORD) {
+    return fixtureRecorder.wrap(['xhr', 'http', 'fetch']);
   }
-);
+  return undefined;
+};
 
 /**
- * Response Interceptor
- * Handles responses and errors consistently
+ * Create and register a named client for another backend service
+ * Shares request ID generation, cancellation and scheduling with the default client
+ * @param {string} name - Client name
+ * @param {Object} options - Client options (see createApiClient): baseURL, timeout,
+ *   headers, auth, retry, cache, responseValidation, dedupe, interceptors
+ * @returns {Object} API client
  */
-apiClient.interceptors.response.use(
-  (response) => {
-    // Calculate request duration
-    const duration = Date.now() - response.config.metadata.startTime;
-    const requestId = response.config.metadata.requestId;
-    
-    // Log response details in development
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`✅ API Response [${requestId}] (${duration}ms):`, {
-        status: response.status,
-        statusText: response.statusText,
-        data: response.data,
-        headers: response.headers
-      });
-    }
-    
-    // Add response metadata
-    response.metadata = {
-      requestId,
-      duration,
-      timestamp: new Date().toISOString()
-    };
-    
-    return response;
-  },
-  (error) => {
-    // Handle different types of errors
-    if (error.config?.metadata) {
-      const duration = Date.now() - error.config.metadata.startTime;
-      const requestId = error.config.metadata.requestId;
-      
-      console.error(`❌ API Error [${requestId}] (${duration}ms):`, {
-        message: error.message,
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data
-      });
-    }
-    
-    // Handle specific error cases
-    if (error.code === 'ECONNABORTED') {
-      error.message = 'Request timeout - please try again';
-    } else if (error.code === 'ERR_CANCELED') {
-      error.message = 'Request was cancelled';
-    } else if (!error.response) {
-      error.message = 'Network error - please check your connection';
-    }
-    
-    return Promise.reject(error);
-  }
-);
+export const createClient = (name, options = {}) => clientRegistry.register(createApiClient({
+  adapter: resolveAdapter(),
+  logger: apiLogger.child({ client: name }),
+  responseValidation: API_CONFIG.RESPONSE_VALIDATION,
+  ...options,
+  name,
+  shared: { cancellationManager, requestScheduler, generateRequestId, correlationContext, requestEvents }
+}));
 
 /**
- * Request Cancellation Manager
- * Manages AbortController instances for request cancellation
+ * Look up a registered client by name
+ * @param {string} name - Client name (defaults to the main client)
+ * @returns {Object} API client
  */
-class RequestCancellationManager {
-  constructor() {
-    this.controllers = new Map();
-  }
-  
-  /**
-   * Create a new AbortController for a request
-   * @param {string} requestKey - Unique key for the request
-   * @returns {AbortController} New AbortController instance
-   */
-  createController(requestKey) {
-    // Cancel existing request with the same key
-    this.cancelRequest(requestKey);
-    
-    const controller = new AbortController();
-    this.controllers.set(requestKey, controller);
-    return controller;
-  }
-  
-  /**
-   * Cancel a specific request
-   * @param {string} requestKey - Key of the request to cancel
-   */
-  cancelRequest(requestKey) {
-    const controller = this.controllers.get(requestKey);
-    if (controller) {
-      controller.abort();
-      this.controllers.delete(requestKey);
-    }
-  }
-  
-  /**
-   * Cancel all pending requests
-   */
-  cancelAllRequests() {
-    this.controllers.forEach((controller, key) => {
-      controller.abort();
-    });
-    this.controllers.clear();
-  }
-  
-  /**
-   * Get the signal for a request
-   * @param {string} requestKey - Key of the request
-   * @returns {AbortSignal|undefined} AbortSignal if controller exists
-   */
-  getSignal(requestKey) {
-    const controller = this.controllers.get(requestKey);
-    return controller?.signal;
-  }
-}
+export const getApiClient = (name = DEFAULT_CLIENT_NAME) => clientRegistry.get(name);
 
-// Global cancellation manager instance
-const cancellationManager = new RequestCancellationManager();
+/**
+ * Main API client, used through the default export
+ */
+const defaultClient = createClient(DEFAULT_CLIENT_NAME, {
+  baseURL: API_CONFIG.BASE_URL,
+  timeout: API_CONFIG.TIMEOUT,
+  headers: API_CONFIG.DEFAULT_HEADERS,
+  auth: createBearerAuth({ refreshEndpoint: API_CONFIG.AUTH.REFRESH_ENDPOINT }),
+  retry: API_CONFIG.RETRY,
+  cache: API_CONFIG.CACHE,
+  cacheMaxEntries: API_CONFIG.CACHE_MAX_ENTRIES,
+  dedupe: API_CONFIG.DEDUPE_MODE,
+  outboxStorageKey: API_CONFIG.OFFLINE_QUEUE_STORAGE_KEY,
+  uploadStorageKey: API_CONFIG.UPLOAD_STORAGE_KEY,
+  tracestate: API_CONFIG.TRACING.TRACESTATE
+});
+
+// Pieces of the main client, exported for advanced usage and tests
+const apiClient = defaultClient.instance;
+const authRefreshManager = defaultClient.auth.manager;
+const responseCache = defaultClient.responseCache;
+const offlineQueue = defaultClient.offlineQueue;
+
+// A session that can't be refreshed is a logout
+authRefreshManager.onLogout(() => correlationContext.endSession());
 
 /**
  * Enhanced API methods with cancellation support
  */
 const api = {
-  /**
-   * GET request with cancellation support
-   * @param {string} url - Request URL
-   * @param {Object} config - Axios config object
-   * @param {string} requestKey - Unique key for request cancellation
-   * @returns {Promise} Axios response promise
-   */
-  get: (url, config = {}, requestKey = url) => {
-    const controller = cancellationManager.createController(requestKey);
-    return apiClient.get(url, {
-      ...config,
-      signal: controller.signal
-    });
-  },
+  ...defaultClient,
   
-  /**
-   * POST request with cancellation support
-   * @param {string} url - Request URL
-   * @param {any} data - Request data
-   * @param {Object} config - Axios config object
-   * @param {string} requestKey - Unique key for request cancellation
-   * @returns {Promise} Axios response promise
-   */
-  post: (url, data, config = {}, requestKey = `${url}_post`) => {
-    const controller = cancellationManager.createController(requestKey);
-    return apiClient.post(url, data, {
-      ...config,
-      signal: controller.signal
-    });
-  },
+  // Scheduler methods
+  configureScheduler: requestScheduler.configure.bind(requestScheduler),
+  
+  // Logging methods
+  getRecentLogs: () => logBuffer.entries(),
+  configureLogger: apiLogger.configure,
   
+  // Tracing methods
+  withSpan,
+  getCurrentTraceId,
+  
+  // Correlation methods
   /**
-   * PUT request with cancellation support
-   * @param {string} url - Request URL
-   * @param {any} data - Request data
-   * @param {Object} config - Axios config object
-   * @param {string} requestKey - Unique key for request cancellation
-   * @param {Promise} Axios response promise
+   * Store the tokens of a newly logged in user and start a new session ID
+   * @param {Object} tokens - `{ accessToken, refreshToken }`
+   * @returns {string} Session ID
    */
-  put: (url, data, config = {}, requestKey = `${url}_put`) => {
-    const controller = cancellationManager.createController(requestKey);
-    return apiClient.put(url, data, {
-      ...config,
-      signal: controller.signal
-    });
+  startSession: (tokens) => {
+    defaultClient.setTokens(tokens);
+    return correlationContext.startSession();
   },
-  
   /**
-   * DELETE request with cancellation support
-   * @param {string} url - Request URL
-   * @param {Object} config - Axios config object
-   * @param {string} requestKey - Unique key for request cancellation
-   * @returns {Promise} Axios response promise
+   * Clear the tokens and rotate the session ID on logout
+   * @returns {string} Session ID of the new anonymous session
    */
-  delete: (url, config = {}, requestKey = `${url}_delete`) => {
-    const controller = cancellationManager.createController(requestKey);
-    return apiClient.delete(url, {
-      ...config,
-      signal: controller.signal
-    });
+  endSession: () => {
+    defaultClient.clearTokens();
+    return correlationContext.endSession();
   },
+  startJourney: correlationContext.startJourney.bind(correlationContext),
+  endJourney: correlationContext.endJourney.bind(correlationContext),
+  withJourney: correlationContext.withJourney.bind(correlationContext),
   
-  // Cancellation methods
-  cancelRequest: cancellationManager.cancelRequest.bind(cancellationManager),
-  cancelAllRequests: cancellationManager.cancelAllRequests.bind(cancellationManager),
+  // Lifecycle event methods
+  onRequestEvent: requestEvents.on.bind(requestEvents),
+  getActivity: requestEvents.getActivity.bind(requestEvents),
   
-  // Direct access to axios instance for advanced usage
-  instance: apiClient,
+  // Record mode methods
+  getRecordedFixtures: fixtureRecorder.getFixtures.bind(fixtureRecorder),
+  downloadRecordedFixtures: fixtureRecorder.download.bind(fixtureRecorder),
+  
+  // Named client methods
+  createClient,
+  getClient: getApiClient,
   
   // Configuration access
   config: API_CONFIG
 };
 
 export default api;
-export { apiClient, cancellationManager, API_CONFIG };
+export {
+  apiClient,
+  cancellationManager,
+  queryCache,
+  authRefreshManager,
+  responseCache,
+  offlineQueue,
+  requestScheduler,
+  clientRegistry,
+  correlationContext,
+  requestEvents,
+  apiLogger,
+  API_CONFIG,
+  DEDUPE_MODES,
+  OUTBOX_STATUS,
+  REQUEST_PRIORITIES,
+  JOURNEY_TYPES,
+  REQUEST_EVENTS,
+  ALL_EVENTS,
+  VALIDATION_MODES,
+  QUERY_STATUS,
+  createBearerAuth,
+  createApiKeyAuth,
+  createNoAuth
+};
@@ -0,0 +1,828 @@
+/**
+ * Integration tests for the configured API client
+ * Uses a mocked axios adapter so no network is involved
+ */
+
+import { waitFor } from '@testing-library/react';
+import { AxiosError, CanceledError } from 'axios';
+import api, {
+  apiClient,
+  responseCache,
+  offlineQueue,
+  requestScheduler,
+  correlationContext,
+  requestEvents,
+  JOURNEY_TYPES,
+  REQUEST_EVENTS,
+  ALL_EVENTS,
+  DEDUPE_MODES,
+  OUTBOX_STATUS,
+  REQUEST_PRIORITIES,
+  VALIDATION_MODES
+} from './axiosConfig';
+import * as Yup from 'yup';
+import { HttpError, NetworkError, ValidationError, SchemaError } from './errors';
+import { createConsoleSink, createRingBufferSink, REDACTED } from '../utils/logger';
+import { parseTraceparent } from '../utils/tracing';
+
+// Helper to build a mock adapter that replays the given outcomes in order
+const createMockAdapter = (outcomes) => {
+  const adapter = jest.fn((config) => {
+    const { status, data = {}, headers = {} } = outcomes.shift();
+    const response = { data, status, statusText: '', headers, config, request: {} };
+
+    if (status === 0) {
+      return Promise.reject(new AxiosError('Network Error', AxiosError.ERR_NETWORK, config, {}));
+    }
+    if (status >= 400) {
+      return Promise.reject(
+        new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_RESPONSE, config, {}, response)
+      );
+    }
+    return Promise.resolve(response);
+  });
+  return adapter;
+};
+
+// Helper to build an adapter whose responses stay pending until released
+const createDeferredAdapter = () => {
+  const pending = [];
+  const adapter = jest.fn((config) => new Promise((resolve, reject) => {
+    pending.push({ config, resolve });
+    config.signal?.addEventListener('abort', () => reject(new CanceledError(undefined, config)));
+  }));
+  adapter.respond = (data) => {
+    pending.splice(0).forEach(({ config, resolve }) => {
+      resolve({ data, status: 200, statusText: 'OK', headers: {}, config, request: {} });
+    });
+  };
+  return adapter;
+};
+
+// Fast retry policy so tests don't wait on real backoff delays
+const fastRetry = { baseDelay: 1, jitter: false };
+
+describe('apiClient', () => {
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    requestScheduler.resetRateLimits();
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('retries', () => {
+    test('retries transient failures and records the attempt count', async () => {
+      const adapter = createMockAdapter([{ status: 503 }, { status: 0 }, { status: 200, data: { ok: true } }]);
+
+      const response = await api.get('/retry', { adapter, retry: fastRetry });
+
+      expect(adapter).toHaveBeenCalledTimes(3);
+      expect(response.data).toEqual({ ok: true });
+      expect(response.metadata.attempts).toBe(3);
+    });
+
+    test('keeps the original X-Request-ID on every attempt', async () => {
+      const adapter = createMockAdapter([{ status: 500 }, { status: 200 }]);
+
+      const response = await api.get('/request-id', { adapter, retry: fastRetry });
+
+      const ids = adapter.mock.calls.map(([config]) => config.headers['X-Request-ID']);
+      expect(ids[0]).toMatch(/^req_/);
+      expect(ids[1]).toBe(ids[0]);
+      expect(response.metadata.requestId).toBe(ids[0]);
+    });
+
+    test('gives up after maxAttempts', async () => {
+      const adapter = createMockAdapter([{ status: 503 }, { status: 503 }]);
+
+      await expect(
+        api.get('/exhausted', { adapter, retry: { ...fastRetry, maxAttempts: 2 } })
+      ).rejects.toMatchObject({ response: { status: 503 } });
+      expect(adapter).toHaveBeenCalledTimes(2);
+    });
+
+    test('can be disabled per request', async () => {
+      const adapter = createMockAdapter([{ status: 503 }]);
+
+      await expect(api.get('/no-retry', { adapter, retry: false })).rejects.toBeDefined();
+      expect(adapter).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not retry non-idempotent methods by default', async () => {
+      const adapter = createMockAdapter([{ status: 503 }]);
+
+      await expect(api.post('/create', { name: 'x' }, { adapter, retry: fastRetry })).rejects.toBeDefined();
+      expect(adapter).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not retry client errors', async () => {
+      const adapter = createMockAdapter([{ status: 404 }]);
+
+      await expect(api.get('/missing', { adapter, retry: fastRetry })).rejects.toBeDefined();
+      expect(adapter).toHaveBeenCalledTimes(1);
+    });
+
+    test('fails instead of retrying sooner than Retry-After allows', async () => {
+      const adapter = createMockAdapter([{ status: 503, headers: { 'retry-after': '60' } }]);
+
+      await expect(
+        api.get('/retry-after', { adapter, retry: { ...fastRetry, maxRetryAfter: 30000 } })
+      ).rejects.toMatchObject({ status: 503 });
+      expect(adapter).toHaveBeenCalledTimes(1);
+    });
+
+    test('stops waiting for a retry when the request is cancelled', async () => {
+      const adapter = createMockAdapter([{ status: 503 }, { status: 200 }]);
+
+      const pending = api.get('/cancel-during-backoff', { adapter, retry: { baseDelay: 10000, jitter: false } }, 'backoff');
+      // Let the first attempt fail before cancelling
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      api.cancelRequest('backoff');
+
+      await expect(pending).rejects.toMatchObject({ code: 'CANCELLED' });
+      expect(adapter).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('response cache', () => {
+    const originalAdapter = apiClient.defaults.adapter;
+
+    beforeEach(() => {
+      api.clearCache();
+    });
+
+    afterEach(() => {
+      apiClient.defaults.adapter = originalAdapter;
+    });
+
+    test('does not cache unless opted in', async () => {
+      const adapter = createMockAdapter([{ status: 200 }, { status: 200 }]);
+
+      await api.get('/uncached', { adapter });
+      const response = await api.get('/uncached', { adapter });
+
+      expect(adapter).toHaveBeenCalledTimes(2);
+      expect(response.metadata.fromCache).toBe(false);
+    });
+
+    test('serves repeated GETs from the cache with metadata', async () => {
+      const adapter = createMockAdapter([{ status: 200, data: [{ id: 1 }] }]);
+
+      const first = await api.get('/cached-users', { adapter, cache: true });
+      const second = await api.get('/cached-users', { adapter, cache: true });
+
+      expect(adapter).toHaveBeenCalledTimes(1);
+      expect(first.metadata.fromCache).toBe(false);
+      expect(second.metadata.fromCache).toBe(true);
+      expect(second.metadata.age).toBeGreaterThanOrEqual(0);
+      expect(second.data).toEqual([{ id: 1 }]);
+    });
+
+    test('hands every caller its own copy of a cached body', async () => {
+      const adapter = createMockAdapter([{ status: 200, data: [{ id: 1, name: 'Ada' }] }]);
+
+      const first = await api.get('/cached-copies', { adapter, cache: true });
+      first.data[0].name = 'Changed';
+      const second = await api.get('/cached-copies', { adapter, cache: true });
+      second.data.push({ id: 2 });
+      const third = await api.get('/cached-copies', { adapter, cache: true });
+
+      expect(adapter).toHaveBeenCalledTimes(1);
+      expect(third.data).toEqual([{ id: 1, name: 'Ada' }]);
+    });
+
+    test('forgets cached responses on logout, here or in another tab', async () => {
+      const adapter = createMockAdapter([{ status: 200 }, { status: 200 }, { status: 200 }]);
+      api.setTokens({ accessToken: 'ada-access', refreshToken: 'ada-refresh' });
+
+      await api.get('/cached-me', { adapter, cache: true });
+      api.clearTokens();
+      await api.get('/cached-me', { adapter, cache: true });
+      expect(adapter).toHaveBeenCalledTimes(2);
+
+      api.setTokens({ accessToken: 'bob-access', refreshToken: 'bob-refresh' });
+      await api.get('/cached-me', { adapter, cache: true });
+      // Another tab logs out
+      localStorage.removeItem('authToken');
+      window.dispatchEvent(new StorageEvent('storage', { key: 'authToken', newValue: null, storageArea: localStorage }));
+      await api.get('/cached-me', { adapter, cache: true });
+
+      expect(adapter).toHaveBeenCalledTimes(3);
+      api.clearTokens();
+    });
+
+    test('forgets cached responses when the session expires', async () => {
+      const adapter = createMockAdapter([{ status: 200 }, { status: 401 }, { status: 200 }]);
+      api.clearTokens();
+      api.setTokens({ accessToken: 'expired-access' });
+
+      await api.get('/cached-profile', { adapter, cache: true });
+      await expect(api.get('/private', { adapter })).rejects.toMatchObject({ code: 'AUTH_EXPIRED' });
+      await api.get('/cached-profile', { adapter, cache: true });
+
+      expect(adapter).toHaveBeenCalledTimes(3);
+    });
+
+    test('keys entries on params', async () => {
+      const adapter = createMockAdapter([{ status: 200, data: 'page 1' }, { status: 200, data: 'page 2' }]);
+
+      await api.get('/paged', { adapter, cache: true, params: { page: 1 } });
+      const response = await api.get('/paged', { adapter, cache: true, params: { page: 2 } });
+
+      expect(adapter).toHaveBeenCalledTimes(2);
+      expect(response.data).toBe('page 2');
+    });
+
+    test('refetches after invalidation by key or prefix', async () => {
+      const adapter = createMockAdapter([{ status: 200 }, { status: 200 }, { status: 200 }]);
+
+      await api.get('/invalidate', { adapter, cache: true });
+      api.invalidateCache('GET /invalidate');
+      await api.get('/invalidate', { adapter, cache: true });
+      api.invalidateCachePrefix('GET /inval');
+      await api.get('/invalidate', { adapter, cache: true });
+
+      expect(adapter).toHaveBeenCalledTimes(3);
+    });
+
+    test('serves stale entries while revalidating in the background', async () => {
+      const adapter = createMockAdapter([{ status: 200, data: 'v1' }, { status: 200, data: 'v2' }]);
+      apiClient.defaults.adapter = adapter;
+      const cache = { ttl: 0, staleWhileRevalidate: 60000 };
+
+      await api.get('/swr', { cache });
+      const stale = await api.get('/swr', { cache });
+
+      expect(stale.data).toBe('v1');
+      expect(stale.metadata).toMatchObject({ fromCache: true, stale: true });
+
+      // Background revalidation stores the fresh value
+      await waitFor(() => expect(adapter).toHaveBeenCalledTimes(2));
+      await waitFor(() => expect(responseCache.lookup('GET /swr').response.data).toBe('v2'));
+    });
+  });
+
+  describe('dedupe modes', () => {
+    test('cancel-previous aborts the earlier request with the same key (default)', async () => {
+      const adapter = createDeferredAdapter();
+
+      const first = api.get('/dedupe-cancel', { adapter });
+      await waitFor(() => expect(adapter).toHaveBeenCalledTimes(1));
+      const second = api.get('/dedupe-cancel', { adapter });
+
+      await expect(first).rejects.toMatchObject({ code: 'CANCELLED' });
+      await waitFor(() => expect(adapter).toHaveBeenCalledTimes(2));
+      adapter.respond('latest');
+      await expect(second).resolves.toMatchObject({ data: 'latest' });
+    });
+
+    test('cancel-previous honors the caller signal', async () => {
+      const adapter = createDeferredAdapter();
+      const controller = new AbortController();
+
+      const request = api.get('/dedupe-cancel-signal', { adapter, signal: controller.signal });
+      await waitFor(() => expect(adapter).toHaveBeenCalledTimes(1));
+      controller.abort();
+
+      await expect(request).rejects.toMatchObject({ code: 'CANCELLED' });
+    });
+
+    test('share-in-flight makes identical GETs share one network call', async () => {
+      const adapter = createDeferredAdapter();
+      const config = { adapter, dedupe: DEDUPE_MODES.SHARE_IN_FLIGHT };
+
+      const first = api.get('/dedupe-share', config);
+      const second = api.get('/dedupe-share', config);
+      await waitFor(() => expect(adapter).toHaveBeenCalledTimes(1));
+      adapter.respond('shared');
+
+      const [a, b] = await Promise.all([first, second]);
+      expect(a.data).toBe('shared');
+      expect(b).toBe(a);
+      expect(adapter).toHaveBeenCalledTimes(1);
+    });
+
+    test('share-in-flight does not share requests with different params', async () => {
+      const adapter = createDeferredAdapter();
+
+      api.get('/dedupe-params', { adapter, dedupe: DEDUPE_MODES.SHARE_IN_FLIGHT, params: { page: 1 } });
+      api.get('/dedupe-params', { adapter, dedupe: DEDUPE_MODES.SHARE_IN_FLIGHT, params: { page: 2 } });
+
+      await waitFor(() => expect(adapter).toHaveBeenCalledTimes(2));
+      adapter.respond('done');
+    });
+
+    test('share-in-flight: one caller aborting leaves the others untouched', async () => {
+      const adapter = createDeferredAdapter();
+      const controller = new AbortController();
+
+      const aborted = api.get('/dedupe-share-abort', {
+        adapter,
+        dedupe: DEDUPE_MODES.SHARE_IN_FLIGHT,
+        signal: controller.signal
+      });
+      const kept = api.get('/dedupe-share-abort', { adapter, dedupe: DEDUPE_MODES.SHARE_IN_FLIGHT });
+      await waitFor(() => expect(adapter).toHaveBeenCalledTimes(1));
+
+      controller.abort();
+      await expect(aborted).rejects.toMatchObject({ code: 'CANCELLED' });
+
+      adapter.respond('still here');
+      await expect(kept).resolves.toMatchObject({ data: 'still here' });
+    });
+
+    test('share-in-flight: the network call is aborted once every caller aborts', async () => {
+      const adapter = createDeferredAdapter();
+      const controllers = [new AbortController(), new AbortController()];
+
+      const requests = controllers.map((controller) => api.get('/dedupe-share-all', {
+        adapter,
+        dedupe: DEDUPE_MODES.SHARE_IN_FLIGHT,
+        signal: controller.signal
+      }));
+      await waitFor(() => expect(adapter).toHaveBeenCalledTimes(1));
+      const networkSignal = adapter.mock.calls[0][0].signal;
+
+      controllers[0].abort();
+      expect(networkSignal.aborted).toBe(false);
+      controllers[1].abort();
+      expect(networkSignal.aborted).toBe(true);
+
+      await Promise.all(requests.map((request) => expect(request).rejects.toMatchObject({ code: 'CANCELLED' })));
+
+      // A later caller starts a fresh network call
+      api.get('/dedupe-share-all', { adapter, dedupe: DEDUPE_MODES.SHARE_IN_FLIGHT });
+      await waitFor(() => expect(adapter).toHaveBeenCalledTimes(2));
+      adapter.respond('fresh');
+    });
+
+    test('share-in-flight: cancelRequest aborts the shared call for every caller', async () => {
+      const adapter = createDeferredAdapter();
+      const config = { adapter, dedupe: DEDUPE_MODES.SHARE_IN_FLIGHT };
+
+      const requests = [api.get('/dedupe-share-key', config), api.get('/dedupe-share-key', config)];
+      await waitFor(() => expect(adapter).toHaveBeenCalledTimes(1));
+      api.cancelRequest('/dedupe-share-key');
+
+      await Promise.all(requests.map((request) => expect(request).rejects.toMatchObject({ code: 'CANCELLED' })));
+    });
+
+    test('always-new sends every request and aborting one leaves the others', async () => {
+      const adapter = createDeferredAdapter();
+      const controller = new AbortController();
+
+      const aborted = api.get('/dedupe-new', { adapter, dedupe: DEDUPE_MODES.ALWAYS_NEW, signal: controller.signal });
+      const kept = api.get('/dedupe-new', { adapter, dedupe: DEDUPE_MODES.ALWAYS_NEW });
+      await waitFor(() => expect(adapter).toHaveBeenCalledTimes(2));
+
+      controller.abort();
+      await expect(aborted).rejects.toMatchObject({ code: 'CANCELLED' });
+
+      adapter.respond('independent');
+      await expect(kept).resolves.toMatchObject({ data: 'independent' });
+    });
+
+    test('always-new requests can still be cancelled by key', async () => {
+      const adapter = createDeferredAdapter();
+      const config = { adapter, dedupe: DEDUPE_MODES.ALWAYS_NEW };
+
+      const requests = [api.get('/dedupe-new-key', config), api.get('/dedupe-new-key', config)];
+      await waitFor(() => expect(adapter).toHaveBeenCalledTimes(2));
+      api.cancelRequest('/dedupe-new-key');
+
+      await Promise.all(requests.map((request) => expect(request).rejects.toMatchObject({ code: 'CANCELLED' })));
+    });
+  });
+
+  describe('typed errors', () => {
+    test('rejects HTTP failures with HttpError carrying the request ID', async () => {
+      const adapter = createMockAdapter([{ status: 404 }]);
+
+      const error = await api.get('/typed-404', { adapter }).catch((caught) => caught);
+
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.code).toBe('NOT_FOUND');
+      expect(error.requestId).toBe(adapter.mock.calls[0][0].headers['X-Request-ID']);
+      expect(error.duration).toBeGreaterThanOrEqual(0);
+    });
+
+    test('rejects network failures with NetworkError after retries', async () => {
+      const adapter = createMockAdapter([{ status: 0 }, { status: 0 }]);
+
+      await expect(
+        api.get('/typed-network', { adapter, retry: { ...fastRetry, maxAttempts: 2 } })
+      ).rejects.toBeInstanceOf(NetworkError);
+    });
+
+    test('rejects 422 responses with ValidationError field errors', async () => {
+      const adapter = createMockAdapter([{ status: 422, data: { errors: { email: ['is taken'] } } }]);
+
+      await expect(api.post('/typed-422', {}, { adapter })).rejects.toMatchObject({
+        constructor: ValidationError,
+        code: 'VALIDATION_ERROR',
+        fieldErrors: { email: ['is taken'] }
+      });
+    });
+  });
+
+
+  describe('scheduler', () => {
+    const defaults = { ...requestScheduler.options };
+
+    afterEach(() => {
+      api.configureScheduler(defaults);
+    });
+
+    test('holds requests beyond the concurrency cap and reports the queue wait', async () => {
+      api.configureScheduler({ maxConcurrent: 1 });
+      const adapter = createDeferredAdapter();
+
+      const first = api.get('/scheduled-1', { adapter, dedupe: DEDUPE_MODES.ALWAYS_NEW });
+      const second = api.get('/scheduled-2', { adapter, dedupe: DEDUPE_MODES.ALWAYS_NEW });
+      await waitFor(() => expect(adapter).toHaveBeenCalledTimes(1));
+      expect(requestScheduler.pending).toBe(1);
+
+      adapter.respond({ ok: true });
+      await waitFor(() => expect(adapter).toHaveBeenCalledTimes(2));
+      adapter.respond({ ok: true });
+
+      const [firstResponse, secondResponse] = await Promise.all([first, second]);
+      expect(firstResponse.metadata.queueWait).toBeGreaterThanOrEqual(0);
+      expect(secondResponse.metadata.queueWait).toBeGreaterThanOrEqual(0);
+      expect(adapter.mock.calls[1][0].url).toBe('/scheduled-2');
+    });
+
+    test('frees the slot when a request fails', async () => {
+      api.configureScheduler({ maxConcurrent: 1 });
+      const adapter = createMockAdapter([{ status: 404 }, { status: 200 }]);
+
+      await expect(api.get('/scheduled-fail', { adapter })).rejects.toBeInstanceOf(HttpError);
+      const response = await api.get('/scheduled-next', { adapter, priority: REQUEST_PRIORITIES.BACKGROUND });
+
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe('tracing', () => {
+    const traceOf = (adapter, call) => parseTraceparent(adapter.mock.calls[call][0].headers.traceparent);
+
+    test('sends a traceparent header and exposes the trace ID', async () => {
+      const adapter = createMockAdapter([{ status: 200 }]);
+
+      const response = await api.get('/traced', { adapter });
+
+      const trace = traceOf(adapter, 0);
+      expect(trace).toMatchObject({ version: '00', sampled: true });
+      expect(response.metadata.traceId).toBe(trace.traceId);
+      expect(api.getCurrentTraceId()).toBe(trace.traceId);
+    });
+
+    test('keeps the trace across retries with a new span per attempt', async () => {
+      const adapter = createMockAdapter([{ status: 503 }, { status: 503 }]);
+
+      const error = await api.get('/traced-retry', { adapter, retry: { ...fastRetry, maxAttempts: 2 } })
+        .catch((caught) => caught);
+
+      const [first, second] = [traceOf(adapter, 0), traceOf(adapter, 1)];
+      expect(second.traceId).toBe(first.traceId);
+      expect(second.spanId).not.toBe(first.spanId);
+      expect(error.traceId).toBe(first.traceId);
+    });
+
+    test('groups the calls of one action under its span', async () => {
+      const adapter = createMockAdapter([{ status: 200 }, { status: 200 }, { status: 200 }]);
+
+      const span = await api.withSpan('users.refresh', async (actionSpan) => {
+        await api.get('/traced-a', { adapter });
+        await api.post('/traced-b', {}, { adapter });
+        return actionSpan;
+      });
+      await api.get('/traced-c', { adapter });
+
+      expect(traceOf(adapter, 0).traceId).toBe(span.traceId);
+      expect(traceOf(adapter, 1).traceId).toBe(span.traceId);
+      expect(traceOf(adapter, 2).traceId).not.toBe(span.traceId);
+    });
+
+    test('honours traceSpan and trace: false', async () => {
+      const adapter = createMockAdapter([{ status: 200 }, { status: 200 }]);
+      const traceSpan = { traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7', sampled: false };
+
+      await api.get('/traced-explicit', { adapter, traceSpan });
+      await api.get('/untraced', { adapter, trace: false });
+
+      expect(traceOf(adapter, 0)).toMatchObject({ traceId: traceSpan.traceId, sampled: false });
+      expect(adapter.mock.calls[1][0].headers.traceparent).toBeUndefined();
+    });
+  });
+
+  describe('correlation', () => {
+    const headersOf = (adapter, call) => adapter.mock.calls[call][0].headers;
+
+    test('sends the session ID, plus the journey ID during a journey', async () => {
+      const adapter = createMockAdapter([{ status: 200 }, { status: 201 }]);
+      const sessionId = correlationContext.getSessionId();
+
+      await api.get('/correlated', { adapter });
+      const journeyId = await api.withJourney(JOURNEY_TYPES.FORM, 'signup', async (journey) => {
+        await api.post('/correlated', {}, { adapter });
+        return journey.id;
+      });
+
+      expect(headersOf(adapter, 0)['X-Session-ID']).toBe(sessionId);
+      expect(headersOf(adapter, 0)['X-Journey-ID']).toBeUndefined();
+      expect(headersOf(adapter, 1)['X-Journey-ID']).toBe(journeyId);
+      expect(journeyId.startsWith(`${sessionId}.`)).toBe(true);
+    });
+
+    test('tags a request with the journey active when it was made, or the one passed', async () => {
+      const adapter = createMockAdapter([{ status: 200 }, { status: 200 }, { status: 200 }]);
+
+      const route = correlationContext.startJourney(JOURNEY_TYPES.ROUTE, '/users');
+      const pending = api.get('/correlated-route', { adapter });
+      // Another journey starts before the request is dispatched
+      const form = correlationContext.startJourney(JOURNEY_TYPES.FORM, 'signup');
+      await pending;
+      await api.get('/correlated-explicit', { adapter, journey: route.id });
+      await api.get('/correlated-none', { adapter, journey: null });
+      correlationContext.endJourney(form);
+      correlationContext.endJourney(route);
+
+      expect(headersOf(adapter, 0)['X-Journey-ID']).toBe(route.id);
+      expect(headersOf(adapter, 1)['X-Journey-ID']).toBe(route.id);
+      expect(headersOf(adapter, 2)['X-Journey-ID']).toBeUndefined();
+      expect(headersOf(adapter, 2)['X-Session-ID']).toBe(correlationContext.getSessionId());
+    });
+
+    test('starts a new session at login and rotates it at logout', async () => {
+      const adapter = createMockAdapter([{ status: 200 }, { status: 200 }]);
+
+      const loginSession = api.startSession({ accessToken: 'a', refreshToken: 'r' });
+      await api.get('/correlated-login', { adapter });
+      const logoutSession = api.endSession();
+      await api.get('/correlated-logout', { adapter });
+
+      expect(headersOf(adapter, 0)['X-Session-ID']).toBe(loginSession);
+      expect(headersOf(adapter, 1)['X-Session-ID']).toBe(logoutSession);
+      expect(logoutSession).not.toBe(loginSession);
+      expect(headersOf(adapter, 1)['Authorization']).toBeUndefined();
+    });
+
+    test('keeps the IDs across retries and honours correlate: false', async () => {
+      const replies = createMockAdapter([{ status: 503 }, { status: 200 }, { status: 200 }]);
+      // The session rotates while the first attempt is in flight
+      const adapter = jest.fn((config) => {
+        if (adapter.mock.calls.length === 1) {
+          correlationContext.endSession();
+        }
+        return replies(config);
+      });
+
+      await api.get('/correlated-retry', { adapter, retry: fastRetry });
+      await api.get('/uncorrelated', { adapter, correlate: false });
+
+      expect(headersOf(adapter, 1)['X-Session-ID']).toBe(headersOf(adapter, 0)['X-Session-ID']);
+      expect(headersOf(adapter, 2)['X-Session-ID']).toBeUndefined();
+    });
+  });
+
+  describe('lifecycle events', () => {
+    let events;
+    let unsubscribe;
+
+    beforeEach(() => {
+      events = [];
+      unsubscribe = api.onRequestEvent(ALL_EVENTS, (event) => events.push(event));
+    });
+
+    afterEach(() => {
+      unsubscribe();
+      requestEvents.reset();
+    });
+
+    test('emits one start and one success per request, across retries', async () => {
+      const adapter = createMockAdapter([{ status: 503 }, { status: 200 }]);
+
+      const response = await api.get('/evented', { adapter, retry: fastRetry });
+
+      expect(events.map((event) => event.type)).toEqual([REQUEST_EVENTS.START, REQUEST_EVENTS.SUCCESS]);
+      expect(events[0]).toMatchObject({ requestId: response.metadata.requestId, method: 'GET', url: '/evented', client: 'default' });
+      expect(events[1]).toMatchObject({ status: 200, fromCache: false });
+      expect(api.getActivity().inFlight).toBe(0);
+    });
+
+    test('emits error for failures and cancel for cancellations', async () => {
+      const failing = createMockAdapter([{ status: 404 }]);
+      await api.get('/evented-404', { adapter: failing }).catch(() => {});
+
+      const hanging = createDeferredAdapter();
+      const pending = api.get('/evented-cancel', { adapter: hanging }, 'evented-cancel');
+      await waitFor(() => expect(api.getActivity().inFlight).toBe(1));
+      api.cancelRequest('evented-cancel');
+      await pending.catch(() => {});
+
+      expect(events.map((event) => event.type)).toEqual([
+        REQUEST_EVENTS.START, REQUEST_EVENTS.ERROR, REQUEST_EVENTS.START, REQUEST_EVENTS.CANCEL
+      ]);
+      expect(events[1]).toMatchObject({ status: 404, error: expect.any(HttpError) });
+      expect(api.getActivity().inFlight).toBe(0);
+    });
+
+    test('reports adapter progress and still calls the caller\'s handler', async () => {
+      const onDownloadProgress = jest.fn();
+      const adapter = jest.fn((config) => {
+        config.onDownloadProgress({ loaded: 5, total: 10, progress: 0.5 });
+        return Promise.resolve({ data: {}, status: 200, statusText: 'OK', headers: {}, config, request: {} });
+      });
+
+      await api.get('/evented-progress', { adapter, onDownloadProgress });
+
+      expect(events[1]).toMatchObject({ type: REQUEST_EVENTS.PROGRESS, direction: 'download', loaded: 5, total: 10 });
+      expect(onDownloadProgress).toHaveBeenCalledWith(expect.objectContaining({ loaded: 5 }));
+    });
+  });
+
+  describe('response schemas', () => {
+    const userSchema = Yup.object({
+      id: Yup.number().required(),
+      username: Yup.string().required(),
+    });
+
+    test('rejects a mismatching body with a SchemaError listing the failing paths', async () => {
+      const adapter = createMockAdapter([{ status: 200, data: [{ id: 1, username: 'ada' }, { id: 'two' }] }]);
+      const events = [];
+      const unsubscribe = api.onRequestEvent(REQUEST_EVENTS.ERROR, (event) => events.push(event));
+
+      const error = await api.get('/schema-users', {
+        adapter,
+        responseSchema: Yup.array().of(userSchema),
+        responseValidation: VALIDATION_MODES.STRICT
+      }).catch((reason) => reason);
+      unsubscribe();
+
+      expect(error).toBeInstanceOf(SchemaError);
+      expect(error).toMatchObject({ endpoint: 'GET /schema-users', target: 'response', method: 'GET' });
+      expect(error.requestId).toMatch(/^req_/);
+      expect(error.fieldErrors).toEqual({
+        '[1].id': [expect.stringContaining('must be a `number` type')],
+        '[1].username': ['[1].username is a required field']
+      });
+      expect(error.retryable).toBe(false);
+      expect(events).toEqual([expect.objectContaining({ error })]);
+    });
+
+    test('warn mode logs the mismatch and returns the body unchanged', async () => {
+      const sink = createRingBufferSink();
+      api.configureLogger({ level: 'warn', sinks: [sink] });
+      const adapter = createMockAdapter([{ status: 200, data: { id: 1 } }]);
+
+      try {
+        const response = await api.get('/schema-warn', { adapter, responseSchema: userSchema, responseValidation: 'warn' });
+        expect(response.data).toEqual({ id: 1 });
+      } finally {
+        api.configureLogger({ level: 'error', sinks: [createConsoleSink()] });
+      }
+
+      expect(sink.entries()).toEqual([expect.objectContaining({
+        level: 'warn',
+        event: 'api.schema_mismatch',
+        endpoint: 'GET /schema-warn',
+        fieldErrors: { username: [REDACTED] }
+      })]);
+    });
+
+    test('off mode and requests without a schema skip validation', async () => {
+      const adapter = createMockAdapter([{ status: 200, data: { id: 'x' } }, { status: 200, data: { id: 'x' } }]);
+
+      await expect(api.get('/schema-off', { adapter, responseSchema: userSchema, responseValidation: false }))
+        .resolves.toMatchObject({ data: { id: 'x' } });
+      await expect(api.get('/schema-none', { adapter })).resolves.toMatchObject({ data: { id: 'x' } });
+    });
+
+    test('coerces and strips unknown fields when configured, before caching', async () => {
+      const adapter = createMockAdapter([{ status: 200, data: { id: '7', username: 'ada', password: 'leaked' } }]);
+      const config = {
+        adapter,
+        cache: true,
+        responseSchema: userSchema,
+        responseValidation: { coerce: true, stripUnknown: true }
+      };
+
+      const response = await api.get('/schema-coerce', config);
+      const cached = await api.get('/schema-coerce', config);
+
+      expect(response.data).toEqual({ id: 7, username: 'ada' });
+      expect(cached.metadata.fromCache).toBe(true);
+      expect(cached.data).toEqual({ id: 7, username: 'ada' });
+    });
+  });
+
+  describe('logging', () => {
+    let sink;
+
+    beforeEach(() => {
+      sink = createRingBufferSink();
+      api.configureLogger({ level: 'debug', sinks: [sink] });
+    });
+
+    afterEach(() => {
+      api.configureLogger({ level: 'error', sinks: [createConsoleSink()] });
+    });
+
+    test('emits redacted request and response events', async () => {
+      api.setTokens({ accessToken: 'secret-token', refreshToken: 'secret-refresh' });
+      const adapter = createMockAdapter([{ status: 201, data: { id: 1, accessToken: 'issued' } }]);
+
+      try {
+        await api.post('/login', { username: 'ada', password: 'hunter2' }, { adapter });
+      } finally {
+        api.clearTokens();
+      }
+
+      const [request, response] = sink.entries();
+      expect(request).toMatchObject({
+        event: 'api.request',
+        client: 'default',
+        method: 'POST',
+        url: '/login',
+        data: { username: 'ada', password: REDACTED }
+      });
+      expect(request.headers.Authorization).toBe(REDACTED);
+      expect(request.headers['X-Request-ID']).toBe(request.requestId);
+      expect(response).toMatchObject({ event: 'api.response', status: 201, data: { id: 1, accessToken: REDACTED } });
+    });
+
+    test('emits retry and error events', async () => {
+      const adapter = createMockAdapter([{ status: 500 }, { status: 500 }]);
+
+      await api.get('/logged-failure', { adapter, retry: { ...fastRetry, maxAttempts: 2 } }).catch(() => {});
+
+      expect(sink.entries().map((entry) => entry.event)).toEqual([
+        'api.request', 'api.error', 'api.retry', 'api.request', 'api.error'
+      ]);
+      expect(sink.entries()[2]).toMatchObject({ level: 'info', attempt: 2, maxAttempts: 2 });
+    });
+  });
+  describe('offline queue', () => {
+    const originalAdapter = apiClient.defaults.adapter;
+
+    afterEach(() => {
+      apiClient.defaults.adapter = originalAdapter;
+      offlineQueue.getEntries().forEach((entry) => offlineQueue.remove(entry.id));
+    });
+
+    test('sends an Idempotency-Key header with every mutation', async () => {
+      const adapter = createMockAdapter([{ status: 201 }]);
+
+      await api.post('/idempotent', { title: 'a' }, { adapter });
+
+      expect(adapter.mock.calls[0][0].headers['Idempotency-Key']).toEqual(expect.any(String));
+    });
+
+    test('rejects network failures unless queueOffline is set', async () => {
+      const adapter = createMockAdapter([{ status: 0 }]);
+
+      await expect(api.post('/not-queued', {}, { adapter })).rejects.toBeInstanceOf(NetworkError);
+      expect(offlineQueue.getEntries()).toHaveLength(0);
+    });
+
+    test('queues a mutation that fails with a network error and replays it with the same key', async () => {
+      const adapter = createMockAdapter([{ status: 0 }]);
+
+      const response = await api.post('/todos', { title: 'offline' }, { adapter, queueOffline: true });
+
+      expect(response.status).toBe(202);
+      expect(response.metadata).toEqual(expect.objectContaining({ queued: true, outboxId: expect.any(String) }));
+      expect(offlineQueue.getEntries()[0]).toEqual(expect.objectContaining({
+        method: 'post',
+        url: '/todos',
+        data: { title: 'offline' },
+        status: OUTBOX_STATUS.PENDING
+      }));
+
+      const replayAdapter = createMockAdapter([{ status: 201 }]);
+      apiClient.defaults.adapter = replayAdapter;
+      await api.replayOfflineQueue();
+
+      const replayed = replayAdapter.mock.calls[0][0];
+      expect(replayed.headers['Idempotency-Key']).toBe(adapter.mock.calls[0][0].headers['Idempotency-Key']);
+      expect(JSON.parse(replayed.data)).toEqual({ title: 'offline' });
+      expect(offlineQueue.getEntries()[0].status).toBe(OUTBOX_STATUS.SENT);
+    });
+
+    test('queues without a network call while the browser is offline', async () => {
+      const onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+      const adapter = createMockAdapter([]);
+
+      const response = await api.delete('/todos/1', { adapter, queueOffline: true });
+
+      onLine.mockRestore();
+      expect(adapter).not.toHaveBeenCalled();
+      expect(response.metadata.queued).toBe(true);
+      expect(offlineQueue.getEntries()[0]).toEqual(expect.objectContaining({ method: 'delete', url: '/todos/1' }));
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Request Cancellation Manager
+ *
+ * Tracks the AbortControllers of in-flight requests by key so callers can
+ * cancel a request, or every request, from anywhere. Shared by all API clients.
+ */
+
+import { InFlightRequestRegistry } from './inFlightRequests';
+
+class RequestCancellationManager {
+  constructor() {
+    this.controllers = new Map();
+    // Requests that must not cancel each other, grouped by key
+    this.independentControllers = new Map();
+    // GET requests shared between concurrent callers
+    this.sharedRequests = new InFlightRequestRegistry();
+  }
+  
+  /**
+   * Create a new AbortController for a request
+   * @param {string} requestKey - Unique key for the request
+   * @returns {AbortController} New AbortController instance
+   */
+  createController(requestKey) {
+    // Cancel existing request with the same key
+    this.cancelRequest(requestKey);
+    
+    const controller = new AbortController();
+    this.controllers.set(requestKey, controller);
+    return controller;
+  }
+  
+  /**
+   * Create an AbortController that leaves other requests with the same key alone
+   * @param {string} requestKey - Key of the request
+   * @returns {AbortController} New AbortController instance
+   */
+  addController(requestKey) {
+    const controller = new AbortController();
+    if (!this.independentControllers.has(requestKey)) {
+      this.independentControllers.set(requestKey, new Set());
+    }
+    this.independentControllers.get(requestKey).add(controller);
+    return controller;
+  }
+  
+  /**
+   * Forget a controller created by addController once its request settles
+   * @param {string} requestKey - Key of the request
+   * @param {AbortController} controller - Controller to forget
+   */
+  releaseController(requestKey, controller) {
+    const group = this.independentControllers.get(requestKey);
+    if (group) {
+      group.delete(controller);
+      if (group.size === 0) {
+        this.independentControllers.delete(requestKey);
+      }
+    }
+  }
+  
+  /**
+   * Join an identical in-flight request, or start it
+   * @param {string} dedupeKey - Identity of the request (method + URL + params)
+   * @param {string} requestKey - Key used to cancel the shared request
+   * @param {Function} start - Starts the network call with the shared AbortSignal
+   * @param {AbortSignal} signal - Caller's own signal (optional)
+   * @returns {Promise} Caller-specific promise for the shared response
+   */
+  shareRequest(dedupeKey, requestKey, start, signal) {
+    return this.sharedRequests.share(dedupeKey, requestKey, start, signal);
+  }
+  
+  /**
+   * Cancel a specific request
+   * @param {string} requestKey - Key of the request to cancel
+   */
+  cancelRequest(requestKey) {
+    const controller = this.controllers.get(requestKey);
+    if (controller) {
+      controller.abort();
+      this.controllers.delete(requestKey);
+    }
+    
+    const group = this.independentControllers.get(requestKey);
+    if (group) {
+      group.forEach((independentController) => independentController.abort());
+      this.independentControllers.delete(requestKey);
+    }
+    
+    this.sharedRequests.cancel(requestKey);
+  }
+  
+  /**
+   * Cancel all pending requests
+   */
+  cancelAllRequests() {
+    this.controllers.forEach((controller, key) => {
+      controller.abort();
+    });
+    this.controllers.clear();
+    
+    this.independentControllers.forEach((group) => {
+      group.forEach((controller) => controller.abort());
+    });
+    this.independentControllers.clear();
+    
+    this.sharedRequests.cancelAll();
+  }
+  
+  /**
+   * Get the signal for a request
+   * @param {string} requestKey - Key of the request
+   * @returns {AbortSignal|undefined} AbortSignal if controller exists
+   */
+  getSignal(requestKey) {
+    const controller = this.controllers.get(requestKey);
+    return controller?.signal;
+  }
+}
+
+export { RequestCancellationManager };
@@ -0,0 +1,844 @@
+/**
+ * API Client Factory
+ *
+ * Builds a configured API client: an Axios instance with the request and
+ * response interceptors plus the cancellable `get/post/put/delete` helpers
+ * and `upload/download` with progress.
+ * Each client has its own base URL, timeout, headers, auth strategy, retry
+ * policy, response cache, offline outbox and extra interceptors. Request ID
+ * generation, the cancellation manager, the scheduler, the correlation
+ * context and the request event bus are shared and passed in through
+ * `shared`. Every request carries W3C `traceparent` / `tracestate` headers
+ * (see utils/tracing.js). Requests with a `responseSchema` have their body
+ * validated (see schemaValidation.js).
+ */
+
+import axios from 'axios';
+import {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  shouldRetry,
+  computeRetryDelay,
+  waitForRetry
+} from './retryPolicy';
+import { createBearerAuth } from './authStrategies';
+import { ApiError, ERROR_CODES, normalizeApiError } from './errors';
+import {
+  ResponseCache,
+  DEFAULT_CACHE_POLICY,
+  buildCacheKey,
+  resolveCachePolicy
+} from './responseCache';
+import { DEDUPE_MODES, linkAbortSignal } from './inFlightRequests';
+import { OfflineMutationQueue, IDEMPOTENCY_HEADER, generateIdempotencyKey } from './offlineQueue';
+import { REQUEST_PRIORITIES } from './requestScheduler';
+import { REQUEST_EVENTS } from './requestEvents';
+import { UploadSessionStore, uploadMultipart, uploadChunked } from './uploads';
+import {
+  DEFAULT_VALIDATION_POLICY,
+  VALIDATION_MODES,
+  resolveValidationPolicy,
+  validateSchema
+} from './schemaValidation';
+import { createLogger } from '../utils/logger';
+import {
+  startSpan,
+  getActiveSpan,
+  formatTraceparent,
+  formatTracestate,
+  recordTraceId
+} from '../utils/tracing';
+
+// Name of the client behind the default `api` export
+const DEFAULT_CLIENT_NAME = 'default';
+
+/**
+ * Register extra interceptors on an instance
+ * Each entry is a fulfilled handler or a `[onFulfilled, onRejected]` pair
+ * @param {Object} manager - `instance.interceptors.request` or `.response`
+ * @param {Array} handlers - Interceptors to add
+ */
+const registerInterceptors = (manager, handlers = []) => {
+  handlers.forEach((handler) => {
+    const [onFulfilled, onRejected] = Array.isArray(handler) ? handler : [handler];
+    manager.use(onFulfilled, onRejected);
+  });
+};
+
+/**
+ * Create an API client
+ * @param {Object} options - Client options
+ * @param {string} options.name - Client name, used to namespace cancellation keys and storage
+ * @param {string} options.baseURL - Base URL of the service
+ * @param {number} options.timeout - Request timeout (ms)
+ * @param {Object} options.headers - Default headers
+ * @param {Object} options.auth - Auth strategy (see authStrategies.js), bearer by default
+ * @param {Object} options.retry - Default retry policy
+ * @param {Object} options.cache - Default cache policy for `cache: true` requests
+ * @param {Object} options.responseValidation - Default `{ mode, coerce, stripUnknown }` for `responseSchema` requests
+ * @param {number} options.cacheMaxEntries - Response cache size
+ * @param {string} options.dedupe - Default dedupe mode for `get`
+ * @param {Object} options.interceptors - Extra `{ request: [], response: [] }` interceptors
+ * @param {Function|string[]} options.adapter - Axios adapter override (mock mode, tests)
+ * @param {string} options.outboxStorageKey - localStorage key of the offline outbox
+ * @param {string} options.uploadStorageKey - localStorage key of unfinished resumable uploads
+ * @param {Object} options.logger - Structured logger (see utils/logger.js), silent by default
+ * @param {Object|string|Function} options.tracestate - Our tracestate members, or `(config) => members`
+ * @param {Object} options.shared - `{ cancellationManager, requestScheduler, generateRequestId,
+ *   correlationContext, requestEvents }`
+ * @returns {Object} API client
+ */
+export const createApiClient = ({
+  name = DEFAULT_CLIENT_NAME,
+  baseURL,
+  timeout = 10000,
+  headers = {},
+  auth = createBearerAuth(),
+  retry = DEFAULT_RETRY_POLICY,
+  cache = DEFAULT_CACHE_POLICY,
+  responseValidation = DEFAULT_VALIDATION_POLICY,
+  cacheMaxEntries = 100,
+  dedupe: defaultDedupe = DEDUPE_MODES.CANCEL_PREVIOUS,
+  interceptors = {},
+  adapter,
+  outboxStorageKey = `api_offline_outbox:${name}`,
+  uploadStorageKey = `api_upload_sessions:${name}`,
+  logger = createLogger({ level: 'silent' }),
+  tracestate,
+  shared
+}) => {
+  const {
+    cancellationManager,
+    requestScheduler,
+    generateRequestId,
+    correlationContext,
+    requestEvents
+  } = shared;
+
+  const instance = axios.create({
+    baseURL,
+    timeout,
+    headers,
+    // Enable request cancellation
+    signal: undefined, // Will be set per request
+  });
+
+  if (adapter) {
+    instance.defaults.adapter = adapter;
+  }
+
+  // GET response cache for this client
+  const responseCache = new ResponseCache({ maxEntries: cacheMaxEntries });
+
+  // Cancellation keys of named clients don't collide with the default client's
+  const keyPrefix = name === DEFAULT_CLIENT_NAME ? '' : `${name}:`;
+
+  /**
+   * Resolve the host a request is sent to, used to pick its rate limit bucket
+   * @param {Object} config - Axios request config
+   * @returns {string} Host, e.g. `jsonplaceholder.typicode.com`
+   */
+  const resolveHost = (config) => {
+    try {
+      return new URL(instance.getUri(config), window.location.href).host;
+    } catch {
+      return '';
+    }
+  };
+
+  /**
+   * Refresh a stale cache entry without blocking the caller
+   * @param {Object} config - Config of the request that was served stale
+   * @param {Object} cachePolicy - Resolved cache policy of that request
+   */
+  const revalidateInBackground = (config, cachePolicy) => {
+    const cacheKey = config.metadata.cacheKey;
+    responseCache.setRevalidating(cacheKey, true);
+
+    instance.request({
+      method: 'get',
+      url: config.url,
+      baseURL: config.baseURL,
+      params: config.params,
+      priority: REQUEST_PRIORITIES.BACKGROUND,
+      cache: { ...cachePolicy, key: cacheKey, revalidate: true }
+    })
+      .catch(() => {
+        // Already logged by the error interceptor; the stale entry simply expires
+      })
+      .finally(() => responseCache.setRevalidating(cacheKey, false));
+  };
+
+  /**
+   * Publish a lifecycle event for a request on the shared event bus
+   * @param {string} type - One of REQUEST_EVENTS
+   * @param {Object} config - Axios request config
+   * @param {Object} fields - Extra event fields
+   */
+  const emitEvent = (type, config, fields = {}) => {
+    requestEvents?.emit(type, {
+      requestId: config.metadata.requestId,
+      client: name,
+      method: config.method?.toUpperCase(),
+      url: config.url,
+      priority: config.priority || REQUEST_PRIORITIES.USER,
+      ...fields
+    });
+  };
+
+  /**
+   * Mark a request as settled; retries and auth replays share one config,
+   * so only the first call for a request returns true
+   * @param {Object} config - Axios request config
+   * @returns {boolean} True if the settle event should be published
+   */
+  const markSettled = (config) => {
+    if (!config?.metadata?.requestId || config.metadata.settled) {
+      return false;
+    }
+    config.metadata.settled = true;
+    return true;
+  };
+
+  /**
+   * Publish the error or cancel event for a failed request and reject with its error
+   * @param {Object} config - Axios request config (may be missing)
+   * @param {ApiError} apiError - Typed error
+   * @returns {Promise} Rejected promise
+   */
+  const rejectRequest = (config, apiError) => {
+    if (markSettled(config)) {
+      const type = apiError.code === ERROR_CODES.CANCELLED ? REQUEST_EVENTS.CANCEL : REQUEST_EVENTS.ERROR;
+      emitEvent(type, config, {
+        error: apiError,
+        status: apiError.status,
+        duration: Date.now() - config.metadata.startTime
+      });
+    }
+    return Promise.reject(apiError);
+  };
+
+  // Axios runs request interceptors last-registered first, so these see the
+  // request after the built-in interceptor below has prepared it
+  registerInterceptors(instance.interceptors.request, interceptors.request);
+
+  /**
+   * Request Interceptor
+   * Adds dynamic headers and request tracking
+   */
+  instance.interceptors.request.use(
+    async (config) => {
+      // Hold new requests while an access token refresh is in progress
+      if (config.authRefresh !== false) {
+        try {
+          await auth.waitForRefresh();
+        } catch (error) {
+          return rejectRequest(config, error);
+        }
+      }
+
+      // Retries keep the request ID and start time of the first attempt
+      const previousAttempt = config.metadata?.attempt || 0;
+      const requestId = previousAttempt > 0 ? config.metadata.requestId : generateRequestId();
+      config.headers['X-Request-ID'] = requestId;
+
+      // Add timestamp for request tracking
+      config.metadata = {
+        ...config.metadata,
+        startTime: previousAttempt > 0 ? config.metadata.startTime : Date.now(),
+        requestId: requestId,
+        attempt: previousAttempt + 1
+      };
+
+      // W3C trace context: each attempt is a child span of the caller's span
+      // (captured when the request was made) or of a new trace for this request,
+      // so retries and every call of one user action share a trace ID
+      // Pass `trace: false` to send no trace headers
+      if (config.trace !== false) {
+        const parentSpan = config.metadata.parentSpan
+          || config.traceSpan
+          || getActiveSpan()
+          || startSpan(`${config.method?.toUpperCase()} ${config.url}`);
+        const span = startSpan('http.request', { parent: parentSpan });
+        const tracestateHeader = formatTracestate(
+          (typeof tracestate === 'function' ? tracestate(config) : tracestate) || {},
+          parentSpan.tracestate
+        );
+
+        config.headers.traceparent = formatTraceparent(span);
+        if (tracestateHeader) {
+          config.headers.tracestate = tracestateHeader;
+        }
+        Object.assign(config.metadata, {
+          parentSpan,
+          traceId: span.traceId,
+          spanId: span.spanId
+        });
+        recordTraceId(span.traceId);
+      }
+
+      // Session and journey IDs; the journey is the one captured when the request
+      // was made, and retries keep the IDs of the first attempt
+      // Pass `correlate: false` to leave them out
+      if (correlationContext && config.correlate !== false) {
+        config.metadata.correlation = config.metadata.correlation || correlationContext.getHeaders(config.journey);
+        Object.assign(config.headers, config.metadata.correlation);
+      }
+
+      // Report the start once; retries and auth replays continue the same request
+      if (previousAttempt === 0 && requestEvents) {
+        const reportProgress = (direction, callback) => (event) => {
+          emitEvent(REQUEST_EVENTS.PROGRESS, config, {
+            direction,
+            loaded: event.loaded,
+            total: event.total,
+            progress: event.progress
+          });
+          callback?.(event);
+        };
+        // An upload listener makes XHR preflight cross-origin requests, so only
+        // add one when there is a body to upload
+        if (config.data !== undefined || config.onUploadProgress) {
+          config.onUploadProgress = reportProgress('upload', config.onUploadProgress);
+        }
+        config.onDownloadProgress = reportProgress('download', config.onDownloadProgress);
+        emitEvent(REQUEST_EVENTS.START, config);
+      }
+
+      // Serve opted-in GET requests from the response cache
+      const cachePolicy = config.method === 'get' ? resolveCachePolicy(config.cache, cache) : null;
+      if (cachePolicy) {
+        config.metadata.cacheKey = cachePolicy.key || buildCacheKey(config.method, config.url, config.params);
+        const cached = cachePolicy.revalidate ? null : responseCache.lookup(config.metadata.cacheKey);
+
+        if (cached) {
+          config.metadata.cacheHit = { age: cached.age, stale: cached.stale };
+          config.adapter = () => Promise.resolve({ ...cached.response, config, request: null });
+
+          if (cached.stale && !cached.revalidating) {
+            revalidateInBackground(config, cachePolicy);
+          }
+        }
+      }
+
+      // Wait for a scheduler slot; cache hits never reach the network
+      // Pass `schedule: false` to bypass the scheduler (e.g. the token refresh call)
+      if (!config.metadata.cacheHit && config.schedule !== false) {
+        try {
+          const { release, waited } = await requestScheduler.acquire({
+            host: resolveHost(config),
+            priority: config.priority,
+            signal: config.signal
+          });
+          config.metadata.releaseSlot = release;
+          config.metadata.queueWait = (config.metadata.queueWait || 0) + waited;
+        } catch (error) {
+          // Cancelled while queued
+          return rejectRequest(config, normalizeApiError(error));
+        }
+      }
+
+      // Add credentials from the client's auth strategy
+      auth.applyAuth(config);
+
+      // Log request details (headers and body are redacted by the logger)
+      logger.debug(`🚀 API Request [${requestId}]`, {
+        event: 'api.request',
+        requestId,
+        traceId: config.metadata.traceId,
+        method: config.method?.toUpperCase(),
+        url: config.url,
+        baseURL: config.baseURL,
+        headers: config.headers,
+        data: config.data
+      });
+
+      return config;
+    },
+    (error) => {
+      logger.error('❌ Request Interceptor Error', { event: 'api.request_error', error: error?.message });
+      return Promise.reject(error);
+    }
+  );
+
+  /**
+   * Response Interceptor
+   * Handles responses and errors consistently
+   * Transient failures are retried; pass `retry: false` (or a partial policy)
+   * in the axios config to opt out or override per request
+   * A 401 triggers a single token refresh, then the request is replayed;
+   * pass `authRefresh: false` to opt out
+   * Final failures reject with an ApiError subclass (NetworkError, TimeoutError,
+   * CancelledError, HttpError, ValidationError)
+   */
+  instance.interceptors.response.use(
+    (response) => {
+      // Free the scheduler slot held by this request
+      response.config.metadata.releaseSlot?.();
+
+      // Calculate request duration
+      const duration = Date.now() - response.config.metadata.startTime;
+      const requestId = response.config.metadata.requestId;
+      const { cacheKey, cacheHit, traceId } = response.config.metadata;
+
+      // Check the body against the request's response schema
+      const { responseSchema } = response.config;
+      const validation = responseSchema && resolveValidationPolicy(response.config.responseValidation, responseValidation);
+      if (validation && validation.mode !== VALIDATION_MODES.OFF) {
+        const method = response.config.method?.toUpperCase();
+        try {
+          response.data = validateSchema(responseSchema, response.data, {
+            endpoint: response.config.endpoint || `${method} ${response.config.url}`,
+            target: 'response',
+            requestId,
+            traceId,
+            duration,
+            method,
+            url: response.config.url
+          }, validation);
+        } catch (schemaError) {
+          logger.warn(`⚠️ Response schema mismatch [${requestId}]`, {
+            event: 'api.schema_mismatch',
+            requestId,
+            traceId,
+            endpoint: schemaError.endpoint,
+            fieldErrors: schemaError.fieldErrors
+          });
+          if (validation.mode === VALIDATION_MODES.STRICT) {
+            return rejectRequest(response.config, schemaError);
+          }
+        }
+      }
+
+      // Store fresh network responses for cache-enabled requests
+      if (cacheKey && !cacheHit) {
+        responseCache.set(cacheKey, response, resolveCachePolicy(response.config.cache, cache));
+      }
+
+      // Log response details
+      const label = cacheHit ? `📦 API Cache Hit${cacheHit.stale ? ' (stale)' : ''}` : '✅ API Response';
+      logger.debug(`${label} [${requestId}] (${duration}ms)`, {
+        event: cacheHit ? 'api.cache_hit' : 'api.response',
+        requestId,
+        traceId,
+        duration,
+        status: response.status,
+        statusText: response.statusText,
+        data: response.data,
+        headers: response.headers
+      });
+
+      // Add response metadata
+      response.metadata = {
+        requestId,
+        traceId,
+        duration,
+        attempts: response.config.metadata.attempt,
+        queueWait: response.config.metadata.queueWait || 0,
+        fromCache: Boolean(cacheHit),
+        age: cacheHit ? cacheHit.age : 0,
+        stale: Boolean(cacheHit?.stale),
+        timestamp: new Date().toISOString()
+      };
+
+      if (markSettled(response.config)) {
+        emitEvent(REQUEST_EVENTS.SUCCESS, response.config, {
+          status: response.status,
+          duration,
+          fromCache: Boolean(cacheHit)
+        });
+      }
+
+      return response;
+    },
+    async (error) => {
+      // Errors raised before dispatch (e.g. a failed token refresh) are already typed
+      if (error instanceof ApiError) {
+        return Promise.reject(error);
+      }
+
+      // Free the scheduler slot before any refresh or retry waits
+      error.config?.metadata?.releaseSlot?.();
+
+      // Handle different types of errors
+      if (error.config?.metadata) {
+        const duration = Date.now() - error.config.metadata.startTime;
+        const requestId = error.config.metadata.requestId;
+
+        logger.error(`❌ API Error [${requestId}] (${duration}ms)`, {
+          event: 'api.error',
+          requestId,
+          traceId: error.config.metadata.traceId,
+          duration,
+          error: error.message,
+          status: error.response?.status,
+          statusText: error.response?.statusText,
+          data: error.response?.data
+        });
+      }
+
+      const config = error.config;
+
+      // Refresh the credentials once and replay the request
+      if (
+        error.response?.status === 401 &&
+        config &&
+        auth.canRefresh &&
+        config.authRefresh !== false &&
+        !config.metadata?.authReplayed
+      ) {
+        try {
+          await auth.refresh(instance, config);
+        } catch (authError) {
+          return rejectRequest(config, authError);
+        }
+
+        config.metadata.authReplayed = true;
+        return instance.request(config);
+      }
+
+      // Retry transient failures according to the request's retry policy
+      const attempt = config?.metadata?.attempt || 0;
+      const policy = config && resolveRetryPolicy(config.retry, retry);
+
+      if (shouldRetry(error, policy, attempt)) {
+        const delay = computeRetryDelay(attempt, policy, error);
+
+        logger.info(`🔁 Retrying [${config.metadata.requestId}] in ${delay}ms`, {
+          event: 'api.retry',
+          requestId: config.metadata.requestId,
+          delay,
+          attempt: attempt + 1,
+          maxAttempts: policy.maxAttempts
+        });
+
+        try {
+          await waitForRetry(delay, config.signal);
+        } catch {
+          return rejectRequest(config, normalizeApiError(new axios.CanceledError(undefined, config)));
+        }
+
+        return instance.request(config);
+      }
+
+      // Reject with a typed error callers can branch on by `code`
+      return rejectRequest(config, normalizeApiError(error));
+    }
+  );
+
+  // Axios runs response interceptors in registration order, so these see
+  // the response after the built-in interceptor above (typed errors included)
+  registerInterceptors(instance.interceptors.response, interceptors.response);
+
+  // Outbox for mutations that couldn't reach the server
+  const offlineQueue = new OfflineMutationQueue({
+    storageKey: outboxStorageKey,
+    send: (entry) => instance.request({
+      method: entry.method,
+      url: entry.url,
+      data: entry.data,
+      headers: { [IDEMPOTENCY_HEADER]: entry.idempotencyKey },
+      priority: REQUEST_PRIORITIES.BACKGROUND,
+      retry: false
+    })
+  });
+
+  if (typeof window !== 'undefined') {
+    offlineQueue.start();
+  }
+
+  // Upload IDs of unfinished chunked uploads
+  const uploadSessions = new UploadSessionStore({ storageKey: uploadStorageKey });
+
+  /**
+   * Capture the active span and journey when a request is made, so the request
+   * joins the caller's trace and journey even if others start or end before it
+   * is dispatched (queued, waiting for a token refresh)
+   * @param {Object} config - Axios config object
+   * @returns {Object} Config with `traceSpan` and `journey` set
+   */
+  const withCallerContext = (config) => {
+    const traceSpan = config.traceSpan || getActiveSpan();
+    const journey = config.journey !== undefined ? config.journey : correlationContext?.getCurrentJourney();
+    return {
+      ...config,
+      ...(traceSpan && { traceSpan }),
+      ...(journey !== undefined && { journey })
+    };
+  };
+
+  /**
+   * Send a POST/PUT/DELETE, queueing it in the outbox when offline
+   * Every mutation carries an Idempotency-Key header so a replay is safe.
+   * With `queueOffline: true`, a mutation made while offline (or failing
+   * with a network error) resolves with a 202 "Queued" response whose
+   * metadata holds `{ queued: true, outboxId }` instead of rejecting.
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {any} data - Request data
+   * @param {Object} config - Axios config object
+   * @param {string} requestKey - Unique key for request cancellation
+   * @returns {Promise} Axios response promise
+   */
+  const sendMutation = (method, url, data, config, requestKey) => {
+    const { queueOffline = false, ...options } = config;
+    const requestConfig = withCallerContext(options);
+    const idempotencyKey = requestConfig.headers?.[IDEMPOTENCY_HEADER] || generateIdempotencyKey();
+
+    const queueMutation = () => {
+      const entry = offlineQueue.enqueue({ method, url, data, idempotencyKey });
+      return {
+        data: null,
+        status: 202,
+        statusText: 'Queued',
+        headers: {},
+        config: requestConfig,
+        metadata: { queued: true, outboxId: entry.id, idempotencyKey }
+      };
+    };
+
+    if (queueOffline && typeof navigator !== 'undefined' && navigator.onLine === false) {
+      return Promise.resolve(queueMutation());
+    }
+
+    const controller = cancellationManager.createController(keyPrefix + requestKey);
+    return instance.request({
+      ...requestConfig,
+      method,
+      url,
+      data,
+      headers: { ...requestConfig.headers, [IDEMPOTENCY_HEADER]: idempotencyKey },
+      signal: controller.signal
+    }).catch((error) => {
+      if (queueOffline && error.code === ERROR_CODES.NETWORK_ERROR) {
+        return queueMutation();
+      }
+      throw error;
+    });
+  };
+
+  // Token methods only exist for strategies backed by a token store
+  const tokenManager = auth.manager;
+
+  // Cached responses belong to the signed-in user: forget them on logout, when the
+  // session expires and when another tab logs out
+  let unwatchTokenStore = () => {};
+  const watchTokenStore = () => {
+    unwatchTokenStore();
+    unwatchTokenStore = tokenManager.tokenStore.subscribe((tokens) => {
+      if (!tokens.accessToken) {
+        responseCache.clear();
+      }
+    });
+  };
+  if (tokenManager) {
+    tokenManager.onLogout(() => responseCache.clear());
+    watchTokenStore();
+  }
+
+  const tokenMethods = tokenManager ? {
+    setTokenStore: (tokenStore) => {
+      tokenManager.configure({ tokenStore });
+      watchTokenStore();
+    },
+    getTokenStore: () => tokenManager.tokenStore,
+    setTokens: tokenManager.setTokens.bind(tokenManager),
+    clearTokens: tokenManager.clearTokens.bind(tokenManager),
+    onLogout: tokenManager.onLogout.bind(tokenManager),
+  } : {};
+
+  /**
+   * Enhanced API methods with cancellation support
+   */
+  return {
+    name,
+
+    /**
+     * GET request with cancellation support
+     * Pass `cache: true` or `cache: { ttl, staleWhileRevalidate, key }` to opt into caching
+     * Pass `dedupe` (one of DEDUPE_MODES) to choose how concurrent identical GETs interact
+     * Pass `priority: REQUEST_PRIORITIES.BACKGROUND` for polling and other non-urgent requests
+     * Pass `traceSpan` to join a specific span's trace instead of the active one,
+     * and `journey` (a journey, its ID, or null for none) to tag it with a specific journey
+     * Pass `responseSchema` (a Yup schema) to validate the body, and `responseValidation`
+     * (a mode from VALIDATION_MODES or `{ mode, coerce, stripUnknown }`) to override the client default
+     * @param {string} url - Request URL
+     * @param {Object} config - Axios config object
+     * @param {string} requestKey - Unique key for request cancellation
+     * @returns {Promise} Axios response promise
+     */
+    get: (url, config = {}, requestKey = url) => {
+      const { dedupe = defaultDedupe, signal, ...options } = config;
+      const requestConfig = withCallerContext(options);
+      const key = keyPrefix + requestKey;
+
+      if (dedupe === DEDUPE_MODES.SHARE_IN_FLIGHT) {
+        return cancellationManager.shareRequest(
+          keyPrefix + buildCacheKey('get', url, requestConfig.params),
+          key,
+          (sharedSignal) => instance.get(url, { ...requestConfig, signal: sharedSignal }),
+          signal
+        );
+      }
+
+      if (dedupe === DEDUPE_MODES.ALWAYS_NEW) {
+        const controller = cancellationManager.addController(key);
+        linkAbortSignal(signal, controller);
+        return instance.get(url, { ...requestConfig, signal: controller.signal })
+          .finally(() => cancellationManager.releaseController(key, controller));
+      }
+
+      const controller = cancellationManager.createController(key);
+      linkAbortSignal(signal, controller);
+      return instance.get(url, {
+        ...requestConfig,
+        signal: controller.signal
+      });
+    },
+
+    /**
+     * POST request with cancellation support
+     * Pass `queueOffline: true` to queue the request in the outbox when offline
+     * @param {string} url - Request URL
+     * @param {any} data - Request data
+     * @param {Object} config - Axios config object
+     * @param {string} requestKey - Unique key for request cancellation
+     * @returns {Promise} Axios response promise
+     */
+    post: (url, data, config = {}, requestKey = `${url}_post`) => (
+      sendMutation('post', url, data, config, requestKey)
+    ),
+
+    /**
+     * PUT request with cancellation support
+     * Pass `queueOffline: true` to queue the request in the outbox when offline
+     * @param {string} url - Request URL
+     * @param {any} data - Request data
+     * @param {Object} config - Axios config object
+     * @param {string} requestKey - Unique key for request cancellation
+     * @param {Promise} Axios response promise
+     */
+    put: (url, data, config = {}, requestKey = `${url}_put`) => (
+      sendMutation('put', url, data, config, requestKey)
+    ),
+
+    /**
+     * DELETE request with cancellation support
+     * Pass `queueOffline: true` to queue the request in the outbox when offline
+     * @param {string} url - Request URL
+     * @param {Object} config - Axios config object
+     * @param {string} requestKey - Unique key for request cancellation
+     * @returns {Promise} Axios response promise
+     */
+    delete: (url, config = {}, requestKey = `${url}_delete`) => (
+      sendMutation('delete', url, config.data, config, requestKey)
+    ),
+
+    /**
+     * Upload a file with progress, cancellable through `cancelRequest(requestKey)`
+     * Sends one multipart/form-data POST, or with `chunked` a resumable chunked
+     * upload (see uploads.js for the protocol); uploading a file whose chunked
+     * upload failed earlier resumes it
+     * @param {File|Blob} file - File to upload
+     * @param {Object} options - Upload options, the rest is axios config
+     * @param {string} options.url - Upload URL
+     * @param {Function} options.onProgress - Called with `{ loaded, total, progress }`
+     * @param {string} options.fieldName - Multipart field holding the file
+     * @param {Object} options.fields - Extra multipart fields
+     * @param {boolean|Object} options.chunked - `true` or `{ chunkSize, maxResumeAttempts, backoff, uploadId }`
+     * @param {string} options.requestKey - Unique key for request cancellation
+     * @returns {Promise} Axios response promise (last chunk for chunked uploads)
+     */
+    upload: (file, options = {}) => {
+      const {
+        url = '/uploads',
+        onProgress,
+        fieldName,
+        fields,
+        chunked = false,
+        requestKey = `upload:${file.name || url}`,
+        signal,
+        ...config
+      } = options;
+      const controller = cancellationManager.createController(keyPrefix + requestKey);
+      linkAbortSignal(signal, controller);
+      const requestConfig = { ...withCallerContext(config), signal: controller.signal };
+
+      if (chunked) {
+        return uploadChunked(instance.request, file, {
+          ...(chunked === true ? {} : chunked),
+          url,
+          sessions: uploadSessions,
+          onProgress,
+          config: requestConfig
+        });
+      }
+      return uploadMultipart(instance.request, file, { url, fieldName, fields, onProgress, config: requestConfig });
+    },
+
+    /**
+     * Download a response body with progress, cancellable through `cancelRequest(requestKey)`
+     * @param {string} url - Request URL
+     * @param {Object} options - Download options, the rest is axios config
+     * @param {Function} options.onProgress - Called with `{ loaded, total, progress }`, total is 0 when unknown
+     * @param {string} options.responseType - Axios response type, `blob` by default
+     * @param {string} options.requestKey - Unique key for request cancellation
+     * @returns {Promise} Axios response promise
+     */
+    download: (url, options = {}) => {
+      const {
+        onProgress,
+        responseType = 'blob',
+        requestKey = `download:${url}`,
+        signal,
+        ...config
+      } = options;
+      const controller = cancellationManager.createController(keyPrefix + requestKey);
+      linkAbortSignal(signal, controller);
+      return instance.get(url, {
+        ...withCallerContext(config),
+        responseType,
+        signal: controller.signal,
+        onDownloadProgress: (event) => {
+          const total = event.total || 0;
+          onProgress?.({ loaded: event.loaded, total, progress: total > 0 ? Math.min(1, event.loaded / total) : null });
+        }
+      });
+    },
+
+    // Structured request logger
+    logger,
+
+    // Authentication methods
+    auth,
+    ...tokenMethods,
+
+    // Cache methods
+    responseCache,
+    invalidateCache: responseCache.invalidate.bind(responseCache),
+    invalidateCachePrefix: responseCache.invalidatePrefix.bind(responseCache),
+    clearCache: responseCache.clear.bind(responseCache),
+
+    // Offline outbox methods
+    offlineQueue,
+    replayOfflineQueue: offlineQueue.replay.bind(offlineQueue),
+    retryQueuedMutation: offlineQueue.retry.bind(offlineQueue),
+    removeQueuedMutation: offlineQueue.remove.bind(offlineQueue),
+    clearSentMutations: offlineQueue.clearSent.bind(offlineQueue),
+
+    // Resumable upload sessions
+    uploadSessions,
+
+    // Cancellation methods
+    cancelRequest: (requestKey) => cancellationManager.cancelRequest(keyPrefix + requestKey),
+    cancelAllRequests: cancellationManager.cancelAllRequests.bind(cancellationManager),
+
+    // Direct access to axios instance for advanced usage
+    instance,
+
+    // Configuration access
+    config: { name, baseURL, timeout, headers, retry, cache, responseValidation, dedupe: defaultDedupe, tracestate }
+  };
+};
+
+export { DEFAULT_CLIENT_NAME };
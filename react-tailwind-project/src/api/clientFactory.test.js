@@ -0,0 +1,157 @@
+/**
+ * Tests for named API clients and the client registry
+ */
+
+import { waitFor } from '@testing-library/react';
+import { AxiosError, CanceledError } from 'axios';
+import api, { createClient, getApiClient, createApiKeyAuth, createNoAuth } from './axiosConfig';
+import { CancelledError, HttpError } from './errors';
+import { startSpan } from '../utils/tracing';
+
+// Adapter that records each request and answers with the given status
+const createAdapter = (status = 200) => jest.fn((config) => {
+  const response = { data: { url: config.url }, status, statusText: '', headers: {}, config, request: {} };
+  if (status >= 400) {
+    return Promise.reject(new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_RESPONSE, config, {}, response));
+  }
+  return Promise.resolve(response);
+});
+
+// Adapter whose requests stay pending until aborted
+const createHangingAdapter = () => jest.fn((config) => new Promise((resolve, reject) => {
+  config.signal?.addEventListener('abort', () => reject(new CanceledError(undefined, config)));
+}));
+
+describe('named API clients', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('applies per-client base URL, timeout and headers', async () => {
+    const adapter = createAdapter();
+    const billing = createClient('billing', {
+      baseURL: 'https://billing.example.com/v2',
+      timeout: 2500,
+      headers: { 'X-Service': 'billing' },
+      auth: createNoAuth(),
+      adapter
+    });
+
+    await billing.get('/invoices');
+
+    const [config] = adapter.mock.calls[0];
+    expect(config.baseURL).toBe('https://billing.example.com/v2');
+    expect(config.timeout).toBe(2500);
+    expect(config.headers['X-Service']).toBe('billing');
+    expect(config.headers['X-Request-ID']).toMatch(/^req_/);
+    expect(config.headers['Authorization']).toBeUndefined();
+  });
+
+  test('authenticates with the configured strategy', async () => {
+    const adapter = createAdapter();
+    const search = createClient('search', {
+      baseURL: 'https://search.example.com',
+      auth: createApiKeyAuth({ header: 'X-Api-Key', key: () => 'secret' }),
+      adapter
+    });
+
+    await search.get('/query');
+
+    expect(adapter.mock.calls[0][0].headers['X-Api-Key']).toBe('secret');
+    expect(search.setTokens).toBeUndefined();
+  });
+
+  test('sends the client tracestate ahead of the inherited members', async () => {
+    const adapter = createAdapter();
+    const tracked = createClient('tracked', {
+      baseURL: 'https://tracked.example.com',
+      auth: createNoAuth(),
+      tracestate: { app: 'web' },
+      adapter
+    });
+    const traceSpan = startSpan('import', {
+      parent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01',
+      tracestate: 'vendor=abc,app=old'
+    });
+
+    await tracked.get('/jobs', { traceSpan });
+
+    const [config] = adapter.mock.calls[0];
+    expect(config.headers.traceparent).toMatch(/^00-4bf92f3577b34da6a3ce929d0e0e4736-[0-9a-f]{16}-01$/);
+    expect(config.headers.tracestate).toBe('app=web,vendor=abc');
+  });
+
+  test('uses the client retry policy', async () => {
+    const adapter = createAdapter(503);
+    const reports = createClient('reports', {
+      baseURL: 'https://reports.example.com',
+      auth: createNoAuth(),
+      retry: { maxAttempts: 1 },
+      adapter
+    });
+
+    await expect(reports.get('/daily')).rejects.toBeInstanceOf(HttpError);
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  test('runs extra interceptors after the built-in ones', async () => {
+    const adapter = createAdapter();
+    const seenRequestIds = [];
+    const analytics = createClient('analytics', {
+      baseURL: 'https://analytics.example.com',
+      auth: createNoAuth(),
+      adapter,
+      interceptors: {
+        request: [(config) => {
+          seenRequestIds.push(config.headers['X-Request-ID']);
+          return config;
+        }],
+        response: [(response) => ({ ...response, data: { ...response.data, tagged: true } })]
+      }
+    });
+
+    const response = await analytics.get('/events');
+
+    expect(seenRequestIds[0]).toMatch(/^req_/);
+    expect(response.data).toEqual({ url: '/events', tagged: true });
+    expect(response.metadata.requestId).toBe(seenRequestIds[0]);
+  });
+
+  test('shares the cancellation manager without mixing up request keys', async () => {
+    const adapter = createHangingAdapter();
+    const inventory = createClient('inventory', {
+      baseURL: 'https://inventory.example.com',
+      auth: createNoAuth(),
+      adapter
+    });
+
+    const named = inventory.get('/items', {}, 'items');
+    const main = api.get('/items', { adapter }, 'items');
+    await waitFor(() => expect(adapter).toHaveBeenCalledTimes(2));
+
+    inventory.cancelRequest('items');
+    await expect(named).rejects.toBeInstanceOf(CancelledError);
+
+    api.cancelAllRequests();
+    await expect(main).rejects.toBeInstanceOf(CancelledError);
+  });
+
+  describe('registry', () => {
+    test('looks clients up by name', () => {
+      const catalog = createClient('catalog', { baseURL: 'https://catalog.example.com', auth: createNoAuth() });
+
+      expect(getApiClient('catalog')).toBe(catalog);
+      expect(api.getClient('catalog')).toBe(catalog);
+      expect(getApiClient().name).toBe('default');
+    });
+
+    test('rejects unknown and duplicate names', () => {
+      expect(() => getApiClient('missing')).toThrow('Unknown API client "missing"');
+      expect(() => createClient('default')).toThrow('API client "default" is already registered');
+    });
+  });
+});
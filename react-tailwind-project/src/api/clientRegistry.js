@@ -0,0 +1,65 @@
+/**
+ * API Client Registry
+ *
+ * Named API clients (see clientFactory.js) register here so components can
+ * look one up by name instead of importing it directly.
+ */
+
+class ApiClientRegistry {
+  constructor() {
+    this.clients = new Map();
+  }
+
+  /**
+   * Register a client under its name
+   * @param {Object} client - Client created by createApiClient
+   * @returns {Object} The registered client
+   */
+  register(client) {
+    if (this.clients.has(client.name)) {
+      throw new Error(`API client "${client.name}" is already registered`);
+    }
+    this.clients.set(client.name, client);
+    return client;
+  }
+
+  /**
+   * Look up a client
+   * @param {string} name - Client name
+   * @returns {Object} The client
+   */
+  get(name) {
+    const client = this.clients.get(name);
+    if (!client) {
+      throw new Error(`Unknown API client "${name}". Registered clients: ${this.names().join(', ')}`);
+    }
+    return client;
+  }
+
+  /**
+   * Check whether a client is registered
+   * @param {string} name - Client name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.clients.has(name);
+  }
+
+  /**
+   * Remove a client from the registry
+   * @param {string} name - Client name
+   */
+  unregister(name) {
+    this.clients.delete(name);
+  }
+
+  /**
+   * Names of all registered clients
+   * @returns {string[]} Client names
+   */
+  names() {
+    return Array.from(this.clients.keys());
+  }
+}
+
+export { ApiClientRegistry };
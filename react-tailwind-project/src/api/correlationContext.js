@@ -0,0 +1,256 @@
+/**
+ * Correlation Context
+ *
+ * Session and journey IDs the API client attaches to every request so the
+ * backend can group logs by user session and by user journey:
+ * - A session ID is created at login and rotated on logout or after the
+ *   session has been idle longer than the idle timeout
+ * - Each journey (a route visit or a form submission) gets a child ID
+ *   derived from the session ID: `<session ID>.<sequence>`
+ * - State lives in sessionStorage, so a reload keeps the same session
+ */
+
+import { createRequestIdGenerator } from '../utils/requestId';
+
+// Headers carrying the correlation IDs
+const CORRELATION_HEADERS = {
+  SESSION: 'X-Session-ID',
+  JOURNEY: 'X-Journey-ID',
+};
+
+// Kinds of journeys
+const JOURNEY_TYPES = {
+  ROUTE: 'route',
+  FORM: 'form',
+};
+
+// Why a session ID was replaced
+const ROTATION_REASONS = {
+  START: 'start',
+  LOGIN: 'login',
+  LOGOUT: 'logout',
+  IDLE: 'idle',
+};
+
+const DEFAULT_STORAGE_KEY = 'correlation_context';
+const DEFAULT_IDLE_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+
+class CorrelationContext {
+  /**
+   * @param {Object} options - Context options
+   * @param {Storage} options.storage - Storage used for persistence
+   * @param {string} options.storageKey - Storage key for the serialized context
+   * @param {number} options.idleTimeout - Inactivity (ms) after which the session rotates
+   * @param {Function} options.generateSessionId - Session ID generator
+   * @param {Function} options.now - Clock, `Date.now` by default
+   */
+  constructor({
+    storage = typeof window !== 'undefined' ? window.sessionStorage : undefined,
+    storageKey = DEFAULT_STORAGE_KEY,
+    idleTimeout = DEFAULT_IDLE_TIMEOUT,
+    generateSessionId = createRequestIdGenerator({ prefix: 'sess_' }),
+    now = Date.now
+  } = {}) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.idleTimeout = idleTimeout;
+    this.generateSessionId = generateSessionId;
+    this.now = now;
+    this.listeners = new Set();
+    this.state = this.load();
+  }
+
+  /**
+   * Update options at runtime
+   * @param {Object} options - `{ idleTimeout }`
+   */
+  configure({ idleTimeout } = {}) {
+    if (idleTimeout !== undefined) {
+      this.idleTimeout = idleTimeout;
+    }
+  }
+
+  /**
+   * Read the persisted context
+   * @returns {Object|null} State, or null when there is no session yet
+   */
+  load() {
+    try {
+      const raw = this.storage?.getItem(this.storageKey);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.error('❌ Failed to read correlation context:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Replace and persist the state
+   * @param {Object} state - New state
+   */
+  persist(state) {
+    this.state = state;
+    try {
+      this.storage?.setItem(this.storageKey, JSON.stringify(state));
+    } catch (error) {
+      console.error('❌ Failed to persist correlation context:', error);
+    }
+  }
+
+  /**
+   * Persist the state and notify subscribers
+   * @param {Object} state - New state
+   */
+  commit(state) {
+    this.persist(state);
+    this.listeners.forEach((listener) => listener(state));
+  }
+
+  /**
+   * Start a new session, dropping every journey of the previous one
+   * @param {string} reason - One of ROTATION_REASONS
+   * @returns {string} New session ID
+   */
+  rotate(reason) {
+    const previousSessionId = this.state?.sessionId || null;
+    this.commit({
+      sessionId: this.generateSessionId(),
+      previousSessionId,
+      reason,
+      startedAt: this.now(),
+      lastActivity: this.now(),
+      journeySeq: 0,
+      journeys: []
+    });
+    return this.state.sessionId;
+  }
+
+  /**
+   * Current state, rotating first if there is no session or it went idle
+   * @returns {Object} State
+   */
+  ensureSession() {
+    if (!this.state) {
+      this.rotate(ROTATION_REASONS.START);
+    } else if (this.now() - this.state.lastActivity > this.idleTimeout) {
+      this.rotate(ROTATION_REASONS.IDLE);
+    }
+    return this.state;
+  }
+
+  /**
+   * Create a session ID for a newly logged in user
+   * @returns {string} Session ID
+   */
+  startSession() {
+    return this.rotate(ROTATION_REASONS.LOGIN);
+  }
+
+  /**
+   * Rotate the session ID on logout, so the next user starts clean
+   * @returns {string} Session ID of the new anonymous session
+   */
+  endSession() {
+    return this.rotate(ROTATION_REASONS.LOGOUT);
+  }
+
+  /**
+   * Current session ID (rotated first if the session went idle)
+   * @returns {string} Session ID
+   */
+  getSessionId() {
+    return this.ensureSession().sessionId;
+  }
+
+  /**
+   * Innermost active journey, e.g. a form submission inside a route visit
+   * @returns {Object|null} `{ id, type, name, startedAt }`
+   */
+  getCurrentJourney() {
+    const journeys = this.state?.journeys || [];
+    return journeys[journeys.length - 1] || null;
+  }
+
+  /**
+   * Start a journey with an ID derived from the session ID
+   * @param {string} type - One of JOURNEY_TYPES
+   * @param {string} name - e.g. the route path or form name
+   * @returns {Object} The journey
+   */
+  startJourney(type, name) {
+    const state = this.ensureSession();
+    const journeySeq = state.journeySeq + 1;
+    const journey = { id: `${state.sessionId}.${journeySeq}`, type, name, startedAt: this.now() };
+
+    this.commit({ ...state, journeySeq, journeys: [...state.journeys, journey], lastActivity: this.now() });
+    return journey;
+  }
+
+  /**
+   * End a journey (a no-op if the session rotated since it started)
+   * @param {Object|string} journey - Journey or journey ID
+   */
+  endJourney(journey) {
+    const id = typeof journey === 'string' ? journey : journey?.id;
+    const journeys = this.state?.journeys || [];
+    if (journeys.some((entry) => entry.id === id)) {
+      this.commit({ ...this.state, journeys: journeys.filter((entry) => entry.id !== id) });
+    }
+  }
+
+  /**
+   * Run an action (e.g. a form submission) as a journey, ending it once it settles
+   * @param {string} type - One of JOURNEY_TYPES
+   * @param {string} name - Journey name
+   * @param {Function} fn - Action, called with the journey
+   * @returns {Promise} Resolves with the action's result
+   */
+  async withJourney(type, name, fn) {
+    const journey = this.startJourney(type, name);
+    try {
+      return await fn(journey);
+    } finally {
+      this.endJourney(journey);
+    }
+  }
+
+  /**
+   * Headers for an outgoing request; counts as session activity
+   * @param {Object|string|null} journey - Journey (or journey ID) the request belongs to,
+   *   the innermost active one by default; null for none
+   * @returns {Object} Session header, plus the journey header for a journey
+   */
+  getHeaders(journey = this.getCurrentJourney()) {
+    const state = this.ensureSession();
+    // Activity alone isn't a change subscribers care about
+    this.persist({ ...state, lastActivity: this.now() });
+
+    const journeyId = typeof journey === 'string' ? journey : journey?.id;
+    return {
+      [CORRELATION_HEADERS.SESSION]: state.sessionId,
+      ...(journeyId ? { [CORRELATION_HEADERS.JOURNEY]: journeyId } : {})
+    };
+  }
+
+  /**
+   * Current state for UI display
+   * @returns {Object|null} State
+   */
+  getSnapshot() {
+    return this.state;
+  }
+
+  /**
+   * Subscribe to session and journey changes
+   * @param {Function} listener - Called with the new state
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+}
+
+export { CorrelationContext, CORRELATION_HEADERS, JOURNEY_TYPES, ROTATION_REASONS };
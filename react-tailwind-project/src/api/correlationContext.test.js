@@ -0,0 +1,139 @@
+/**
+ * Tests for the session/journey correlation context
+ */
+
+import {
+  CorrelationContext,
+  CORRELATION_HEADERS,
+  JOURNEY_TYPES,
+  ROTATION_REASONS
+} from './correlationContext';
+
+// Context with a controllable clock and predictable session IDs
+const createContext = (options = {}) => {
+  const clock = { now: 1000 };
+  let counter = 0;
+  const context = new CorrelationContext({
+    storage: window.sessionStorage,
+    storageKey: 'test_correlation',
+    idleTimeout: 60000,
+    generateSessionId: () => `sess_${(counter += 1)}`,
+    now: () => clock.now,
+    ...options
+  });
+  return { context, clock };
+};
+
+describe('CorrelationContext', () => {
+  beforeEach(() => {
+    window.sessionStorage.clear();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('creates a session lazily and keeps it across reloads', () => {
+    const { context } = createContext();
+
+    expect(context.getSessionId()).toBe('sess_1');
+    expect(context.getSnapshot().reason).toBe(ROTATION_REASONS.START);
+
+    const { context: reloaded } = createContext({ generateSessionId: () => 'sess_new' });
+    expect(reloaded.getSessionId()).toBe('sess_1');
+  });
+
+  test('rotates the session on login and logout', () => {
+    const { context } = createContext();
+    context.getSessionId();
+
+    expect(context.startSession()).toBe('sess_2');
+    expect(context.endSession()).toBe('sess_3');
+    expect(context.getSnapshot()).toMatchObject({ reason: ROTATION_REASONS.LOGOUT, previousSessionId: 'sess_2' });
+  });
+
+  test('rotates the session after the idle timeout, and requests count as activity', () => {
+    const { context, clock } = createContext();
+    context.getHeaders();
+
+    clock.now += 50000;
+    context.getHeaders();
+    clock.now += 50000;
+    expect(context.getSessionId()).toBe('sess_1');
+
+    clock.now += 60001;
+    expect(context.getSessionId()).toBe('sess_2');
+    expect(context.getSnapshot().reason).toBe(ROTATION_REASONS.IDLE);
+  });
+
+  test('derives journey IDs from the session and sends the innermost one', () => {
+    const { context } = createContext();
+    const route = context.startJourney(JOURNEY_TYPES.ROUTE, '/form');
+    const form = context.startJourney(JOURNEY_TYPES.FORM, 'contact');
+
+    expect(route.id).toBe('sess_1.1');
+    expect(form.id).toBe('sess_1.2');
+    expect(context.getHeaders()).toEqual({
+      [CORRELATION_HEADERS.SESSION]: 'sess_1',
+      [CORRELATION_HEADERS.JOURNEY]: 'sess_1.2'
+    });
+
+    context.endJourney(form);
+    expect(context.getHeaders()[CORRELATION_HEADERS.JOURNEY]).toBe('sess_1.1');
+  });
+
+  test('sends the journey it is given instead of the innermost one', () => {
+    const { context } = createContext();
+    const route = context.startJourney(JOURNEY_TYPES.ROUTE, '/form');
+    context.startJourney(JOURNEY_TYPES.FORM, 'contact');
+
+    expect(context.getHeaders(route)[CORRELATION_HEADERS.JOURNEY]).toBe('sess_1.1');
+    expect(context.getHeaders('sess_1.1')[CORRELATION_HEADERS.JOURNEY]).toBe('sess_1.1');
+    expect(context.getHeaders(null)).toEqual({ [CORRELATION_HEADERS.SESSION]: 'sess_1' });
+  });
+
+  test('drops journeys when the session rotates', () => {
+    const { context } = createContext();
+    const route = context.startJourney(JOURNEY_TYPES.ROUTE, '/');
+
+    context.endSession();
+    context.endJourney(route);
+
+    expect(context.getCurrentJourney()).toBeNull();
+    expect(context.startJourney(JOURNEY_TYPES.ROUTE, '/').id).toBe('sess_2.1');
+  });
+
+  test('withJourney ends the journey when the action settles', async () => {
+    const { context } = createContext();
+
+    await expect(context.withJourney(JOURNEY_TYPES.FORM, 'contact', (journey) => {
+      expect(context.getCurrentJourney()).toBe(journey);
+      return Promise.reject(new Error('submit failed'));
+    })).rejects.toThrow('submit failed');
+
+    expect(context.getCurrentJourney()).toBeNull();
+  });
+
+  test('notifies subscribers of session and journey changes, not of activity', () => {
+    const { context } = createContext();
+    const listener = jest.fn();
+    const unsubscribe = context.subscribe(listener);
+
+    context.startSession();
+    context.getHeaders();
+    context.startJourney(JOURNEY_TYPES.ROUTE, '/');
+    unsubscribe();
+    context.endSession();
+
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  test('falls back to a fresh session when storage is corrupt', () => {
+    window.sessionStorage.setItem('test_correlation', '{not json');
+    const { context } = createContext();
+
+    expect(context.getSessionId()).toBe('sess_1');
+    expect(console.error).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Declarative Endpoint Definitions
+ *
+ * Describes each endpoint once instead of scattering path strings over components:
+ * - method and path template with `:param` placeholders
+ * - Yup schemas for path params, query, request body and response
+ * - request policy (cache, retry, dedupe, priority, response validation) passed to the client
+ *
+ * createEndpoints turns the definitions into functions such as
+ * `users.getById({ id })`. Definitions are checked when they are created,
+ * and in development every call validates its inputs, throwing a SchemaError
+ * that lists the failing paths. The response schema is sent along as
+ * `responseSchema`, so the client validates responses according to its
+ * response validation mode (see schemaValidation.js).
+ */
+
+import * as Yup from 'yup';
+import { SchemaError } from './errors';
+import { validateSchema } from './schemaValidation';
+
+// Methods the API client can send
+const ENDPOINT_METHODS = ['get', 'post', 'put', 'delete'];
+
+// Schemas an endpoint can declare
+const SCHEMA_TARGETS = ['params', 'query', 'body', 'response'];
+
+// Request policy keys passed through to the client config
+const POLICY_KEYS = ['cache', 'retry', 'dedupe', 'priority', 'timeout', 'responseValidation'];
+
+const DEFINITION_KEYS = ['method', 'path', 'description', ...SCHEMA_TARGETS, ...POLICY_KEYS];
+
+/**
+ * Names of the `:param` placeholders in a path template
+ * @param {string} path - Path template, e.g. `/users/:id/posts`
+ * @returns {string[]} Param names, e.g. `['id']`
+ */
+export const getPathParams = (path) => Array.from(path.matchAll(/:(\w+)/g), (match) => match[1]);
+
+/**
+ * Fill a path template
+ * @param {string} path - Path template
+ * @param {Object} params - Values for the placeholders
+ * @returns {string} Path with URL-encoded values, e.g. `/users/3`
+ */
+export const buildPath = (path, params) => (
+  path.replace(/:(\w+)/g, (match, name) => encodeURIComponent(params[name]))
+);
+
+/**
+ * Check an endpoint definition, failing fast on typos and mismatched params
+ * @param {string} name - Endpoint name, used in error messages
+ * @param {Object} definition - Endpoint definition
+ * @returns {Object} Normalized definition (lowercase method, `pathParams`)
+ */
+export const defineEndpoint = (name, definition) => {
+  const fail = (message) => {
+    throw new Error(`Endpoint "${name}": ${message}`);
+  };
+
+  const unknownKeys = Object.keys(definition).filter((key) => !DEFINITION_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    fail(`unknown option(s) ${unknownKeys.map((key) => `"${key}"`).join(', ')}. Expected one of: ${DEFINITION_KEYS.join(', ')}`);
+  }
+
+  const method = String(definition.method || 'get').toLowerCase();
+  if (!ENDPOINT_METHODS.includes(method)) {
+    fail(`unsupported method "${definition.method}". Expected one of: ${ENDPOINT_METHODS.join(', ').toUpperCase()}`);
+  }
+
+  if (typeof definition.path !== 'string' || !definition.path.startsWith('/')) {
+    fail(`path must be a string starting with "/", got ${JSON.stringify(definition.path)}`);
+  }
+
+  SCHEMA_TARGETS.forEach((target) => {
+    if (definition[target] !== undefined && !Yup.isSchema(definition[target])) {
+      fail(`"${target}" must be a Yup schema`);
+    }
+  });
+
+  if (definition.body && (method === 'get' || method === 'delete')) {
+    fail(`${method.toUpperCase()} requests can't declare a body schema`);
+  }
+
+  const pathParams = getPathParams(definition.path);
+  const paramFields = definition.params?.fields && Object.keys(definition.params.fields);
+  if (paramFields) {
+    const missing = pathParams.filter((param) => !paramFields.includes(param));
+    const extra = paramFields.filter((field) => !pathParams.includes(field));
+    if (missing.length > 0) {
+      fail(`params schema is missing path param(s) ${missing.join(', ')} of "${definition.path}"`);
+    }
+    if (extra.length > 0) {
+      fail(`params schema declares ${extra.join(', ')}, which "${definition.path}" doesn't use`);
+    }
+  }
+
+  return { ...definition, name, method, pathParams };
+};
+
+/**
+ * Create callable functions from endpoint definitions
+ * Each function takes `({ ...pathParams, query, body }, config)`, where config
+ * is axios config plus an optional `requestKey`, and resolves with the
+ * client's response
+ * @param {Object<string, Object>} definitions - Endpoint definitions keyed by function name
+ * @param {Object} options - Options
+ * @param {Object} options.client - API client the requests go through
+ * @param {string} options.namespace - Prefix of endpoint names in errors, e.g. `users`
+ * @param {boolean} options.validate - Validate inputs (development and tests by default)
+ * @returns {Object<string, Function>} Endpoint functions; each exposes its `definition`
+ */
+export const createEndpoints = (definitions, {
+  client,
+  namespace,
+  validate = process.env.NODE_ENV !== 'production'
+}) => Object.fromEntries(Object.entries(definitions).map(([key, rawDefinition]) => {
+  const definition = defineEndpoint(namespace ? `${namespace}.${key}` : key, rawDefinition);
+  const { name: endpoint, method, path, pathParams } = definition;
+  const policy = Object.fromEntries(POLICY_KEYS
+    .filter((policyKey) => definition[policyKey] !== undefined)
+    .map((policyKey) => [policyKey, definition[policyKey]]));
+
+  const check = (target, value) => (
+    validate && definition[target] ? validateSchema(definition[target], value, { endpoint, target }) : value
+  );
+
+  const call = async (args = {}, config = {}) => {
+    const { query, body, ...rawParams } = args;
+    const params = check('params', rawParams);
+
+    const missing = pathParams.filter((param) => params[param] === undefined || params[param] === null || params[param] === '');
+    if (missing.length > 0) {
+      throw new SchemaError({
+        endpoint,
+        target: 'params',
+        fieldErrors: Object.fromEntries(missing.map((param) => [param, [`${param} is required`]]))
+      });
+    }
+
+    const url = buildPath(path, params);
+    const queryParams = check('query', query);
+    const data = check('body', body);
+    const { requestKey, ...overrides } = config;
+    const requestConfig = { ...policy, ...overrides, endpoint };
+    if (definition.response) {
+      requestConfig.responseSchema = definition.response;
+    }
+    if (queryParams !== undefined) {
+      requestConfig.params = { ...queryParams, ...overrides.params };
+    }
+
+    if (method === 'get' || method === 'delete') {
+      return client[method](url, requestConfig, requestKey);
+    }
+    return client[method](url, data, requestConfig, requestKey);
+  };
+
+  call.definition = definition;
+  return [key, call];
+}));
+
+export { ENDPOINT_METHODS };
@@ -0,0 +1,144 @@
+/**
+ * Tests for declarative endpoint definitions and their runtime validation
+ */
+
+import * as Yup from 'yup';
+import { createEndpoints, defineEndpoint, getPathParams, buildPath } from './endpoints';
+import { SchemaError, ERROR_CODES } from './errors';
+import { userSchema } from './userEndpoints';
+import { fixtures } from './mockRoutes';
+import { createClient, clientRegistry, createNoAuth, VALIDATION_MODES } from './axiosConfig';
+
+const user = { id: 1, name: 'Leanne Graham', username: 'Bret', email: 'sincere@april.biz' };
+
+// Client double answering every request with the given body
+const createClientDouble = (data = user, metadata = { requestId: 'req_test' }) => {
+  const respond = jest.fn(() => Promise.resolve({ data, status: 200, metadata }));
+  return { get: respond, post: respond, put: respond, delete: respond };
+};
+
+const definitions = {
+  list: {
+    method: 'GET',
+    path: '/users',
+    query: Yup.object({ _limit: Yup.number().integer().positive() }),
+    response: Yup.array().of(userSchema),
+    cache: { ttl: 1000 },
+  },
+  byId: {
+    method: 'GET',
+    path: '/users/:id',
+    params: Yup.object({ id: Yup.number().integer().positive().required() }),
+    response: userSchema,
+    retry: false,
+  },
+  create: {
+    method: 'POST',
+    path: '/users',
+    body: Yup.object({ name: Yup.string().trim().required(), email: Yup.string().email().required() }),
+  },
+};
+
+describe('endpoints', () => {
+  test('reads and fills path templates', () => {
+    expect(getPathParams('/users/:userId/posts/:postId')).toEqual(['userId', 'postId']);
+    expect(buildPath('/files/:name', { name: 'a b/c' })).toBe('/files/a%20b%2Fc');
+  });
+
+  test('builds the request from params, query and the endpoint policy', async () => {
+    const client = createClientDouble();
+    const users = createEndpoints(definitions, { client, namespace: 'users', validate: true });
+
+    const response = await users.byId({ id: '3' }, { priority: 'background', requestKey: 'profile' });
+
+    expect(response.data).toEqual(user);
+    expect(client.get).toHaveBeenCalledWith('/users/3', expect.objectContaining({ retry: false, priority: 'background', endpoint: 'users.byId' }), 'profile');
+
+    client.get.mockResolvedValueOnce({ data: [user], status: 200 });
+    await users.list({ query: { _limit: '5' } });
+    expect(client.get).toHaveBeenLastCalledWith('/users', expect.objectContaining({ cache: { ttl: 1000 }, params: { _limit: 5 } }), undefined);
+  });
+
+  test('sends the validated request body', async () => {
+    const client = createClientDouble({ id: 11 });
+    const users = createEndpoints(definitions, { client, namespace: 'users', validate: true });
+
+    await users.create({ body: { name: '  Ada  ', email: 'ada@example.com' } });
+
+    expect(client.post).toHaveBeenCalledWith('/users', { name: 'Ada', email: 'ada@example.com' }, { endpoint: 'users.create' }, undefined);
+  });
+
+  test('rejects invalid input before sending it', async () => {
+    const client = createClientDouble();
+    const users = createEndpoints(definitions, { client, namespace: 'users', validate: true });
+
+    const error = await users.create({ body: { name: '', email: 'not-an-email' } }).catch((reason) => reason);
+
+    expect(error).toBeInstanceOf(SchemaError);
+    expect(error.code).toBe(ERROR_CODES.SCHEMA_MISMATCH);
+    expect(error).toMatchObject({ endpoint: 'users.create', target: 'body' });
+    expect(Object.keys(error.fieldErrors).sort()).toEqual(['email', 'name']);
+    expect(error.message).toMatch(/^Endpoint "users.create" body does not match its schema - /);
+    expect(client.post).not.toHaveBeenCalled();
+  });
+
+  test('requires every path param even without a params schema', async () => {
+    const client = createClientDouble();
+    const posts = createEndpoints({ get: { path: '/posts/:id' } }, { client, namespace: 'posts' });
+
+    await expect(posts.get({})).rejects.toMatchObject({
+      target: 'params',
+      fieldErrors: { id: ['id is required'] }
+    });
+  });
+
+  test('has the client validate responses against the response schema', async () => {
+    const adapter = jest.fn((config) => Promise.resolve({
+      data: [user, { ...user, id: 2, email: undefined }],
+      status: 200,
+      statusText: '',
+      headers: {},
+      config,
+      request: {}
+    }));
+    const client = createClient('endpoint-tests', { auth: createNoAuth(), adapter, responseValidation: { mode: VALIDATION_MODES.STRICT } });
+    const users = createEndpoints(definitions, { client, namespace: 'users' });
+
+    const error = await users.list().catch((reason) => reason);
+
+    expect(adapter.mock.calls[0][0].responseSchema).toBe(definitions.list.response);
+    expect(error).toBeInstanceOf(SchemaError);
+    expect(error).toMatchObject({ endpoint: 'users.list', target: 'response', method: 'GET', url: '/users' });
+    expect(error.requestId).toMatch(/^req_/);
+    expect(Object.keys(error.fieldErrors)).toEqual(['[1].email']);
+    clientRegistry.unregister('endpoint-tests');
+  });
+
+  test('skips input validation when disabled', async () => {
+    const client = createClientDouble();
+    const lenient = createEndpoints(definitions, { client, validate: false });
+
+    await lenient.create({ body: { name: '' } });
+
+    expect(client.post).toHaveBeenCalledWith('/users', { name: '' }, { endpoint: 'create' }, undefined);
+  });
+
+  test('checks definitions when they are created', () => {
+    expect(() => defineEndpoint('users.get', { path: '/users', cahce: true }))
+      .toThrow('Endpoint "users.get": unknown option(s) "cahce"');
+    expect(() => defineEndpoint('users.patch', { method: 'PATCH', path: '/users/:id' }))
+      .toThrow('unsupported method "PATCH"');
+    expect(() => defineEndpoint('users.get', { path: 'users' }))
+      .toThrow('path must be a string starting with "/"');
+    expect(() => defineEndpoint('users.get', { path: '/users/:id', params: Yup.object({ userId: Yup.number() }) }))
+      .toThrow('params schema is missing path param(s) id of "/users/:id"');
+    expect(() => defineEndpoint('users.search', { path: '/users', body: Yup.object() }))
+      .toThrow("GET requests can't declare a body schema");
+    expect(() => defineEndpoint('users.get', { path: '/users', response: { id: 'number' } }))
+      .toThrow('"response" must be a Yup schema');
+  });
+
+  test('the user schema accepts the recorded fixtures', () => {
+    expect(() => Yup.array().of(userSchema).validateSync(fixtures['GET /users'].data)).not.toThrow();
+  });
+});
@@ -0,0 +1,324 @@
+/**
+ * API Error Types
+ *
+ * Typed errors raised by the API layer so callers can branch on
+ * `instanceof` or `code` instead of matching on message text.
+ *
+ * Every error carries:
+ * - code: stable identifier from ERROR_CODES
+ * - messageKey: i18n key for a user-facing message
+ * - requestId / traceId / duration: tracking data from the request interceptor
+ * - cause: the original error (usually an AxiosError)
+ */
+
+import axios from 'axios';
+
+// Stable error codes, safe to branch on in UI code
+const ERROR_CODES = {
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  TIMEOUT: 'TIMEOUT',
+  CANCELLED: 'CANCELLED',
+  BAD_REQUEST: 'BAD_REQUEST',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  RATE_LIMITED: 'RATE_LIMITED',
+  SERVER_ERROR: 'SERVER_ERROR',
+  HTTP_ERROR: 'HTTP_ERROR',
+  AUTH_EXPIRED: 'AUTH_EXPIRED',
+  SCHEMA_MISMATCH: 'SCHEMA_MISMATCH',
+  UNKNOWN: 'UNKNOWN',
+};
+
+// i18n keys for each error code
+const ERROR_MESSAGE_KEYS = {
+  [ERROR_CODES.NETWORK_ERROR]: 'errors.network',
+  [ERROR_CODES.TIMEOUT]: 'errors.timeout',
+  [ERROR_CODES.CANCELLED]: 'errors.cancelled',
+  [ERROR_CODES.BAD_REQUEST]: 'errors.badRequest',
+  [ERROR_CODES.UNAUTHORIZED]: 'errors.unauthorized',
+  [ERROR_CODES.FORBIDDEN]: 'errors.forbidden',
+  [ERROR_CODES.NOT_FOUND]: 'errors.notFound',
+  [ERROR_CODES.CONFLICT]: 'errors.conflict',
+  [ERROR_CODES.VALIDATION_ERROR]: 'errors.validation',
+  [ERROR_CODES.RATE_LIMITED]: 'errors.rateLimited',
+  [ERROR_CODES.SERVER_ERROR]: 'errors.server',
+  [ERROR_CODES.HTTP_ERROR]: 'errors.http',
+  [ERROR_CODES.AUTH_EXPIRED]: 'errors.authExpired',
+  [ERROR_CODES.SCHEMA_MISMATCH]: 'errors.schemaMismatch',
+  [ERROR_CODES.UNKNOWN]: 'errors.unknown',
+};
+
+/**
+ * Map an HTTP status to its error code
+ * @param {number} status - HTTP status code
+ * @returns {string} Error code
+ */
+const codeForStatus = (status) => {
+  switch (status) {
+    case 400:
+      return ERROR_CODES.BAD_REQUEST;
+    case 401:
+      return ERROR_CODES.UNAUTHORIZED;
+    case 403:
+      return ERROR_CODES.FORBIDDEN;
+    case 404:
+      return ERROR_CODES.NOT_FOUND;
+    case 409:
+      return ERROR_CODES.CONFLICT;
+    case 422:
+      return ERROR_CODES.VALIDATION_ERROR;
+    case 429:
+      return ERROR_CODES.RATE_LIMITED;
+    default:
+      return status >= 500 ? ERROR_CODES.SERVER_ERROR : ERROR_CODES.HTTP_ERROR;
+  }
+};
+
+/**
+ * Base class for every error produced by the API layer
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Developer-facing description
+   * @param {Object} details - Error details
+   * @param {string} details.code - Code from ERROR_CODES
+   * @param {string} details.requestId - X-Request-ID of the failed request
+   * @param {string} details.traceId - W3C trace ID of the failed request
+   * @param {number} details.duration - Time spent on the request (ms)
+   * @param {string} details.method - HTTP method
+   * @param {string} details.url - Request URL
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, { code, requestId, traceId, duration, method, url, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.messageKey = ERROR_MESSAGE_KEYS[code] || 'errors.unknown';
+    this.requestId = requestId;
+    this.traceId = traceId;
+    this.duration = duration;
+    this.method = method;
+    this.url = url;
+    this.cause = cause;
+  }
+
+  /**
+   * Whether repeating the same request may succeed
+   * @returns {boolean} True for transient failures
+   */
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * The request never got a response (offline, DNS, CORS, connection reset)
+ */
+export class NetworkError extends ApiError {
+  constructor(details = {}) {
+    super('Network error - please check your connection', { ...details, code: ERROR_CODES.NETWORK_ERROR });
+    this.name = 'NetworkError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The request exceeded its timeout
+ */
+export class TimeoutError extends ApiError {
+  constructor(details = {}) {
+    super('Request timeout - please try again', { ...details, code: ERROR_CODES.TIMEOUT });
+    this.name = 'TimeoutError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The request was aborted by the caller or the cancellation manager
+ */
+export class CancelledError extends ApiError {
+  constructor(details = {}) {
+    super('Request was cancelled', { ...details, code: ERROR_CODES.CANCELLED });
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * The server answered with a non-2xx status
+ */
+export class HttpError extends ApiError {
+  /**
+   * @param {Object} details - Same as ApiError, plus:
+   * @param {number} details.status - HTTP status code
+   * @param {Object} details.response - Axios response
+   */
+  constructor({ status, response, ...details } = {}) {
+    super(`Request failed with status ${status}`, { ...details, code: details.code || codeForStatus(status) });
+    this.name = 'HttpError';
+    this.status = status;
+    this.data = response?.data;
+    this.response = response;
+  }
+
+  get retryable() {
+    return this.status >= 500 || this.status === 408 || this.status === 429;
+  }
+}
+
+/**
+ * The server rejected the request body (422) with per-field errors
+ */
+export class ValidationError extends HttpError {
+  /**
+   * @param {Object} details - Same as HttpError, plus:
+   * @param {Object<string, string[]>} details.fieldErrors - Messages keyed by field path
+   */
+  constructor({ fieldErrors = {}, ...details } = {}) {
+    super({ status: 422, ...details, code: ERROR_CODES.VALIDATION_ERROR });
+    this.message = 'Validation failed';
+    this.name = 'ValidationError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+/**
+ * Raised when the access token expired and could not be refreshed.
+ * Every request waiting on the failed refresh rejects with this error.
+ */
+export class AuthExpiredError extends ApiError {
+  /**
+   * @param {string} message - Human readable description
+   * @param {Object} options - Extra details
+   * @param {Error} options.cause - Underlying error from the refresh call
+   */
+  constructor(message = 'Authentication expired - please log in again', { cause } = {}) {
+    super(message, { code: ERROR_CODES.AUTH_EXPIRED, cause });
+    this.name = 'AuthExpiredError';
+  }
+}
+
+/**
+ * Data sent to or received from an endpoint doesn't match its schema, with the failing paths
+ */
+export class SchemaError extends ApiError {
+  /**
+   * @param {Object} details - Same as ApiError, plus:
+   * @param {string} details.endpoint - Endpoint name, e.g. `users.getById`
+   * @param {string} details.target - What failed: `params`, `query`, `body` or `response`
+   * @param {Object<string, string[]>} details.fieldErrors - Messages keyed by field path
+   */
+  constructor({ endpoint, target, fieldErrors = {}, ...details } = {}) {
+    const summary = Object.entries(fieldErrors)
+      .map(([path, messages]) => `${path || '(root)'}: ${messages.join(', ')}`)
+      .join('; ');
+    super(`Endpoint "${endpoint}" ${target} does not match its schema - ${summary}`, {
+      ...details,
+      code: ERROR_CODES.SCHEMA_MISMATCH
+    });
+    this.name = 'SchemaError';
+    this.endpoint = endpoint;
+    this.target = target;
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+/**
+ * Anything else that went wrong around a request: a bug in an interceptor or
+ * transform, a non-axios error. Not retried, since repeating it fails the same way.
+ */
+export class UnknownError extends ApiError {
+  constructor(details = {}) {
+    super(`Unexpected error: ${details.cause?.message ?? details.cause}`, { ...details, code: ERROR_CODES.UNKNOWN });
+    this.name = 'UnknownError';
+  }
+}
+
+/**
+ * Append a message to a field in a field-error map
+ * @param {Object} fieldErrors - Map being built
+ * @param {string} field - Field path
+ * @param {string|string[]} messages - Message(s) for the field
+ */
+const addFieldError = (fieldErrors, field, messages) => {
+  const list = Array.isArray(messages) ? messages : [messages];
+  fieldErrors[field] = [...(fieldErrors[field] || []), ...list.map(String)];
+};
+
+/**
+ * Parse field errors from common 422 response body shapes:
+ * - { errors: { email: ['is taken'] } }
+ * - { errors: [{ field | path | param, message | msg }] }
+ * - { detail: [{ loc: ['body', 'email'], msg }] }
+ * @param {Object} data - Response body
+ * @returns {Object<string, string[]>} Messages keyed by field path
+ */
+export const parseFieldErrors = (data) => {
+  const fieldErrors = {};
+  const source = data?.errors ?? data?.detail;
+
+  if (Array.isArray(source)) {
+    source.forEach((item) => {
+      const field = item.field ?? item.path ?? item.param
+        ?? (Array.isArray(item.loc) ? item.loc.filter((part) => part !== 'body').join('.') : undefined);
+      if (field !== undefined) {
+        addFieldError(fieldErrors, field, item.message ?? item.msg ?? 'Invalid value');
+      }
+    });
+  } else if (source && typeof source === 'object') {
+    Object.entries(source).forEach(([field, messages]) => addFieldError(fieldErrors, field, messages));
+  }
+
+  return fieldErrors;
+};
+
+/**
+ * Convert any error from the axios pipeline into a typed ApiError
+ * @param {Error} error - AxiosError, an already normalized ApiError, or anything thrown on the way
+ * @returns {ApiError} Typed error
+ */
+export const normalizeApiError = (error) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  const config = error?.config;
+  const metadata = config?.metadata;
+  const details = {
+    requestId: metadata?.requestId,
+    traceId: metadata?.traceId,
+    duration: metadata ? Date.now() - metadata.startTime : undefined,
+    method: config?.method?.toUpperCase(),
+    url: config?.url,
+    cause: error
+  };
+
+  if (axios.isCancel(error) || error?.code === 'ERR_CANCELED') {
+    return new CancelledError(details);
+  }
+  if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+    return new TimeoutError(details);
+  }
+  if (!error?.response) {
+    // Only a request that was sent and got no answer is a network failure
+    return axios.isAxiosError(error) && error.request
+      ? new NetworkError(details)
+      : new UnknownError(details);
+  }
+
+  const { status, data } = error.response;
+  if (status === 422) {
+    return new ValidationError({ ...details, response: error.response, fieldErrors: parseFieldErrors(data) });
+  }
+  return new HttpError({ ...details, status, response: error.response });
+};
+
+export { ERROR_CODES, ERROR_MESSAGE_KEYS };
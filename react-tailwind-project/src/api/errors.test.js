@@ -0,0 +1,149 @@
+/**
+ * Tests for the typed API error hierarchy
+ * Covers normalization of axios errors and 422 field error parsing
+ */
+
+import { AxiosError, CanceledError } from 'axios';
+import {
+  ApiError,
+  NetworkError,
+  TimeoutError,
+  CancelledError,
+  HttpError,
+  ValidationError,
+  AuthExpiredError,
+  UnknownError,
+  ERROR_CODES,
+  normalizeApiError,
+  parseFieldErrors
+} from './errors';
+
+// Helper to build an axios error with request metadata
+const createAxiosError = ({ code, status, data } = {}) => {
+  const config = {
+    method: 'get',
+    url: '/users',
+    metadata: { requestId: 'req_test', traceId: '4bf92f3577b34da6a3ce929d0e0e4736', startTime: Date.now() - 25 }
+  };
+  const response = status ? { status, data, headers: {}, config } : undefined;
+  return new AxiosError('failed', code, config, {}, response);
+};
+
+describe('errors', () => {
+
+  describe('normalizeApiError', () => {
+    test('maps missing responses to NetworkError', () => {
+      const error = normalizeApiError(createAxiosError({ code: AxiosError.ERR_NETWORK }));
+
+      expect(error).toBeInstanceOf(NetworkError);
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error.code).toBe(ERROR_CODES.NETWORK_ERROR);
+      expect(error.messageKey).toBe('errors.network');
+      expect(error.retryable).toBe(true);
+    });
+
+    test('maps anything that never reached the network to a non-retryable UnknownError', () => {
+      const bug = new TypeError("Cannot read properties of undefined (reading 'headers')");
+      const notSent = new AxiosError('Invalid URL', AxiosError.ERR_INVALID_URL, { url: 'http://[' });
+
+      [bug, notSent, 'failed'].forEach((thrown) => {
+        const error = normalizeApiError(thrown);
+        expect(error).toBeInstanceOf(UnknownError);
+        expect(error.code).toBe(ERROR_CODES.UNKNOWN);
+        expect(error.messageKey).toBe('errors.unknown');
+        expect(error.retryable).toBe(false);
+        expect(error.cause).toBe(thrown);
+      });
+      expect(normalizeApiError(bug).message).toBe("Unexpected error: Cannot read properties of undefined (reading 'headers')");
+    });
+
+    test('maps timeouts to TimeoutError', () => {
+      expect(normalizeApiError(createAxiosError({ code: 'ECONNABORTED' }))).toBeInstanceOf(TimeoutError);
+      expect(normalizeApiError(createAxiosError({ code: 'ETIMEDOUT' }))).toBeInstanceOf(TimeoutError);
+    });
+
+    test('maps cancellations to CancelledError', () => {
+      const error = normalizeApiError(new CanceledError());
+      expect(error).toBeInstanceOf(CancelledError);
+      expect(error.code).toBe(ERROR_CODES.CANCELLED);
+      expect(error.retryable).toBe(false);
+    });
+
+    test('maps error statuses to HttpError with a status-specific code', () => {
+      const notFound = normalizeApiError(createAxiosError({ status: 404, data: { message: 'missing' } }));
+      expect(notFound).toBeInstanceOf(HttpError);
+      expect(notFound.status).toBe(404);
+      expect(notFound.code).toBe(ERROR_CODES.NOT_FOUND);
+      expect(notFound.data).toEqual({ message: 'missing' });
+      expect(notFound.retryable).toBe(false);
+
+      const serverError = normalizeApiError(createAxiosError({ status: 503 }));
+      expect(serverError.code).toBe(ERROR_CODES.SERVER_ERROR);
+      expect(serverError.messageKey).toBe('errors.server');
+      expect(serverError.retryable).toBe(true);
+
+      expect(normalizeApiError(createAxiosError({ status: 418 })).code).toBe(ERROR_CODES.HTTP_ERROR);
+    });
+
+    test('maps 422 responses to ValidationError with field errors', () => {
+      const error = normalizeApiError(createAxiosError({
+        status: 422,
+        data: { errors: { email: ['is taken'] } }
+      }));
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.code).toBe(ERROR_CODES.VALIDATION_ERROR);
+      expect(error.fieldErrors).toEqual({ email: ['is taken'] });
+    });
+
+    test('carries request tracking details', () => {
+      const cause = createAxiosError({ status: 500 });
+      const error = normalizeApiError(cause);
+
+      expect(error.requestId).toBe('req_test');
+      expect(error.traceId).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+      expect(error.duration).toBeGreaterThanOrEqual(25);
+      expect(error.method).toBe('GET');
+      expect(error.url).toBe('/users');
+      expect(error.cause).toBe(cause);
+    });
+
+    test('returns already typed errors unchanged', () => {
+      const error = new AuthExpiredError();
+      expect(normalizeApiError(error)).toBe(error);
+      expect(error.code).toBe(ERROR_CODES.AUTH_EXPIRED);
+      expect(error.messageKey).toBe('errors.authExpired');
+    });
+  });
+
+  describe('parseFieldErrors', () => {
+    test('parses an object keyed by field', () => {
+      expect(parseFieldErrors({ errors: { name: 'required', email: ['invalid', 'taken'] } })).toEqual({
+        name: ['required'],
+        email: ['invalid', 'taken']
+      });
+    });
+
+    test('parses a list of field/message items', () => {
+      expect(parseFieldErrors({
+        errors: [
+          { field: 'name', message: 'required' },
+          { path: 'email', msg: 'invalid' },
+          { param: 'email', msg: 'taken' }
+        ]
+      })).toEqual({ name: ['required'], email: ['invalid', 'taken'] });
+    });
+
+    test('parses location-based detail lists', () => {
+      expect(parseFieldErrors({
+        detail: [{ loc: ['body', 'address', 'city'], msg: 'field required' }]
+      })).toEqual({ 'address.city': ['field required'] });
+    });
+
+    test('returns an empty map for unknown shapes', () => {
+      expect(parseFieldErrors(undefined)).toEqual({});
+      expect(parseFieldErrors({ message: 'bad' })).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * In-flight Request Deduplication
+ *
+ * Lets identical concurrent GET requests share a single network call.
+ * Each caller gets its own promise and may abort it independently; the
+ * shared call is only aborted once every caller has gone away.
+ */
+
+import { CancelledError } from './errors';
+
+// How api.get treats a request that matches one already in flight
+const DEDUPE_MODES = {
+  CANCEL_PREVIOUS: 'cancel-previous', // Abort the earlier request (default)
+  SHARE_IN_FLIGHT: 'share-in-flight', // Join the earlier request's network call
+  ALWAYS_NEW: 'always-new', // Leave the earlier request alone and start another
+};
+
+/**
+ * Abort a controller when an external signal aborts
+ * @param {AbortSignal} signal - Caller supplied signal (optional)
+ * @param {AbortController} controller - Controller to abort
+ */
+export const linkAbortSignal = (signal, controller) => {
+  if (!signal) return;
+  if (signal.aborted) {
+    controller.abort();
+    return;
+  }
+  signal.addEventListener('abort', () => controller.abort(), { once: true });
+};
+
+class InFlightRequestRegistry {
+  constructor() {
+    this.requests = new Map();
+  }
+
+  /**
+   * Join the in-flight request for a key, or start it
+   * @param {string} key - Identity of the request (method + URL + params)
+   * @param {string} requestKey - Cancellation key the request is registered under
+   * @param {Function} start - Starts the network call, receives the shared AbortSignal
+   * @param {AbortSignal} signal - Caller's own signal (optional)
+   * @returns {Promise} Resolves with the shared response
+   */
+  share(key, requestKey, start, signal) {
+    let entry = this.requests.get(key);
+
+    if (!entry) {
+      const controller = new AbortController();
+      entry = { controller, requestKey, subscribers: 0 };
+      entry.promise = start(controller.signal).finally(() => {
+        this.remove(key, entry);
+      });
+      this.requests.set(key, entry);
+    }
+
+    return this.subscribe(key, entry, signal);
+  }
+
+  /**
+   * Attach one caller to a shared entry
+   * @param {string} key - Identity of the request
+   * @param {Object} entry - Shared entry
+   * @param {AbortSignal} signal - Caller's own signal (optional)
+   * @returns {Promise} Caller-specific promise
+   */
+  subscribe(key, entry, signal) {
+    entry.subscribers += 1;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+
+      const onAbort = () => {
+        if (settled) return;
+        settled = true;
+        entry.subscribers -= 1;
+
+        // Last caller gone: nobody needs the response anymore
+        if (entry.subscribers === 0) {
+          this.remove(key, entry);
+          entry.controller.abort();
+        }
+        reject(new CancelledError());
+      };
+
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      entry.promise.then(
+        (response) => {
+          if (settled) return;
+          settled = true;
+          signal?.removeEventListener('abort', onAbort);
+          resolve(response);
+        },
+        (error) => {
+          if (settled) return;
+          settled = true;
+          signal?.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Forget an entry if it is still the current one for its key
+   * @param {string} key - Identity of the request
+   * @param {Object} entry - Entry to remove
+   */
+  remove(key, entry) {
+    if (this.requests.get(key) === entry) {
+      this.requests.delete(key);
+    }
+  }
+
+  /**
+   * Abort shared requests registered under a cancellation key
+   * @param {string} requestKey - Cancellation key
+   */
+  cancel(requestKey) {
+    this.requests.forEach((entry, key) => {
+      if (entry.requestKey === requestKey) {
+        this.requests.delete(key);
+        entry.controller.abort();
+      }
+    });
+  }
+
+  /**
+   * Abort every shared request
+   */
+  cancelAll() {
+    this.requests.forEach((entry) => entry.controller.abort());
+    this.requests.clear();
+  }
+
+  /**
+   * Number of shared requests currently in flight
+   * @returns {number} Request count
+   */
+  get size() {
+    return this.requests.size;
+  }
+}
+
+export { InFlightRequestRegistry, DEDUPE_MODES };
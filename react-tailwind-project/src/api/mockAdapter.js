@@ -0,0 +1,240 @@
+/**
+ * Mock API Adapter and Fixture Recorder
+ *
+ * Lets the API client run without a backend:
+ * - Route handlers keyed by `METHOD /path/:param`
+ * - JSON fixtures keyed by `METHOD /path`, in the same shape the recorder writes
+ * - Configurable latency and random network error injection
+ * - Record mode wraps the real adapter and captures responses as fixtures
+ *
+ * Switched on with REACT_APP_API_MOCK=mock (or =record) in axiosConfig.js
+ */
+
+import axios, { AxiosError } from 'axios';
+
+// How the API client reaches the network
+const MOCK_MODES = {
+  OFF: 'off', // Real network
+  MOCK: 'mock', // Serve route handlers and fixtures
+  RECORD: 'record', // Real network, responses captured as fixtures
+};
+
+/**
+ * Resolve the mock mode from an env value
+ * @param {string} value - Raw env value (`mock`, `record`, `true`, ...)
+ * @returns {string} One of MOCK_MODES
+ */
+export const resolveMockMode = (value) => {
+  if (value === MOCK_MODES.RECORD) return MOCK_MODES.RECORD;
+  if (value === MOCK_MODES.MOCK || value === 'true') return MOCK_MODES.MOCK;
+  return MOCK_MODES.OFF;
+};
+
+/**
+ * Split a request config into path and query params, dropping the origin
+ * @param {Object} config - Axios request config
+ * @returns {Object} `{ path, query }`
+ */
+const parseRequestUrl = (config) => {
+  const url = new URL(config.url, 'http://mock.local');
+  const query = { ...Object.fromEntries(url.searchParams), ...config.params };
+  return { path: url.pathname, query };
+};
+
+/**
+ * Build the fixture key for a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Path without origin or query
+ * @returns {string} Key, e.g. `GET /users`
+ */
+export const buildFixtureKey = (method, path) => `${(method || 'get').toUpperCase()} ${path}`;
+
+/**
+ * Compile a route pattern such as `GET /users/:id` into a matcher
+ * @param {string} pattern - Method and path template
+ * @returns {Function} Returns path params on match, or null
+ */
+const compileRoute = (pattern) => {
+  const [method, template] = pattern.split(' ');
+  const names = [];
+  const source = template.replace(/:(\w+)/g, (match, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  const regex = new RegExp(`^${source}/?$`);
+
+  return (requestMethod, path) => {
+    if (method.toUpperCase() !== requestMethod.toUpperCase()) return null;
+    const match = path.match(regex);
+    if (!match) return null;
+    return Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+  };
+};
+
+/**
+ * Parse a request body that axios already serialized
+ * @param {any} data - Request data
+ * @returns {any} Parsed body
+ */
+const parseBody = (data) => {
+  if (typeof data !== 'string') return data;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+};
+
+/**
+ * Wait for the simulated latency, aborting with the request
+ * @param {number} ms - Delay
+ * @param {Object} config - Axios request config
+ * @returns {Promise<void>} Resolves after the delay
+ */
+const delay = (ms, config) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new axios.CanceledError(undefined, config));
+  };
+  const timer = setTimeout(() => {
+    config.signal?.removeEventListener?.('abort', onAbort);
+    resolve();
+  }, ms);
+
+  if (config.signal?.aborted) {
+    onAbort();
+    return;
+  }
+  config.signal?.addEventListener?.('abort', onAbort, { once: true });
+});
+
+/**
+ * Resolve or reject like a real adapter, honouring `validateStatus`
+ * @param {Object} config - Axios request config
+ * @param {Object} reply - `{ status, data, headers }`
+ * @returns {Promise<Object>} Axios response
+ */
+const settle = (config, { status = 200, data = null, headers = {} }) => {
+  const response = { data, status, statusText: '', headers, config, request: { mock: true } };
+  if (!config.validateStatus || config.validateStatus(status)) {
+    return Promise.resolve(response);
+  }
+  const code = status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+  return Promise.reject(new AxiosError(`Request failed with status code ${status}`, code, config, response.request, response));
+};
+
+/**
+ * Create an axios adapter that serves routes and fixtures
+ * Route handlers receive `{ params, query, body, headers, config }` and return
+ * `{ status, data, headers }`, or throw to simulate a network failure
+ * @param {Object} options - Adapter options
+ * @param {Object<string, Function>} options.routes - Handlers keyed by `METHOD /path/:param`
+ * @param {Object<string, Object>} options.fixtures - Replies keyed by `METHOD /path`
+ * @param {number|number[]} options.latency - Fixed delay or `[min, max]` range (ms)
+ * @param {number} options.errorRate - Share of requests (0-1) failing with a network error
+ * @param {Function} options.random - Random source, injectable for tests
+ * @returns {Function} Axios adapter
+ */
+export const createMockAdapter = ({
+  routes = {},
+  fixtures = {},
+  latency = 0,
+  errorRate = 0,
+  random = Math.random
+} = {}) => {
+  const compiled = Object.entries(routes).map(([pattern, handler]) => ({ match: compileRoute(pattern), handler }));
+
+  return async (config) => {
+    const [min, max] = Array.isArray(latency) ? latency : [latency, latency];
+    const wait = min + (max - min) * random();
+    if (wait > 0) {
+      await delay(wait, config);
+    }
+
+    if (errorRate > 0 && random() < errorRate) {
+      throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, config, { mock: true });
+    }
+
+    const { path, query } = parseRequestUrl(config);
+
+    for (const { match, handler } of compiled) {
+      const params = match(config.method, path);
+      if (params) {
+        const reply = await handler({ params, query, body: parseBody(config.data), headers: config.headers, config });
+        return settle(config, reply || {});
+      }
+    }
+
+    const fixture = fixtures[buildFixtureKey(config.method, path)];
+    if (fixture) {
+      return settle(config, fixture);
+    }
+
+    return settle(config, { status: 404, data: { message: `No mock route for ${buildFixtureKey(config.method, path)}` } });
+  };
+};
+
+class FixtureRecorder {
+  constructor() {
+    this.fixtures = {};
+  }
+
+  /**
+   * Wrap a real adapter so every response is captured
+   * @param {Function|string[]} adapter - Adapter or axios adapter names (e.g. `['xhr', 'fetch']`)
+   * @returns {Function} Recording adapter
+   */
+  wrap(adapter) {
+    return async (config) => {
+      const realAdapter = typeof adapter === 'function' ? adapter : axios.getAdapter(adapter, config);
+      const capture = (response) => {
+        if (response) {
+          const { path } = parseRequestUrl(config);
+          this.fixtures[buildFixtureKey(config.method, path)] = {
+            status: response.status,
+            data: parseBody(response.data)
+          };
+        }
+      };
+
+      try {
+        const response = await realAdapter(config);
+        capture(response);
+        return response;
+      } catch (error) {
+        capture(error.response);
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Captured fixtures, in the shape createMockAdapter accepts
+   * @returns {Object<string, Object>} Fixtures keyed by `METHOD /path`
+   */
+  getFixtures() {
+    return { ...this.fixtures };
+  }
+
+  /**
+   * Save captured fixtures as a JSON file for `src/api/fixtures/`
+   * @param {string} filename - Download file name
+   */
+  download(filename = 'api-fixtures.json') {
+    const blob = new Blob([`${JSON.stringify(this.fixtures, null, 2)}\n`], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Forget captured fixtures
+   */
+  clear() {
+    this.fixtures = {};
+  }
+}
+
+export { FixtureRecorder, MOCK_MODES };
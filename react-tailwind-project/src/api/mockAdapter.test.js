@@ -0,0 +1,149 @@
+/**
+ * Tests for the mock adapter and fixture recorder
+ */
+
+import api from './axiosConfig';
+import {
+  createMockAdapter,
+  resolveMockMode,
+  buildFixtureKey,
+  FixtureRecorder,
+  MOCK_MODES
+} from './mockAdapter';
+import mockRoutes, { fixtures } from './mockRoutes';
+import { CancelledError, HttpError, NetworkError } from './errors';
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('mock adapter', () => {
+  test('resolves the mode from the env value', () => {
+    expect(resolveMockMode(undefined)).toBe(MOCK_MODES.OFF);
+    expect(resolveMockMode('true')).toBe(MOCK_MODES.MOCK);
+    expect(resolveMockMode('mock')).toBe(MOCK_MODES.MOCK);
+    expect(resolveMockMode('record')).toBe(MOCK_MODES.RECORD);
+  });
+
+  test('serves fixtures for absolute and relative URLs', async () => {
+    const adapter = createMockAdapter({ fixtures });
+
+    const absolute = await api.get('https://jsonplaceholder.typicode.com/users', { adapter, retry: false });
+    const relative = await api.get('/users', { adapter, retry: false });
+
+    expect(absolute.data).toEqual(fixtures['GET /users'].data);
+    expect(relative.data[0]).toEqual(expect.objectContaining({ name: 'Leanne Graham', username: 'Bret' }));
+  });
+
+  test('passes path params, query and body to route handlers', async () => {
+    const handler = jest.fn(({ params, query, body }) => ({ status: 201, data: { params, query, body } }));
+    const adapter = createMockAdapter({ routes: { 'POST /posts/:postId/comments': handler } });
+
+    const response = await api.post('/posts/7/comments?draft=1', { text: 'hi' }, { adapter, params: { lang: 'en' } });
+
+    expect(response.status).toBe(201);
+    expect(response.data).toEqual({
+      params: { postId: '7' },
+      query: { draft: '1', lang: 'en' },
+      body: { text: 'hi' }
+    });
+  });
+
+  test('routes take precedence over fixtures', async () => {
+    const adapter = createMockAdapter({
+      routes: { 'GET /users': () => ({ status: 200, data: ['from route'] }) },
+      fixtures
+    });
+
+    const response = await api.get('/users', { adapter });
+
+    expect(response.data).toEqual(['from route']);
+  });
+
+  test('rejects unknown routes and error replies with HttpError', async () => {
+    const adapter = createMockAdapter({ routes: mockRoutes, fixtures });
+
+    await expect(api.get('/nothing-here', { adapter, retry: false })).rejects.toMatchObject({
+      constructor: HttpError,
+      status: 404
+    });
+    await expect(api.get('/users/999', { adapter, retry: false })).rejects.toBeInstanceOf(HttpError);
+  });
+
+  test('injects network errors at the configured rate', async () => {
+    const adapter = createMockAdapter({ fixtures, errorRate: 0.5, random: () => 0.1 });
+
+    await expect(api.get('/users', { adapter, retry: false })).rejects.toBeInstanceOf(NetworkError);
+  });
+
+  test('simulates latency and honours cancellation while waiting', async () => {
+    const adapter = createMockAdapter({ fixtures, latency: [20, 40], random: () => 0 });
+    const start = Date.now();
+
+    await api.get('/users', { adapter });
+    expect(Date.now() - start).toBeGreaterThanOrEqual(15);
+
+    const controller = new AbortController();
+    const pending = api.get('/users', { adapter, signal: controller.signal });
+    controller.abort();
+
+    await expect(pending).rejects.toBeInstanceOf(CancelledError);
+  });
+
+  test('mock routes answer writes like JSONPlaceholder', async () => {
+    const adapter = createMockAdapter({ routes: mockRoutes, fixtures });
+
+    const created = await api.post('/users', { name: 'New' }, { adapter });
+    const user = await api.get('/users/2', { adapter });
+
+    expect(created.data).toEqual({ name: 'New', id: fixtures['GET /users'].data.length + 1 });
+    expect(user.data.username).toBe('Antonette');
+  });
+
+  test('mock routes page users like JSONPlaceholder', async () => {
+    const adapter = createMockAdapter({ routes: mockRoutes, fixtures });
+    const total = fixtures['GET /users'].data.length;
+
+    const page = await api.get('/users', { adapter, params: { _page: 2, _limit: 2 } });
+    const all = await api.get('/users', { adapter, cache: false });
+
+    expect(page.data.map((user) => user.id)).toEqual([3, 4]);
+    expect(page.headers['x-total-count']).toBe(String(total));
+    expect(all.data).toHaveLength(total);
+  });
+
+  test('mock routes search and sort users before paging them', async () => {
+    const adapter = createMockAdapter({ routes: mockRoutes, fixtures });
+
+    const found = await api.get('/users', { adapter, params: { q: 'ANTONETTE' } });
+    const sorted = await api.get('/users', { adapter, params: { _sort: 'username', _order: 'desc', _page: 1, _limit: 3 } });
+
+    expect(found.data.map((user) => user.username)).toEqual(['Antonette']);
+    const usernames = fixtures['GET /users'].data.map((user) => user.username).sort((a, b) => b.localeCompare(a));
+    expect(sorted.data.map((user) => user.username)).toEqual(usernames.slice(0, 3));
+    expect(sorted.headers['x-total-count']).toBe(String(usernames.length));
+  });
+});
+
+describe('FixtureRecorder', () => {
+  test('captures responses in the fixture format the mock adapter reads', async () => {
+    const recorder = new FixtureRecorder();
+    const realAdapter = createMockAdapter({ routes: { 'GET /todos/:id': ({ params }) => ({ data: { id: params.id } }) } });
+    const adapter = recorder.wrap(realAdapter);
+
+    await api.get('/todos/3?expand=1', { adapter });
+    await api.get('/missing', { adapter, retry: false }).catch(() => {});
+
+    expect(recorder.getFixtures()).toEqual({
+      [buildFixtureKey('get', '/todos/3')]: { status: 200, data: { id: '3' } },
+      'GET /missing': { status: 404, data: { message: 'No mock route for GET /missing' } }
+    });
+
+    const replayed = await api.get('/todos/3', { adapter: createMockAdapter({ fixtures: recorder.getFixtures() }) });
+    expect(replayed.data).toEqual({ id: '3' });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Route handlers served in mock mode (REACT_APP_API_MOCK=mock)
+ * Read-only routes come from the recorded fixtures; writes are echoed back
+ * the way JSONPlaceholder does, without persisting anything. Upload routes
+ * keep their sessions in memory so chunked uploads can be resumed.
+ */
+
+import fixtures from './fixtures/jsonplaceholder.json';
+
+const users = fixtures['GET /users'].data;
+
+/**
+ * Reply for a single user, or 404
+ * @param {string} id - User ID from the path
+ * @returns {Object} Mock reply
+ */
+const findUser = (id) => {
+  const user = users.find((candidate) => String(candidate.id) === id);
+  return user ? { status: 200, data: user } : { status: 404, data: {} };
+};
+
+/**
+ * Text values of an item, nested objects included
+ * @param {Object} item - Collection item
+ * @returns {Array<string>} Values to search
+ */
+const textValues = (item) => Object.values(item).flatMap((value) => {
+  if (value && typeof value === 'object') return textValues(value);
+  return typeof value === 'string' ? [value] : [];
+});
+
+/**
+ * Filter and order a collection the way json-server does:
+ * `?q=` matches any text field, `?_sort=field&_order=desc` orders it
+ * @param {Array} items - Whole collection
+ * @param {Object} query - Query params
+ * @returns {Array} Matching items in order
+ */
+const searchAndSort = (items, query = {}) => {
+  const term = query.q ? String(query.q).toLowerCase() : '';
+  const found = term
+    ? items.filter((item) => textValues(item).some((value) => value.toLowerCase().includes(term)))
+    : items;
+  if (!query._sort) {
+    return found;
+  }
+
+  const field = query._sort;
+  const direction = query._order === 'desc' ? -1 : 1;
+  return [...found].sort((a, b) => direction * (typeof a[field] === 'string'
+    ? a[field].localeCompare(b[field])
+    : a[field] - b[field]));
+};
+
+/**
+ * Reply with a slice of a collection, the way json-server (JSONPlaceholder) pages:
+ * `?_page=2&_limit=5` or `?_start=5&_limit=5`, with the size in X-Total-Count
+ * @param {Array} items - Whole collection
+ * @param {Object} query - Query params
+ * @returns {Object} Mock reply
+ */
+const paginate = (items, query) => {
+  const limit = Number(query._limit);
+  if (!limit) {
+    return { status: 200, data: items };
+  }
+  const start = query._page !== undefined ? (Number(query._page) - 1) * limit : Number(query._start || 0);
+  return {
+    status: 200,
+    data: items.slice(start, start + limit),
+    headers: { 'x-total-count': String(items.length) }
+  };
+};
+
+/**
+ * Report a request body as fully sent, since the mock adapter has no real upload
+ * @param {Object} config - Axios request config
+ * @param {number} size - Body size in bytes
+ */
+const reportUploaded = (config, size) => {
+  config.onUploadProgress?.({ loaded: size, total: size, progress: 1 });
+};
+
+/**
+ * Create the upload routes (see uploads.js for the resumable protocol)
+ * Each call starts with no upload sessions, so tests get a fresh server
+ * @returns {Object<string, Function>} Handlers keyed by `METHOD /path/:param`
+ */
+const createUploadRoutes = () => {
+  const sessions = new Map();
+  let nextId = 1;
+
+  const findSession = (uploadId) => sessions.get(uploadId);
+
+  return {
+    'POST /uploads': ({ body, config }) => {
+      const file = body instanceof FormData ? body.get('file') : null;
+      if (!file) {
+        return { status: 400, data: { message: 'Missing "file" field' } };
+      }
+      reportUploaded(config, file.size);
+      return { status: 201, data: { id: nextId++, fileName: file.name, size: file.size, type: file.type } };
+    },
+    'POST /uploads/resumable': ({ body }) => {
+      const uploadId = `upload_${nextId++}`;
+      sessions.set(uploadId, { fileName: body.fileName, size: body.size, type: body.type, offset: 0 });
+      return { status: 201, data: { uploadId, offset: 0 } };
+    },
+    'GET /uploads/resumable/:uploadId': ({ params }) => {
+      const session = findSession(params.uploadId);
+      return session
+        ? { status: 200, data: { uploadId: params.uploadId, offset: session.offset, size: session.size } }
+        : { status: 404, data: {} };
+    },
+    'PUT /uploads/resumable/:uploadId': ({ params, body, headers, config }) => {
+      const session = findSession(params.uploadId);
+      if (!session) {
+        return { status: 404, data: {} };
+      }
+
+      const [, start] = /^bytes (\d+)-/.exec(headers['Content-Range'] || '') || [];
+      if (start !== undefined && Number(start) !== session.offset) {
+        return { status: 409, data: { offset: session.offset } };
+      }
+
+      const length = body?.size || 0;
+      reportUploaded(config, length);
+      session.offset = Math.min(session.size, session.offset + length);
+      return {
+        status: 200,
+        data: { uploadId: params.uploadId, offset: session.offset, complete: session.offset === session.size }
+      };
+    },
+  };
+};
+
+const mockRoutes = {
+  'GET /users': ({ query }) => paginate(searchAndSort(users, query), query),
+  'GET /users/:id': ({ params }) => findUser(params.id),
+  'POST /users': ({ body }) => ({ status: 201, data: { ...body, id: users.length + 1 } }),
+  'PUT /users/:id': ({ params, body }) => ({ status: 200, data: { ...body, id: Number(params.id) } }),
+  'DELETE /users/:id': () => ({ status: 200, data: {} }),
+  ...createUploadRoutes(),
+};
+
+export { fixtures, createUploadRoutes, searchAndSort };
+export default mockRoutes;
@@ -0,0 +1,359 @@
+/**
+ * Offline Mutation Queue (outbox)
+ *
+ * Keeps POST/PUT/DELETE requests that couldn't reach the server:
+ * - Entries are persisted in localStorage so they survive reloads
+ * - Replayed in order when the browser fires `online`
+ * - Every entry carries an idempotency key sent as a header, so a
+ *   replay of a request the server already applied is harmless
+ * - Entry status (pending/sent/failed) is observable for the UI
+ * - Tabs share the queue: every change is applied on top of what storage
+ *   holds at that moment, and `storage` events keep each tab's view current
+ * - One tab replays at a time, holding a lock in storage that expires if
+ *   the tab goes away mid-replay
+ */
+
+import { generateUUIDv4 } from '../utils/requestId';
+import { ERROR_CODES } from './errors';
+
+// Entry lifecycle states
+const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed',
+};
+
+// Header carrying the idempotency key
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const DEFAULT_STORAGE_KEY = 'api_offline_outbox';
+
+// How long a replay lock holds without being renewed (ms)
+const REPLAY_LOCK_TTL = 30000;
+
+/**
+ * Generate a unique idempotency key
+ * @returns {string} Idempotency key
+ */
+export const generateIdempotencyKey = () => generateUUIDv4();
+
+class OfflineMutationQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {Function} options.send - Sends one entry, returns a promise (set later via configure)
+   * @param {Storage} options.storage - Storage used for persistence
+   * @param {string} options.storageKey - Storage key for the serialized queue
+   * @param {number} options.maxSentEntries - How many sent entries to keep for display
+   * @param {number} options.replayLockTtl - How long a replay lock holds without being renewed (ms)
+   */
+  constructor({
+    send = null,
+    storage = typeof window !== 'undefined' ? window.localStorage : null,
+    storageKey = DEFAULT_STORAGE_KEY,
+    maxSentEntries = 20,
+    replayLockTtl = REPLAY_LOCK_TTL
+  } = {}) {
+    this.send = send;
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.lockKey = `${storageKey}:replay-lock`;
+    this.maxSentEntries = maxSentEntries;
+    this.replayLockTtl = replayLockTtl;
+    // Tells this tab's replay lock from the others'
+    this.ownerId = generateUUIDv4();
+    this.listeners = new Set();
+    this.replayPromise = null;
+    this.entries = this.load();
+
+    this.handleOnline = () => {
+      this.replay();
+    };
+
+    // Another tab changed the queue (a null key means storage was cleared)
+    this.handleStorage = (event) => {
+      if (event.storageArea !== this.storage || (event.key !== null && event.key !== this.storageKey)) return;
+      this.entries = this.load();
+      this.notify();
+    };
+  }
+
+  /**
+   * Update the sender at runtime
+   * @param {Object} options - `{ send }`
+   */
+  configure({ send } = {}) {
+    if (send !== undefined) {
+      this.send = send;
+    }
+  }
+
+  /**
+   * Start replaying automatically whenever the browser comes back online
+   * Entries left over from a previous page load are replayed right away
+   * @returns {Function} Stops listening
+   */
+  start() {
+    window.addEventListener('online', this.handleOnline);
+    window.addEventListener('storage', this.handleStorage);
+    if (navigator.onLine && this.entries.some((entry) => entry.status === OUTBOX_STATUS.PENDING)) {
+      this.replay();
+    }
+    return () => this.stop();
+  }
+
+  /**
+   * Stop listening for `online` and for changes made in other tabs
+   */
+  stop() {
+    window.removeEventListener('online', this.handleOnline);
+    window.removeEventListener('storage', this.handleStorage);
+  }
+
+  /**
+   * Read the persisted queue
+   * @returns {Array} Entries
+   */
+  load() {
+    try {
+      const raw = this.storage?.getItem(this.storageKey);
+      return raw ? JSON.parse(raw) : [];
+    } catch (error) {
+      console.error('❌ Failed to read offline queue:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Entries as other tabs may have left them
+   * @returns {Array} Persisted entries, or this tab's without storage
+   */
+  latest() {
+    return this.storage ? this.load() : this.entries;
+  }
+
+  /**
+   * Apply a change to the latest entries, persist and notify subscribers
+   * @param {Function} change - `(entries) => entries`
+   */
+  commit(change) {
+    let entries = change(this.latest());
+
+    // Keep only the most recent sent entries
+    const sent = entries.filter((entry) => entry.status === OUTBOX_STATUS.SENT);
+    if (sent.length > this.maxSentEntries) {
+      const dropped = new Set(sent.slice(0, sent.length - this.maxSentEntries).map((entry) => entry.id));
+      entries = entries.filter((entry) => !dropped.has(entry.id));
+    }
+
+    this.entries = entries;
+    try {
+      this.storage?.setItem(this.storageKey, JSON.stringify(entries));
+    } catch (error) {
+      console.error('❌ Failed to persist offline queue:', error);
+    }
+    this.notify();
+  }
+
+  /**
+   * Call subscribers with the current entries
+   */
+  notify() {
+    this.listeners.forEach((listener) => listener(this.entries));
+  }
+
+  /**
+   * Add a mutation to the queue
+   * @param {Object} request - Mutation to queue
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Request URL
+   * @param {any} request.data - Request body
+   * @param {string} request.idempotencyKey - Key sent in the Idempotency-Key header
+   * @returns {Object} The queued entry
+   */
+  enqueue({ method, url, data, idempotencyKey = generateIdempotencyKey() }) {
+    const existing = this.latest().find((entry) => entry.id === idempotencyKey);
+    if (existing) {
+      return existing;
+    }
+
+    const entry = {
+      id: idempotencyKey,
+      idempotencyKey,
+      method: method.toLowerCase(),
+      url,
+      data,
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      lastError: null
+    };
+
+    this.commit((entries) => [...entries, entry]);
+    return entry;
+  }
+
+  /**
+   * Replace an entry with an updated copy
+   * @param {string} id - Entry ID
+   * @param {Object} changes - Fields to update
+   */
+  update(id, changes) {
+    this.commit((entries) => entries.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)));
+  }
+
+  /**
+   * Take or renew the replay lock
+   * @returns {boolean} Whether this tab holds it
+   */
+  acquireReplayLock() {
+    if (!this.storage) {
+      return true;
+    }
+
+    try {
+      const lock = JSON.parse(this.storage.getItem(this.lockKey));
+      if (lock && lock.owner !== this.ownerId && lock.expiresAt > Date.now()) {
+        return false;
+      }
+      this.storage.setItem(this.lockKey, JSON.stringify({ owner: this.ownerId, expiresAt: Date.now() + this.replayLockTtl }));
+      // Tabs claiming it at the same moment: the last write holds it
+      return JSON.parse(this.storage.getItem(this.lockKey)).owner === this.ownerId;
+    } catch (error) {
+      // Without working storage the tabs don't share the queue anyway
+      console.error('❌ Failed to lock offline queue replay:', error);
+      return true;
+    }
+  }
+
+  /**
+   * Release the replay lock if this tab holds it
+   */
+  releaseReplayLock() {
+    try {
+      const lock = JSON.parse(this.storage?.getItem(this.lockKey) ?? null);
+      if (lock?.owner === this.ownerId) {
+        this.storage.removeItem(this.lockKey);
+      }
+    } catch (error) {
+      console.error('❌ Failed to unlock offline queue replay:', error);
+    }
+  }
+
+  /**
+   * Send pending entries in order
+   * Stops at the first network error, since the rest would fail the same way.
+   * Does nothing while another tab is replaying.
+   * @returns {Promise<void>} Resolves when the pass finishes
+   */
+  replay() {
+    if (!this.replayPromise) {
+      this.replayPromise = this.replayPending().finally(() => {
+        this.replayPromise = null;
+      });
+    }
+    return this.replayPromise;
+  }
+
+  /**
+   * Replay implementation, see replay()
+   * @returns {Promise<void>} Resolves when the pass finishes
+   */
+  async replayPending() {
+    if (!this.send || !this.acquireReplayLock()) {
+      return;
+    }
+
+    try {
+      await this.sendPending();
+    } finally {
+      this.releaseReplayLock();
+    }
+  }
+
+  /**
+   * Send the pending entries while holding the replay lock
+   * @returns {Promise<void>} Resolves when the pass finishes
+   */
+  async sendPending() {
+    const pending = this.latest().filter((entry) => entry.status === OUTBOX_STATUS.PENDING);
+
+    for (const queued of pending) {
+      // Renew the lock, and skip entries settled or removed meanwhile
+      if (!this.acquireReplayLock()) {
+        return;
+      }
+      const entry = this.latest().find((current) => current.id === queued.id);
+      if (entry?.status !== OUTBOX_STATUS.PENDING) {
+        continue;
+      }
+
+      try {
+        await this.send(entry);
+        this.update(entry.id, {
+          status: OUTBOX_STATUS.SENT,
+          attempts: entry.attempts + 1,
+          sentAt: new Date().toISOString(),
+          lastError: null
+        });
+      } catch (error) {
+        const offline = error?.code === ERROR_CODES.NETWORK_ERROR || error?.code === ERROR_CODES.TIMEOUT;
+        this.update(entry.id, {
+          status: offline ? OUTBOX_STATUS.PENDING : OUTBOX_STATUS.FAILED,
+          attempts: entry.attempts + 1,
+          lastError: { code: error?.code, message: error?.message }
+        });
+
+        if (offline) {
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * Move a failed entry back to pending and replay
+   * @param {string} id - Entry ID
+   * @returns {Promise<void>} Resolves when the replay finishes
+   */
+  retry(id) {
+    this.update(id, { status: OUTBOX_STATUS.PENDING });
+    return this.replay();
+  }
+
+  /**
+   * Drop an entry
+   * @param {string} id - Entry ID
+   */
+  remove(id) {
+    this.commit((entries) => entries.filter((entry) => entry.id !== id));
+  }
+
+  /**
+   * Drop all sent entries
+   */
+  clearSent() {
+    this.commit((entries) => entries.filter((entry) => entry.status !== OUTBOX_STATUS.SENT));
+  }
+
+  /**
+   * Current entries (a new array after every change)
+   * @returns {Array} Entries
+   */
+  getEntries() {
+    return this.entries;
+  }
+
+  /**
+   * Subscribe to queue changes
+   * @param {Function} listener - Called with the entries after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+}
+
+export { OfflineMutationQueue, OUTBOX_STATUS, IDEMPOTENCY_HEADER, REPLAY_LOCK_TTL };
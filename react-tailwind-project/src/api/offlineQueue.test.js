@@ -0,0 +1,209 @@
+/**
+ * Tests for the offline mutation queue
+ */
+
+import { OfflineMutationQueue, OUTBOX_STATUS } from './offlineQueue';
+import { HttpError, NetworkError } from './errors';
+
+const STORAGE_KEY = 'test_outbox';
+
+const createQueue = (send) => new OfflineMutationQueue({ send, storage: window.localStorage, storageKey: STORAGE_KEY });
+
+describe('OfflineMutationQueue', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('persists queued entries and restores them in a new instance', () => {
+    const queue = createQueue(jest.fn());
+    queue.enqueue({ method: 'POST', url: '/todos', data: { title: 'a' }, idempotencyKey: 'key-1' });
+
+    const restored = createQueue(jest.fn());
+
+    expect(restored.getEntries()).toEqual([
+      expect.objectContaining({
+        id: 'key-1',
+        idempotencyKey: 'key-1',
+        method: 'post',
+        url: '/todos',
+        data: { title: 'a' },
+        status: OUTBOX_STATUS.PENDING
+      })
+    ]);
+  });
+
+  test('does not queue the same idempotency key twice', () => {
+    const queue = createQueue(jest.fn());
+    queue.enqueue({ method: 'post', url: '/todos', idempotencyKey: 'key-1' });
+    queue.enqueue({ method: 'post', url: '/todos', idempotencyKey: 'key-1' });
+
+    expect(queue.getEntries()).toHaveLength(1);
+  });
+
+  test('replays pending entries in order and marks them sent', async () => {
+    const send = jest.fn().mockResolvedValue({ status: 201 });
+    const queue = createQueue(send);
+    queue.enqueue({ method: 'post', url: '/first', idempotencyKey: 'key-1' });
+    queue.enqueue({ method: 'put', url: '/second', idempotencyKey: 'key-2' });
+
+    await queue.replay();
+
+    expect(send.mock.calls.map(([entry]) => entry.url)).toEqual(['/first', '/second']);
+    expect(queue.getEntries().map((entry) => entry.status)).toEqual([OUTBOX_STATUS.SENT, OUTBOX_STATUS.SENT]);
+  });
+
+  test('stops at the first network error and keeps the rest pending', async () => {
+    const send = jest.fn().mockRejectedValueOnce(new NetworkError());
+    const queue = createQueue(send);
+    queue.enqueue({ method: 'post', url: '/first', idempotencyKey: 'key-1' });
+    queue.enqueue({ method: 'post', url: '/second', idempotencyKey: 'key-2' });
+
+    await queue.replay();
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(queue.getEntries()).toEqual([
+      expect.objectContaining({ status: OUTBOX_STATUS.PENDING, attempts: 1, lastError: expect.objectContaining({ code: 'NETWORK_ERROR' }) }),
+      expect.objectContaining({ status: OUTBOX_STATUS.PENDING, attempts: 0 })
+    ]);
+  });
+
+  test('marks entries the server rejects as failed and continues', async () => {
+    const send = jest.fn()
+      .mockRejectedValueOnce(new HttpError({ status: 409 }))
+      .mockResolvedValueOnce({ status: 201 });
+    const queue = createQueue(send);
+    queue.enqueue({ method: 'post', url: '/first', idempotencyKey: 'key-1' });
+    queue.enqueue({ method: 'post', url: '/second', idempotencyKey: 'key-2' });
+
+    await queue.replay();
+
+    expect(queue.getEntries().map((entry) => entry.status)).toEqual([OUTBOX_STATUS.FAILED, OUTBOX_STATUS.SENT]);
+    expect(queue.getEntries()[0].lastError.code).toBe('CONFLICT');
+  });
+
+  test('retry sends a failed entry again', async () => {
+    const send = jest.fn()
+      .mockRejectedValueOnce(new HttpError({ status: 500 }))
+      .mockResolvedValueOnce({ status: 201 });
+    const queue = createQueue(send);
+    queue.enqueue({ method: 'post', url: '/todos', idempotencyKey: 'key-1' });
+    await queue.replay();
+
+    await queue.retry('key-1');
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(queue.getEntries()[0]).toEqual(expect.objectContaining({ status: OUTBOX_STATUS.SENT, attempts: 2 }));
+  });
+
+  test('concurrent replays share one pass', async () => {
+    const send = jest.fn().mockResolvedValue({ status: 201 });
+    const queue = createQueue(send);
+    queue.enqueue({ method: 'post', url: '/todos', idempotencyKey: 'key-1' });
+
+    await Promise.all([queue.replay(), queue.replay()]);
+
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('replays when the browser comes back online', async () => {
+    const send = jest.fn().mockResolvedValue({ status: 201 });
+    const queue = createQueue(send);
+    const stop = queue.start();
+    queue.enqueue({ method: 'post', url: '/todos', idempotencyKey: 'key-1' });
+
+    window.dispatchEvent(new Event('online'));
+    await queue.replay();
+    stop();
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(queue.getEntries()[0].status).toBe(OUTBOX_STATUS.SENT);
+  });
+
+  test('notifies subscribers and supports removing entries', () => {
+    const queue = createQueue(jest.fn());
+    const listener = jest.fn();
+    const unsubscribe = queue.subscribe(listener);
+
+    queue.enqueue({ method: 'delete', url: '/todos/1', idempotencyKey: 'key-1' });
+    queue.remove('key-1');
+    unsubscribe();
+    queue.enqueue({ method: 'delete', url: '/todos/2', idempotencyKey: 'key-2' });
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenLastCalledWith([]);
+  });
+
+  describe('across tabs', () => {
+    // Storage events only reach other tabs, so tell a queue about a write by hand
+    const announceWrite = () => window.dispatchEvent(new StorageEvent('storage', {
+      key: STORAGE_KEY,
+      newValue: window.localStorage.getItem(STORAGE_KEY),
+      storageArea: window.localStorage
+    }));
+
+    test('keeps the entries another tab queued meanwhile', () => {
+      const tabA = createQueue(jest.fn());
+      const tabB = createQueue(jest.fn());
+
+      tabA.enqueue({ method: 'post', url: '/a', idempotencyKey: 'key-a' });
+      tabB.enqueue({ method: 'post', url: '/b', idempotencyKey: 'key-b' });
+      // A's next change starts from storage, not from its own stale copy
+      tabA.remove('key-missing');
+
+      expect(tabA.getEntries().map((entry) => entry.id)).toEqual(['key-a', 'key-b']);
+      expect(createQueue(jest.fn()).getEntries().map((entry) => entry.id)).toEqual(['key-a', 'key-b']);
+    });
+
+    test('follows changes made in another tab', () => {
+      const tabA = createQueue(jest.fn());
+      const tabB = createQueue(jest.fn());
+      const stop = tabA.start();
+      const listener = jest.fn();
+      tabA.subscribe(listener);
+
+      tabB.enqueue({ method: 'post', url: '/b', idempotencyKey: 'key-b' });
+      announceWrite();
+      stop();
+
+      expect(listener).toHaveBeenCalledWith([expect.objectContaining({ id: 'key-b' })]);
+      expect(tabA.getEntries()).toHaveLength(1);
+    });
+
+    test('only one tab replays at a time', async () => {
+      let finishSend;
+      const sendA = jest.fn(() => new Promise((resolve) => {
+        finishSend = resolve;
+      }));
+      const sendB = jest.fn().mockResolvedValue({ status: 201 });
+      const tabA = createQueue(sendA);
+      const tabB = createQueue(sendB);
+      tabA.enqueue({ method: 'post', url: '/todos', idempotencyKey: 'key-1' });
+
+      const replayA = tabA.replay();
+      await tabB.replay();
+      finishSend({ status: 201 });
+      await replayA;
+
+      expect(sendA).toHaveBeenCalledTimes(1);
+      expect(sendB).not.toHaveBeenCalled();
+      expect(createQueue(jest.fn()).getEntries()[0].status).toBe(OUTBOX_STATUS.SENT);
+
+      // The lock is released once the pass is over
+      tabB.enqueue({ method: 'post', url: '/more', idempotencyKey: 'key-2' });
+      await tabB.replay();
+      expect(sendB).toHaveBeenCalledTimes(1);
+    });
+
+    test('takes over a lock left behind by a tab that went away', async () => {
+      window.localStorage.setItem(`${STORAGE_KEY}:replay-lock`, JSON.stringify({ owner: 'gone', expiresAt: Date.now() - 1 }));
+      const send = jest.fn().mockResolvedValue({ status: 201 });
+      const queue = createQueue(send);
+      queue.enqueue({ method: 'post', url: '/todos', idempotencyKey: 'key-1' });
+
+      await queue.replay();
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(window.localStorage.getItem(`${STORAGE_KEY}:replay-lock`)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Pagination Helpers
+ *
+ * A paginator describes how a collection endpoint pages its results:
+ * - offset/limit: `?offset=40&limit=20`
+ * - page number: `?page=3&per_page=20` (JSONPlaceholder: `?_page=3&_limit=20`)
+ * - cursor: `?cursor=abc`, read from the body or from a `Link: <...>; rel="next"` header
+ *
+ * Every paginator has the same shape, so callers (usePaginatedQuery, UserList)
+ * don't care which style a backend uses:
+ * - `initialPageParam`: param of the first page
+ * - `getParams(pageParam)`: query params for a page
+ * - `getNextPageParam(response, pageParam, items)`: param of the next page, or null on the last page
+ */
+
+// Supported pagination styles
+const PAGINATION_STYLES = {
+  OFFSET: 'offset',
+  PAGE: 'page',
+  CURSOR: 'cursor',
+};
+
+// Header carrying the collection size (JSONPlaceholder, json-server, many REST APIs)
+const TOTAL_COUNT_HEADER = 'x-total-count';
+
+/**
+ * Read a response header regardless of how the adapter cased it
+ * @param {Object} headers - Response headers (plain object or AxiosHeaders)
+ * @param {string} name - Lowercase header name
+ * @returns {string|undefined} Header value
+ */
+const readHeader = (headers, name) => {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') {
+    return headers.get(name) ?? undefined;
+  }
+  const key = Object.keys(headers).find((candidate) => candidate.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+};
+
+/**
+ * Parse an RFC 8288 Link header
+ * @param {string} header - e.g. `<https://api.example.com/items?cursor=b>; rel="next", <...>; rel="prev"`
+ * @returns {Object<string, string>} URLs keyed by rel, e.g. `{ next: 'https://...' }`
+ */
+export const parseLinkHeader = (header) => {
+  if (!header) return {};
+  return header.split(/,(?=\s*<)/).reduce((links, part) => {
+    const match = part.match(/<([^>]*)>(.*)/);
+    if (!match) return links;
+    const rel = match[2].match(/rel="?([^";]+)"?/);
+    if (rel) {
+      rel[1].trim().split(/\s+/).forEach((name) => {
+        links[name] = match[1];
+      });
+    }
+    return links;
+  }, {});
+};
+
+/**
+ * Collection size reported by the server
+ * @param {Object} response - Axios response
+ * @param {string} header - Header name
+ * @returns {number|null} Total number of items, or null when unknown
+ */
+export const getTotalCount = (response, header = TOTAL_COUNT_HEADER) => {
+  const value = readHeader(response.headers, header) ?? response.data?.total ?? response.data?.meta?.total;
+  const total = Number(value);
+  return value !== undefined && value !== null && Number.isFinite(total) ? total : null;
+};
+
+/**
+ * Items of a page: the body itself, or its `items` / `data` / `results` array
+ * @param {Object} response - Axios response
+ * @returns {Array} Items of the page
+ */
+export const getPageItems = (response) => {
+  const { data } = response;
+  if (Array.isArray(data)) return data;
+  return data?.items ?? data?.data ?? data?.results ?? [];
+};
+
+/**
+ * Offset/limit pagination
+ * @param {Object} options - `{ limit, offsetParam, limitParam, totalHeader }`
+ * @returns {Object} Paginator
+ */
+export const offsetPagination = ({
+  limit = 20,
+  offsetParam = 'offset',
+  limitParam = 'limit',
+  totalHeader = TOTAL_COUNT_HEADER
+} = {}) => ({
+  style: PAGINATION_STYLES.OFFSET,
+  pageSize: limit,
+  totalHeader,
+  initialPageParam: 0,
+  getParams: (offset) => ({ [offsetParam]: offset, [limitParam]: limit }),
+  getNextPageParam: (response, offset, items) => {
+    const next = offset + items.length;
+    const total = getTotalCount(response, totalHeader);
+    if (total !== null) {
+      return next < total ? next : null;
+    }
+    // Without a total, a short page is the last one
+    return items.length < limit ? null : next;
+  }
+});
+
+/**
+ * Page-number pagination
+ * @param {Object} options - `{ pageSize, pageParam, sizeParam, firstPage, totalHeader }`
+ * @returns {Object} Paginator
+ */
+export const pagePagination = ({
+  pageSize = 20,
+  pageParam = 'page',
+  sizeParam = 'per_page',
+  firstPage = 1,
+  totalHeader = TOTAL_COUNT_HEADER
+} = {}) => ({
+  style: PAGINATION_STYLES.PAGE,
+  pageSize,
+  totalHeader,
+  initialPageParam: firstPage,
+  getParams: (page) => ({ [pageParam]: page, [sizeParam]: pageSize }),
+  getNextPageParam: (response, page, items) => {
+    const total = getTotalCount(response, totalHeader);
+    if (total !== null) {
+      return (page - firstPage + 1) * pageSize < total ? page + 1 : null;
+    }
+    return items.length < pageSize ? null : page + 1;
+  }
+});
+
+/**
+ * Default cursor reader: `nextCursor` in the body, else the `rel="next"` Link
+ * @param {Object} response - Axios response
+ * @param {string} cursorParam - Query param holding the cursor
+ * @returns {string|Object|null} Cursor, the next link's query params, or null
+ */
+const readNextCursor = (response, cursorParam) => {
+  const { data } = response;
+  const bodyCursor = data?.nextCursor ?? data?.next_cursor ?? data?.meta?.nextCursor;
+  if (bodyCursor !== undefined) {
+    return bodyCursor || null;
+  }
+
+  const next = parseLinkHeader(readHeader(response.headers, 'link')).next;
+  if (!next) {
+    return null;
+  }
+  const params = Object.fromEntries(new URL(next, 'http://link.local').searchParams);
+  return params[cursorParam] ?? params;
+};
+
+/**
+ * Cursor pagination, including Link-header (`rel="next"`) APIs
+ * A cursor is a string sent as `cursorParam`, or the full query params of
+ * the next link when it has no such param (e.g. GitHub's `?page=2`)
+ * @param {Object} options - `{ limit, cursorParam, limitParam, getNextCursor }`
+ * @returns {Object} Paginator
+ */
+export const cursorPagination = ({
+  limit,
+  cursorParam = 'cursor',
+  limitParam = 'limit',
+  getNextCursor = (response) => readNextCursor(response, cursorParam)
+} = {}) => ({
+  style: PAGINATION_STYLES.CURSOR,
+  pageSize: limit,
+  initialPageParam: null,
+  getParams: (cursor) => ({
+    ...(limit ? { [limitParam]: limit } : {}),
+    ...(cursor && typeof cursor === 'object' ? cursor : {}),
+    ...(typeof cursor === 'string' ? { [cursorParam]: cursor } : {})
+  }),
+  getNextPageParam: (response) => getNextCursor(response) ?? null
+});
+
+/**
+ * Create a paginator for a style
+ * @param {Object} options - `{ style, ...options of that style }`
+ * @returns {Object} Paginator
+ */
+export const createPaginator = ({ style = PAGINATION_STYLES.PAGE, ...options } = {}) => {
+  switch (style) {
+    case PAGINATION_STYLES.OFFSET:
+      return offsetPagination(options);
+    case PAGINATION_STYLES.PAGE:
+      return pagePagination(options);
+    case PAGINATION_STYLES.CURSOR:
+      return cursorPagination(options);
+    default:
+      throw new Error(`Unknown pagination style "${style}". Expected one of: ${Object.values(PAGINATION_STYLES).join(', ')}`);
+  }
+};
+
+/**
+ * Read one page of a paginated response
+ * @param {Object} paginator - Paginator
+ * @param {Object} response - Axios response
+ * @param {any} pageParam - Param the page was requested with
+ * @returns {Object} `{ items, pageParam, nextPageParam, hasMore, total }`
+ */
+export const readPage = (paginator, response, pageParam) => {
+  const items = getPageItems(response);
+  const nextPageParam = paginator.getNextPageParam(response, pageParam, items);
+  return {
+    items,
+    pageParam,
+    nextPageParam,
+    hasMore: nextPageParam !== null && nextPageParam !== undefined,
+    total: getTotalCount(response, paginator.totalHeader)
+  };
+};
+
+export { PAGINATION_STYLES, TOTAL_COUNT_HEADER };
@@ -0,0 +1,85 @@
+/**
+ * Tests for pagination helpers
+ */
+
+import {
+  PAGINATION_STYLES,
+  parseLinkHeader,
+  getTotalCount,
+  offsetPagination,
+  pagePagination,
+  cursorPagination,
+  createPaginator,
+  readPage
+} from './pagination';
+
+const response = (data, headers = {}) => ({ data, headers });
+const range = (from, to) => Array.from({ length: to - from }, (_, index) => ({ id: from + index }));
+
+describe('pagination', () => {
+  test('parses Link headers by rel', () => {
+    const header = '<https://api.test/items?cursor=b&limit=2>; rel="next", <https://api.test/items>; rel="first prev"';
+
+    expect(parseLinkHeader(header)).toEqual({
+      next: 'https://api.test/items?cursor=b&limit=2',
+      first: 'https://api.test/items',
+      prev: 'https://api.test/items'
+    });
+    expect(parseLinkHeader(undefined)).toEqual({});
+  });
+
+  test('reads the total from headers of any casing or from the body', () => {
+    expect(getTotalCount(response([], { 'X-Total-Count': '42' }))).toBe(42);
+    expect(getTotalCount(response({ items: [], meta: { total: 7 } }))).toBe(7);
+    expect(getTotalCount(response([]))).toBeNull();
+  });
+
+  test('offset pagination advances by the items received', () => {
+    const paginator = offsetPagination({ limit: 2 });
+
+    expect(paginator.getParams(paginator.initialPageParam)).toEqual({ offset: 0, limit: 2 });
+    expect(readPage(paginator, response(range(0, 2), { 'x-total-count': '3' }), 0))
+      .toMatchObject({ nextPageParam: 2, hasMore: true, total: 3 });
+    expect(readPage(paginator, response(range(2, 3), { 'x-total-count': '3' }), 2))
+      .toMatchObject({ nextPageParam: null, hasMore: false });
+    // Without a total, a short page ends the collection
+    expect(readPage(paginator, response(range(0, 1)), 0).hasMore).toBe(false);
+  });
+
+  test('page pagination uses custom param names', () => {
+    const paginator = pagePagination({ pageSize: 5, pageParam: '_page', sizeParam: '_limit' });
+
+    expect(paginator.getParams(1)).toEqual({ _page: 1, _limit: 5 });
+    expect(readPage(paginator, response(range(0, 5), { 'x-total-count': '10' }), 1).nextPageParam).toBe(2);
+    expect(readPage(paginator, response(range(5, 10), { 'x-total-count': '10' }), 2).nextPageParam).toBeNull();
+    expect(readPage(paginator, response(range(0, 5)), 1).nextPageParam).toBe(2);
+  });
+
+  test('cursor pagination reads the body cursor or the next link', () => {
+    const paginator = cursorPagination({ limit: 2 });
+
+    expect(paginator.getParams(null)).toEqual({ limit: 2 });
+    expect(readPage(paginator, response({ items: range(0, 2), nextCursor: 'abc' }), null))
+      .toMatchObject({ items: range(0, 2), nextPageParam: 'abc', hasMore: true });
+    expect(paginator.getParams('abc')).toEqual({ limit: 2, cursor: 'abc' });
+
+    const linked = response(range(0, 2), { link: '<https://api.test/items?cursor=def&limit=2>; rel="next"' });
+    expect(readPage(paginator, linked, 'abc').nextPageParam).toBe('def');
+    expect(readPage(paginator, response({ items: [], nextCursor: null }), 'def').hasMore).toBe(false);
+  });
+
+  test('cursor pagination follows next links without a cursor param', () => {
+    const paginator = cursorPagination();
+    const linked = response([], { link: '<https://api.github.test/repos?page=3&per_page=30>; rel="next"' });
+    const next = readPage(paginator, linked, null).nextPageParam;
+
+    expect(next).toEqual({ page: '3', per_page: '30' });
+    expect(paginator.getParams(next)).toEqual({ page: '3', per_page: '30' });
+  });
+
+  test('creates paginators by style and rejects unknown styles', () => {
+    expect(createPaginator().style).toBe(PAGINATION_STYLES.PAGE);
+    expect(createPaginator({ style: 'offset', limit: 10 }).getParams(20)).toEqual({ offset: 20, limit: 10 });
+    expect(() => createPaginator({ style: 'keyset' })).toThrow('Unknown pagination style "keyset"');
+  });
+});
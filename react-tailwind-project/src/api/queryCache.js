@@ -0,0 +1,361 @@
+/**
+ * Query Cache
+ *
+ * Shared store behind useQuery and useMutation. Results are keyed by a query
+ * key, an array such as `['users', { page: 2 }]`, so every component reading
+ * the same key shares one entry and one in-flight request:
+ * - stale time: how long data counts as fresh before a mount, focus or reconnect refetches it
+ * - retries with a delay, skipping errors marked `retryable: false`
+ * - cancellation through the cancellationManager once nobody observes a query
+ * - garbage collection of unobserved entries after `gcTime`
+ * - invalidation by key prefix, refetching queries that are on screen
+ *
+ * Fetchers receive `{ queryKey, signal, requestKey, priority }` and should pass
+ * `signal` on to the client so cancelling the query aborts the request.
+ * It has no React dependency.
+ */
+
+import { RequestCancellationManager } from './cancellationManager';
+import { ERROR_CODES } from './errors';
+import { REQUEST_PRIORITIES } from './requestScheduler';
+import { waitForRetry } from './retryPolicy';
+
+// Lifecycle of a query's data
+const QUERY_STATUS = {
+  IDLE: 'idle',
+  LOADING: 'loading',
+  SUCCESS: 'success',
+  ERROR: 'error',
+};
+
+// Defaults for every query, overridable per cache and per query
+const DEFAULT_QUERY_OPTIONS = {
+  staleTime: 0, // Data is refetched on the next mount, focus or reconnect
+  gcTime: 5 * 60 * 1000, // Unobserved entries are dropped after 5 minutes
+  retry: 0, // Extra attempts; the API client already retries at the transport level
+  retryDelay: 1000, // Delay before each retry (ms), or `(attempt, error) => ms`
+};
+
+// State of a query that has never been fetched
+const IDLE_QUERY_STATE = Object.freeze({
+  status: QUERY_STATUS.IDLE,
+  data: undefined,
+  error: null,
+  isFetching: false,
+  failureCount: 0,
+  updatedAt: 0,
+  invalidated: false
+});
+
+/**
+ * Copy a value with object keys sorted, so equal keys hash the same
+ * @param {any} value - Part of a query key
+ * @returns {any} Normalized value
+ */
+const normalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((normalized, key) => {
+      normalized[key] = normalize(value[key]);
+      return normalized;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Hash a query key
+ * @param {Array|string} queryKey - Query key; a string is treated as `[string]`
+ * @returns {string} Hash, identical for keys whose objects differ only in key order
+ */
+export const hashQueryKey = (queryKey) => JSON.stringify(normalize(Array.isArray(queryKey) ? queryKey : [queryKey]));
+
+/**
+ * Whether a query key starts with the given prefix
+ * @param {Array} queryKey - Query key
+ * @param {Array|string} prefix - Key prefix, e.g. `['users']`
+ * @returns {boolean} True when every part of the prefix matches
+ */
+export const matchesQueryKey = (queryKey, prefix) => {
+  const parts = Array.isArray(prefix) ? prefix : [prefix];
+  return parts.every((part, index) => hashQueryKey([part]) === hashQueryKey([queryKey[index]]));
+};
+
+/**
+ * Keep only the options that were actually given
+ * @param {Object} options - Query options
+ * @returns {Object} Options without undefined values
+ */
+const definedOptions = (options) => Object.fromEntries(
+  Object.entries(options).filter(([, value]) => value !== undefined)
+);
+
+class QueryCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {RequestCancellationManager} options.cancellationManager - Aborts in-flight fetches
+   * @param {Object} options.defaults - Query options overriding DEFAULT_QUERY_OPTIONS
+   */
+  constructor({ cancellationManager = new RequestCancellationManager(), defaults = {} } = {}) {
+    this.cancellationManager = cancellationManager;
+    this.defaults = { ...DEFAULT_QUERY_OPTIONS, ...defaults };
+    this.entries = new Map();
+  }
+
+  /**
+   * Get or create the entry of a query
+   * @param {Array|string} queryKey - Query key
+   * @returns {Object} Entry
+   */
+  getEntry(queryKey) {
+    const hash = hashQueryKey(queryKey);
+    if (!this.entries.has(hash)) {
+      this.entries.set(hash, {
+        hash,
+        queryKey: JSON.parse(hash),
+        state: IDLE_QUERY_STATE,
+        options: this.defaults,
+        fetcher: null,
+        listeners: new Set(),
+        promise: null,
+        fetchId: 0,
+        statusBeforeFetch: QUERY_STATUS.IDLE,
+        gcTimer: null
+      });
+    }
+    return this.entries.get(hash);
+  }
+
+  /**
+   * Current state of a query
+   * @param {Array|string} queryKey - Query key
+   * @returns {Object} `{ status, data, error, isFetching, failureCount, updatedAt, invalidated }`
+   */
+  getState(queryKey) {
+    return this.entries.get(hashQueryKey(queryKey))?.state ?? IDLE_QUERY_STATE;
+  }
+
+  /**
+   * Cached data of a query
+   * @param {Array|string} queryKey - Query key
+   * @returns {any} Data, or undefined
+   */
+  getQueryData(queryKey) {
+    return this.getState(queryKey).data;
+  }
+
+  /**
+   * Replace the data of a query, e.g. after a mutation returned the new version
+   * @param {Array|string} queryKey - Query key
+   * @param {any|Function} updater - New data, or `(previous) => data`
+   * @returns {any} New data
+   */
+  setQueryData(queryKey, updater) {
+    const entry = this.getEntry(queryKey);
+    const data = typeof updater === 'function' ? updater(entry.state.data) : updater;
+    this.setState(entry, {
+      status: QUERY_STATUS.SUCCESS,
+      data,
+      error: null,
+      updatedAt: Date.now(),
+      invalidated: false
+    });
+    return data;
+  }
+
+  /**
+   * Update an entry and notify its observers
+   * @param {Object} entry - Entry
+   * @param {Object} patch - State changes
+   */
+  setState(entry, patch) {
+    entry.state = { ...entry.state, ...patch };
+    entry.listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * Observe a query; the last observer leaving cancels its fetch and
+   * schedules the entry for garbage collection
+   * @param {Array|string} queryKey - Query key
+   * @param {Function} listener - Called on every state change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(queryKey, listener) {
+    const entry = this.getEntry(queryKey);
+    clearTimeout(entry.gcTimer);
+    entry.listeners.add(listener);
+
+    return () => {
+      entry.listeners.delete(listener);
+      if (entry.listeners.size > 0) return;
+
+      this.cancel(entry.queryKey);
+      if (entry.options.gcTime !== Infinity) {
+        entry.gcTimer = setTimeout(() => {
+          if (entry.listeners.size === 0 && this.entries.get(entry.hash) === entry) {
+            this.entries.delete(entry.hash);
+          }
+        }, entry.options.gcTime);
+      }
+    };
+  }
+
+  /**
+   * Whether a query should be refetched
+   * @param {Array|string} queryKey - Query key
+   * @param {number} staleTime - How long data stays fresh (ms)
+   * @returns {boolean} True when there is no data, it was invalidated or it is older than staleTime
+   */
+  isStale(queryKey, staleTime = this.defaults.staleTime) {
+    const { status, invalidated, updatedAt } = this.getState(queryKey);
+    return status !== QUERY_STATUS.SUCCESS || invalidated || Date.now() - updatedAt >= staleTime;
+  }
+
+  /**
+   * Fetch a query, joining its in-flight fetch unless `force` is set
+   * @param {Array|string} queryKey - Query key
+   * @param {Function} fetcher - `({ queryKey, signal, requestKey, priority }) => data`;
+   *   omit to reuse the last fetcher of the query
+   * @param {Object} options - Query options (staleTime, gcTime, retry, retryDelay, requestKey)
+   *   plus `force` to restart an in-flight fetch and the request `priority`
+   * @returns {Promise} Resolves with the data, rejects with the last error
+   */
+  fetchQuery(queryKey, fetcher, { force = false, priority = REQUEST_PRIORITIES.USER, ...options } = {}) {
+    const entry = this.getEntry(queryKey);
+    entry.options = { ...this.defaults, ...definedOptions(options) };
+    if (fetcher) {
+      entry.fetcher = fetcher;
+    }
+    if (!entry.fetcher) {
+      return Promise.reject(new Error(`No fetcher for query ${entry.hash}`));
+    }
+    if (entry.promise) {
+      if (!force) return entry.promise;
+      this.cancel(entry.queryKey);
+    }
+
+    const fetchId = entry.fetchId + 1;
+    const requestKey = entry.options.requestKey ?? `query:${entry.hash}`;
+    const controller = this.cancellationManager.addController(requestKey);
+    const isCurrent = () => entry.fetchId === fetchId;
+    const { retry, retryDelay } = entry.options;
+
+    entry.fetchId = fetchId;
+    entry.statusBeforeFetch = entry.state.status;
+    this.setState(entry, entry.state.data === undefined
+      ? { status: QUERY_STATUS.LOADING, error: null, isFetching: true, failureCount: 0 }
+      : { isFetching: true, failureCount: 0 });
+
+    const attempt = async (failureCount) => {
+      try {
+        return await entry.fetcher({ queryKey: entry.queryKey, signal: controller.signal, requestKey, priority });
+      } catch (error) {
+        const cancelled = controller.signal.aborted || error.code === ERROR_CODES.CANCELLED;
+        if (cancelled || !isCurrent() || failureCount >= retry || error.retryable === false) {
+          throw error;
+        }
+        this.setState(entry, { failureCount: failureCount + 1 });
+        await waitForRetry(
+          typeof retryDelay === 'function' ? retryDelay(failureCount + 1, error) : retryDelay,
+          controller.signal
+        );
+        return attempt(failureCount + 1);
+      }
+    };
+
+    entry.promise = attempt(0)
+      .then((data) => {
+        if (isCurrent()) {
+          this.setState(entry, {
+            status: QUERY_STATUS.SUCCESS,
+            data,
+            error: null,
+            isFetching: false,
+            failureCount: 0,
+            updatedAt: Date.now(),
+            invalidated: false
+          });
+        }
+        return data;
+      }, (error) => {
+        if (isCurrent()) {
+          const cancelled = controller.signal.aborted || error.code === ERROR_CODES.CANCELLED;
+          this.setState(entry, cancelled
+            ? { status: entry.statusBeforeFetch, isFetching: false }
+            : { status: QUERY_STATUS.ERROR, error, isFetching: false });
+        }
+        throw error;
+      })
+      .finally(() => {
+        this.cancellationManager.releaseController(requestKey, controller);
+        if (isCurrent()) {
+          entry.promise = null;
+        }
+      });
+
+    return entry.promise;
+  }
+
+  /**
+   * Cancel the in-flight fetch of a query, keeping its previous data
+   * @param {Array|string} queryKey - Query key
+   */
+  cancel(queryKey) {
+    const entry = this.entries.get(hashQueryKey(queryKey));
+    if (!entry?.promise) return;
+
+    // Settling the cancelled fetch must not touch the entry anymore
+    entry.fetchId += 1;
+    entry.promise = null;
+    this.cancellationManager.cancelRequest(entry.options.requestKey ?? `query:${entry.hash}`);
+    this.setState(entry, { status: entry.statusBeforeFetch, isFetching: false });
+  }
+
+  /**
+   * Mark queries as stale and refetch the observed ones in the background
+   * @param {Array|string} prefix - Key prefix, e.g. `['users']`; matches `['users', 1]` too
+   * @returns {Promise} Settles once the refetches are done
+   */
+  invalidate(prefix) {
+    const refetches = [];
+    this.entries.forEach((entry) => {
+      if (!matchesQueryKey(entry.queryKey, prefix)) return;
+
+      this.setState(entry, { invalidated: true });
+      if (entry.listeners.size > 0 && entry.fetcher) {
+        refetches.push(this.fetchQuery(entry.queryKey, null, {
+          ...entry.options,
+          force: true,
+          priority: REQUEST_PRIORITIES.BACKGROUND
+        }).catch(() => undefined));
+      }
+    });
+    return Promise.all(refetches);
+  }
+
+  /**
+   * Drop the data of a query, keeping its observers
+   * @param {Array|string} queryKey - Query key
+   */
+  reset(queryKey) {
+    const entry = this.entries.get(hashQueryKey(queryKey));
+    if (!entry) return;
+    this.cancel(queryKey);
+    this.setState(entry, IDLE_QUERY_STATE);
+  }
+
+  /**
+   * Cancel every fetch and drop every entry
+   */
+  clear() {
+    this.entries.forEach((entry) => {
+      this.cancel(entry.queryKey);
+      clearTimeout(entry.gcTimer);
+    });
+    this.entries.clear();
+  }
+}
+
+export { QueryCache, QUERY_STATUS, DEFAULT_QUERY_OPTIONS, IDLE_QUERY_STATE };
@@ -0,0 +1,125 @@
+/**
+ * Tests for the query cache behind useQuery and useMutation
+ */
+
+import { QueryCache, QUERY_STATUS, hashQueryKey, matchesQueryKey } from './queryCache';
+import { RequestCancellationManager } from './cancellationManager';
+import { ApiError, ERROR_CODES, HttpError } from './errors';
+import { REQUEST_PRIORITIES } from './requestScheduler';
+
+// Resolves once `signal` aborts, rejecting like the API client does
+const untilAborted = ({ signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new ApiError('cancelled', { code: ERROR_CODES.CANCELLED })));
+});
+
+describe('QueryCache', () => {
+  test('hashes keys independently of object key order', () => {
+    expect(hashQueryKey(['users', { page: 1, size: 5 }])).toBe(hashQueryKey(['users', { size: 5, page: 1 }]));
+    expect(hashQueryKey('users')).toBe(hashQueryKey(['users']));
+    expect(matchesQueryKey(['users', { page: 1 }], ['users'])).toBe(true);
+    expect(matchesQueryKey(['users', { page: 1 }], ['users', { page: 2 }])).toBe(false);
+  });
+
+  test('shares one in-flight fetch between callers of the same key', async () => {
+    const cache = new QueryCache();
+    const fetcher = jest.fn(async () => ['Ada']);
+
+    const [first, second] = await Promise.all([
+      cache.fetchQuery(['users'], fetcher),
+      cache.fetchQuery(['users'], fetcher)
+    ]);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(first).toBe(second);
+    expect(cache.getState(['users'])).toMatchObject({ status: QUERY_STATUS.SUCCESS, data: ['Ada'], isFetching: false });
+    expect(cache.isStale(['users'], 60000)).toBe(false);
+  });
+
+  test('passes a signal, request key and priority to the fetcher', async () => {
+    const cache = new QueryCache();
+    const fetcher = jest.fn(async () => 1);
+
+    await cache.fetchQuery(['user', 1], fetcher, { requestKey: 'user-1', priority: REQUEST_PRIORITIES.BACKGROUND });
+
+    expect(fetcher).toHaveBeenCalledWith({
+      queryKey: ['user', 1],
+      signal: expect.any(AbortSignal),
+      requestKey: 'user-1',
+      priority: REQUEST_PRIORITIES.BACKGROUND
+    });
+  });
+
+  test('retries retryable errors and gives up on the rest', async () => {
+    const cache = new QueryCache({ defaults: { retry: 2, retryDelay: 0 } });
+    const flaky = jest.fn()
+      .mockRejectedValueOnce(new HttpError({ status: 503, response: { status: 503, data: {} } }))
+      .mockResolvedValueOnce('ok');
+    const missing = jest.fn().mockRejectedValue(new HttpError({ status: 404, response: { status: 404, data: {} } }));
+
+    await expect(cache.fetchQuery(['flaky'], flaky)).resolves.toBe('ok');
+    await expect(cache.fetchQuery(['missing'], missing)).rejects.toMatchObject({ status: 404 });
+
+    expect(flaky).toHaveBeenCalledTimes(2);
+    expect(missing).toHaveBeenCalledTimes(1);
+    expect(cache.getState(['missing'])).toMatchObject({ status: QUERY_STATUS.ERROR, failureCount: 0 });
+  });
+
+  test('cancels the fetch through the cancellation manager when the last observer leaves', async () => {
+    const cancellationManager = new RequestCancellationManager();
+    const cancelRequest = jest.spyOn(cancellationManager, 'cancelRequest');
+    const cache = new QueryCache({ cancellationManager });
+    const unsubscribe = cache.subscribe(['slow'], () => {});
+    const pending = cache.fetchQuery(['slow'], untilAborted);
+
+    expect(cache.getState(['slow'])).toMatchObject({ status: QUERY_STATUS.LOADING, isFetching: true });
+    unsubscribe();
+
+    await expect(pending).rejects.toMatchObject({ code: ERROR_CODES.CANCELLED });
+    expect(cancelRequest).toHaveBeenCalledWith(`query:${hashQueryKey(['slow'])}`);
+    expect(cache.getState(['slow'])).toMatchObject({ status: QUERY_STATUS.IDLE, isFetching: false });
+  });
+
+  test('drops unobserved entries after gcTime', () => {
+    jest.useFakeTimers();
+    const cache = new QueryCache({ defaults: { gcTime: 1000 } });
+    cache.setQueryData(['users'], ['Ada']);
+
+    const unsubscribe = cache.subscribe(['users'], () => {});
+    unsubscribe();
+    jest.advanceTimersByTime(999);
+    expect(cache.getQueryData(['users'])).toEqual(['Ada']);
+
+    jest.advanceTimersByTime(1);
+    expect(cache.getQueryData(['users'])).toBeUndefined();
+    jest.useRealTimers();
+  });
+
+  test('invalidates by prefix and refetches observed queries', async () => {
+    const cache = new QueryCache();
+    const list = jest.fn(async () => ['Ada', 'Grace']);
+    const detail = jest.fn(async () => 'Ada');
+    await cache.fetchQuery(['users', 'list'], list);
+    await cache.fetchQuery(['users', 1], detail);
+    await cache.fetchQuery(['posts'], async () => []);
+    cache.subscribe(['users', 'list'], () => {});
+
+    await cache.invalidate(['users']);
+
+    expect(list).toHaveBeenCalledTimes(2);
+    expect(list).toHaveBeenLastCalledWith(expect.objectContaining({ priority: REQUEST_PRIORITIES.BACKGROUND }));
+    // Not on screen: refetched on its next mount instead
+    expect(detail).toHaveBeenCalledTimes(1);
+    expect(cache.isStale(['users', 1], Infinity)).toBe(true);
+    expect(cache.isStale(['posts'], Infinity)).toBe(false);
+  });
+
+  test('a forced fetch supersedes the one in flight', async () => {
+    const cache = new QueryCache();
+    const first = cache.fetchQuery(['users'], untilAborted);
+    const second = cache.fetchQuery(['users'], async () => ['fresh'], { force: true });
+
+    await expect(first).rejects.toMatchObject({ code: ERROR_CODES.CANCELLED });
+    await expect(second).resolves.toEqual(['fresh']);
+    expect(cache.getState(['users'])).toMatchObject({ status: QUERY_STATUS.SUCCESS, data: ['fresh'] });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Request Lifecycle Events
+ *
+ * Event bus the API clients report every request to:
+ * - start: the request entered the client (retries don't start again)
+ * - progress: upload/download progress from the adapter
+ * - success / error / cancel: the request settled
+ *
+ * The bus also keeps the set of in-flight requests, so UI such as a global
+ * progress bar can subscribe to one activity snapshot instead of each
+ * component tracking its own loading flag. It has no React dependency.
+ */
+
+// Lifecycle event types
+const REQUEST_EVENTS = {
+  START: 'start',
+  PROGRESS: 'progress',
+  SUCCESS: 'success',
+  ERROR: 'error',
+  CANCEL: 'cancel',
+};
+
+// Subscribe with this type to receive every event
+const ALL_EVENTS = '*';
+
+const SETTLED_EVENTS = new Set([REQUEST_EVENTS.SUCCESS, REQUEST_EVENTS.ERROR, REQUEST_EVENTS.CANCEL]);
+
+const IDLE_ACTIVITY = { inFlight: 0, requests: [], progress: null };
+
+/**
+ * Build an activity snapshot from in-flight requests
+ * @param {Object[]} requests - In-flight requests
+ * @returns {Object} `{ inFlight, requests, progress }`, progress is 0-1 or null when unknown
+ */
+const summarizeActivity = (requests) => {
+  if (requests.length === 0) {
+    return IDLE_ACTIVITY;
+  }
+
+  const measured = requests.filter((request) => request.total > 0);
+  const total = measured.reduce((sum, request) => sum + request.total, 0);
+  const loaded = measured.reduce((sum, request) => sum + Math.min(request.loaded, request.total), 0);
+
+  return {
+    inFlight: requests.length,
+    requests,
+    progress: measured.length > 0 ? loaded / total : null
+  };
+};
+
+class RequestEventBus {
+  constructor() {
+    this.listeners = new Map();
+    this.activityListeners = new Set();
+    this.inFlight = new Map();
+    this.activity = IDLE_ACTIVITY;
+  }
+
+  /**
+   * Listen for one event type, or ALL_EVENTS
+   * @param {string} type - One of REQUEST_EVENTS, or ALL_EVENTS
+   * @param {Function} listener - Called with the event
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => {
+      this.listeners.get(type)?.delete(listener);
+    };
+  }
+
+  /**
+   * Publish an event and update the in-flight requests
+   * @param {string} type - One of REQUEST_EVENTS
+   * @param {Object} payload - Event data; `requestId` identifies the request
+   */
+  emit(type, payload) {
+    const event = { ...payload, type, timestamp: Date.now() };
+    const { requestId } = event;
+    let activityChanged = false;
+
+    if (type === REQUEST_EVENTS.START) {
+      this.inFlight.set(requestId, {
+        requestId,
+        client: event.client,
+        method: event.method,
+        url: event.url,
+        priority: event.priority,
+        startedAt: event.timestamp,
+        loaded: 0,
+        total: 0
+      });
+      activityChanged = true;
+    } else if (type === REQUEST_EVENTS.PROGRESS && this.inFlight.has(requestId)) {
+      this.inFlight.set(requestId, { ...this.inFlight.get(requestId), loaded: event.loaded, total: event.total || 0 });
+      activityChanged = true;
+    } else if (SETTLED_EVENTS.has(type)) {
+      activityChanged = this.inFlight.delete(requestId);
+    }
+
+    [...(this.listeners.get(type) || []), ...(this.listeners.get(ALL_EVENTS) || [])].forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('❌ Request event listener error:', error);
+      }
+    });
+
+    if (activityChanged) {
+      this.activity = summarizeActivity(Array.from(this.inFlight.values()));
+      this.activityListeners.forEach((listener) => listener(this.activity));
+    }
+  }
+
+  /**
+   * Current in-flight requests
+   * @returns {Object} `{ inFlight, requests, progress }` (same object until something changes)
+   */
+  getActivity() {
+    return this.activity;
+  }
+
+  /**
+   * Subscribe to activity changes
+   * @param {Function} listener - Called with the new activity snapshot
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.activityListeners.add(listener);
+    return () => {
+      this.activityListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Forget every in-flight request (e.g. between tests)
+   */
+  reset() {
+    this.inFlight.clear();
+    this.activity = IDLE_ACTIVITY;
+    this.activityListeners.forEach((listener) => listener(this.activity));
+  }
+}
+
+export { RequestEventBus, REQUEST_EVENTS, ALL_EVENTS, summarizeActivity };
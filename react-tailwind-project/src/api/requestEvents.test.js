@@ -0,0 +1,96 @@
+/**
+ * Tests for the request lifecycle event bus (no React involved)
+ */
+
+import { RequestEventBus, REQUEST_EVENTS, ALL_EVENTS } from './requestEvents';
+
+const start = (bus, requestId, fields = {}) => bus.emit(REQUEST_EVENTS.START, {
+  requestId,
+  method: 'GET',
+  url: `/${requestId}`,
+  ...fields
+});
+
+describe('RequestEventBus', () => {
+  test('delivers events to type and wildcard listeners', () => {
+    const bus = new RequestEventBus();
+    const onSuccess = jest.fn();
+    const onAny = jest.fn();
+    bus.on(REQUEST_EVENTS.SUCCESS, onSuccess);
+    const unsubscribe = bus.on(ALL_EVENTS, onAny);
+
+    start(bus, 'req_1');
+    bus.emit(REQUEST_EVENTS.SUCCESS, { requestId: 'req_1', status: 200 });
+    unsubscribe();
+    start(bus, 'req_2');
+
+    expect(onSuccess).toHaveBeenCalledWith(expect.objectContaining({
+      type: REQUEST_EVENTS.SUCCESS,
+      requestId: 'req_1',
+      status: 200,
+      timestamp: expect.any(Number)
+    }));
+    expect(onAny.mock.calls.map(([event]) => event.type)).toEqual([REQUEST_EVENTS.START, REQUEST_EVENTS.SUCCESS]);
+  });
+
+  test('tracks in-flight requests until they succeed, fail or are cancelled', () => {
+    const bus = new RequestEventBus();
+    ['req_1', 'req_2', 'req_3'].forEach((id) => start(bus, id));
+    expect(bus.getActivity().inFlight).toBe(3);
+
+    bus.emit(REQUEST_EVENTS.SUCCESS, { requestId: 'req_1' });
+    bus.emit(REQUEST_EVENTS.ERROR, { requestId: 'req_2' });
+    expect(bus.getActivity().requests.map((request) => request.requestId)).toEqual(['req_3']);
+
+    bus.emit(REQUEST_EVENTS.CANCEL, { requestId: 'req_3' });
+    expect(bus.getActivity()).toEqual({ inFlight: 0, requests: [], progress: null });
+  });
+
+  test('aggregates progress over requests that report a total', () => {
+    const bus = new RequestEventBus();
+    start(bus, 'upload');
+    start(bus, 'download');
+    start(bus, 'unknown');
+
+    expect(bus.getActivity().progress).toBeNull();
+
+    bus.emit(REQUEST_EVENTS.PROGRESS, { requestId: 'upload', loaded: 50, total: 100 });
+    bus.emit(REQUEST_EVENTS.PROGRESS, { requestId: 'download', loaded: 300, total: 300 });
+    bus.emit(REQUEST_EVENTS.PROGRESS, { requestId: 'unknown', loaded: 10 });
+
+    expect(bus.getActivity().progress).toBe(350 / 400);
+  });
+
+  test('notifies activity subscribers only when the snapshot changes', () => {
+    const bus = new RequestEventBus();
+    const listener = jest.fn();
+    bus.subscribe(listener);
+
+    start(bus, 'req_1');
+    const snapshot = bus.getActivity();
+    bus.emit(REQUEST_EVENTS.PROGRESS, { requestId: 'missing', loaded: 1, total: 2 });
+    bus.emit(REQUEST_EVENTS.SUCCESS, { requestId: 'missing' });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(bus.getActivity()).toBe(snapshot);
+
+    bus.reset();
+    expect(listener).toHaveBeenLastCalledWith({ inFlight: 0, requests: [], progress: null });
+  });
+
+  test('keeps publishing when a listener throws', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const bus = new RequestEventBus();
+    const next = jest.fn();
+    bus.on(REQUEST_EVENTS.START, () => {
+      throw new Error('boom');
+    });
+    bus.on(REQUEST_EVENTS.START, next);
+
+    start(bus, 'req_1');
+
+    expect(next).toHaveBeenCalled();
+    expect(bus.getActivity().inFlight).toBe(1);
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Request Scheduler
+ *
+ * Throttles traffic from the API client before it reaches the network:
+ * - Caps the number of requests in flight at once
+ * - Token bucket per host limits the request rate
+ * - Queued requests run by priority (user-initiated before background),
+ *   then in arrival order
+ */
+
+import { CancelledError } from './errors';
+
+// Request priorities, highest first
+const REQUEST_PRIORITIES = {
+  USER: 'user', // Triggered by a user action (default)
+  BACKGROUND: 'background', // Polling, revalidation, prefetching
+};
+
+const PRIORITY_ORDER = {
+  [REQUEST_PRIORITIES.USER]: 0,
+  [REQUEST_PRIORITIES.BACKGROUND]: 1,
+};
+
+// Default scheduler limits
+const DEFAULT_SCHEDULER_OPTIONS = {
+  maxConcurrent: 6, // Requests in flight at once, across all hosts
+  ratePerSecond: 10, // Tokens added to each host's bucket per second
+  burst: 10, // Bucket capacity, i.e. requests a host may receive back to back
+};
+
+class RequestScheduler {
+  /**
+   * @param {Object} options - Scheduler limits (see DEFAULT_SCHEDULER_OPTIONS)
+   * @param {Function} options.now - Clock, injectable for tests
+   */
+  constructor({ now = Date.now, ...options } = {}) {
+    this.options = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+    this.now = now;
+    this.active = 0;
+    this.queue = [];
+    this.buckets = new Map();
+    this.sequence = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Change limits at runtime
+   * @param {Object} options - Partial scheduler options
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+    this.drain();
+  }
+
+  /**
+   * Wait for a slot to send a request
+   * @param {Object} request - Request details
+   * @param {string} request.host - Host the request goes to
+   * @param {string} request.priority - One of REQUEST_PRIORITIES
+   * @param {AbortSignal} request.signal - Aborts the wait (optional)
+   * @returns {Promise<{ release: Function, waited: number }>} Call `release` once the request settles
+   */
+  acquire({ host = '', priority = REQUEST_PRIORITIES.USER, signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(new CancelledError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const item = {
+        host,
+        rank: PRIORITY_ORDER[priority] ?? PRIORITY_ORDER[REQUEST_PRIORITIES.USER],
+        sequence: this.sequence++,
+        enqueuedAt: this.now(),
+        resolve,
+        reject,
+        signal
+      };
+
+      item.onAbort = () => {
+        this.queue = this.queue.filter((queued) => queued !== item);
+        reject(new CancelledError());
+      };
+      signal?.addEventListener('abort', item.onAbort, { once: true });
+
+      this.queue.push(item);
+      this.queue.sort((a, b) => a.rank - b.rank || a.sequence - b.sequence);
+      this.drain();
+    });
+  }
+
+  /**
+   * Get a host's bucket with tokens refilled up to now
+   * @param {string} host - Host name
+   * @returns {Object} `{ tokens, updatedAt }`
+   */
+  refill(host) {
+    const { ratePerSecond, burst } = this.options;
+    const now = this.now();
+    let bucket = this.buckets.get(host);
+
+    if (!bucket) {
+      bucket = { tokens: burst, updatedAt: now };
+      this.buckets.set(host, bucket);
+    } else {
+      const elapsed = (now - bucket.updatedAt) / 1000;
+      bucket.tokens = Math.min(burst, bucket.tokens + elapsed * ratePerSecond);
+      bucket.updatedAt = now;
+    }
+    return bucket;
+  }
+
+  /**
+   * Start as many queued requests as the limits allow
+   */
+  drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    let nextTokenIn = Infinity;
+    let index = 0;
+
+    while (index < this.queue.length && this.active < this.options.maxConcurrent) {
+      const item = this.queue[index];
+      const bucket = this.refill(item.host);
+
+      if (bucket.tokens < 1) {
+        // This host is rate limited; requests to other hosts may still go
+        nextTokenIn = Math.min(nextTokenIn, ((1 - bucket.tokens) / this.options.ratePerSecond) * 1000);
+        index += 1;
+        continue;
+      }
+
+      bucket.tokens -= 1;
+      this.queue.splice(index, 1);
+      this.start(item);
+    }
+
+    if (nextTokenIn !== Infinity && this.active < this.options.maxConcurrent) {
+      this.timer = setTimeout(() => this.drain(), Math.ceil(nextTokenIn));
+    }
+  }
+
+  /**
+   * Hand a slot to a queued request
+   * @param {Object} item - Queue item
+   */
+  start(item) {
+    this.active += 1;
+    item.signal?.removeEventListener('abort', item.onAbort);
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      this.active -= 1;
+      this.drain();
+    };
+
+    item.resolve({ release, waited: this.now() - item.enqueuedAt });
+  }
+
+  /**
+   * Refill every host's bucket, e.g. between tests
+   */
+  resetRateLimits() {
+    this.buckets.clear();
+    this.drain();
+  }
+
+  /**
+   * Number of requests waiting for a slot
+   * @returns {number} Queue length
+   */
+  get pending() {
+    return this.queue.length;
+  }
+}
+
+export { RequestScheduler, REQUEST_PRIORITIES, DEFAULT_SCHEDULER_OPTIONS };
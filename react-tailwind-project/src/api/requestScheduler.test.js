@@ -0,0 +1,111 @@
+/**
+ * Tests for the request scheduler
+ */
+
+import { RequestScheduler, REQUEST_PRIORITIES } from './requestScheduler';
+import { CancelledError } from './errors';
+
+// Flush pending promise callbacks
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('RequestScheduler', () => {
+  test('caps the number of concurrent requests', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 2, ratePerSecond: 100, burst: 100 });
+    const started = [];
+
+    [1, 2, 3].forEach((id) => scheduler.acquire({ host: 'api' }).then((slot) => started.push({ id, slot })));
+    await flush();
+
+    expect(started.map(({ id }) => id)).toEqual([1, 2]);
+    expect(scheduler.pending).toBe(1);
+
+    started[0].slot.release();
+    await flush();
+
+    expect(started.map(({ id }) => id)).toEqual([1, 2, 3]);
+  });
+
+  test('releasing a slot twice frees it only once', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 1, ratePerSecond: 100, burst: 100 });
+    const started = [];
+
+    [1, 2, 3].forEach((id) => scheduler.acquire().then((slot) => started.push({ id, slot })));
+    await flush();
+    started[0].slot.release();
+    started[0].slot.release();
+    await flush();
+
+    expect(started.map(({ id }) => id)).toEqual([1, 2]);
+  });
+
+  test('runs user-initiated requests before background requests', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 1, ratePerSecond: 100, burst: 100 });
+    const started = [];
+    const track = (id) => (slot) => started.push({ id, slot });
+
+    scheduler.acquire().then(track('first'));
+    scheduler.acquire({ priority: REQUEST_PRIORITIES.BACKGROUND }).then(track('poll'));
+    scheduler.acquire({ priority: REQUEST_PRIORITIES.USER }).then(track('click'));
+    await flush();
+
+    started[0].slot.release();
+    await flush();
+    started[1].slot.release();
+    await flush();
+
+    expect(started.map(({ id }) => id)).toEqual(['first', 'click', 'poll']);
+  });
+
+  describe('token bucket', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('limits the rate per host and reports the time spent waiting', async () => {
+      let now = 0;
+      const scheduler = new RequestScheduler({ maxConcurrent: 10, ratePerSecond: 2, burst: 1, now: () => now });
+      const slots = [];
+
+      scheduler.acquire({ host: 'a' }).then((slot) => slots.push(slot));
+      scheduler.acquire({ host: 'a' }).then((slot) => slots.push(slot));
+      await Promise.resolve();
+
+      expect(slots).toHaveLength(1);
+      expect(slots[0].waited).toBe(0);
+
+      now = 500;
+      jest.advanceTimersByTime(500);
+      await Promise.resolve();
+
+      expect(slots).toHaveLength(2);
+      expect(slots[1].waited).toBe(500);
+    });
+
+    test('a rate-limited host does not block other hosts', async () => {
+      const scheduler = new RequestScheduler({ maxConcurrent: 10, ratePerSecond: 1, burst: 1, now: () => 0 });
+      const hosts = [];
+
+      ['a', 'a', 'b'].forEach((host) => scheduler.acquire({ host }).then(() => hosts.push(host)));
+      await Promise.resolve();
+
+      expect(hosts).toEqual(['a', 'b']);
+      expect(scheduler.pending).toBe(1);
+    });
+  });
+
+  test('aborting a queued request removes it and rejects with CancelledError', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 1, ratePerSecond: 100, burst: 100 });
+    const controller = new AbortController();
+    await scheduler.acquire();
+
+    const waiting = scheduler.acquire({ signal: controller.signal });
+    controller.abort();
+
+    await expect(waiting).rejects.toBeInstanceOf(CancelledError);
+    expect(scheduler.pending).toBe(0);
+  });
+});
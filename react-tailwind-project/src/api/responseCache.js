@@ -0,0 +1,208 @@
+/**
+ * Response Cache for GET requests
+ *
+ * Opt-in cache used by the API client:
+ * - Keys built from method + URL + params
+ * - Per-request TTL and stale-while-revalidate window
+ * - Manual invalidation by key or key prefix
+ * - Bounded entry count with least-recently-used eviction
+ * - Callers get their own copy of JSON bodies, so changing one leaves the cache intact
+ */
+
+// Default per-request cache policy, overridden through `config.cache`
+const DEFAULT_CACHE_POLICY = {
+  ttl: 60000, // Entry is fresh for this long (ms)
+  staleWhileRevalidate: 0, // Extra time a stale entry may be served while refreshing (ms)
+};
+
+/**
+ * Serialize params with sorted keys so equal objects produce equal keys
+ * @param {any} value - Value to serialize
+ * @returns {string} Stable JSON string
+ */
+const stableStringify = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  const entries = Object.keys(value)
+    .filter((key) => value[key] !== undefined)
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+  return `{${entries.join(',')}}`;
+};
+
+/**
+ * Build the cache key for a request
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {Object} params - Query params
+ * @returns {string} Cache key, e.g. `GET /users?{"page":1}`
+ */
+export const buildCacheKey = (method, url, params) => {
+  const base = `${(method || 'get').toUpperCase()} ${url}`;
+  if (!params || Object.keys(params).length === 0) {
+    return base;
+  }
+  return `${base}?${stableStringify(params)}`;
+};
+
+/**
+ * Resolve the effective cache policy for a request
+ * Besides `ttl` and `staleWhileRevalidate`, a policy may set `key` to
+ * override the computed cache key and `revalidate` to skip the cache read
+ * and always refresh the entry from the network
+ * @param {Object|boolean|undefined} requestCache - Value of `config.cache`
+ * @param {Object} defaults - Policy to fall back to
+ * @returns {Object|null} Merged policy, or null when caching is off
+ */
+export const resolveCachePolicy = (requestCache, defaults = DEFAULT_CACHE_POLICY) => {
+  if (!requestCache) {
+    return null;
+  }
+  if (requestCache === true) {
+    return { ...defaults };
+  }
+  return { ...defaults, ...requestCache };
+};
+
+/**
+ * Copy a JSON response body
+ * @param {any} data - Response body
+ * @returns {any} Deep copy of plain objects and arrays; other values (strings,
+ *   blobs) as they are
+ */
+const copyData = (data) => {
+  const isJson = Array.isArray(data)
+    || (data !== null && typeof data === 'object' && Object.getPrototypeOf(data) === Object.prototype);
+  return isJson ? JSON.parse(JSON.stringify(data)) : data;
+};
+
+class ResponseCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEntries - Maximum number of entries kept
+   * @param {Function} options.now - Clock, injectable for tests
+   */
+  constructor({ maxEntries = 100, now = Date.now } = {}) {
+    this.maxEntries = maxEntries;
+    this.now = now;
+    // Map iteration order doubles as recency order (oldest first)
+    this.entries = new Map();
+  }
+
+  /**
+   * Look up an entry and report its freshness
+   * @param {string} key - Cache key
+   * @returns {Object|null} `{ response, age, stale, revalidating }` or null on miss/expiry
+   */
+  lookup(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    const age = this.now() - entry.storedAt;
+    if (age >= entry.ttl + entry.staleWhileRevalidate) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return {
+      response: { ...entry.response, data: copyData(entry.response.data) },
+      age,
+      stale: age >= entry.ttl,
+      revalidating: entry.revalidating
+    };
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Cache key
+   * @param {Object} response - Axios response (data, status, statusText, headers)
+   * @param {Object} policy - Resolved cache policy
+   */
+  set(key, response, policy = DEFAULT_CACHE_POLICY) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      response: {
+        data: copyData(response.data),
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+      },
+      storedAt: this.now(),
+      ttl: policy.ttl,
+      staleWhileRevalidate: policy.staleWhileRevalidate,
+      revalidating: false
+    });
+
+    // Evict least recently used entries
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  /**
+   * Flag an entry as being revalidated so only one background refresh runs
+   * @param {string} key - Cache key
+   * @param {boolean} revalidating - New flag value
+   */
+  setRevalidating(key, revalidating) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      entry.revalidating = revalidating;
+    }
+  }
+
+  /**
+   * Check whether a key is cached (fresh or stale)
+   * @param {string} key - Cache key
+   * @returns {boolean} True if an entry exists
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Remove a single entry
+   * @param {string} key - Cache key
+   */
+  invalidate(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry whose key starts with the prefix
+   * @param {string} prefix - Key prefix, e.g. `GET /users`
+   */
+  invalidatePrefix(prefix) {
+    Array.from(this.entries.keys())
+      .filter((key) => key.startsWith(prefix))
+      .forEach((key) => this.entries.delete(key));
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Number of cached entries
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+export { ResponseCache, DEFAULT_CACHE_POLICY };
@@ -0,0 +1,126 @@
+/**
+ * Tests for the GET response cache
+ * Covers key building, freshness, invalidation and LRU eviction
+ */
+
+import {
+  ResponseCache,
+  DEFAULT_CACHE_POLICY,
+  buildCacheKey,
+  resolveCachePolicy
+} from './responseCache';
+
+// Helper to build a minimal axios-like response
+const createResponse = (data) => ({ data, status: 200, statusText: 'OK', headers: {} });
+
+// Controllable clock for freshness tests
+const createClock = (start = 1000) => {
+  let current = start;
+  const clock = () => current;
+  clock.advance = (ms) => {
+    current += ms;
+  };
+  return clock;
+};
+
+describe('responseCache', () => {
+
+  describe('buildCacheKey', () => {
+    test('combines method and URL', () => {
+      expect(buildCacheKey('get', '/users')).toBe('GET /users');
+    });
+
+    test('includes params independent of key order', () => {
+      const a = buildCacheKey('get', '/users', { page: 2, sort: 'name' });
+      const b = buildCacheKey('get', '/users', { sort: 'name', page: 2 });
+      expect(a).toBe(b);
+      expect(a).toBe('GET /users?{"page":2,"sort":"name"}');
+    });
+
+    test('ignores empty and undefined params', () => {
+      expect(buildCacheKey('get', '/users', {})).toBe('GET /users');
+      expect(buildCacheKey('get', '/users', { page: undefined, q: 'x' })).toBe('GET /users?{"q":"x"}');
+    });
+  });
+
+  describe('resolveCachePolicy', () => {
+    test('is off unless opted in', () => {
+      expect(resolveCachePolicy(undefined)).toBeNull();
+      expect(resolveCachePolicy(false)).toBeNull();
+    });
+
+    test('uses defaults for `true` and merges overrides', () => {
+      expect(resolveCachePolicy(true)).toEqual(DEFAULT_CACHE_POLICY);
+      expect(resolveCachePolicy({ ttl: 5 })).toEqual({ ...DEFAULT_CACHE_POLICY, ttl: 5 });
+    });
+  });
+
+  describe('ResponseCache', () => {
+    test('returns fresh entries with their age', () => {
+      const clock = createClock();
+      const cache = new ResponseCache({ now: clock });
+      cache.set('GET /users', createResponse([1]), { ttl: 100, staleWhileRevalidate: 0 });
+
+      clock.advance(40);
+      const hit = cache.lookup('GET /users');
+
+      expect(hit.response.data).toEqual([1]);
+      expect(hit.age).toBe(40);
+      expect(hit.stale).toBe(false);
+    });
+
+    test('serves stale entries inside the stale-while-revalidate window', () => {
+      const clock = createClock();
+      const cache = new ResponseCache({ now: clock });
+      cache.set('GET /users', createResponse([1]), { ttl: 100, staleWhileRevalidate: 100 });
+
+      clock.advance(150);
+      expect(cache.lookup('GET /users').stale).toBe(true);
+
+      clock.advance(50);
+      expect(cache.lookup('GET /users')).toBeNull();
+      expect(cache.has('GET /users')).toBe(false);
+    });
+
+    test('tracks revalidation in progress', () => {
+      const cache = new ResponseCache();
+      cache.set('GET /users', createResponse([1]));
+      cache.setRevalidating('GET /users', true);
+      expect(cache.lookup('GET /users').revalidating).toBe(true);
+    });
+
+    test('invalidates by key and by prefix', () => {
+      const cache = new ResponseCache();
+      cache.set('GET /users', createResponse([]));
+      cache.set('GET /users?{"page":2}', createResponse([]));
+      cache.set('GET /posts', createResponse([]));
+
+      cache.invalidate('GET /posts');
+      expect(cache.has('GET /posts')).toBe(false);
+
+      cache.invalidatePrefix('GET /users');
+      expect(cache.size).toBe(0);
+    });
+
+    test('evicts the least recently used entry when full', () => {
+      const cache = new ResponseCache({ maxEntries: 2 });
+      cache.set('a', createResponse('a'));
+      cache.set('b', createResponse('b'));
+
+      // Touch "a" so "b" becomes the least recently used
+      cache.lookup('a');
+      cache.set('c', createResponse('c'));
+
+      expect(cache.has('a')).toBe(true);
+      expect(cache.has('b')).toBe(false);
+      expect(cache.has('c')).toBe(true);
+    });
+
+    test('clears all entries', () => {
+      const cache = new ResponseCache();
+      cache.set('a', createResponse('a'));
+      cache.clear();
+      expect(cache.size).toBe(0);
+    });
+  });
+});
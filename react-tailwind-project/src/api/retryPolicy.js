@@ -0,0 +1,158 @@
+/**
+ * Retry Policy for the API client
+ *
+ * Decides whether a failed request should be retried and how long to wait:
+ * - Configurable maximum number of attempts
+ * - Exponential backoff with full jitter
+ * - Honors the Retry-After response header (seconds or HTTP date) in full; a
+ *   request asked to wait longer than `maxRetryAfter` fails instead of retrying
+ * - Only idempotent methods are retried by default
+ */
+
+// Default retry policy, can be overridden per request through `config.retry`
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3, // Total attempts including the first one
+  baseDelay: 300, // Delay before the first retry (ms)
+  maxDelay: 10000, // Upper bound for a single backoff delay (ms)
+  maxRetryAfter: null, // Longest Retry-After worth waiting for (ms), null for any
+  factor: 2, // Exponential growth factor
+  jitter: true, // Randomize delays to avoid thundering herds
+  methods: ['get', 'head', 'options', 'put', 'delete'],
+  statusCodes: [408, 429, 500, 502, 503, 504],
+};
+
+/**
+ * Resolve the effective retry policy for a request
+ * @param {Object|boolean|undefined} requestRetry - Value of `config.retry`
+ * @param {Object} defaults - Policy to fall back to
+ * @returns {Object|null} Merged policy, or null when retries are disabled
+ */
+export const resolveRetryPolicy = (requestRetry, defaults = DEFAULT_RETRY_POLICY) => {
+  if (requestRetry === false) {
+    return null;
+  }
+  if (typeof requestRetry === 'number') {
+    return { ...defaults, maxAttempts: requestRetry };
+  }
+  return { ...defaults, ...(requestRetry || {}) };
+};
+
+/**
+ * Parse a Retry-After header value into milliseconds
+ * @param {string|number|undefined} value - Header value (delta-seconds or HTTP date)
+ * @param {number} now - Current timestamp, injectable for tests
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - now);
+};
+
+/**
+ * Whether the server asks for a longer wait than the policy accepts
+ * @param {Object} error - Axios error, used to read Retry-After
+ * @param {Object} policy - Resolved retry policy
+ * @returns {boolean} True when Retry-After is beyond `maxRetryAfter`
+ */
+export const exceedsMaxRetryAfter = (error, policy) => {
+  if (policy.maxRetryAfter === null || policy.maxRetryAfter === undefined) {
+    return false;
+  }
+  const retryAfter = parseRetryAfter(error?.response?.headers?.['retry-after']);
+  return retryAfter !== null && retryAfter > policy.maxRetryAfter;
+};
+
+/**
+ * Determine whether a failed request is eligible for another attempt
+ * @param {Object} error - Axios error
+ * @param {Object} policy - Resolved retry policy
+ * @param {number} attempt - Number of attempts already made
+ * @returns {boolean} True if the request should be retried
+ */
+export const shouldRetry = (error, policy, attempt) => {
+  if (!policy || !error.config || attempt >= policy.maxAttempts) {
+    return false;
+  }
+
+  // Never retry requests the caller cancelled
+  if (error.code === 'ERR_CANCELED') {
+    return false;
+  }
+
+  const method = (error.config.method || 'get').toLowerCase();
+  if (!policy.methods.includes(method)) {
+    return false;
+  }
+
+  // Timeouts and network failures have no response
+  if (!error.response) {
+    return true;
+  }
+
+  return policy.statusCodes.includes(error.response.status) && !exceedsMaxRetryAfter(error, policy);
+};
+
+/**
+ * Compute the delay before the next attempt
+ * @param {number} attempt - Number of attempts already made (1 for the first retry)
+ * @param {Object} policy - Resolved retry policy
+ * @param {Object} error - Axios error, used to read Retry-After
+ * @param {Function} random - Random source in [0, 1), injectable for tests
+ * @returns {number} Delay in milliseconds
+ */
+export const computeRetryDelay = (attempt, policy, error, random = Math.random) => {
+  const retryAfter = parseRetryAfter(error?.response?.headers?.['retry-after']);
+  // The server knows when it can take the request again, maxDelay only bounds our own guesses
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+
+  const exponential = Math.min(
+    policy.maxDelay,
+    policy.baseDelay * Math.pow(policy.factor, attempt - 1)
+  );
+
+  // Full jitter: pick a delay uniformly between 0 and the exponential cap
+  return policy.jitter ? Math.round(random() * exponential) : exponential;
+};
+
+/**
+ * Wait for the given delay, rejecting early if the request is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal of the request
+ * @returns {Promise<void>} Resolves after the delay
+ */
+export const waitForRetry = (ms, signal) => new Promise((resolve, reject) => {
+  const abortReason = () => signal.reason || new Error('Request was aborted during retry backoff');
+
+  if (signal?.aborted) {
+    reject(abortReason());
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timeoutId);
+    reject(abortReason());
+  };
+
+  const timeoutId = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+export { DEFAULT_RETRY_POLICY };
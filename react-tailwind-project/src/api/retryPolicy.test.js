@@ -0,0 +1,161 @@
+/**
+ * Tests for the API retry policy
+ * Covers eligibility rules, backoff computation and Retry-After parsing
+ */
+
+import {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  parseRetryAfter,
+  shouldRetry,
+  exceedsMaxRetryAfter,
+  computeRetryDelay,
+  waitForRetry
+} from './retryPolicy';
+
+// Helper to build an axios-like error
+const createError = ({ method = 'get', status, code, headers = {} } = {}) => ({
+  code,
+  config: { method },
+  response: status ? { status, headers } : undefined
+});
+
+describe('retryPolicy', () => {
+
+  describe('resolveRetryPolicy', () => {
+    test('returns defaults when no override is given', () => {
+      expect(resolveRetryPolicy(undefined)).toEqual(DEFAULT_RETRY_POLICY);
+    });
+
+    test('returns null when retries are disabled', () => {
+      expect(resolveRetryPolicy(false)).toBeNull();
+    });
+
+    test('accepts a number as maxAttempts shorthand', () => {
+      expect(resolveRetryPolicy(5).maxAttempts).toBe(5);
+    });
+
+    test('merges partial overrides', () => {
+      const policy = resolveRetryPolicy({ baseDelay: 50 });
+      expect(policy.baseDelay).toBe(50);
+      expect(policy.maxAttempts).toBe(DEFAULT_RETRY_POLICY.maxAttempts);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    test('parses delta-seconds', () => {
+      expect(parseRetryAfter('2')).toBe(2000);
+      expect(parseRetryAfter(0)).toBe(0);
+    });
+
+    test('parses HTTP dates relative to now', () => {
+      const now = Date.parse('2024-01-01T00:00:00Z');
+      expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:05 GMT', now)).toBe(5000);
+    });
+
+    test('returns null for missing or invalid values', () => {
+      expect(parseRetryAfter(undefined)).toBeNull();
+      expect(parseRetryAfter('')).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+  });
+
+  describe('shouldRetry', () => {
+    const policy = resolveRetryPolicy();
+
+    test('retries network errors and timeouts on idempotent methods', () => {
+      expect(shouldRetry(createError(), policy, 1)).toBe(true);
+      expect(shouldRetry(createError({ code: 'ECONNABORTED' }), policy, 1)).toBe(true);
+    });
+
+    test('retries retryable status codes', () => {
+      expect(shouldRetry(createError({ status: 503 }), policy, 1)).toBe(true);
+      expect(shouldRetry(createError({ status: 429 }), policy, 1)).toBe(true);
+    });
+
+    test('does not retry client errors', () => {
+      expect(shouldRetry(createError({ status: 400 }), policy, 1)).toBe(false);
+      expect(shouldRetry(createError({ status: 404 }), policy, 1)).toBe(false);
+    });
+
+    test('does not retry non-idempotent methods by default', () => {
+      expect(shouldRetry(createError({ method: 'post', status: 503 }), policy, 1)).toBe(false);
+      expect(shouldRetry(createError({ method: 'patch' }), policy, 1)).toBe(false);
+    });
+
+    test('allows opting non-idempotent methods in', () => {
+      const postPolicy = resolveRetryPolicy({ methods: ['post'] });
+      expect(shouldRetry(createError({ method: 'post', status: 503 }), postPolicy, 1)).toBe(true);
+    });
+
+    test('does not retry cancelled requests', () => {
+      expect(shouldRetry(createError({ code: 'ERR_CANCELED' }), policy, 1)).toBe(false);
+    });
+
+    test('stops once maxAttempts is reached', () => {
+      expect(shouldRetry(createError({ status: 500 }), policy, policy.maxAttempts)).toBe(false);
+    });
+
+    test('does not retry when Retry-After is beyond maxRetryAfter', () => {
+      const cappedPolicy = resolveRetryPolicy({ maxRetryAfter: 30000 });
+      const longError = createError({ status: 429, headers: { 'retry-after': '60' } });
+      const shortError = createError({ status: 503, headers: { 'retry-after': '5' } });
+
+      expect(shouldRetry(longError, policy, 1)).toBe(true);
+      expect(shouldRetry(longError, cappedPolicy, 1)).toBe(false);
+      expect(shouldRetry(shortError, cappedPolicy, 1)).toBe(true);
+      expect(exceedsMaxRetryAfter(createError({ status: 503 }), cappedPolicy)).toBe(false);
+    });
+
+    test('does not retry when the policy is disabled', () => {
+      expect(shouldRetry(createError({ status: 500 }), null, 1)).toBe(false);
+    });
+  });
+
+  describe('computeRetryDelay', () => {
+    const policy = resolveRetryPolicy({ baseDelay: 100, maxDelay: 1000, jitter: false });
+
+    test('grows exponentially without jitter', () => {
+      expect(computeRetryDelay(1, policy, createError())).toBe(100);
+      expect(computeRetryDelay(2, policy, createError())).toBe(200);
+      expect(computeRetryDelay(3, policy, createError())).toBe(400);
+    });
+
+    test('is capped at maxDelay', () => {
+      expect(computeRetryDelay(10, policy, createError())).toBe(1000);
+    });
+
+    test('applies full jitter using the random source', () => {
+      const jittered = { ...policy, jitter: true };
+      expect(computeRetryDelay(3, jittered, createError(), () => 0.5)).toBe(200);
+      expect(computeRetryDelay(3, jittered, createError(), () => 0)).toBe(0);
+    });
+
+    test('waits the full Retry-After, even beyond maxDelay', () => {
+      const error = createError({ status: 503, headers: { 'retry-after': '0.5' } });
+      expect(computeRetryDelay(1, policy, error)).toBe(500);
+
+      const longError = createError({ status: 429, headers: { 'retry-after': '60' } });
+      expect(computeRetryDelay(1, policy, longError)).toBe(60000);
+    });
+  });
+
+  describe('waitForRetry', () => {
+    test('resolves after the delay', async () => {
+      await expect(waitForRetry(1)).resolves.toBeUndefined();
+    });
+
+    test('rejects when the signal aborts', async () => {
+      const controller = new AbortController();
+      const waiting = waitForRetry(10000, controller.signal);
+      controller.abort();
+      await expect(waiting).rejects.toBeDefined();
+    });
+
+    test('rejects immediately for an already aborted signal', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      await expect(waitForRetry(10000, controller.signal)).rejects.toBeDefined();
+    });
+  });
+});
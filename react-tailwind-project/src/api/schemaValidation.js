@@ -0,0 +1,103 @@
+/**
+ * Schema Validation
+ *
+ * Yup validation shared by endpoint definitions (inputs) and the response
+ * interceptor (`responseSchema` on a request):
+ * - Every failing path is collected into a SchemaError
+ * - Optional coercion (`"3"` -> `3`) and stripping of unknown fields
+ * - Response validation modes: strict (reject), warn (log and continue), off
+ */
+
+import * as Yup from 'yup';
+import { SchemaError } from './errors';
+
+// What happens when a response doesn't match its schema
+const VALIDATION_MODES = {
+  STRICT: 'strict', // Reject with a SchemaError
+  WARN: 'warn', // Log the mismatch and return the response unchanged
+  OFF: 'off', // Don't validate
+};
+
+// Mode per environment; strict where a mismatch should be fixed before release
+const DEFAULT_VALIDATION_MODES = {
+  development: VALIDATION_MODES.STRICT,
+  test: VALIDATION_MODES.STRICT,
+  production: VALIDATION_MODES.OFF,
+};
+
+/**
+ * Resolve the response validation mode for an environment
+ * @param {string} env - NODE_ENV value
+ * @param {string} override - Explicit mode (e.g. REACT_APP_RESPONSE_VALIDATION), wins when valid
+ * @returns {string} One of VALIDATION_MODES
+ */
+export const resolveValidationMode = (env = process.env.NODE_ENV, override) => {
+  if (Object.values(VALIDATION_MODES).includes(override)) {
+    return override;
+  }
+  return DEFAULT_VALIDATION_MODES[env] || VALIDATION_MODES.OFF;
+};
+
+// Default response validation policy, can be overridden per request through `config.responseValidation`
+const DEFAULT_VALIDATION_POLICY = {
+  mode: resolveValidationMode(),
+  coerce: false, // Return the cast value (`"3"` -> `3`) instead of requiring exact types
+  stripUnknown: false, // Drop fields the schema doesn't declare
+};
+
+/**
+ * Resolve the effective validation policy for a request
+ * @param {Object|string|boolean|undefined} requestValidation - Value of `config.responseValidation`
+ * @param {Object} defaults - Policy to fall back to
+ * @returns {Object} Merged policy
+ */
+export const resolveValidationPolicy = (requestValidation, defaults = DEFAULT_VALIDATION_POLICY) => {
+  if (requestValidation === false) {
+    return { ...defaults, mode: VALIDATION_MODES.OFF };
+  }
+  if (typeof requestValidation === 'string') {
+    return { ...defaults, mode: requestValidation };
+  }
+  return { ...defaults, ...(requestValidation || {}) };
+};
+
+/**
+ * Convert a Yup validation error into messages keyed by field path
+ * @param {Yup.ValidationError} error - Error from `validateSync(..., { abortEarly: false })`
+ * @returns {Object<string, string[]>} Messages keyed by field path (`''` for the root value)
+ */
+export const collectSchemaErrors = (error) => {
+  const inner = error.inner?.length ? error.inner : [error];
+  return inner.reduce((fieldErrors, item) => {
+    const path = item.path || '';
+    fieldErrors[path] = [...(fieldErrors[path] || []), ...item.errors];
+    return fieldErrors;
+  }, {});
+};
+
+/**
+ * Validate a value against a schema
+ * @param {Yup.Schema} schema - Yup schema
+ * @param {any} value - Value to check
+ * @param {Object} details - SchemaError details (`endpoint`, `target`, request tracking data)
+ * @param {Object} options - `{ coerce, stripUnknown }`
+ * @returns {any} The value, cast by the schema when coercing or stripping
+ */
+export const validateSchema = (schema, value, details, { coerce = true, stripUnknown = false } = {}) => {
+  try {
+    if (coerce) {
+      return schema.validateSync(value, { abortEarly: false, stripUnknown });
+    }
+
+    // Exact types first, then only drop unknown fields
+    schema.validateSync(value, { abortEarly: false, strict: true });
+    return stripUnknown ? schema.cast(value, { stripUnknown: true }) : value;
+  } catch (error) {
+    if (!Yup.ValidationError.isError(error)) {
+      throw error;
+    }
+    throw new SchemaError({ ...details, fieldErrors: collectSchemaErrors(error), cause: error });
+  }
+};
+
+export { VALIDATION_MODES, DEFAULT_VALIDATION_POLICY };
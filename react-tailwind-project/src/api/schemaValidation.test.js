@@ -0,0 +1,74 @@
+/**
+ * Tests for Yup schema validation helpers and response validation policies
+ */
+
+import * as Yup from 'yup';
+import {
+  VALIDATION_MODES,
+  resolveValidationMode,
+  resolveValidationPolicy,
+  validateSchema,
+  collectSchemaErrors
+} from './schemaValidation';
+import { SchemaError } from './errors';
+
+const schema = Yup.object({
+  id: Yup.number().required(),
+  profile: Yup.object({ email: Yup.string().email().required() }),
+});
+
+const details = { endpoint: 'GET /users/1', target: 'response' };
+
+describe('schemaValidation', () => {
+  test('picks the mode per environment unless overridden', () => {
+    expect(resolveValidationMode('development')).toBe(VALIDATION_MODES.STRICT);
+    expect(resolveValidationMode('test')).toBe(VALIDATION_MODES.STRICT);
+    expect(resolveValidationMode('production')).toBe(VALIDATION_MODES.OFF);
+    expect(resolveValidationMode('production', 'warn')).toBe(VALIDATION_MODES.WARN);
+    expect(resolveValidationMode('development', 'loud')).toBe(VALIDATION_MODES.STRICT);
+  });
+
+  test('merges per-request overrides into the client policy', () => {
+    const defaults = { mode: VALIDATION_MODES.STRICT, coerce: false, stripUnknown: false };
+
+    expect(resolveValidationPolicy(undefined, defaults)).toEqual(defaults);
+    expect(resolveValidationPolicy(false, defaults).mode).toBe(VALIDATION_MODES.OFF);
+    expect(resolveValidationPolicy('warn', defaults).mode).toBe(VALIDATION_MODES.WARN);
+    expect(resolveValidationPolicy({ coerce: true }, defaults)).toEqual({ ...defaults, coerce: true });
+  });
+
+  test('collects every failing path into a SchemaError', () => {
+    const error = (() => {
+      try {
+        return validateSchema(schema, { id: 'abc', profile: { email: 'nope' } }, details);
+      } catch (thrown) {
+        return thrown;
+      }
+    })();
+
+    expect(error).toBeInstanceOf(SchemaError);
+    expect(error).toMatchObject(details);
+    expect(Object.keys(error.fieldErrors).sort()).toEqual(['id', 'profile.email']);
+    expect(error.message).toContain('profile.email: profile.email must be a valid email');
+  });
+
+  test('requires exact types unless coercing', () => {
+    const value = { id: '7', profile: { email: 'a@example.com' } };
+
+    expect(() => validateSchema(schema, value, details, { coerce: false })).toThrow(SchemaError);
+    expect(validateSchema(schema, value, details, { coerce: true })).toEqual({ ...value, id: 7 });
+  });
+
+  test('strips unknown fields when asked', () => {
+    const value = { id: 7, secret: 'x', profile: { email: 'a@example.com', extra: true } };
+
+    expect(validateSchema(schema, value, details, { coerce: false })).toBe(value);
+    expect(validateSchema(schema, value, details, { coerce: false, stripUnknown: true }))
+      .toEqual({ id: 7, profile: { email: 'a@example.com' } });
+  });
+
+  test('keys root-level failures by an empty path', () => {
+    const error = new Yup.ValidationError('this must be an array', null, '');
+    expect(collectSchemaErrors(error)).toEqual({ '': ['this must be an array'] });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Token Stores for the API client
+ *
+ * Every store implements the same interface:
+ * - get()  -> { accessToken, refreshToken }
+ * - set({ accessToken, refreshToken }) -> stores a new pair (refresh token kept if omitted)
+ * - clear() -> removes both tokens
+ * - subscribe(listener) -> calls listener(tokens) on every change, returns unsubscribe
+ * - destroy() -> releases cross-tab listeners
+ *
+ * Implementations:
+ * - Memory: tokens live only in this tab and vanish on reload
+ * - localStorage: shared by all tabs, synced through the `storage` event
+ * - sessionStorage: scoped to one tab, logout is broadcast to the other tabs
+ */
+
+// Default storage keys for the token pair
+const TOKEN_STORAGE_KEYS = {
+  ACCESS_TOKEN: 'authToken',
+  REFRESH_TOKEN: 'refreshToken',
+};
+
+// BroadcastChannel used to propagate logout between tabs
+const TOKEN_SYNC_CHANNEL = 'api-auth-tokens';
+
+/**
+ * Create a listener registry
+ * @returns {Object} Registry with add/notify
+ */
+const createListeners = () => {
+  const listeners = new Set();
+  return {
+    add(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+    notify(tokens) {
+      listeners.forEach((listener) => listener(tokens));
+    }
+  };
+};
+
+/**
+ * Create an in-memory token store
+ * @param {Object} initialTokens - Optional initial token pair
+ * @returns {Object} Token store
+ */
+export const createMemoryTokenStore = (initialTokens = {}) => {
+  let tokens = {
+    accessToken: initialTokens.accessToken ?? null,
+    refreshToken: initialTokens.refreshToken ?? null
+  };
+  const listeners = createListeners();
+
+  return {
+    get: () => ({ ...tokens }),
+    set({ accessToken, refreshToken }) {
+      tokens = {
+        accessToken: accessToken ?? null,
+        refreshToken: refreshToken ?? tokens.refreshToken
+      };
+      listeners.notify({ ...tokens });
+    },
+    clear() {
+      tokens = { accessToken: null, refreshToken: null };
+      listeners.notify({ ...tokens });
+    },
+    subscribe: listeners.add,
+    destroy: () => {}
+  };
+};
+
+/**
+ * Create a token store backed by a Web Storage object
+ * @param {Storage} storage - localStorage or sessionStorage
+ * @param {Object} keys - Storage keys for the token pair
+ * @returns {Object} Token store plus a `notify` hook for sync handlers
+ */
+const createStorageTokenStore = (storage, keys) => {
+  const listeners = createListeners();
+
+  const store = {
+    get: () => ({
+      accessToken: storage.getItem(keys.ACCESS_TOKEN),
+      refreshToken: storage.getItem(keys.REFRESH_TOKEN)
+    }),
+    set({ accessToken, refreshToken }) {
+      // Storage turns null into the string "null", which would pass for a token
+      if (accessToken === null || accessToken === undefined) {
+        storage.removeItem(keys.ACCESS_TOKEN);
+      } else {
+        storage.setItem(keys.ACCESS_TOKEN, accessToken);
+      }
+      if (refreshToken) {
+        storage.setItem(keys.REFRESH_TOKEN, refreshToken);
+      }
+      listeners.notify(store.get());
+    },
+    clear() {
+      storage.removeItem(keys.ACCESS_TOKEN);
+      storage.removeItem(keys.REFRESH_TOKEN);
+      listeners.notify(store.get());
+    },
+    subscribe: listeners.add,
+    destroy: () => {}
+  };
+
+  return { store, notify: () => listeners.notify(store.get()) };
+};
+
+/**
+ * Create a localStorage token store
+ * Other tabs pick up changes through the native `storage` event
+ * @param {Object} options - Store options
+ * @param {Object} options.keys - Storage keys for the token pair
+ * @param {boolean} options.syncAcrossTabs - Listen for changes made in other tabs
+ * @returns {Object} Token store
+ */
+export const createLocalStorageTokenStore = ({
+  keys = TOKEN_STORAGE_KEYS,
+  syncAcrossTabs = true
+} = {}) => {
+  const { store, notify } = createStorageTokenStore(window.localStorage, keys);
+
+  if (!syncAcrossTabs) {
+    return store;
+  }
+
+  // A null key means another tab called localStorage.clear()
+  const handleStorage = (event) => {
+    if (event.storageArea !== window.localStorage) return;
+    if (event.key === null || Object.values(keys).includes(event.key)) {
+      notify();
+    }
+  };
+
+  window.addEventListener('storage', handleStorage);
+  store.destroy = () => window.removeEventListener('storage', handleStorage);
+  return store;
+};
+
+/**
+ * Create a sessionStorage token store
+ * Tokens stay scoped to one tab, but clearing them is broadcast so a
+ * logout in one tab logs out the others
+ * @param {Object} options - Store options
+ * @param {Object} options.keys - Storage keys for the token pair
+ * @param {boolean} options.syncAcrossTabs - Broadcast and apply logouts
+ * @param {string} options.channelName - BroadcastChannel name
+ * @returns {Object} Token store
+ */
+export const createSessionStorageTokenStore = ({
+  keys = TOKEN_STORAGE_KEYS,
+  syncAcrossTabs = true,
+  channelName = TOKEN_SYNC_CHANNEL
+} = {}) => {
+  const { store } = createStorageTokenStore(window.sessionStorage, keys);
+
+  if (!syncAcrossTabs || typeof BroadcastChannel === 'undefined') {
+    return store;
+  }
+
+  const channel = new BroadcastChannel(channelName);
+  const clearLocally = store.clear;
+
+  channel.onmessage = (event) => {
+    if (event.data?.type === 'clear') {
+      clearLocally();
+    }
+  };
+
+  store.clear = () => {
+    clearLocally();
+    channel.postMessage({ type: 'clear' });
+  };
+  store.destroy = () => channel.close();
+  return store;
+};
+
+export { TOKEN_STORAGE_KEYS, TOKEN_SYNC_CHANNEL };
@@ -0,0 +1,182 @@
+/**
+ * Tests for the pluggable token stores
+ * Covers the shared interface and cross-tab synchronization
+ */
+
+import {
+  createMemoryTokenStore,
+  createLocalStorageTokenStore,
+  createSessionStorageTokenStore,
+  TOKEN_STORAGE_KEYS
+} from './tokenStore';
+
+// Minimal in-process BroadcastChannel: messages reach other instances with the same name
+class FakeBroadcastChannel {
+  static instances = [];
+
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeBroadcastChannel.instances.push(this);
+  }
+
+  postMessage(data) {
+    FakeBroadcastChannel.instances
+      .filter((channel) => channel !== this && channel.name === this.name)
+      .forEach((channel) => channel.onmessage?.({ data }));
+  }
+
+  close() {
+    FakeBroadcastChannel.instances = FakeBroadcastChannel.instances.filter((channel) => channel !== this);
+  }
+}
+
+// Shared interface tests run against every implementation
+const implementations = [
+  ['memory', () => createMemoryTokenStore()],
+  ['localStorage', () => createLocalStorageTokenStore({ syncAcrossTabs: false })],
+  ['sessionStorage', () => createSessionStorageTokenStore({ syncAcrossTabs: false })]
+];
+
+describe('tokenStore', () => {
+
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+  });
+
+  describe.each(implementations)('%s store', (name, createStore) => {
+    test('starts empty', () => {
+      expect(createStore().get()).toEqual({ accessToken: null, refreshToken: null });
+    });
+
+    test('stores and returns a token pair', () => {
+      const store = createStore();
+      store.set({ accessToken: 'access', refreshToken: 'refresh' });
+      expect(store.get()).toEqual({ accessToken: 'access', refreshToken: 'refresh' });
+    });
+
+    test('keeps the refresh token when only the access token changes', () => {
+      const store = createStore();
+      store.set({ accessToken: 'access', refreshToken: 'refresh' });
+      store.set({ accessToken: 'access-2' });
+      expect(store.get()).toEqual({ accessToken: 'access-2', refreshToken: 'refresh' });
+    });
+
+    test('drops the access token when set to null or left out', () => {
+      const store = createStore();
+      store.set({ accessToken: 'access', refreshToken: 'refresh' });
+      store.set({ accessToken: null });
+      expect(store.get()).toEqual({ accessToken: null, refreshToken: 'refresh' });
+
+      store.set({ accessToken: 'access-2' });
+      store.set({ refreshToken: 'refresh-2' });
+      expect(store.get()).toEqual({ accessToken: null, refreshToken: 'refresh-2' });
+    });
+
+    test('clears both tokens', () => {
+      const store = createStore();
+      store.set({ accessToken: 'access', refreshToken: 'refresh' });
+      store.clear();
+      expect(store.get()).toEqual({ accessToken: null, refreshToken: null });
+    });
+
+    test('notifies subscribers until they unsubscribe', () => {
+      const store = createStore();
+      const listener = jest.fn();
+      const unsubscribe = store.subscribe(listener);
+
+      store.set({ accessToken: 'access', refreshToken: 'refresh' });
+      expect(listener).toHaveBeenLastCalledWith({ accessToken: 'access', refreshToken: 'refresh' });
+
+      unsubscribe();
+      store.clear();
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('storage-backed persistence', () => {
+    test('localStorage store uses the default keys', () => {
+      createLocalStorageTokenStore({ syncAcrossTabs: false }).set({ accessToken: 'a', refreshToken: 'r' });
+      expect(localStorage.getItem(TOKEN_STORAGE_KEYS.ACCESS_TOKEN)).toBe('a');
+      expect(localStorage.getItem(TOKEN_STORAGE_KEYS.REFRESH_TOKEN)).toBe('r');
+    });
+
+    test('supports custom keys', () => {
+      const keys = { ACCESS_TOKEN: 'my_access', REFRESH_TOKEN: 'my_refresh' };
+      createSessionStorageTokenStore({ keys, syncAcrossTabs: false }).set({ accessToken: 'a', refreshToken: 'r' });
+      expect(sessionStorage.getItem('my_access')).toBe('a');
+      expect(sessionStorage.getItem('my_refresh')).toBe('r');
+    });
+  });
+
+  describe('cross-tab sync', () => {
+    test('localStorage store notifies subscribers on storage events from other tabs', () => {
+      const store = createLocalStorageTokenStore();
+      const listener = jest.fn();
+      store.subscribe(listener);
+
+      // Simulate another tab logging out
+      localStorage.setItem(TOKEN_STORAGE_KEYS.ACCESS_TOKEN, 'a');
+      localStorage.removeItem(TOKEN_STORAGE_KEYS.ACCESS_TOKEN);
+      window.dispatchEvent(new StorageEvent('storage', {
+        key: TOKEN_STORAGE_KEYS.ACCESS_TOKEN,
+        storageArea: localStorage
+      }));
+
+      expect(listener).toHaveBeenCalledWith({ accessToken: null, refreshToken: null });
+      store.destroy();
+    });
+
+    test('localStorage store ignores unrelated keys', () => {
+      const store = createLocalStorageTokenStore();
+      const listener = jest.fn();
+      store.subscribe(listener);
+
+      window.dispatchEvent(new StorageEvent('storage', { key: 'theme', storageArea: localStorage }));
+
+      expect(listener).not.toHaveBeenCalled();
+      store.destroy();
+    });
+
+    describe('sessionStorage store', () => {
+      const originalBroadcastChannel = global.BroadcastChannel;
+
+      beforeEach(() => {
+        global.BroadcastChannel = FakeBroadcastChannel;
+      });
+
+      afterEach(() => {
+        global.BroadcastChannel = originalBroadcastChannel;
+        FakeBroadcastChannel.instances = [];
+      });
+
+      test('logging out in one tab clears the others', () => {
+        const tabA = createSessionStorageTokenStore();
+        const tabB = createSessionStorageTokenStore();
+        const listener = jest.fn();
+        tabB.subscribe(listener);
+        tabA.set({ accessToken: 'a', refreshToken: 'r' });
+
+        tabA.clear();
+
+        expect(listener).toHaveBeenLastCalledWith({ accessToken: null, refreshToken: null });
+        tabA.destroy();
+        tabB.destroy();
+      });
+
+      test('does not copy new tokens into other tabs', () => {
+        const tabA = createSessionStorageTokenStore();
+        const tabB = createSessionStorageTokenStore();
+        const listener = jest.fn();
+        tabB.subscribe(listener);
+
+        tabA.set({ accessToken: 'a', refreshToken: 'r' });
+
+        expect(listener).not.toHaveBeenCalled();
+        tabA.destroy();
+        tabB.destroy();
+      });
+    });
+  });
+});
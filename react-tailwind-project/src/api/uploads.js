@@ -0,0 +1,323 @@
+/**
+ * File Uploads
+ *
+ * Helpers behind the client's `upload` method:
+ * - Multipart uploads: one `multipart/form-data` POST with progress
+ * - Chunked resumable uploads: the file is sent in fixed-size chunks to an
+ *   upload session, and a failed chunk resumes from the offset the server
+ *   reports instead of starting over
+ *
+ * Resumable protocol (relative to the upload URL):
+ * - `POST {url}` with `{ fileName, size, type }` -> `{ uploadId }`
+ * - `GET {url}/{uploadId}` -> `{ offset }` (bytes the server has stored)
+ * - `PUT {url}/{uploadId}` with the chunk and `Content-Range: bytes start-end/size`
+ *   -> `{ offset, complete }`, 409 with `{ offset }` when `start` is not the server offset
+ *
+ * Upload IDs are remembered per file so uploading the same file again, even
+ * after a reload, continues the unfinished session.
+ */
+
+import axios from 'axios';
+import { ApiError, ERROR_CODES, normalizeApiError } from './errors';
+import { DEFAULT_RETRY_POLICY, computeRetryDelay, exceedsMaxRetryAfter, waitForRetry } from './retryPolicy';
+
+// Default chunk size for resumable uploads (5 MB)
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+
+// Content type of chunk bodies
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+const DEFAULT_STORAGE_KEY = 'api_upload_sessions';
+
+/**
+ * Identify a file across page loads
+ * @param {File|Blob} file - File being uploaded
+ * @param {string} url - Upload URL, so the same file can go to several endpoints
+ * @returns {string} Fingerprint, e.g. `/uploads|report.pdf|1024|1700000000000`
+ */
+export const getFileFingerprint = (file, url) => (
+  [url, file.name || 'blob', file.size, file.lastModified || 0].join('|')
+);
+
+/**
+ * Build the Content-Range header of a chunk
+ * @param {number} start - First byte of the chunk
+ * @param {number} end - Byte after the last byte of the chunk
+ * @param {number} size - File size
+ * @returns {string} Header value, e.g. `bytes 0-1023/4096`
+ */
+export const formatContentRange = (start, end, size) => (
+  end > start ? `bytes ${start}-${end - 1}/${size}` : `bytes */${size}`
+);
+
+/**
+ * Normalize an axios progress event for `onProgress` callbacks
+ * @param {number} loaded - Bytes sent so far
+ * @param {number} total - Bytes to send
+ * @returns {Object} `{ loaded, total, progress }`, progress is 0-1
+ */
+const toProgress = (loaded, total) => ({
+  loaded,
+  total,
+  progress: total > 0 ? Math.min(1, loaded / total) : 1
+});
+
+class UploadSessionStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Storage} options.storage - Storage used for persistence
+   * @param {string} options.storageKey - Storage key for the upload IDs
+   */
+  constructor({
+    storage = typeof window !== 'undefined' ? window.localStorage : null,
+    storageKey = DEFAULT_STORAGE_KEY
+  } = {}) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Read the persisted upload IDs
+   * @returns {Object<string, string>} Upload IDs keyed by file fingerprint
+   */
+  load() {
+    try {
+      const raw = this.storage?.getItem(this.storageKey);
+      return raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      console.error('❌ Failed to read upload sessions:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Persist the upload IDs
+   * @param {Object<string, string>} sessions - Upload IDs keyed by file fingerprint
+   */
+  commit(sessions) {
+    try {
+      this.storage?.setItem(this.storageKey, JSON.stringify(sessions));
+    } catch (error) {
+      console.error('❌ Failed to persist upload sessions:', error);
+    }
+  }
+
+  /**
+   * Upload ID of an unfinished upload
+   * @param {string} fingerprint - File fingerprint
+   * @returns {string|null} Upload ID
+   */
+  get(fingerprint) {
+    return this.load()[fingerprint] || null;
+  }
+
+  /**
+   * Remember the upload ID of a file
+   * @param {string} fingerprint - File fingerprint
+   * @param {string} uploadId - Server upload ID
+   */
+  set(fingerprint, uploadId) {
+    this.commit({ ...this.load(), [fingerprint]: uploadId });
+  }
+
+  /**
+   * Forget a finished or abandoned upload
+   * @param {string} fingerprint - File fingerprint
+   */
+  remove(fingerprint) {
+    const { [fingerprint]: removed, ...sessions } = this.load();
+    if (removed) {
+      this.commit(sessions);
+    }
+  }
+}
+
+/**
+ * Upload a file as one multipart/form-data request
+ * @param {Function} request - Sends an axios config (the client's `instance.request`)
+ * @param {File|Blob} file - File to upload
+ * @param {Object} options - Upload options
+ * @param {string} options.url - Upload URL
+ * @param {string} options.fieldName - Form field holding the file
+ * @param {Object} options.fields - Extra form fields
+ * @param {Function} options.onProgress - Called with `{ loaded, total, progress }`
+ * @param {Object} options.config - Extra axios config (signal, headers, ...)
+ * @returns {Promise} Axios response promise
+ */
+export const uploadMultipart = (request, file, {
+  url,
+  fieldName = 'file',
+  fields = {},
+  onProgress,
+  config = {}
+}) => {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+  formData.append(fieldName, file, file.name);
+
+  return request({
+    ...config,
+    method: 'post',
+    url,
+    data: formData,
+    // Overrides a JSON default, which would make axios serialize the form;
+    // the browser then sets the boundary itself
+    headers: { ...config.headers, 'Content-Type': 'multipart/form-data' },
+    // Replaying a multipart body is the caller's decision
+    retry: false,
+    onUploadProgress: (event) => {
+      onProgress?.(toProgress(event.loaded, event.total || file.size));
+    }
+  });
+};
+
+/**
+ * Whether a failed chunk is worth resuming
+ * @param {Object} error - Normalized API error
+ * @returns {boolean} True for transient failures and offset conflicts
+ */
+const isResumable = (error) => (
+  error.code !== ERROR_CODES.CANCELLED && (error.retryable || error.code === ERROR_CODES.CONFLICT)
+);
+
+/**
+ * Upload a file in fixed-size chunks, resuming after failures
+ * @param {Function} request - Sends an axios config (the client's `instance.request`)
+ * @param {File|Blob} file - File to upload
+ * @param {Object} options - Upload options
+ * @param {string} options.url - Upload session URL
+ * @param {number} options.chunkSize - Bytes per chunk
+ * @param {number} options.maxResumeAttempts - Consecutive failed chunks before giving up; a chunk
+ *   the server accepts without moving its offset counts as failed
+ * @param {Object} options.backoff - Retry policy used to space out resume attempts
+ * @param {string} options.uploadId - Resume this session instead of looking one up
+ * @param {UploadSessionStore} options.sessions - Where unfinished upload IDs are kept
+ * @param {Function} options.onProgress - Called with `{ loaded, total, progress, uploadId }`
+ * @param {Object} options.config - Extra axios config (signal, headers, ...)
+ * @returns {Promise} Axios response of the last chunk
+ */
+export const uploadChunked = async (request, file, {
+  url,
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  maxResumeAttempts = 3,
+  backoff = DEFAULT_RETRY_POLICY,
+  uploadId: knownUploadId,
+  sessions = new UploadSessionStore(),
+  onProgress,
+  config = {}
+}) => {
+  const { signal } = config;
+  const size = file.size;
+  const fingerprint = getFileFingerprint(file, url);
+
+  const queryOffset = async (uploadId, options = {}) => {
+    const response = await request({ ...config, ...options, method: 'get', url: `${url}/${uploadId}` });
+    return Number(response.data?.offset) || 0;
+  };
+
+  const createSession = async () => {
+    const response = await request({
+      ...config,
+      method: 'post',
+      url,
+      data: { fileName: file.name, size, type: file.type }
+    });
+    return response.data.uploadId;
+  };
+
+  // Continue an unfinished session when the server still knows it
+  let uploadId = knownUploadId || sessions.get(fingerprint);
+  let offset = 0;
+  if (uploadId) {
+    try {
+      offset = await queryOffset(uploadId);
+    } catch (error) {
+      if (error.code !== ERROR_CODES.NOT_FOUND) {
+        throw error;
+      }
+      uploadId = null;
+    }
+  }
+  if (!uploadId) {
+    uploadId = await createSession();
+  }
+  sessions.set(fingerprint, uploadId);
+
+  const report = (loaded) => onProgress?.({ ...toProgress(loaded, size), uploadId });
+  report(offset);
+
+  let response = null;
+  let failures = 0;
+
+  // The session is kept, uploading the file again resumes it
+  const withUploadId = (error) => Object.assign(error, { uploadId });
+
+  // Back off, then continue from the offset the server reports
+  const resume = async (error) => {
+    if (failures >= maxResumeAttempts || exceedsMaxRetryAfter(error.cause, backoff)) {
+      throw withUploadId(error);
+    }
+    failures += 1;
+    try {
+      await waitForRetry(computeRetryDelay(failures, backoff, error.cause), signal);
+    } catch {
+      throw withUploadId(normalizeApiError(new axios.CanceledError(undefined, config)));
+    }
+    try {
+      // A failed lookup counts as one more failed attempt
+      offset = await queryOffset(uploadId, { retry: false });
+    } catch (queryError) {
+      if (!isResumable(queryError)) {
+        throw withUploadId(queryError);
+      }
+      await resume(queryError);
+    }
+  };
+
+  while (offset < size || !response) {
+    const start = offset;
+    const end = Math.min(start + chunkSize, size);
+
+    try {
+      response = await request({
+        ...config,
+        method: 'put',
+        url: `${url}/${uploadId}`,
+        data: file.slice(start, end),
+        headers: {
+          ...config.headers,
+          'Content-Type': CHUNK_CONTENT_TYPE,
+          'Content-Range': formatContentRange(start, end, size)
+        },
+        // Chunks resume from the server offset instead of being replayed
+        retry: false,
+        onUploadProgress: (event) => report(start + Math.min(event.loaded, end - start))
+      });
+      offset = Number(response.data?.offset ?? end);
+      report(offset);
+    } catch (error) {
+      if (!isResumable(error)) {
+        throw withUploadId(error);
+      }
+      response = null;
+      await resume(error);
+      continue;
+    }
+
+    if (offset > start || offset >= size) {
+      failures = 0;
+    } else {
+      response = null;
+      await resume(new ApiError(`Upload ${uploadId} did not get past byte ${start}`, {
+        code: ERROR_CODES.SERVER_ERROR,
+        method: 'PUT',
+        url: `${url}/${uploadId}`
+      }));
+    }
+  }
+
+  sessions.remove(fingerprint);
+  return response;
+};
+
+export { UploadSessionStore, DEFAULT_CHUNK_SIZE, CHUNK_CONTENT_TYPE };
@@ -0,0 +1,285 @@
+/**
+ * Tests for multipart and resumable chunked uploads, served by the mock upload routes
+ */
+
+import { AxiosError } from 'axios';
+import { createClient, clientRegistry, createNoAuth } from './axiosConfig';
+import { createMockAdapter } from './mockAdapter';
+import { createUploadRoutes } from './mockRoutes';
+import { CancelledError, NetworkError } from './errors';
+import { DEFAULT_RETRY_POLICY } from './retryPolicy';
+import { UploadSessionStore, getFileFingerprint, formatContentRange } from './uploads';
+
+const CHUNK_ROUTE = 'PUT /uploads/resumable/:uploadId';
+const RESUMABLE_URL = '/uploads/resumable';
+
+// Resume right away instead of backing off
+const NO_BACKOFF = { ...DEFAULT_RETRY_POLICY, baseDelay: 0 };
+
+const createFile = (content = '0123456789', name = 'notes.txt') => (
+  new File([content], name, { type: 'text/plain', lastModified: 1700000000000 })
+);
+
+let clientCount = 0;
+
+/**
+ * Create a client backed by fresh upload routes
+ * @param {Function} wrapRoutes - Lets a test decorate the route handlers
+ * @returns {Object} `{ client, routes, requests }`
+ */
+const setup = (wrapRoutes = (routes) => routes) => {
+  const routes = wrapRoutes(createUploadRoutes());
+  const requests = [];
+  const adapter = createMockAdapter({ routes });
+  clientCount += 1;
+  const client = createClient(`uploads_${clientCount}`, {
+    baseURL: 'https://files.example.com',
+    auth: createNoAuth(),
+    adapter: (config) => {
+      requests.push({ method: config.method, url: config.url, range: config.headers['Content-Range'] });
+      return adapter(config);
+    }
+  });
+  return { client, routes, requests };
+};
+
+const chunkRanges = (requests) => requests.filter((request) => request.method === 'put').map((request) => request.range);
+
+describe('api.upload', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    clientRegistry.names().filter((name) => name.startsWith('uploads_')).forEach((name) => {
+      clientRegistry.unregister(name);
+    });
+    console.error.mockRestore();
+  });
+
+  test('sends a multipart form with extra fields and reports progress', async () => {
+    let form;
+    const { client } = setup((routes) => ({
+      ...routes,
+      'POST /uploads': (request) => {
+        form = request.body;
+        return routes['POST /uploads'](request);
+      }
+    }));
+    const onProgress = jest.fn();
+
+    const response = await client.upload(createFile(), { url: '/uploads', fields: { folder: 'docs' }, onProgress });
+
+    expect(response.status).toBe(201);
+    expect(response.data).toMatchObject({ fileName: 'notes.txt', size: 10 });
+    expect(form.get('folder')).toBe('docs');
+    expect(form.get('file').name).toBe('notes.txt');
+    expect(onProgress).toHaveBeenLastCalledWith({ loaded: 10, total: 10, progress: 1 });
+  });
+
+  test('uploads fixed-size chunks with Content-Range headers', async () => {
+    const { client, requests } = setup();
+    const onProgress = jest.fn();
+
+    const response = await client.upload(createFile(), {
+      url: RESUMABLE_URL,
+      chunked: { chunkSize: 4 },
+      onProgress
+    });
+
+    expect(response.data).toMatchObject({ offset: 10, complete: true });
+    expect(chunkRanges(requests)).toEqual(['bytes 0-3/10', 'bytes 4-7/10', 'bytes 8-9/10']);
+    const loaded = onProgress.mock.calls.map(([progress]) => progress.loaded);
+    expect(loaded).toEqual([...loaded].sort((a, b) => a - b));
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ loaded: 10, progress: 1 }));
+    expect(client.uploadSessions.load()).toEqual({});
+  });
+
+  test('resumes from the server offset when a chunk fails', async () => {
+    let failed = false;
+    const { client, requests } = setup((routes) => ({
+      ...routes,
+      // The server stores the second chunk, then the connection drops
+      [CHUNK_ROUTE]: (request) => {
+        const reply = routes[CHUNK_ROUTE](request);
+        if (!failed && request.headers['Content-Range'] === 'bytes 4-7/10') {
+          failed = true;
+          throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, request.config, {});
+        }
+        return reply;
+      }
+    }));
+
+    const response = await client.upload(createFile(), {
+      url: RESUMABLE_URL,
+      chunked: { chunkSize: 4, backoff: NO_BACKOFF }
+    });
+
+    expect(response.data.complete).toBe(true);
+    expect(chunkRanges(requests)).toEqual(['bytes 0-3/10', 'bytes 4-7/10', 'bytes 8-9/10']);
+    expect(requests.filter((request) => request.method === 'get')).toHaveLength(1);
+  });
+
+  test('keeps the session after giving up so the next upload of the file resumes it', async () => {
+    let failing = true;
+    const { client, requests } = setup((routes) => ({
+      ...routes,
+      [CHUNK_ROUTE]: (request) => {
+        if (failing && request.headers['Content-Range'] === 'bytes 4-7/10') {
+          throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, request.config, {});
+        }
+        return routes[CHUNK_ROUTE](request);
+      }
+    }));
+    const file = createFile();
+    const options = { url: RESUMABLE_URL, chunked: { chunkSize: 4, maxResumeAttempts: 1, backoff: NO_BACKOFF } };
+
+    const error = await client.upload(file, options).catch((reason) => reason);
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(client.uploadSessions.get(getFileFingerprint(file, RESUMABLE_URL))).toBe(error.uploadId);
+
+    failing = false;
+    requests.length = 0;
+    const response = await client.upload(file, options);
+
+    expect(response.data).toMatchObject({ uploadId: error.uploadId, complete: true });
+    expect(requests.map((request) => request.method)).toEqual(['get', 'put', 'put']);
+    expect(chunkRanges(requests)).toEqual(['bytes 4-7/10', 'bytes 8-9/10']);
+  });
+
+  test('counts failed offset lookups and chunks that do not advance as failed attempts', async () => {
+    let lookups = 0;
+    const { client, requests } = setup((routes) => ({
+      ...routes,
+      'GET /uploads/resumable/:uploadId': (request) => {
+        lookups += 1;
+        if (lookups === 1) {
+          throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, request.config, {});
+        }
+        return routes['GET /uploads/resumable/:uploadId'](request);
+      },
+      // The server accepts the second chunk but never stores it
+      [CHUNK_ROUTE]: (request) => (request.headers['Content-Range'] === 'bytes 4-7/10'
+        ? { status: 200, data: { offset: 4, complete: false } }
+        : routes[CHUNK_ROUTE](request))
+    }));
+
+    const error = await client.upload(createFile(), {
+      url: RESUMABLE_URL,
+      chunked: { chunkSize: 4, maxResumeAttempts: 3, backoff: NO_BACKOFF }
+    }).catch((reason) => reason);
+
+    expect(error.message).toBe('Upload upload_1 did not get past byte 4');
+    expect(error.uploadId).toBe('upload_1');
+    expect(chunkRanges(requests)).toEqual(['bytes 0-3/10', 'bytes 4-7/10', 'bytes 4-7/10', 'bytes 4-7/10']);
+    expect(lookups).toBe(3);
+  });
+
+  test('gives up with the session ID when the offset can no longer be looked up', async () => {
+    const { client } = setup((routes) => ({
+      ...routes,
+      'GET /uploads/resumable/:uploadId': (request) => {
+        throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, request.config, {});
+      },
+      [CHUNK_ROUTE]: () => ({ status: 409, data: {} })
+    }));
+
+    const error = await client.upload(createFile(), {
+      url: RESUMABLE_URL,
+      chunked: { chunkSize: 4, maxResumeAttempts: 2, backoff: NO_BACKOFF }
+    }).catch((reason) => reason);
+
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.uploadId).toBe('upload_1');
+  });
+
+  test('is cancelled with the session ID while backing off before a resume', async () => {
+    const { client } = setup((routes) => ({
+      ...routes,
+      [CHUNK_ROUTE]: (request) => {
+        setTimeout(() => client.cancelRequest('notes'), 10);
+        throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, request.config, {});
+      }
+    }));
+
+    const error = await client.upload(createFile(), {
+      url: RESUMABLE_URL,
+      requestKey: 'notes',
+      chunked: { chunkSize: 4, backoff: { ...NO_BACKOFF, baseDelay: 10000, jitter: false } }
+    }).catch((reason) => reason);
+
+    expect(error).toBeInstanceOf(CancelledError);
+    expect(error.uploadId).toBe('upload_1');
+  });
+
+  test('starts a new session when the server no longer knows the stored one', async () => {
+    const { client } = setup();
+    const file = createFile();
+    client.uploadSessions.set(getFileFingerprint(file, RESUMABLE_URL), 'upload_expired');
+
+    const response = await client.upload(file, { url: RESUMABLE_URL, chunked: true });
+
+    expect(response.data).toMatchObject({ uploadId: 'upload_1', complete: true });
+  });
+
+  test('is cancelled through the cancellation manager', async () => {
+    const { client, requests } = setup();
+    const file = createFile();
+
+    const upload = client.upload(file, {
+      url: RESUMABLE_URL,
+      chunked: { chunkSize: 4 },
+      requestKey: 'avatar',
+      onProgress: ({ loaded }) => {
+        if (loaded >= 4) client.cancelRequest('avatar');
+      }
+    });
+
+    await expect(upload).rejects.toBeInstanceOf(CancelledError);
+    expect(chunkRanges(requests)).toEqual(['bytes 0-3/10']);
+    expect(client.uploadSessions.get(getFileFingerprint(file, RESUMABLE_URL))).toBe('upload_1');
+  });
+});
+
+describe('api.download', () => {
+  test('reports download progress', async () => {
+    const onProgress = jest.fn();
+    clientCount += 1;
+    const client = createClient(`uploads_${clientCount}`, {
+      auth: createNoAuth(),
+      adapter: (config) => {
+        config.onDownloadProgress({ loaded: 5, total: 10 });
+        config.onDownloadProgress({ loaded: 7 });
+        return Promise.resolve({ data: 'file', status: 200, statusText: '', headers: {}, config, request: {} });
+      }
+    });
+
+    const response = await client.download('/reports/1', { onProgress });
+
+    expect(response.config.responseType).toBe('blob');
+    expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+      { loaded: 5, total: 10, progress: 0.5 },
+      { loaded: 7, total: 0, progress: null }
+    ]);
+    clientRegistry.unregister(client.name);
+  });
+});
+
+describe('upload helpers', () => {
+  test('formats Content-Range for chunks and empty files', () => {
+    expect(formatContentRange(0, 4, 10)).toBe('bytes 0-3/10');
+    expect(formatContentRange(0, 0, 0)).toBe('bytes */0');
+  });
+
+  test('UploadSessionStore persists upload IDs per fingerprint', () => {
+    const storage = { data: {}, getItem: (key) => storage.data[key] ?? null, setItem: (key, value) => { storage.data[key] = value; } };
+    const sessions = new UploadSessionStore({ storage, storageKey: 'uploads' });
+
+    sessions.set('a', 'upload_1');
+    sessions.set('b', 'upload_2');
+    sessions.remove('a');
+
+    expect(new UploadSessionStore({ storage, storageKey: 'uploads' }).load()).toEqual({ b: 'upload_2' });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * User endpoints (JSONPlaceholder `/users`)
+ * Components call these instead of building `/users/...` paths themselves.
+ */
+
+import * as Yup from 'yup';
+import api from './axiosConfig';
+import { createEndpoints } from './endpoints';
+
+// Shape of a user returned by the API; only the fields the UI relies on are required
+const userSchema = Yup.object({
+  id: Yup.number().integer().positive().required(),
+  name: Yup.string().required(),
+  username: Yup.string().required(),
+  email: Yup.string().email().required(),
+  phone: Yup.string(),
+  website: Yup.string(),
+  address: Yup.object({
+    street: Yup.string(),
+    suite: Yup.string(),
+    city: Yup.string(),
+    zipcode: Yup.string(),
+  }).default(undefined),
+  company: Yup.object({
+    name: Yup.string(),
+  }).default(undefined),
+});
+
+// Fields a client may send when creating or updating a user
+const userInputSchema = Yup.object({
+  name: Yup.string().trim().required(),
+  username: Yup.string().trim().required(),
+  email: Yup.string().email().required(),
+  phone: Yup.string(),
+  website: Yup.string(),
+});
+
+const userIdParams = Yup.object({
+  id: Yup.number().integer().positive().required(),
+});
+
+const users = createEndpoints({
+  list: {
+    method: 'GET',
+    path: '/users',
+    query: Yup.object({
+      _page: Yup.number().integer().positive(),
+      _limit: Yup.number().integer().positive(),
+      _sort: Yup.string(),
+      q: Yup.string(),
+    }),
+    response: Yup.array().of(userSchema).required(),
+    cache: { ttl: 60 * 1000 },
+  },
+  getById: {
+    method: 'GET',
+    path: '/users/:id',
+    params: userIdParams,
+    response: userSchema,
+  },
+  create: {
+    method: 'POST',
+    path: '/users',
+    body: userInputSchema,
+    response: userSchema,
+  },
+  update: {
+    method: 'PUT',
+    path: '/users/:id',
+    params: userIdParams,
+    body: userInputSchema,
+    response: userSchema,
+  },
+  remove: {
+    method: 'DELETE',
+    path: '/users/:id',
+    params: userIdParams,
+  },
+}, { client: api, namespace: 'users' });
+
+export { userSchema, userInputSchema };
+export default users;
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useSelector, useDispatch } from 'react-redux';
+import { setConstraints } from '../store/counterSlice';
+import { OUT_OF_RANGE_MODES } from '../store/counterConstraints';
+import {
+  selectSelectedCounterId,
+  selectCounterName,
+  selectCounterConstraints,
+  selectLastError
+} from '../store/selectors';
+import Button from './Button';
+
+/**
+ * Read a number field; an empty field means "no limit"
+ * @param {string} text - Field value
+ * @returns {number|null} Number (NaN when invalid, which the slice refuses), or null
+ */
+const parseLimit = (text) => (text.trim() === '' ? null : Number(text));
+
+/**
+ * Form state of a set of constraints
+ * @param {Object} constraints - Counter constraints
+ * @returns {Object} Field values as strings
+ */
+const toFields = (constraints) => ({
+  min: constraints.min === null ? '' : String(constraints.min),
+  max: constraints.max === null ? '' : String(constraints.max),
+  outOfRange: constraints.outOfRange,
+  minStep: String(constraints.minStep),
+  maxStep: String(constraints.maxStep),
+  integerOnly: constraints.integerOnly
+});
+
+const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * Constraint fields of one counter; remounted (keyed by id) when the counter changes
+ */
+const ConstraintsForm = ({ counterId }) => {
+  const dispatch = useDispatch();
+  const constraints = useSelector((state) => selectCounterConstraints(state, counterId));
+  const lastError = useSelector((state) => selectLastError(state, counterId));
+  const [fields, setFields] = useState(() => toFields(constraints));
+
+  const update = (name) => (event) => {
+    const { type, checked, value } = event.target;
+    setFields({ ...fields, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    dispatch(setConstraints({
+      min: parseLimit(fields.min),
+      max: parseLimit(fields.max),
+      outOfRange: fields.outOfRange,
+      minStep: Number(fields.minStep),
+      maxStep: Number(fields.maxStep),
+      integerOnly: fields.integerOnly
+    }, counterId));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4" data-testid="constraints-form">
+      <div className="grid grid-cols-2 gap-4 text-sm">
+        <label className="block">
+          <span className="text-gray-700">Minimum</span>
+          <input type="text" inputMode="decimal" value={fields.min} onChange={update('min')} placeholder="No limit" className={inputClass} />
+        </label>
+        <label className="block">
+          <span className="text-gray-700">Maximum</span>
+          <input type="text" inputMode="decimal" value={fields.max} onChange={update('max')} placeholder="No limit" className={inputClass} />
+        </label>
+        <label className="block">
+          <span className="text-gray-700">Smallest step</span>
+          <input type="text" inputMode="decimal" value={fields.minStep} onChange={update('minStep')} className={inputClass} />
+        </label>
+        <label className="block">
+          <span className="text-gray-700">Largest step</span>
+          <input type="text" inputMode="decimal" value={fields.maxStep} onChange={update('maxStep')} className={inputClass} />
+        </label>
+        <label className="block">
+          <span className="text-gray-700">Out of range</span>
+          <select value={fields.outOfRange} onChange={update('outOfRange')} className={inputClass}>
+            <option value={OUT_OF_RANGE_MODES.CLAMP}>Clamp to the limit</option>
+            <option value={OUT_OF_RANGE_MODES.REJECT}>Reject the change</option>
+          </select>
+        </label>
+        <label className="flex items-center gap-2 mt-5">
+          <input type="checkbox" checked={fields.integerOnly} onChange={update('integerOnly')} />
+          <span className="text-gray-700">Whole numbers only</span>
+        </label>
+      </div>
+
+      {lastError?.action === 'setConstraints' && (
+        <div role="alert" className="text-sm text-red-600" data-testid="constraints-error">
+          ⚠️ {lastError.message}
+        </div>
+      )}
+
+      <Button type="submit" variant="primary" size="small">
+        Save limits
+      </Button>
+    </form>
+  );
+};
+
+ConstraintsForm.propTypes = {
+  counterId: PropTypes.string.isRequired
+};
+
+/**
+ * CounterConstraints component - edit the limits of the selected Redux counter
+ * Features:
+ * - Value bounds with clamp or reject, allowed step range and whole-numbers-only mode
+ * - Inconsistent limits are refused by the slice and explained under the form
+ */
+const CounterConstraints = () => {
+  const counterId = useSelector(selectSelectedCounterId);
+  const name = useSelector(selectCounterName);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <h2 className="text-2xl font-bold text-gray-800 mb-4">
+        🚧 Limits of {name}
+      </h2>
+      <ConstraintsForm key={counterId} counterId={counterId} />
+    </div>
+  );
+};
+
+export default CounterConstraints;
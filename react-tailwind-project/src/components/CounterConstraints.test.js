@@ -0,0 +1,47 @@
+/**
+ * Tests for CounterConstraints
+ * Runs against a real store with the counter slice
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import counterReducer from '../store/counterSlice';
+import { selectCounterConstraints } from '../store/selectors';
+import CounterConstraints from './CounterConstraints';
+
+const createStore = () => configureStore({ reducer: { counter: counterReducer } });
+
+describe('CounterConstraints Component', () => {
+  test('saves the limits of the selected counter', () => {
+    const store = createStore();
+    render(<Provider store={store}><CounterConstraints /></Provider>);
+
+    fireEvent.change(screen.getByLabelText('Maximum'), { target: { value: '10' } });
+    fireEvent.change(screen.getByLabelText('Out of range'), { target: { value: 'reject' } });
+    fireEvent.click(screen.getByLabelText('Whole numbers only'));
+    fireEvent.click(screen.getByRole('button', { name: /save limits/i }));
+
+    expect(selectCounterConstraints(store.getState())).toMatchObject({
+      min: null,
+      max: 10,
+      outOfRange: 'reject',
+      integerOnly: true
+    });
+    expect(screen.queryByTestId('constraints-error')).not.toBeInTheDocument();
+  });
+
+  test('explains why inconsistent limits were refused', () => {
+    const store = createStore();
+    render(<Provider store={store}><CounterConstraints /></Provider>);
+
+    fireEvent.change(screen.getByLabelText('Minimum'), { target: { value: '5' } });
+    fireEvent.change(screen.getByLabelText('Maximum'), { target: { value: '1' } });
+    fireEvent.click(screen.getByRole('button', { name: /save limits/i }));
+
+    expect(screen.getByTestId('constraints-error')).toHaveTextContent('Minimum 5 is greater than maximum 1');
+    expect(selectCounterConstraints(store.getState()).max).toBeNull();
+  });
+});
@@ -1,23 +1,35 @@
 import React from 'react';
-import { useSelector } from 'react-redux';
+import { useSelector, useDispatch } from 'react-redux';
+import { undo, redo } from '../store/counterSlice';
 import {
   selectCounterValue,
   selectCounterHistory,
+  selectFuture,
+  selectCanUndo,
+  selectCanRedo,
   selectCounterStats,
   selectCounterTrend,
   selectCounterRange,
   selectLastAction,
   selectTotalClicks
 } from '../store/selectors';
+import Button from './Button';
+import CounterSwitcher from './CounterSwitcher';
+import HistoryTimeline from './HistoryTimeline';
 
 /**
  * Dashboard component showing comprehensive counter analytics
  * Uses multiple selectors to display different aspects of the state
  */
 const CounterDashboard = () => {
+  const dispatch = useDispatch();
+
   // Using individual selectors for specific data points
   const value = useSelector(selectCounterValue);
   const history = useSelector(selectCounterHistory);
+  const future = useSelector(selectFuture);
+  const canUndo = useSelector(selectCanUndo);
+  const canRedo = useSelector(selectCanRedo);
   const stats = useSelector(selectCounterStats);
   const trend = useSelector(selectCounterTrend);
   const range = useSelector(selectCounterRange);
@@ -48,6 +60,7 @@ const CounterDashboard = () => {
         <p className="text-gray-600">
           Real-time analytics powered by Redux selectors
         </p>
+        <CounterSwitcher className="mt-3" />
       </div>
 
       {/* Main Metrics Grid */}
@@ -119,26 +132,20 @@ const CounterDashboard = () => {
           📋 Recent History
         </h3>
         <div className="bg-gray-50 rounded-lg p-4">
-          <div className="flex flex-wrap gap-2 mb-3">
-            {history.slice(-10).map((val, index) => (
-              <span
-                key={index}
-                className={`px-2 py-1 rounded text-sm font-medium ${
-                  val === value 
-                    ? 'bg-blue-600 text-white' 
-                    : val > 0 
-                      ? 'bg-green-100 text-green-800' 
-                      : val < 0 
-                        ? 'bg-red-100 text-red-800' 
-                        : 'bg-gray-100 text-gray-800'
-                }`}
-              >
-                {val}
-              </span>
-            ))}
+          <div className="mb-3">
+            <HistoryTimeline maxVisible={10} />
+          </div>
+          <div className="flex gap-2 mb-3">
+            <Button variant="outline" size="small" onClick={() => dispatch(undo())} disabled={!canUndo}>
+              ↩️ Undo
+            </Button>
+            <Button variant="outline" size="small" onClick={() => dispatch(redo())} disabled={!canRedo}>
+              ↪️ Redo
+            </Button>
           </div>
           <div className="text-xs text-gray-500">
-            Showing last {Math.min(10, history.length)} values
+            Showing last {Math.min(10, history.length + future.length)} snapshots
+            {future.length > 0 && ` (${future.length} undone, click to redo)`}
           </div>
         </div>
       </div>
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import {
+  addCounter,
+  renameCounter,
+  removeCounter,
+  moveCounter,
+  selectCounter
+} from '../store/counterSlice';
+import { selectAllCounters, selectSelectedCounterId, selectCountersTotals } from '../store/selectors';
+import Button from './Button';
+
+/**
+ * CounterList component - create, rename, delete, reorder and switch Redux counters
+ * Features:
+ * - Each counter keeps its own value, step, history and click count
+ * - The selected counter is the one ReduxCounter and CounterDashboard show
+ * - The last remaining counter cannot be deleted
+ */
+const CounterList = () => {
+  const dispatch = useDispatch();
+  const counters = useSelector(selectAllCounters);
+  const selectedId = useSelector(selectSelectedCounterId);
+  const totals = useSelector(selectCountersTotals);
+  const [newName, setNewName] = useState('');
+  const [editing, setEditing] = useState(null);
+
+  const handleAdd = (event) => {
+    event.preventDefault();
+    dispatch(addCounter(newName));
+    setNewName('');
+  };
+
+  const handleRename = (event) => {
+    event.preventDefault();
+    dispatch(renameCounter({ id: editing.id, name: editing.name }));
+    setEditing(null);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold text-gray-800">
+          🗂️ Counters
+        </h2>
+        <div className="text-sm text-gray-500" data-testid="counter-totals">
+          {totals.count} counters • total {totals.totalValue} • {totals.totalClicks} clicks
+        </div>
+      </div>
+
+      {/* New Counter */}
+      <form onSubmit={handleAdd} className="flex gap-2 mb-6">
+        <input
+          type="text"
+          value={newName}
+          onChange={(event) => setNewName(event.target.value)}
+          placeholder="New counter name (e.g. Push-ups)"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          data-testid="new-counter-input"
+        />
+        <Button type="submit" variant="primary" size="medium">
+          ➕ Add
+        </Button>
+      </form>
+
+      {/* Counter Rows */}
+      <ul className="space-y-2" data-testid="counter-list">
+        {counters.map((counter, index) => {
+          const isSelected = counter.id === selectedId;
+          const isEditing = editing?.id === counter.id;
+
+          return (
+            <li
+              key={counter.id}
+              className={`flex items-center gap-3 rounded-lg p-3 ${isSelected ? 'bg-blue-50 ring-2 ring-blue-500' : 'bg-gray-50'}`}
+              data-testid={`counter-row-${counter.id}`}
+            >
+              {isEditing ? (
+                <form onSubmit={handleRename} className="flex-1 flex gap-2">
+                  <input
+                    type="text"
+                    value={editing.name}
+                    onChange={(event) => setEditing({ ...editing, name: event.target.value })}
+                    aria-label="Counter name"
+                    className="flex-1 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    autoFocus
+                  />
+                  <Button type="submit" variant="success" size="small">
+                    Save
+                  </Button>
+                  <Button variant="ghost" size="small" onClick={() => setEditing(null)}>
+                    Cancel
+                  </Button>
+                </form>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => dispatch(selectCounter(counter.id))}
+                  aria-pressed={isSelected}
+                  className="flex-1 text-left"
+                >
+                  <div className="font-semibold text-gray-800">{counter.name}</div>
+                  <div className="text-xs text-gray-500">
+                    Value {counter.present.value} • step {counter.present.step} • {counter.totalClicks} clicks
+                  </div>
+                </button>
+              )}
+
+              {!isEditing && (
+                <div className="flex gap-1">
+                  <Button
+                    variant="ghost"
+                    size="small"
+                    onClick={() => dispatch(moveCounter({ id: counter.id, toIndex: index - 1 }))}
+                    disabled={index === 0}
+                    aria-label={`Move ${counter.name} up`}
+                  >
+                    ↑
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="small"
+                    onClick={() => dispatch(moveCounter({ id: counter.id, toIndex: index + 1 }))}
+                    disabled={index === counters.length - 1}
+                    aria-label={`Move ${counter.name} down`}
+                  >
+                    ↓
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="small"
+                    onClick={() => setEditing({ id: counter.id, name: counter.name })}
+                  >
+                    Rename
+                  </Button>
+                  <Button
+                    variant="danger"
+                    size="small"
+                    onClick={() => dispatch(removeCounter(counter.id))}
+                    disabled={counters.length === 1}
+                    aria-label={`Delete ${counter.name}`}
+                  >
+                    🗑️
+                  </Button>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default CounterList;
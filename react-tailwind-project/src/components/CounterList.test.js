@@ -0,0 +1,68 @@
+/**
+ * Tests for CounterList and CounterSwitcher
+ * Both run against a real store with the counter slice
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import counterReducer, { DEFAULT_COUNTER_ID } from '../store/counterSlice';
+import { selectAllCounters, selectSelectedCounterId } from '../store/selectors';
+import CounterList from './CounterList';
+import CounterSwitcher from './CounterSwitcher';
+
+const createStore = () => configureStore({ reducer: { counter: counterReducer } });
+
+const renderWithStore = (store, ui) => render(<Provider store={store}>{ui}</Provider>);
+
+const addCounter = (name) => {
+  fireEvent.change(screen.getByTestId('new-counter-input'), { target: { value: name } });
+  fireEvent.click(screen.getByRole('button', { name: /add/i }));
+};
+
+describe('CounterList Component', () => {
+  test('adds a counter and switches to it', () => {
+    const store = createStore();
+    renderWithStore(
+      store,
+      <>
+        <CounterSwitcher />
+        <CounterList />
+      </>
+    );
+
+    addCounter('Push-ups');
+
+    const [, pushUps] = selectAllCounters(store.getState());
+    expect(pushUps.name).toBe('Push-ups');
+    expect(screen.getByTestId('counter-switcher')).toHaveValue(pushUps.id);
+    expect(screen.getByTestId('new-counter-input')).toHaveValue('');
+    expect(screen.getByTestId('counter-totals')).toHaveTextContent('2 counters');
+
+    fireEvent.change(screen.getByTestId('counter-switcher'), { target: { value: DEFAULT_COUNTER_ID } });
+    expect(selectSelectedCounterId(store.getState())).toBe(DEFAULT_COUNTER_ID);
+  });
+
+  test('renames, reorders and deletes counters', () => {
+    const store = createStore();
+    renderWithStore(store, <CounterList />);
+    addCounter('Reading');
+    const [, reading] = selectAllCounters(store.getState());
+    const row = screen.getByTestId(`counter-row-${reading.id}`);
+
+    fireEvent.click(within(row).getByRole('button', { name: /rename/i }));
+    fireEvent.change(within(row).getByLabelText('Counter name'), { target: { value: 'Books' } });
+    fireEvent.click(within(row).getByRole('button', { name: /save/i }));
+    expect(within(row).getByText('Books')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Move Books up' }));
+    expect(selectAllCounters(store.getState()).map((counter) => counter.name)).toEqual(['Books', 'Counter']);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Delete Books' }));
+    expect(screen.queryByText('Books')).not.toBeInTheDocument();
+    // The last counter stays
+    expect(screen.getByRole('button', { name: 'Delete Counter' })).toBeDisabled();
+  });
+});
@@ -0,0 +1,41 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useSelector, useDispatch } from 'react-redux';
+import { selectCounter } from '../store/counterSlice';
+import { selectAllCounters, selectSelectedCounterId } from '../store/selectors';
+
+/**
+ * CounterSwitcher component - picks which Redux counter the counter components show
+ * Features:
+ * - Lists every counter in the order set on the counters page
+ * - Selecting one dispatches selectCounter, so every connected component follows
+ */
+const CounterSwitcher = ({ className = '' }) => {
+  const dispatch = useDispatch();
+  const counters = useSelector(selectAllCounters);
+  const selectedId = useSelector(selectSelectedCounterId);
+
+  return (
+    <label className={`inline-flex items-center gap-2 text-sm text-gray-700 ${className}`}>
+      <span className="font-medium">Counter:</span>
+      <select
+        value={selectedId}
+        onChange={(event) => dispatch(selectCounter(event.target.value))}
+        className="border border-gray-300 rounded-md px-2 py-1 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        data-testid="counter-switcher"
+      >
+        {counters.map((counter) => (
+          <option key={counter.id} value={counter.id}>
+            {counter.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+CounterSwitcher.propTypes = {
+  className: PropTypes.string
+};
+
+export default CounterSwitcher;
@@ -1,6 +1,7 @@
 import React from 'react';
 import { Formik, Form, Field, ErrorMessage } from 'formik';
 import * as Yup from 'yup';
+import api, { JOURNEY_TYPES } from '../api/axiosConfig';
 
 // Validation schema using Yup
 const validationSchema = Yup.object({
@@ -14,15 +15,21 @@ const validationSchema = Yup.object({
 });
 
 const FormikForm = () => {
-  const handleSubmit = (values, { setSubmitting, resetForm }) => {
-    // Simulate form submission
-    setTimeout(() => {
-      console.log('Form submitted with values:', values);
-      alert(`Form submitted successfully!\nName: ${values.name}\nEmail: ${values.email}`);
-      setSubmitting(false);
-      resetForm();
-    }, 1000);
-  };
+  // The submission is a journey, so any request it makes carries its X-Journey-ID
+  const handleSubmit = (values, { setSubmitting, resetForm }) => api.withJourney(
+    JOURNEY_TYPES.FORM,
+    'contact',
+    () => new Promise((resolve) => {
+      // Simulate form submission
+      setTimeout(() => {
+        console.log('Form submitted with values:', values);
+        alert(`Form submitted successfully!\nName: ${values.name}\nEmail: ${values.email}`);
+        setSubmitting(false);
+        resetForm();
+        resolve();
+      }, 1000);
+    })
+  );
 
   return (
     <div className="max-w-md mx-auto mt-8 p-6 bg-white rounded-lg shadow-md">
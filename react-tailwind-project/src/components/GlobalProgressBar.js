@@ -0,0 +1,41 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import useApiActivity from '../hooks/useApiActivity';
+
+/**
+ * GlobalProgressBar component - thin bar at the top of the page while any
+ * user-triggered API request is in flight
+ * Features:
+ * - Determinate width when the adapter reports upload/download progress
+ * - Pulsing full-width bar otherwise
+ * - Background requests (polling, revalidation) don't show it
+ */
+const GlobalProgressBar = () => {
+  const { t } = useTranslation();
+  const { isLoading, inFlight, progress } = useApiActivity({ includeBackground: false });
+
+  if (!isLoading) {
+    return null;
+  }
+
+  const percent = progress === null ? null : Math.round(progress * 100);
+
+  return (
+    <div
+      role="progressbar"
+      aria-label={t('messages.loading')}
+      aria-valuemin={0}
+      aria-valuemax={100}
+      aria-valuenow={percent ?? undefined}
+      data-in-flight={inFlight}
+      className="fixed top-0 left-0 right-0 z-50 h-1 bg-blue-100"
+    >
+      <div
+        className={`h-full bg-blue-600 transition-all duration-200 ${percent === null ? 'w-full animate-pulse' : ''}`}
+        style={percent === null ? undefined : { width: `${percent}%` }}
+      />
+    </div>
+  );
+};
+
+export default GlobalProgressBar;
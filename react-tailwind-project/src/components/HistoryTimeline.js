@@ -0,0 +1,52 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useSelector, useDispatch } from 'react-redux';
+import { jumpToHistoryIndex } from '../store/counterSlice';
+import { selectHistoryTimeline } from '../store/selectors';
+
+/**
+ * HistoryTimeline component - clickable undo/redo timeline of the Redux counter
+ * Features:
+ * - One chip per snapshot, oldest first: past, current (highlighted) and undone ones (faded)
+ * - Clicking a chip jumps to that snapshot with jumpToHistoryIndex
+ * - `maxVisible` keeps only the latest snapshots on screen
+ */
+const HistoryTimeline = ({ maxVisible }) => {
+  const dispatch = useDispatch();
+  const timeline = useSelector(selectHistoryTimeline);
+  const visible = maxVisible ? timeline.slice(-maxVisible) : timeline;
+
+  const getChipColor = (entry) => {
+    if (entry.isCurrent) return 'bg-blue-600 text-white';
+    if (entry.isFuture) return 'bg-gray-50 text-gray-400 border border-dashed border-gray-300';
+    if (entry.value > 0) return 'bg-green-100 text-green-800';
+    if (entry.value < 0) return 'bg-red-100 text-red-800';
+    return 'bg-gray-100 text-gray-800';
+  };
+
+  return (
+    <ol className="flex flex-wrap gap-2" aria-label="Counter history" data-testid="history-timeline">
+      {visible.map((entry) => (
+        <li key={entry.index}>
+          <button
+            type="button"
+            onClick={() => dispatch(jumpToHistoryIndex(entry.index))}
+            disabled={entry.isCurrent}
+            aria-current={entry.isCurrent ? 'step' : undefined}
+            title={`${entry.label} (step ${entry.step})`}
+            className={`px-2 py-1 rounded text-sm font-medium transition-colors hover:ring-2 hover:ring-blue-300 disabled:hover:ring-0 ${getChipColor(entry)}`}
+            data-testid={`history-entry-${entry.index}`}
+          >
+            {entry.value}
+          </button>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+HistoryTimeline.propTypes = {
+  maxVisible: PropTypes.number
+};
+
+export default HistoryTimeline;
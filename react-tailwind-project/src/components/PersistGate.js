@@ -0,0 +1,31 @@
+import { useSyncExternalStore } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * PersistGate component - holds rendering until the persisted store slices are rehydrated
+ * Features:
+ * - Renders `loading` (nothing by default) while rehydration is in progress
+ * - Children can be a function receiving `bootstrapped`, to render their own placeholder
+ */
+const PersistGate = ({ persistor, loading = null, children }) => {
+  const bootstrapped = useSyncExternalStore(
+    persistor.subscribe,
+    () => persistor.getState().bootstrapped
+  );
+
+  if (typeof children === 'function') {
+    return children(bootstrapped);
+  }
+  return bootstrapped ? children : loading;
+};
+
+PersistGate.propTypes = {
+  persistor: PropTypes.shape({
+    subscribe: PropTypes.func.isRequired,
+    getState: PropTypes.func.isRequired
+  }).isRequired,
+  loading: PropTypes.node,
+  children: PropTypes.oneOfType([PropTypes.node, PropTypes.func])
+};
+
+export default PersistGate;
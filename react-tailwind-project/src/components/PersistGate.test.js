@@ -0,0 +1,57 @@
+/**
+ * Tests for PersistGate
+ */
+
+import React from 'react';
+import { render, screen, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import PersistGate from './PersistGate';
+
+// Persistor double whose rehydration the test finishes by hand
+const createPersistor = () => {
+  const listeners = new Set();
+  let state = { bootstrapped: false, registry: ['counter'] };
+  return {
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getState: () => state,
+    finish: () => {
+      state = { bootstrapped: true, registry: [] };
+      listeners.forEach((listener) => listener());
+    }
+  };
+};
+
+describe('PersistGate Component', () => {
+  test('renders the loading fallback until rehydration finishes', () => {
+    const persistor = createPersistor();
+    render(
+      <PersistGate persistor={persistor} loading={<p>Restoring...</p>}>
+        <p>App</p>
+      </PersistGate>
+    );
+
+    expect(screen.getByText('Restoring...')).toBeInTheDocument();
+    expect(screen.queryByText('App')).not.toBeInTheDocument();
+
+    act(() => persistor.finish());
+
+    expect(screen.getByText('App')).toBeInTheDocument();
+    expect(screen.queryByText('Restoring...')).not.toBeInTheDocument();
+  });
+
+  test('passes the bootstrapped flag to function children', () => {
+    const persistor = createPersistor();
+    render(
+      <PersistGate persistor={persistor}>
+        {(bootstrapped) => <p>{bootstrapped ? 'ready' : 'waiting'}</p>}
+      </PersistGate>
+    );
+
+    expect(screen.getByText('waiting')).toBeInTheDocument();
+    act(() => persistor.finish());
+    expect(screen.getByText('ready')).toBeInTheDocument();
+  });
+});
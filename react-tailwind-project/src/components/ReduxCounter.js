@@ -8,7 +8,9 @@ import {
   setStep, 
   reset, 
   undo,
-  setCounterValue
+  redo,
+  setCounterValue,
+  clearError
 } from '../store/counterSlice';
 import {
   selectCounterValue,
@@ -17,10 +19,15 @@ import {
   selectCounterEmoji,
   selectCounterCategory,
   selectCanUndo,
+  selectCanRedo,
   selectCounterStats,
-  selectCounterSummary
+  selectCounterSummary,
+  selectCounterLimits,
+  selectLastErrorMessage
 } from '../store/selectors';
 import Button from './Button';
+import CounterSwitcher from './CounterSwitcher';
+import HistoryTimeline from './HistoryTimeline';
 
 /**
  * Redux-connected Counter component using selectors
@@ -36,7 +43,10 @@ const ReduxCounter = () => {
   const emoji = useSelector(selectCounterEmoji);
   const category = useSelector(selectCounterCategory);
   const canUndo = useSelector(selectCanUndo);
+  const canRedo = useSelector(selectCanRedo);
   const stats = useSelector(selectCounterStats);
+  const limits = useSelector(selectCounterLimits);
+  const errorMessage = useSelector(selectLastErrorMessage);
   
   // Using combined selector for efficiency
   const summary = useSelector(selectCounterSummary);
@@ -47,8 +57,9 @@ const ReduxCounter = () => {
 
   const handleCustomValue = () => {
     const customValue = prompt('Enter a custom counter value:');
-    if (customValue !== null && !isNaN(customValue)) {
-      dispatch(setCounterValue(parseInt(customValue)));
+    if (customValue !== null) {
+      // Passed on as typed ("2.5", "12abc", "" → NaN) so the slice can refuse it and say why
+      dispatch(setCounterValue(customValue.trim() === '' ? NaN : Number(customValue)));
     }
   };
 
@@ -74,6 +85,7 @@ const ReduxCounter = () => {
         <p className="text-gray-600">
           Powered by Redux selectors and useSelector hook
         </p>
+        <CounterSwitcher className="mt-3" />
       </div>
 
       {/* Counter Display */}
@@ -87,6 +99,13 @@ const ReduxCounter = () => {
           {category.replace('-', ' ').toUpperCase()}
         </div>
         
+        {/* Allowed Range */}
+        {(limits.min !== null || limits.max !== null) && (
+          <div className="text-sm text-gray-500 mb-4" data-testid="counter-range">
+            Allowed range: {limits.min ?? '−∞'} to {limits.max ?? '∞'}
+          </div>
+        )}
+        
         {/* Dynamic Message */}
         <div className="bg-gradient-to-r from-purple-50 to-blue-50 rounded-lg p-4 mb-4">
           <p className="text-gray-700 font-medium">
@@ -95,6 +114,25 @@ const ReduxCounter = () => {
         </div>
       </div>
 
+      {/* Rejected Change */}
+      {errorMessage && (
+        <div
+          role="alert"
+          className="flex items-start justify-between gap-3 bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 mb-6 text-sm"
+          data-testid="counter-error"
+        >
+          <span>⚠️ {errorMessage}</span>
+          <button
+            type="button"
+            onClick={() => dispatch(clearError())}
+            className="text-red-500 hover:text-red-700 font-semibold"
+            aria-label="Dismiss error"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+
       {/* Step Size Selector */}
       <div className="mb-6">
         <label className="block text-sm font-medium text-gray-700 mb-3">
@@ -121,6 +159,7 @@ const ReduxCounter = () => {
           variant="success"
           size="large"
           onClick={() => dispatch(increment())}
+          disabled={!limits.canIncrement}
           className="group relative overflow-hidden"
         >
           <span className="relative z-10">
@@ -132,6 +171,7 @@ const ReduxCounter = () => {
           variant="danger"
           size="large"
           onClick={() => dispatch(decrement())}
+          disabled={!limits.canDecrement}
           className="group relative overflow-hidden"
         >
           <span className="relative z-10">
@@ -160,7 +200,7 @@ const ReduxCounter = () => {
       </div>
 
       {/* Control Buttons */}
-      <div className="grid grid-cols-3 gap-2 mb-6">
+      <div className="grid grid-cols-4 gap-2 mb-6">
         <Button
           variant="secondary"
           size="small"
@@ -178,6 +218,15 @@ const ReduxCounter = () => {
           ↩️ Undo
         </Button>
         
+        <Button
+          variant="outline"
+          size="small"
+          onClick={() => dispatch(redo())}
+          disabled={!canRedo}
+        >
+          ↪️ Redo
+        </Button>
+        
         <Button
           variant="ghost"
           size="small"
@@ -187,6 +236,14 @@ const ReduxCounter = () => {
         </Button>
       </div>
 
+      {/* History Timeline */}
+      <div className="mb-6">
+        <h3 className="text-sm font-semibold text-gray-700 mb-3">
+          🕰️ History (click to jump):
+        </h3>
+        <HistoryTimeline maxVisible={12} />
+      </div>
+
       {/* Stats Display */}
       <div className="bg-gray-50 rounded-lg p-4">
         <h3 className="text-sm font-semibold text-gray-700 mb-3">
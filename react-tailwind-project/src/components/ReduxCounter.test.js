@@ -0,0 +1,55 @@
+/**
+ * Tests for ReduxCounter
+ * Covers how custom values typed by the user reach the counter slice
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import counterReducer, { setConstraints } from '../store/counterSlice';
+import { selectCounterValue } from '../store/selectors';
+import ReduxCounter from './ReduxCounter';
+
+const createStore = () => configureStore({ reducer: { counter: counterReducer } });
+
+describe('ReduxCounter Component', () => {
+  const originalPrompt = window.prompt;
+
+  afterEach(() => {
+    window.prompt = originalPrompt;
+  });
+
+  const setCustomValue = (input) => {
+    window.prompt = jest.fn(() => input);
+    fireEvent.click(screen.getByRole('button', { name: /🎯 set/i }));
+  };
+
+  test.each([
+    ['12abc', 'Value must be a number, got NaN'],
+    ['', 'Value must be a number, got NaN'],
+    ['2.5', 'Value must be a whole number, got 2.5']
+  ])('explains why "%s" was refused', (input, message) => {
+    const store = createStore();
+    store.dispatch(setConstraints({ integerOnly: true }));
+    render(<Provider store={store}><ReduxCounter /></Provider>);
+
+    setCustomValue(input);
+
+    expect(screen.getByTestId('counter-error')).toHaveTextContent(message);
+    expect(selectCounterValue(store.getState())).toBe(0);
+  });
+
+  test('sets a valid custom value and dismisses the previous error', () => {
+    const store = createStore();
+    render(<Provider store={store}><ReduxCounter /></Provider>);
+    setCustomValue('abc');
+    expect(screen.getByTestId('counter-error')).toBeInTheDocument();
+
+    setCustomValue(' 42 ');
+
+    expect(selectCounterValue(store.getState())).toBe(42);
+    expect(screen.queryByTestId('counter-error')).not.toBeInTheDocument();
+  });
+});
@@ -1,17 +1,60 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useTranslation } from 'react-i18next';
+import { queryCache } from '../api/axiosConfig';
+import users from '../api/userEndpoints';
+import useQuery from '../hooks/useQuery';
+
+// Cancellation key shared by manual and auto fetches
+const DEMO_REQUEST_KEY = 'use-effect-demo';
+
+// Query key of the random user shown by the demo
+const DEMO_QUERY_KEY = ['use-effect-demo', 'random-user'];
+
+// Auto-fetch polling interval (ms)
+const AUTO_FETCH_INTERVAL = 5000;
 
 /**
  * Component demonstrating useEffect for lifecycle management and data fetching
  */
 const UseEffectDemo = () => {
   const { t } = useTranslation();
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
   const [autoFetch, setAutoFetch] = useState(false);
   const [fetchCount, setFetchCount] = useState(0);
   const [mountTime, setMountTime] = useState(null);
+  const fetchNumber = useRef(0);
+
+  // Data fetching; polling passes a background priority
+  const fetchRandomUser = useCallback(async ({ signal, priority }) => {
+    console.log('🌐 Fetching data from API...');
+
+    // Simulate API call with random delay
+    const delay = Math.random() * 2000 + 1000; // 1-3 seconds
+    await new Promise(resolve => setTimeout(resolve, delay));
+
+    // Fetch random user data from JSONPlaceholder
+    const userId = Math.floor(Math.random() * 10) + 1;
+    const response = await users.getById({ id: userId }, { priority, signal, requestKey: DEMO_REQUEST_KEY });
+
+    // Add some additional metadata
+    fetchNumber.current += 1;
+    const enrichedData = {
+      ...response.data,
+      fetchedAt: new Date().toISOString(),
+      fetchDelay: Math.round(delay),
+      fetchNumber: fetchNumber.current
+    };
+
+    console.log('✅ Data fetched successfully:', enrichedData);
+    return enrichedData;
+  }, []);
+
+  // Fetched on demand, and every 5 seconds while auto-fetch is on.
+  // The query cache cancels the request when the component unmounts.
+  const { data, error, isFetching: loading, dataUpdatedAt, refetch } = useQuery(DEMO_QUERY_KEY, fetchRandomUser, {
+    enabled: autoFetch,
+    refetchInterval: AUTO_FETCH_INTERVAL,
+    refetchOnWindowFocus: false
+  });
 
   // Effect 1: Component Mount/Unmount Lifecycle
   useEffect(() => {
@@ -27,33 +70,29 @@ const UseEffectDemo = () => {
     };
   }, []); // Empty dependency array - runs once on mount, cleanup on unmount
 
-  // Effect 2: Auto-fetch data when autoFetch is enabled
+  // Effect 2: Log auto-fetch changes; polling itself is handled by useQuery
   useEffect(() => {
-    let intervalId;
-    
     if (autoFetch) {
-      console.log('⏰ Starting auto-fetch interval');
-      
-      // Fetch immediately when enabled
-      fetchData();
-      
-      // Set up interval for periodic fetching
-      intervalId = setInterval(() => {
-        console.log('⏰ Auto-fetch triggered by interval');
-        fetchData();
-      }, 5000); // Fetch every 5 seconds
-      
-      // Cleanup function - clears interval when effect re-runs or component unmounts
-      return () => {
-        console.log('⏰ Clearing auto-fetch interval');
-        clearInterval(intervalId);
-      };
+      console.log('⏰ Auto-fetch enabled: fetching now and every', AUTO_FETCH_INTERVAL, 'ms');
+      return () => console.log('⏰ Auto-fetch stopped');
     }
-    
-    // If autoFetch is disabled, no cleanup needed
     return undefined;
   }, [autoFetch]); // Dependency: autoFetch - effect runs when autoFetch changes
 
+  // Count successful fetches
+  useEffect(() => {
+    if (dataUpdatedAt > 0) {
+      setFetchCount(prev => prev + 1);
+    }
+  }, [dataUpdatedAt]);
+
+  // Report failed fetches
+  useEffect(() => {
+    if (error) {
+      console.error('❌ Error fetching data:', error);
+    }
+  }, [error]);
+
   // Effect 3: Log when fetchCount changes (demonstrating dependency array)
   useEffect(() => {
     if (fetchCount > 0) {
@@ -77,54 +116,11 @@ const UseEffectDemo = () => {
     };
   }, []); // Empty dependency array - add listener on mount, remove on unmount
 
-  // Data fetching function
-  const fetchData = useCallback(async () => {
-    setLoading(true);
-    setError(null);
-    
-    try {
-      console.log('🌐 Fetching data from API...');
-      
-      // Simulate API call with random delay
-      const delay = Math.random() * 2000 + 1000; // 1-3 seconds
-      await new Promise(resolve => setTimeout(resolve, delay));
-      
-      // Fetch random user data from JSONPlaceholder
-      const userId = Math.floor(Math.random() * 10) + 1;
-      const response = await fetch(`https://jsonplaceholder.typicode.com/users/${userId}`);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const userData = await response.json();
-      
-      // Add some additional metadata
-      const enrichedData = {
-        ...userData,
-        fetchedAt: new Date().toISOString(),
-        fetchDelay: Math.round(delay),
-        fetchNumber: fetchCount + 1
-      };
-      
-      setData(enrichedData);
-      setFetchCount(prev => prev + 1);
-      
-      console.log('✅ Data fetched successfully:', enrichedData);
-      
-    } catch (err) {
-      console.error('❌ Error fetching data:', err);
-      setError(err.message);
-    } finally {
-      setLoading(false);
-    }
-  }, [fetchCount]);
-
   // Manual fetch handler
   const handleManualFetch = useCallback(() => {
     console.log('👆 Manual fetch triggered by button click');
-    fetchData();
-  }, [fetchData]);
+    refetch();
+  }, [refetch]);
 
   // Toggle auto-fetch
   const handleToggleAutoFetch = useCallback(() => {
@@ -138,8 +134,8 @@ const UseEffectDemo = () => {
   // Clear data
   const handleClearData = useCallback(() => {
     console.log('🗑️ Clearing data');
-    setData(null);
-    setError(null);
+    queryCache.reset(DEMO_QUERY_KEY);
+    fetchNumber.current = 0;
     setFetchCount(0);
   }, []);
 
@@ -206,7 +202,13 @@ const UseEffectDemo = () => {
       {error && (
         <div className="bg-red-50 border border-red-200 p-4 rounded-lg mb-4">
           <h3 className="font-semibold text-red-800 mb-1">Error</h3>
-          <p className="text-red-700 text-sm">{error}</p>
+          <p className="text-red-700 text-sm">{t(error.messageKey || 'errors.unknown')}</p>
+          {error.requestId && (
+            <p className="text-red-500 text-xs mt-1">Request ID: {error.requestId}</p>
+          )}
+          {error.traceId && (
+            <p className="text-red-500 text-xs">Trace ID: {error.traceId}</p>
+          )}
         </div>
       )}
 
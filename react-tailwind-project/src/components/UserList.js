@@ -1,108 +1,95 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useMemo } from 'react';
 import PropTypes from 'prop-types';
+import { useTranslation } from 'react-i18next';
+import * as Yup from 'yup';
+import api from '../api/axiosConfig';
+import { VALIDATION_MODES } from '../api/schemaValidation';
+import { userSchema } from '../api/userEndpoints';
+import { pagePagination, readPage } from '../api/pagination';
+import useQuery from '../hooks/useQuery';
+
+// Cancellation key so a newer fetch aborts the previous one
+const USER_LIST_REQUEST_KEY = 'user-list';
+
+// The list reads name, username and email of every user directly
+const userListSchema = Yup.array().of(userSchema).required();
 
 /**
  * UserList component - demonstrates API data fetching and state management
  * Features:
- * - Fetches user data from JSONPlaceholder API
- * - Loading states and error handling
- * - Search and filter functionality
+ * - Fetches user data from JSONPlaceholder API through the shared query cache
+ * - Loading states and error handling with translated, typed API errors
+ * - Response checked against the user schema before it is rendered
+ * - One page at a time (JSONPlaceholder `_page`/`_limit`) with previous/next controls
+ * - Search (`q`) and sort (`_sort`) run on the server over the whole collection,
+ *   going back to the first page whenever they change
  * - Retry mechanism for failed requests
  * - Responsive design with Tailwind CSS
  */
 const UserList = ({ 
   apiUrl = 'https://jsonplaceholder.typicode.com/users',
   maxRetries = 3,
-  retryDelay = 1000 
+  retryDelay = 1000,
+  pageSize = 6
 }) => {
+  const { t } = useTranslation();
+  const paginator = useMemo(() => pagePagination({ pageSize, pageParam: '_page', sizeParam: '_limit' }), [pageSize]);
+
   // State management
-  const [users, setUsers] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [page, setPage] = useState(paginator.initialPageParam);
   const [searchTerm, setSearchTerm] = useState('');
   const [sortBy, setSortBy] = useState('name');
-  const [retryCount, setRetryCount] = useState(0);
+  const query = searchTerm.trim();
+
+  // Start over when the collection changes; done while rendering, so page 2
+  // of the new collection is never requested
+  const [collection, setCollection] = useState({ apiUrl, paginator });
+  if (collection.apiUrl !== apiUrl || collection.paginator !== paginator) {
+    setCollection({ apiUrl, paginator });
+    setPage(paginator.initialPageParam);
+  }
 
-  // Fetch users from API with retry logic
-  const fetchUsers = useCallback(async (attempt = 0) => {
-    setLoading(true);
-    setError(null);
+  // A new search or order starts over too
+  const handleSearch = (value) => {
+    setSearchTerm(value);
+    setPage(paginator.initialPageParam);
+  };
 
-    try {
-      const response = await fetch(apiUrl);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+  const handleSort = (value) => {
+    setSortBy(value);
+    setPage(paginator.initialPageParam);
+  };
 
-      const userData = await response.json();
-      setUsers(userData);
-      setRetryCount(0);
-    } catch (err) {
-      console.error('Fetch error:', err);
-      
-      if (attempt < maxRetries) {
-        setRetryCount(attempt + 1);
-        setTimeout(() => {
-          fetchUsers(attempt + 1);
-        }, retryDelay);
-      } else {
-        setError(`Failed to fetch users: ${err.message}`);
-        setRetryCount(0);
-      }
-    } finally {
-      setLoading(false);
-    }
-  }, [apiUrl, maxRetries, retryDelay]);
+  // One cached query per page, search and order; retries are driven by the query so the list
+  // can show its progress. A malformed payload is rejected in every environment instead of crashing the list.
+  const {
+    data: currentPage,
+    error,
+    isFetching,
+    failureCount,
+    refetch
+  } = useQuery(['users', apiUrl, { page, pageSize, query, sortBy }], async ({ signal, priority }) => {
+    const response = await api.get(apiUrl, {
+      retry: false,
+      params: { ...paginator.getParams(page), _sort: sortBy, ...(query && { q: query }) },
+      responseSchema: userListSchema,
+      responseValidation: VALIDATION_MODES.STRICT,
+      signal,
+      priority
+    }, USER_LIST_REQUEST_KEY);
+    return readPage(paginator, response, page);
+  }, { retry: maxRetries, retryDelay, keepPreviousData: true });
 
-  // Initial data fetch
-  useEffect(() => {
-    fetchUsers();
-  }, [fetchUsers]);
+  const users = currentPage?.items ?? [];
+  const total = currentPage?.total ?? null;
+  const nextPage = currentPage?.nextPageParam ?? null;
+  const pageCount = total !== null ? Math.ceil(total / pageSize) : null;
 
   // Manual retry function
   const handleRetry = () => {
-    fetchUsers();
+    refetch();
   };
 
-  // Filter and sort users based on search term and sort option
-  const filteredAndSortedUsers = users
-    .filter(user => 
-      user.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      user.email.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      user.username.toLowerCase().includes(searchTerm.toLowerCase())
-    )
-    .sort((a, b) => {
-      switch (sortBy) {
-        case 'name':
-          return a.name.localeCompare(b.name);
-        case 'email':
-          return a.email.localeCompare(b.email);
-        case 'username':
-          return a.username.localeCompare(b.username);
-        case 'id':
-          return a.id - b.id;
-        default:
-          return 0;
-      }
-    });
-
-  // Loading state
-  if (loading && users.length === 0) {
-    return (
-      <div className="max-w-4xl mx-auto p-6" data-testid="loading-state">
-        <div className="bg-white rounded-lg shadow-md p-8">
-          <div className="flex items-center justify-center">
-            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
-            <span className="ml-4 text-gray-600">
-              {retryCount > 0 ? `Loading... (Retry ${retryCount}/${maxRetries})` : 'Loading users...'}
-            </span>
-          </div>
-        </div>
-      </div>
-    );
-  }
-
   // Error state
   if (error) {
     return (
@@ -114,7 +101,7 @@ const UserList = ({
               Oops! Something went wrong
             </h2>
             <p className="text-gray-600 mb-6" data-testid="error-message">
-              {error}
+              {t('userList.loadFailed', { reason: t(error.messageKey || 'errors.unknown') })}
             </p>
             <button
               onClick={handleRetry}
@@ -129,6 +116,22 @@ const UserList = ({
     );
   }
 
+  // Loading state
+  if (!currentPage) {
+    return (
+      <div className="max-w-4xl mx-auto p-6" data-testid="loading-state">
+        <div className="bg-white rounded-lg shadow-md p-8">
+          <div className="flex items-center justify-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+            <span className="ml-4 text-gray-600">
+              {failureCount > 0 ? `Loading... (Retry ${failureCount}/${maxRetries})` : 'Loading users...'}
+            </span>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="max-w-6xl mx-auto p-6" data-testid="user-list-container">
       {/* Header */}
@@ -151,7 +154,7 @@ const UserList = ({
               type="text"
               placeholder="Search by name, email, or username..."
               value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
+              onChange={(e) => handleSearch(e.target.value)}
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               data-testid="search-input"
             />
@@ -163,7 +166,7 @@ const UserList = ({
             <select
               id="sort"
               value={sortBy}
-              onChange={(e) => setSortBy(e.target.value)}
+              onChange={(e) => handleSort(e.target.value)}
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               data-testid="sort-select"
             >
@@ -177,7 +180,7 @@ const UserList = ({
 
         {/* Results Summary */}
         <div className="text-sm text-gray-600">
-          Showing {filteredAndSortedUsers.length} of {users.length} users
+          Showing {users.length} of {total ?? users.length} users
           {searchTerm && (
             <span className="ml-2">
               for "<span className="font-medium">{searchTerm}</span>"
@@ -187,7 +190,7 @@ const UserList = ({
       </div>
 
       {/* User Grid */}
-      {filteredAndSortedUsers.length === 0 ? (
+      {users.length === 0 ? (
         <div className="bg-white rounded-lg shadow-md p-8 text-center" data-testid="no-results">
           <div className="text-gray-400 text-6xl mb-4">🔍</div>
           <h3 className="text-xl font-semibold text-gray-700 mb-2">No users found</h3>
@@ -199,7 +202,7 @@ const UserList = ({
           </p>
           {searchTerm && (
             <button
-              onClick={() => setSearchTerm('')}
+              onClick={() => handleSearch('')}
               className="mt-4 text-blue-500 hover:text-blue-600 font-medium"
               data-testid="clear-search-button"
             >
@@ -209,7 +212,7 @@ const UserList = ({
         </div>
       ) : (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6" data-testid="users-grid">
-          {filteredAndSortedUsers.map((user) => (
+          {users.map((user) => (
             <div
               key={user.id}
               className="bg-white rounded-lg shadow-md hover:shadow-lg transition-shadow p-6"
@@ -246,12 +249,12 @@ const UserList = ({
                 </div>
                 <div className="flex items-center text-sm text-gray-600">
                   <span className="w-5 h-5 mr-2">🏢</span>
-                  <span data-testid={`user-company-${user.id}`}>{user.company.name}</span>
+                  <span data-testid={`user-company-${user.id}`}>{user.company?.name}</span>
                 </div>
                 <div className="flex items-center text-sm text-gray-600">
                   <span className="w-5 h-5 mr-2">📍</span>
                   <span data-testid={`user-city-${user.id}`}>
-                    {user.address.city}, {user.address.zipcode}
+                    {user.address && `${user.address.city}, ${user.address.zipcode}`}
                   </span>
                 </div>
               </div>
@@ -270,15 +273,40 @@ const UserList = ({
         </div>
       )}
 
+      {/* Pagination */}
+      {(page > paginator.initialPageParam || nextPage !== null) && (
+        <div className="mt-8 flex items-center justify-center gap-4" data-testid="pagination">
+          <button
+            onClick={() => setPage((current) => current - 1)}
+            disabled={page === paginator.initialPageParam || isFetching}
+            className="bg-blue-500 hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg transition-colors font-medium"
+            data-testid="previous-page-button"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600" data-testid="page-indicator">
+            Page {page}{pageCount !== null && ` of ${pageCount}`}
+          </span>
+          <button
+            onClick={() => setPage(nextPage)}
+            disabled={nextPage === null || isFetching}
+            className="bg-blue-500 hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg transition-colors font-medium"
+            data-testid="next-page-button"
+          >
+            Next
+          </button>
+        </div>
+      )}
+
       {/* Refresh Button */}
       <div className="mt-8 text-center">
         <button
           onClick={handleRetry}
-          disabled={loading}
+          disabled={isFetching}
           className="bg-gray-500 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white px-6 py-2 rounded-lg transition-colors font-medium"
           data-testid="refresh-button"
         >
-          {loading ? 'Refreshing...' : 'Refresh Data'}
+          {isFetching ? 'Refreshing...' : 'Refresh Data'}
         </button>
       </div>
     </div>
@@ -288,7 +316,8 @@ const UserList = ({
 UserList.propTypes = {
   apiUrl: PropTypes.string,
   maxRetries: PropTypes.number,
-  retryDelay: PropTypes.number
+  retryDelay: PropTypes.number,
+  pageSize: PropTypes.number
 };
 
 export default UserList;
@@ -7,10 +7,24 @@ import React from 'react';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import '@testing-library/jest-dom';
+import '../i18n';
 import UserList from './UserList';
-
-// Mock fetch globally
-global.fetch = jest.fn();
+import api, { queryCache } from '../api/axiosConfig';
+import { HttpError, NetworkError, TimeoutError } from '../api/errors';
+import { searchAndSort } from '../api/mockRoutes';
+
+// Mock the API client so no network requests are made; queries get a cache of their own
+jest.mock('../api/axiosConfig', () => {
+  const { QueryCache } = jest.requireActual('../api/queryCache');
+  return {
+    __esModule: true,
+    default: {
+      get: jest.fn(),
+      cancelRequest: jest.fn()
+    },
+    queryCache: new QueryCache()
+  };
+});
 
 // Mock data for testing
 const mockUsers = [
@@ -46,26 +60,41 @@ const mockUsers = [
   }
 ];
 
-// Helper function to create a successful fetch response
-const createFetchResponse = (data) => ({
-  ok: true,
+// Twelve users, two pages of the default page size
+const manyUsers = Array.from({ length: 12 }, (_, i) => ({
+  ...mockUsers[0],
+  id: i + 1,
+  name: `User ${i + 1}`,
+  email: `user${i + 1}@example.com`,
+  username: `user${i + 1}`
+}));
+
+// Helper function to create a successful API response
+const createApiResponse = (data) => ({
+  data,
   status: 200,
-  json: async () => data,
+  metadata: { requestId: 'req_test', duration: 0 }
 });
 
-// Helper function to create a failed fetch response
-const createFetchError = (status = 500, statusText = 'Internal Server Error') => ({
-  ok: false,
-  status,
-  statusText,
-  json: async () => ({ error: statusText }),
-});
+// Helper function to answer like the API: searched (`q`), ordered (`_sort`) and paged on the server
+const serveUsers = (users) => (url, { params } = {}) => {
+  const found = searchAndSort(users, params);
+  const start = (params._page - 1) * params._limit;
+  return Promise.resolve({
+    ...createApiResponse(found.slice(start, start + params._limit)),
+    headers: { 'x-total-count': String(found.length) }
+  });
+};
+
+// Helper function to create a failed API response
+const createHttpError = (status = 500) => new HttpError({ status, response: { status, data: {} } });
 
 describe('UserList Component', () => {
   
   beforeEach(() => {
-    // Clear all mocks before each test
-    fetch.mockClear();
+    // Clear all mocks and cached users before each test
+    api.get.mockClear();
+    queryCache.clear();
     // Clear any pending timers
     jest.clearAllTimers();
     // Use fake timers for testing retry delays
@@ -81,7 +110,7 @@ describe('UserList Component', () => {
   // Basic Rendering and API Success Tests
   describe('successful API calls', () => {
     test('renders loading state initially', () => {
-      fetch.mockResolvedValueOnce(createFetchResponse(mockUsers));
+      api.get.mockResolvedValueOnce(createApiResponse(mockUsers));
       
       render(<UserList />);
       
@@ -90,7 +119,7 @@ describe('UserList Component', () => {
     });
 
     test('fetches and displays users successfully', async () => {
-      fetch.mockResolvedValueOnce(createFetchResponse(mockUsers));
+      api.get.mockResolvedValueOnce(createApiResponse(mockUsers));
       
       render(<UserList />);
       
@@ -111,28 +140,28 @@ describe('UserList Component', () => {
     });
 
     test('calls API with correct URL', async () => {
-      fetch.mockResolvedValueOnce(createFetchResponse(mockUsers));
+      api.get.mockResolvedValueOnce(createApiResponse(mockUsers));
       
       render(<UserList />);
       
       await waitFor(() => {
-        expect(fetch).toHaveBeenCalledWith('https://jsonplaceholder.typicode.com/users');
+        expect(api.get).toHaveBeenCalledWith('https://jsonplaceholder.typicode.com/users', expect.any(Object), 'user-list');
       });
     });
 
     test('uses custom API URL when provided', async () => {
       const customUrl = 'https://api.example.com/users';
-      fetch.mockResolvedValueOnce(createFetchResponse(mockUsers));
+      api.get.mockResolvedValueOnce(createApiResponse(mockUsers));
       
       render(<UserList apiUrl={customUrl} />);
       
       await waitFor(() => {
-        expect(fetch).toHaveBeenCalledWith(customUrl);
+        expect(api.get).toHaveBeenCalledWith(customUrl, expect.any(Object), 'user-list');
       });
     });
 
     test('displays correct user count', async () => {
-      fetch.mockResolvedValueOnce(createFetchResponse(mockUsers));
+      api.get.mockResolvedValueOnce(createApiResponse(mockUsers));
       
       render(<UserList />);
       
@@ -145,33 +174,58 @@ describe('UserList Component', () => {
   // API Error Handling Tests
   describe('API error handling', () => {
     test('displays error state when API call fails', async () => {
-      const errorMessage = 'Network error';
-      fetch.mockRejectedValueOnce(new Error(errorMessage));
+      api.get.mockRejectedValueOnce(new NetworkError());
       
       render(<UserList maxRetries={0} />);
       
       await waitFor(() => {
         expect(screen.getByTestId('error-state')).toBeInTheDocument();
-        expect(screen.getByTestId('error-message')).toHaveTextContent(`Failed to fetch users: ${errorMessage}`);
+        expect(screen.getByTestId('error-message')).toHaveTextContent('Failed to fetch users: Network error - please check your connection');
       });
     });
 
     test('displays error state for HTTP errors', async () => {
-      fetch.mockResolvedValueOnce(createFetchError(404, 'Not Found'));
+      api.get.mockRejectedValueOnce(createHttpError(404));
       
       render(<UserList maxRetries={0} />);
       
       await waitFor(() => {
         expect(screen.getByTestId('error-state')).toBeInTheDocument();
-        expect(screen.getByTestId('error-message')).toHaveTextContent('Failed to fetch users: HTTP error! status: 404');
+        expect(screen.getByTestId('error-message')).toHaveTextContent('Failed to fetch users: The requested resource was not found');
+      });
+    });
+
+    test('does not retry client errors', async () => {
+      api.get.mockRejectedValueOnce(createHttpError(404));
+      
+      render(<UserList maxRetries={2} retryDelay={100} />);
+      
+      await waitFor(() => {
+        expect(screen.getByTestId('error-state')).toBeInTheDocument();
       });
+      expect(api.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('ignores cancelled requests', async () => {
+      api.get.mockRejectedValueOnce(Object.assign(new Error('Request was cancelled'), { code: 'CANCELLED' }));
+      
+      render(<UserList maxRetries={0} />);
+      
+      // The query settles back to where it was before the fetch, without an error
+      const firstPageKey = ['users', 'https://jsonplaceholder.typicode.com/users', { page: 1, pageSize: 6, query: '', sortBy: 'name' }];
+      await waitFor(() => {
+        expect(queryCache.getState(firstPageKey)).toEqual(expect.objectContaining({ isFetching: false, status: 'idle' }));
+      });
+      
+      expect(api.get).toHaveBeenCalledTimes(1);
+      expect(screen.queryByTestId('error-state')).not.toBeInTheDocument();
     });
 
     test('retry button works after error', async () => {
       // First call fails
-      fetch.mockRejectedValueOnce(new Error('Network error'));
+      api.get.mockRejectedValueOnce(new NetworkError());
       // Second call succeeds
-      fetch.mockResolvedValueOnce(createFetchResponse(mockUsers));
+      api.get.mockResolvedValueOnce(createApiResponse(mockUsers));
       
       render(<UserList maxRetries={0} />);
       
@@ -190,7 +244,7 @@ describe('UserList Component', () => {
         expect(screen.getByTestId('user-card-1')).toBeInTheDocument();
       });
       
-      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(api.get).toHaveBeenCalledTimes(2);
     });
   });
 
@@ -198,7 +252,7 @@ describe('UserList Component', () => {
   describe('retry mechanism', () => {
     test('retries failed requests up to maxRetries', async () => {
       // All calls fail
-      fetch.mockRejectedValue(new Error('Network error'));
+      api.get.mockRejectedValue(new NetworkError());
       
       render(<UserList maxRetries={2} retryDelay={100} />);
       
@@ -208,14 +262,14 @@ describe('UserList Component', () => {
       }, { timeout: 5000 });
       
       // Should have made 3 calls total (initial + 2 retries)
-      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(api.get).toHaveBeenCalledTimes(3);
     });
 
     test('stops retrying on success', async () => {
       // First call fails, second succeeds
-      fetch
-        .mockRejectedValueOnce(new Error('Network error'))
-        .mockResolvedValueOnce(createFetchResponse(mockUsers));
+      api.get
+        .mockRejectedValueOnce(new NetworkError())
+        .mockResolvedValueOnce(createApiResponse(mockUsers));
       
       render(<UserList maxRetries={2} retryDelay={100} />);
       
@@ -225,14 +279,14 @@ describe('UserList Component', () => {
       }, { timeout: 5000 });
       
       // Should have made exactly 2 calls
-      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(api.get).toHaveBeenCalledTimes(2);
     });
   });
 
   // Search Functionality Tests
   describe('search functionality', () => {
     beforeEach(async () => {
-      fetch.mockResolvedValue(createFetchResponse(mockUsers));
+      api.get.mockImplementation(serveUsers(mockUsers));
       render(<UserList />);
       
       // Wait for users to load
@@ -246,13 +300,18 @@ describe('UserList Component', () => {
       
       await userEvent.type(searchInput, 'John');
       
-      // Should show only John Doe (note: Bob Johnson also contains "John")
+      // The server gets the term and answers with every match
+      await waitFor(() => {
+        expect(screen.queryByTestId('user-card-2')).not.toBeInTheDocument(); // Jane Smith
+      });
+      expect(api.get).toHaveBeenLastCalledWith(expect.any(String), expect.objectContaining({
+        params: expect.objectContaining({ q: 'John', _page: 1 })
+      }), 'user-list');
       expect(screen.getByTestId('user-card-1')).toBeInTheDocument(); // John Doe
-      expect(screen.queryByTestId('user-card-2')).not.toBeInTheDocument(); // Jane Smith
       expect(screen.getByTestId('user-card-3')).toBeInTheDocument(); // Bob Johnson (contains "John")
       
       // Should update count (2 users match "John")
-      expect(screen.getByText('Showing 2 of 3 users for "John"')).toBeInTheDocument();
+      expect(screen.getByText('Showing 2 of 2 users')).toHaveTextContent('for "John"');
     });
 
     test('filters users by email', async () => {
@@ -261,7 +320,9 @@ describe('UserList Component', () => {
       await userEvent.type(searchInput, 'jane@example.com');
       
       // Should show only Jane Smith
-      expect(screen.queryByTestId('user-card-1')).not.toBeInTheDocument();
+      await waitFor(() => {
+        expect(screen.queryByTestId('user-card-1')).not.toBeInTheDocument();
+      });
       expect(screen.getByTestId('user-card-2')).toBeInTheDocument();
       expect(screen.queryByTestId('user-card-3')).not.toBeInTheDocument();
     });
@@ -272,7 +333,9 @@ describe('UserList Component', () => {
       await userEvent.type(searchInput, 'bobjohnson');
       
       // Should show only Bob Johnson
-      expect(screen.queryByTestId('user-card-1')).not.toBeInTheDocument();
+      await waitFor(() => {
+        expect(screen.queryByTestId('user-card-1')).not.toBeInTheDocument();
+      });
       expect(screen.queryByTestId('user-card-2')).not.toBeInTheDocument();
       expect(screen.getByTestId('user-card-3')).toBeInTheDocument();
     });
@@ -282,7 +345,7 @@ describe('UserList Component', () => {
       
       await userEvent.type(searchInput, 'nonexistent');
       
-      expect(screen.getByTestId('no-results')).toBeInTheDocument();
+      expect(await screen.findByTestId('no-results')).toBeInTheDocument();
       expect(screen.getByText('No users match your search for "nonexistent"')).toBeInTheDocument();
       expect(screen.getByTestId('clear-search-button')).toBeInTheDocument();
     });
@@ -291,13 +354,13 @@ describe('UserList Component', () => {
       const searchInput = screen.getByTestId('search-input');
       
       await userEvent.type(searchInput, 'nonexistent');
-      expect(screen.getByTestId('no-results')).toBeInTheDocument();
+      expect(await screen.findByTestId('no-results')).toBeInTheDocument();
       
       const clearButton = screen.getByTestId('clear-search-button');
       await userEvent.click(clearButton);
       
       expect(searchInput.value).toBe('');
-      expect(screen.getByTestId('user-card-1')).toBeInTheDocument();
+      expect(await screen.findByTestId('user-card-1')).toBeInTheDocument();
       expect(screen.getByTestId('user-card-2')).toBeInTheDocument();
       expect(screen.getByTestId('user-card-3')).toBeInTheDocument();
     });
@@ -308,16 +371,21 @@ describe('UserList Component', () => {
       await userEvent.type(searchInput, 'JOHN');
       
       // Should still find John Doe and Bob Johnson
+      await waitFor(() => {
+        expect(screen.queryByTestId('user-card-2')).not.toBeInTheDocument(); // Jane Smith
+      });
       expect(screen.getByTestId('user-card-1')).toBeInTheDocument(); // John Doe
-      expect(screen.queryByTestId('user-card-2')).not.toBeInTheDocument(); // Jane Smith
       expect(screen.getByTestId('user-card-3')).toBeInTheDocument(); // Bob Johnson
     });
   });
 
   // Sorting Functionality Tests
   describe('sorting functionality', () => {
+    // Names in the order the cards are shown
+    const shownNames = () => screen.getAllByTestId(/^user-name-/).map((name) => name.textContent);
+
     beforeEach(async () => {
-      fetch.mockResolvedValue(createFetchResponse(mockUsers));
+      api.get.mockImplementation(serveUsers(mockUsers));
       render(<UserList />);
       
       // Wait for users to load
@@ -335,6 +403,10 @@ describe('UserList Component', () => {
       expect(firstUserName).toHaveTextContent('Bob Johnson');
       expect(secondUserName).toHaveTextContent('Jane Smith');
       expect(thirdUserName).toHaveTextContent('John Doe');
+      expect(shownNames()).toEqual(['Bob Johnson', 'Jane Smith', 'John Doe']);
+      expect(api.get).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+        params: expect.objectContaining({ _sort: 'name' })
+      }), 'user-list');
     });
 
     test('sorts users by email', async () => {
@@ -342,11 +414,17 @@ describe('UserList Component', () => {
       
       await userEvent.selectOptions(sortSelect, 'email');
       
-      // Should sort by email alphabetically
+      // Should sort by email alphabetically, on the server
+      await waitFor(() => {
+        expect(api.get).toHaveBeenLastCalledWith(expect.any(String), expect.objectContaining({
+          params: expect.objectContaining({ _sort: 'email', _page: 1 })
+        }), 'user-list');
+      });
       const userCards = screen.getAllByTestId(/^user-card-/);
       // bob@example.com, jane@example.com, john@example.com
       const firstUserEmail = screen.getByTestId('user-email-3');
       expect(firstUserEmail).toHaveTextContent('bob@example.com');
+      expect(shownNames()).toEqual(['Bob Johnson', 'Jane Smith', 'John Doe']);
     });
 
     test('sorts users by username', async () => {
@@ -366,6 +444,9 @@ describe('UserList Component', () => {
       await userEvent.selectOptions(sortSelect, 'id');
       
       // Should sort by ID numerically (1, 2, 3)
+      await waitFor(() => {
+        expect(shownNames()).toEqual(['John Doe', 'Jane Smith', 'Bob Johnson']);
+      });
       const userCards = screen.getAllByTestId(/^user-card-/);
       const firstUserName = screen.getByTestId('user-name-1');
       expect(firstUserName).toHaveTextContent('John Doe');
@@ -375,7 +456,7 @@ describe('UserList Component', () => {
   // User Interaction Tests
   describe('user interactions', () => {
     beforeEach(async () => {
-      fetch.mockResolvedValue(createFetchResponse(mockUsers));
+      api.get.mockResolvedValue(createApiResponse(mockUsers));
       render(<UserList />);
       
       await waitFor(() => {
@@ -393,20 +474,20 @@ describe('UserList Component', () => {
       const refreshButton = screen.getByTestId('refresh-button');
       
       // Clear the initial call
-      fetch.mockClear();
-      fetch.mockResolvedValueOnce(createFetchResponse(mockUsers));
+      api.get.mockClear();
+      api.get.mockResolvedValueOnce(createApiResponse(mockUsers));
       
       await userEvent.click(refreshButton);
       
-      expect(fetch).toHaveBeenCalledTimes(1);
-      expect(fetch).toHaveBeenCalledWith('https://jsonplaceholder.typicode.com/users');
+      expect(api.get).toHaveBeenCalledTimes(1);
+      expect(api.get).toHaveBeenCalledWith('https://jsonplaceholder.typicode.com/users', expect.any(Object), 'user-list');
     });
 
     test('refresh button is disabled during loading', async () => {
       const refreshButton = screen.getByTestId('refresh-button');
       
       // Mock a slow response
-      fetch.mockImplementationOnce(() => new Promise(resolve => setTimeout(() => resolve(createFetchResponse(mockUsers)), 1000)));
+      api.get.mockImplementationOnce(() => new Promise(resolve => setTimeout(() => resolve(createApiResponse(mockUsers)), 1000)));
       
       await userEvent.click(refreshButton);
       
@@ -415,10 +496,107 @@ describe('UserList Component', () => {
     });
   });
 
+  // Pagination Tests
+  describe('pagination', () => {
+    // Pages of `manyUsers` as the API sends them, with the collection size in a header
+    const servePage = (url, { params }) => {
+      const start = (params._page - 1) * params._limit;
+      return Promise.resolve({
+        ...createApiResponse(manyUsers.slice(start, start + params._limit)),
+        headers: { 'x-total-count': '12' }
+      });
+    };
+
+    test('asks for one page at a time and shows the total from x-total-count', async () => {
+      api.get.mockImplementation(servePage);
+      render(<UserList />);
+
+      expect(await screen.findByTestId('page-indicator')).toHaveTextContent('Page 1 of 2');
+      expect(screen.getByText('Showing 6 of 12 users')).toBeInTheDocument();
+      expect(screen.getAllByTestId(/^user-card-/)).toHaveLength(6);
+      expect(api.get).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+        params: expect.objectContaining({ _page: 1, _limit: 6 })
+      }), 'user-list');
+    });
+
+    test('previous and next move between pages and stop at either end', async () => {
+      api.get.mockImplementation(servePage);
+      render(<UserList />);
+
+      expect(await screen.findByTestId('previous-page-button')).toBeDisabled();
+      expect(screen.getByTestId('next-page-button')).toBeEnabled();
+
+      await userEvent.click(screen.getByTestId('next-page-button'));
+      await waitFor(() => {
+        expect(screen.getByTestId('page-indicator')).toHaveTextContent('Page 2 of 2');
+      });
+      expect(screen.getByTestId('user-card-7')).toBeInTheDocument();
+      expect(screen.queryByTestId('user-card-1')).not.toBeInTheDocument();
+      expect(screen.getByTestId('next-page-button')).toBeDisabled();
+      expect(screen.getByTestId('previous-page-button')).toBeEnabled();
+      expect(api.get).toHaveBeenLastCalledWith(expect.any(String), expect.objectContaining({
+        params: expect.objectContaining({ _page: 2, _limit: 6 })
+      }), 'user-list');
+
+      await userEvent.click(screen.getByTestId('previous-page-button'));
+      await waitFor(() => {
+        expect(screen.getByTestId('page-indicator')).toHaveTextContent('Page 1 of 2');
+      });
+      expect(screen.getByTestId('user-card-1')).toBeInTheDocument();
+      expect(screen.getByTestId('previous-page-button')).toBeDisabled();
+    });
+
+    test('without x-total-count a short page is the last one', async () => {
+      api.get.mockImplementation((url, { params }) => {
+        const start = (params._page - 1) * params._limit;
+        return Promise.resolve(createApiResponse(manyUsers.slice(start, start + params._limit)));
+      });
+      render(<UserList pageSize={5} />);
+
+      expect(await screen.findByTestId('page-indicator')).toHaveTextContent(/^Page 1$/);
+      await userEvent.click(screen.getByTestId('next-page-button'));
+      await waitFor(() => {
+        expect(screen.getByTestId('page-indicator')).toHaveTextContent(/^Page 2$/);
+      });
+      // A full page may have more after it
+      expect(screen.getByTestId('next-page-button')).toBeEnabled();
+      await userEvent.click(screen.getByTestId('next-page-button'));
+
+      await waitFor(() => {
+        expect(screen.getByTestId('page-indicator')).toHaveTextContent(/^Page 3$/);
+      });
+      expect(screen.getAllByTestId(/^user-card-/)).toHaveLength(2);
+      expect(screen.getByTestId('next-page-button')).toBeDisabled();
+    });
+
+    test('goes back to the first page when apiUrl changes', async () => {
+      api.get.mockImplementation(servePage);
+      const { rerender } = render(<UserList />);
+
+      await userEvent.click(await screen.findByTestId('next-page-button'));
+      await waitFor(() => {
+        expect(screen.getByTestId('page-indicator')).toHaveTextContent('Page 2 of 2');
+      });
+
+      rerender(<UserList apiUrl="https://api.example.com/users" />);
+
+      await waitFor(() => {
+        expect(api.get).toHaveBeenLastCalledWith('https://api.example.com/users', expect.objectContaining({
+          params: expect.objectContaining({ _page: 1 })
+        }), 'user-list');
+      });
+      expect(await screen.findByTestId('user-card-1')).toBeInTheDocument();
+      expect(screen.getByTestId('page-indicator')).toHaveTextContent('Page 1 of 2');
+      expect(api.get).not.toHaveBeenCalledWith('https://api.example.com/users', expect.objectContaining({
+        params: expect.objectContaining({ _page: 2 })
+      }), 'user-list');
+    });
+  });
+
   // Accessibility Tests
   describe('accessibility', () => {
     test('has proper form labels', async () => {
-      fetch.mockResolvedValue(createFetchResponse(mockUsers));
+      api.get.mockResolvedValue(createApiResponse(mockUsers));
       render(<UserList />);
       
       await waitFor(() => {
@@ -428,7 +606,7 @@ describe('UserList Component', () => {
     });
 
     test('search input has proper attributes', async () => {
-      fetch.mockResolvedValue(createFetchResponse(mockUsers));
+      api.get.mockResolvedValue(createApiResponse(mockUsers));
       render(<UserList />);
       
       // Wait for component to load
@@ -445,7 +623,7 @@ describe('UserList Component', () => {
   // Edge Cases and Error Scenarios
   describe('edge cases', () => {
     test('handles empty API response', async () => {
-      fetch.mockResolvedValueOnce(createFetchResponse([]));
+      api.get.mockResolvedValueOnce(createApiResponse([]));
       
       render(<UserList />);
       
@@ -456,23 +634,36 @@ describe('UserList Component', () => {
     });
 
     test('handles malformed API response', async () => {
-      fetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => { throw new Error('Invalid JSON'); }
-      });
+      api.get.mockRejectedValueOnce(new Error('Invalid JSON'));
       
       render(<UserList maxRetries={0} />);
       
       await waitFor(() => {
         expect(screen.getByTestId('error-state')).toBeInTheDocument();
-        expect(screen.getByTestId('error-message')).toHaveTextContent('Failed to fetch users: Invalid JSON');
+        expect(screen.getByTestId('error-message')).toHaveTextContent('Failed to fetch users: Something went wrong');
       });
     });
 
+    test('shows a schema mismatch when the real client gets a user without username', async () => {
+      const { default: realApi } = jest.requireActual('../api/axiosConfig');
+      const { createMockAdapter } = jest.requireActual('../api/mockAdapter');
+      const { username, ...userWithoutUsername } = mockUsers[0];
+      const adapter = createMockAdapter({
+        routes: { 'GET /users': () => ({ status: 200, data: [userWithoutUsername] }) }
+      });
+      api.get.mockImplementation((url, config, requestKey) => realApi.get(url, { ...config, adapter }, requestKey));
+
+      render(<UserList maxRetries={0} />);
+
+      expect(await screen.findByTestId('error-message'))
+        .toHaveTextContent("Failed to fetch users: The data didn't have the expected format");
+      expect(screen.queryByTestId('user-card-1')).not.toBeInTheDocument();
+    });
+
     test('handles network timeout', async () => {
-      fetch.mockImplementationOnce(() => 
+      api.get.mockImplementationOnce(() => 
         new Promise((resolve, reject) => {
-          setTimeout(() => reject(new Error('Network timeout')), 100);
+          setTimeout(() => reject(new TimeoutError()), 100);
         })
       );
       
@@ -483,7 +674,7 @@ describe('UserList Component', () => {
       
       await waitFor(() => {
         expect(screen.getByTestId('error-state')).toBeInTheDocument();
-        expect(screen.getByTestId('error-message')).toHaveTextContent('Failed to fetch users: Network timeout');
+        expect(screen.getByTestId('error-message')).toHaveTextContent('Failed to fetch users: Request timeout - please try again');
       });
     });
   });
@@ -499,7 +690,7 @@ describe('UserList Component', () => {
         username: `user${i + 1}`
       }));
       
-      fetch.mockResolvedValueOnce(createFetchResponse(largeUserList));
+      api.get.mockResolvedValueOnce(createApiResponse(largeUserList));
       
       const start = performance.now();
       render(<UserList />);
@@ -521,7 +712,7 @@ describe('UserList Component', () => {
         username: `user${i + 1}`
       }));
       
-      fetch.mockResolvedValueOnce(createFetchResponse(largeUserList));
+      api.get.mockImplementation(serveUsers(largeUserList));
       render(<UserList />);
       
       await waitFor(() => {
@@ -541,7 +732,7 @@ describe('UserList Component', () => {
   // Integration Tests
   describe('integration scenarios', () => {
     test('search and sort work together', async () => {
-      fetch.mockResolvedValue(createFetchResponse(mockUsers));
+      api.get.mockImplementation(serveUsers(mockUsers));
       render(<UserList />);
       
       await waitFor(() => {
@@ -553,7 +744,9 @@ describe('UserList Component', () => {
       await userEvent.type(searchInput, 'Jane');
       
       // Should show only Jane Smith
-      expect(screen.queryByTestId('user-card-1')).not.toBeInTheDocument(); // John (filtered out)
+      await waitFor(() => {
+        expect(screen.queryByTestId('user-card-1')).not.toBeInTheDocument(); // John (filtered out)
+      });
       expect(screen.getByTestId('user-card-2')).toBeInTheDocument(); // Jane
       expect(screen.queryByTestId('user-card-3')).not.toBeInTheDocument(); // Bob (filtered out)
       
@@ -562,16 +755,52 @@ describe('UserList Component', () => {
       await userEvent.selectOptions(sortSelect, 'email');
       
       // Should show only Jane Smith after sorting
+      await waitFor(() => {
+        expect(api.get).toHaveBeenLastCalledWith(expect.any(String), expect.objectContaining({
+          params: expect.objectContaining({ q: 'Jane', _sort: 'email' })
+        }), 'user-list');
+      });
       const userCards = screen.getAllByTestId(/^user-card-/);
       expect(userCards).toHaveLength(1);
       expect(screen.getByTestId('user-card-2')).toBeInTheDocument();
     });
 
+    test('a new search or order goes back to the first page', async () => {
+      api.get.mockImplementation(serveUsers(manyUsers));
+      render(<UserList />);
+
+      await userEvent.click(await screen.findByTestId('next-page-button'));
+      await waitFor(() => {
+        expect(screen.getByTestId('page-indicator')).toHaveTextContent('Page 2 of 2');
+      });
+
+      await userEvent.type(screen.getByTestId('search-input'), 'User 1');
+      // User 1, 10, 11 and 12 match across the whole collection, not just the page shown before
+      await waitFor(() => {
+        expect(screen.getByText('Showing 4 of 4 users')).toBeInTheDocument();
+      });
+      expect(api.get).toHaveBeenLastCalledWith(expect.any(String), expect.objectContaining({
+        params: expect.objectContaining({ q: 'User 1', _page: 1 })
+      }), 'user-list');
+      // A single page of results needs no page controls
+      expect(screen.queryByTestId('pagination')).not.toBeInTheDocument();
+
+      await userEvent.clear(screen.getByTestId('search-input'));
+      await userEvent.click(await screen.findByTestId('next-page-button'));
+      await waitFor(() => {
+        expect(screen.getByTestId('page-indicator')).toHaveTextContent('Page 2 of 2');
+      });
+      await userEvent.selectOptions(screen.getByTestId('sort-select'), 'email');
+      await waitFor(() => {
+        expect(screen.getByTestId('page-indicator')).toHaveTextContent('Page 1 of 2');
+      });
+    });
+
     test('retry mechanism works with search', async () => {
       // First call fails
-      fetch.mockRejectedValueOnce(new Error('Network error'));
+      api.get.mockRejectedValueOnce(new NetworkError());
       // Retry succeeds
-      fetch.mockResolvedValueOnce(createFetchResponse(mockUsers));
+      api.get.mockImplementation(serveUsers(mockUsers));
       
       render(<UserList maxRetries={1} retryDelay={100} />);
       
@@ -586,7 +815,9 @@ describe('UserList Component', () => {
       const searchInput = screen.getByTestId('search-input');
       await userEvent.type(searchInput, 'Jane');
       
-      expect(screen.queryByTestId('user-card-1')).not.toBeInTheDocument();
+      await waitFor(() => {
+        expect(screen.queryByTestId('user-card-1')).not.toBeInTheDocument();
+      });
       expect(screen.getByTestId('user-card-2')).toBeInTheDocument();
     });
   });
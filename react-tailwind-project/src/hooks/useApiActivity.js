@@ -0,0 +1,26 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import { requestEvents, REQUEST_PRIORITIES } from '../api/axiosConfig';
+import { summarizeActivity } from '../api/requestEvents';
+
+/**
+ * Subscribe to the requests in flight across every API client
+ * @param {Object} options - Hook options
+ * @param {boolean} options.includeBackground - Count polling and other background requests
+ * @param {RequestEventBus} options.bus - Event bus to observe (defaults to the API clients' bus)
+ * @returns {Object} `{ inFlight, isLoading, requests, progress }`, progress is 0-1 or null when unknown
+ */
+const useApiActivity = ({ includeBackground = true, bus = requestEvents } = {}) => {
+  const activity = useSyncExternalStore(
+    (onChange) => bus.subscribe(onChange),
+    () => bus.getActivity()
+  );
+
+  return useMemo(() => {
+    const summary = includeBackground ? activity : summarizeActivity(
+      activity.requests.filter((request) => request.priority !== REQUEST_PRIORITIES.BACKGROUND)
+    );
+    return { ...summary, isLoading: summary.inFlight > 0 };
+  }, [activity, includeBackground]);
+};
+
+export default useApiActivity;
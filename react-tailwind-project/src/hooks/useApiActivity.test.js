@@ -0,0 +1,30 @@
+import { renderHook, act } from '@testing-library/react';
+import useApiActivity from './useApiActivity';
+import { RequestEventBus, REQUEST_EVENTS } from '../api/requestEvents';
+import { REQUEST_PRIORITIES } from '../api/requestScheduler';
+
+describe('useApiActivity', () => {
+  test('reports in-flight requests and optionally hides background ones', () => {
+    const bus = new RequestEventBus();
+    const { result: all } = renderHook(() => useApiActivity({ bus }));
+    const { result: foreground } = renderHook(() => useApiActivity({ bus, includeBackground: false }));
+
+    expect(all.current).toMatchObject({ inFlight: 0, isLoading: false, progress: null });
+
+    act(() => {
+      bus.emit(REQUEST_EVENTS.START, { requestId: 'poll', priority: REQUEST_PRIORITIES.BACKGROUND });
+      bus.emit(REQUEST_EVENTS.START, { requestId: 'save', priority: REQUEST_PRIORITIES.USER });
+      bus.emit(REQUEST_EVENTS.PROGRESS, { requestId: 'save', loaded: 1, total: 4 });
+    });
+
+    expect(all.current).toMatchObject({ inFlight: 2, isLoading: true });
+    expect(foreground.current).toMatchObject({ inFlight: 1, isLoading: true, progress: 0.25 });
+
+    act(() => {
+      bus.emit(REQUEST_EVENTS.SUCCESS, { requestId: 'save' });
+    });
+
+    expect(foreground.current.isLoading).toBe(false);
+    expect(all.current.inFlight).toBe(1);
+  });
+});
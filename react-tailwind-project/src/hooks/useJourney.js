@@ -0,0 +1,24 @@
+import { useEffect, useState } from 'react';
+import { correlationContext } from '../api/axiosConfig';
+
+/**
+ * Run a journey (e.g. a route visit) while the component is mounted
+ * A new journey starts whenever `type` or `name` changes
+ * @param {string} type - One of JOURNEY_TYPES
+ * @param {string} name - Journey name, e.g. the route path
+ * @param {CorrelationContext} context - Context to use (defaults to the API client's)
+ * @returns {string|null} ID of the active journey
+ */
+const useJourney = (type, name, context = correlationContext) => {
+  const [journeyId, setJourneyId] = useState(null);
+
+  useEffect(() => {
+    const journey = context.startJourney(type, name);
+    setJourneyId(journey.id);
+    return () => context.endJourney(journey);
+  }, [type, name, context]);
+
+  return journeyId;
+};
+
+export default useJourney;
@@ -0,0 +1,27 @@
+import { renderHook } from '@testing-library/react';
+import useJourney from './useJourney';
+import { CorrelationContext, JOURNEY_TYPES } from '../api/correlationContext';
+
+describe('useJourney', () => {
+  test('starts a journey per name and ends it on change and unmount', () => {
+    let counter = 0;
+    const context = new CorrelationContext({
+      storage: null,
+      generateSessionId: () => `sess_${(counter += 1)}`
+    });
+    const { result, rerender, unmount } = renderHook(
+      ({ path }) => useJourney(JOURNEY_TYPES.ROUTE, path, context),
+      { initialProps: { path: '/' } }
+    );
+
+    expect(result.current).toBe('sess_1.1');
+    expect(context.getCurrentJourney()).toMatchObject({ type: JOURNEY_TYPES.ROUTE, name: '/' });
+
+    rerender({ path: '/form' });
+    expect(result.current).toBe('sess_1.2');
+    expect(context.getSnapshot().journeys).toHaveLength(1);
+
+    unmount();
+    expect(context.getCurrentJourney()).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { queryCache } from '../api/axiosConfig';
+import { QUERY_STATUS } from '../api/queryCache';
+
+const IDLE_MUTATION_STATE = { status: QUERY_STATUS.IDLE, data: undefined, error: null, variables: undefined };
+
+/**
+ * Run a write request and invalidate the queries it affects
+ * @param {Function} mutationFn - `(variables) => data`, e.g. `(user) => users.create({ body: user })`
+ * @param {Object} options - Hook options
+ * @param {Array|Function} options.invalidates - Query key prefixes to invalidate on success,
+ *   e.g. `[['users']]`, or `(data, variables) => prefixes`
+ * @param {Function} options.onSuccess - Called with `(data, variables)`
+ * @param {Function} options.onError - Called with `(error, variables)`
+ * @param {Function} options.onSettled - Called with `(data, error, variables)`
+ * @param {QueryCache} options.cache - Cache to invalidate (defaults to the shared one)
+ * @returns {Object} `{ mutate, mutateAsync, reset, data, error, status, isLoading, isError, isSuccess }`
+ */
+const useMutation = (mutationFn, {
+  invalidates,
+  onSuccess,
+  onError,
+  onSettled,
+  cache = queryCache
+} = {}) => {
+  const [state, setState] = useState(IDLE_MUTATION_STATE);
+  const optionsRef = useRef();
+  optionsRef.current = { mutationFn, invalidates, onSuccess, onError, onSettled };
+
+  // Results arriving after unmount are dropped
+  const mounted = useRef(false);
+  useEffect(() => {
+    mounted.current = true;
+    return () => {
+      mounted.current = false;
+    };
+  }, []);
+
+  const update = useCallback((next) => {
+    if (mounted.current) {
+      setState(next);
+    }
+  }, []);
+
+  const mutateAsync = useCallback(async (variables) => {
+    const options = optionsRef.current;
+    update({ ...IDLE_MUTATION_STATE, status: QUERY_STATUS.LOADING, variables });
+
+    try {
+      const data = await options.mutationFn(variables);
+      const prefixes = typeof options.invalidates === 'function'
+        ? options.invalidates(data, variables)
+        : options.invalidates;
+      (prefixes || []).forEach((prefix) => cache.invalidate(prefix));
+
+      update({ status: QUERY_STATUS.SUCCESS, data, error: null, variables });
+      options.onSuccess?.(data, variables);
+      options.onSettled?.(data, null, variables);
+      return data;
+    } catch (error) {
+      update({ status: QUERY_STATUS.ERROR, data: undefined, error, variables });
+      options.onError?.(error, variables);
+      options.onSettled?.(undefined, error, variables);
+      throw error;
+    }
+  }, [cache, update]);
+
+  // Fire-and-forget variant; errors end up in `error`
+  const mutate = useCallback((variables) => {
+    mutateAsync(variables).catch(() => undefined);
+  }, [mutateAsync]);
+
+  const reset = useCallback(() => update(IDLE_MUTATION_STATE), [update]);
+
+  return {
+    ...state,
+    isLoading: state.status === QUERY_STATUS.LOADING,
+    isError: state.status === QUERY_STATUS.ERROR,
+    isSuccess: state.status === QUERY_STATUS.SUCCESS,
+    mutate,
+    mutateAsync,
+    reset
+  };
+};
+
+export default useMutation;
@@ -0,0 +1,47 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useMutation from './useMutation';
+import useQuery from './useQuery';
+import { QueryCache } from '../api/queryCache';
+
+describe('useMutation', () => {
+  test('invalidates the affected queries after a successful mutation', async () => {
+    const cache = new QueryCache();
+    const names = ['Ada'];
+    const fetcher = jest.fn(async () => [...names]);
+    const { result: list } = renderHook(() => useQuery(['users', 'list'], fetcher, { cache }));
+    await waitFor(() => expect(list.current.data).toEqual(['Ada']));
+
+    const onSuccess = jest.fn();
+    const { result: create } = renderHook(() => useMutation(async (name) => {
+      names.push(name);
+      return { name };
+    }, { cache, invalidates: [['users']], onSuccess }));
+
+    await act(() => create.current.mutateAsync('Grace'));
+
+    expect(create.current).toMatchObject({ isSuccess: true, data: { name: 'Grace' }, variables: 'Grace' });
+    expect(onSuccess).toHaveBeenCalledWith({ name: 'Grace' }, 'Grace');
+    await waitFor(() => expect(list.current.data).toEqual(['Ada', 'Grace']));
+  });
+
+  test('reports errors without invalidating', async () => {
+    const cache = new QueryCache();
+    const invalidate = jest.spyOn(cache, 'invalidate');
+    const error = new Error('nope');
+    const onError = jest.fn();
+    const { result } = renderHook(() => useMutation(async () => {
+      throw error;
+    }, { cache, invalidates: [['users']], onError }));
+
+    await act(async () => {
+      result.current.mutate('x');
+    });
+
+    expect(result.current).toMatchObject({ isError: true, error });
+    expect(onError).toHaveBeenCalledWith(error, 'x');
+    expect(invalidate).not.toHaveBeenCalled();
+
+    act(() => result.current.reset());
+    expect(result.current.status).toBe('idle');
+  });
+});
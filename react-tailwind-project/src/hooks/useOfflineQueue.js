@@ -0,0 +1,27 @@
+import { useSyncExternalStore } from 'react';
+import { offlineQueue, OUTBOX_STATUS } from '../api/axiosConfig';
+
+/**
+ * Subscribe to the offline mutation outbox
+ * @param {OfflineMutationQueue} queue - Queue to observe (defaults to the API client's outbox)
+ * @returns {Object} Entries grouped by status, plus actions to manage them
+ */
+const useOfflineQueue = (queue = offlineQueue) => {
+  const entries = useSyncExternalStore(
+    (onChange) => queue.subscribe(onChange),
+    () => queue.getEntries()
+  );
+
+  return {
+    entries,
+    pending: entries.filter((entry) => entry.status === OUTBOX_STATUS.PENDING),
+    sent: entries.filter((entry) => entry.status === OUTBOX_STATUS.SENT),
+    failed: entries.filter((entry) => entry.status === OUTBOX_STATUS.FAILED),
+    replay: () => queue.replay(),
+    retry: (id) => queue.retry(id),
+    remove: (id) => queue.remove(id),
+    clearSent: () => queue.clearSent()
+  };
+};
+
+export default useOfflineQueue;
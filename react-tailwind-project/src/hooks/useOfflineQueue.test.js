@@ -0,0 +1,33 @@
+import { renderHook, act } from '@testing-library/react';
+import useOfflineQueue from './useOfflineQueue';
+import { OfflineMutationQueue } from '../api/offlineQueue';
+import { HttpError } from '../api/errors';
+
+describe('useOfflineQueue', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('groups entries by status and updates on replay', async () => {
+    const send = jest.fn()
+      .mockResolvedValueOnce({ status: 201 })
+      .mockRejectedValueOnce(new HttpError({ status: 400 }));
+    const queue = new OfflineMutationQueue({ send, storageKey: 'hook_outbox' });
+    const { result } = renderHook(() => useOfflineQueue(queue));
+
+    act(() => {
+      queue.enqueue({ method: 'post', url: '/ok', idempotencyKey: 'key-1' });
+      queue.enqueue({ method: 'post', url: '/bad', idempotencyKey: 'key-2' });
+    });
+    expect(result.current.pending).toHaveLength(2);
+
+    await act(() => result.current.replay());
+
+    expect(result.current.pending).toHaveLength(0);
+    expect(result.current.sent.map((entry) => entry.url)).toEqual(['/ok']);
+    expect(result.current.failed.map((entry) => entry.url)).toEqual(['/bad']);
+
+    act(() => result.current.clearSent());
+    expect(result.current.entries).toHaveLength(1);
+  });
+});
@@ -0,0 +1,125 @@
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import api from '../api/axiosConfig';
+import { ERROR_CODES } from '../api/errors';
+import { createPaginator, readPage } from '../api/pagination';
+
+const INITIAL_STATE = { pages: [], nextPageParam: null, hasMore: false, total: null, error: null, status: 'idle' };
+
+/**
+ * Load a paginated collection page by page
+ * The first page loads on mount and whenever the URL or params change;
+ * in-flight requests are cancelled on refetch and unmount.
+ * @param {string} url - Collection URL
+ * @param {Object} options - Hook options
+ * @param {Object} options.pagination - `createPaginator` options, or a memoized paginator (see api/pagination.js)
+ * @param {Object} options.params - Extra query params sent with every page
+ * @param {Object} options.config - Extra axios config sent with every page
+ * @param {string} options.requestKey - Cancellation key, `paginated:<url>` by default
+ * @param {boolean} options.enabled - Set to false to hold off loading
+ * @param {Object} options.client - API client (defaults to `api`)
+ * @returns {Object} `{ pages, items, hasMore, total, fetchNext, refetch, isLoading, isFetchingNext, error }`
+ */
+const usePaginatedQuery = (url, {
+  pagination,
+  params,
+  config,
+  requestKey = `paginated:${url}`,
+  enabled = true,
+  client = api
+} = {}) => {
+  const [state, setState] = useState(INITIAL_STATE);
+  // Bumped on every refetch so responses of an older generation are dropped
+  const generation = useRef(0);
+  const inFlight = useRef(false);
+
+  // Options objects usually arrive as fresh literals, so they are compared by value;
+  // a ready-made paginator is compared by identity and should be memoized
+  const paginationKey = pagination?.getNextPageParam ? pagination : JSON.stringify(pagination ?? {});
+  const paginator = useMemo(() => (
+    typeof paginationKey === 'string' ? createPaginator(JSON.parse(paginationKey)) : paginationKey
+  ), [paginationKey]);
+  const paramsKey = JSON.stringify(params ?? {});
+  const configRef = useRef(config);
+  configRef.current = config;
+
+  const loadPage = useCallback(async (pageParam, reset) => {
+    const current = generation.current;
+    inFlight.current = true;
+    setState((previous) => ({
+      ...(reset ? INITIAL_STATE : previous),
+      error: null,
+      status: reset ? 'loading' : 'fetchingNext'
+    }));
+
+    try {
+      const response = await client.get(url, {
+        ...configRef.current,
+        params: { ...JSON.parse(paramsKey), ...paginator.getParams(pageParam) }
+      }, requestKey);
+      if (current !== generation.current) return;
+
+      const page = readPage(paginator, response, pageParam);
+      setState((previous) => ({
+        pages: [...(reset ? [] : previous.pages), page],
+        nextPageParam: page.nextPageParam,
+        hasMore: page.hasMore,
+        total: page.total,
+        error: null,
+        status: 'success'
+      }));
+    } catch (error) {
+      // Superseded by a refetch, or unmounted
+      if (current !== generation.current) return;
+      if (error.code === ERROR_CODES.CANCELLED) {
+        // Cancelled from outside (e.g. `cancelRequest(requestKey)`): back to what was there before
+        setState((previous) => ({ ...previous, status: reset ? INITIAL_STATE.status : 'success' }));
+        return;
+      }
+      setState((previous) => ({ ...previous, error, status: 'error' }));
+    } finally {
+      if (current === generation.current) {
+        inFlight.current = false;
+      }
+    }
+  }, [client, url, paramsKey, paginator, requestKey]);
+
+  const refetch = useCallback(() => {
+    generation.current += 1;
+    client.cancelRequest(requestKey);
+    return loadPage(paginator.initialPageParam, true);
+  }, [client, requestKey, loadPage, paginator]);
+
+  const fetchNext = useCallback(() => {
+    if (inFlight.current || !state.hasMore) {
+      return Promise.resolve();
+    }
+    return loadPage(state.nextPageParam, false);
+  }, [loadPage, state.hasMore, state.nextPageParam]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    refetch();
+    return () => {
+      generation.current += 1;
+      inFlight.current = false;
+      client.cancelRequest(requestKey);
+    };
+  }, [enabled, refetch, client, requestKey]);
+
+  const pages = useMemo(() => state.pages.map((page) => page.items), [state.pages]);
+  const items = useMemo(() => pages.flat(), [pages]);
+
+  return {
+    pages,
+    items,
+    hasMore: state.hasMore,
+    total: state.total,
+    error: state.error,
+    isLoading: state.status === 'loading',
+    isFetchingNext: state.status === 'fetchingNext',
+    fetchNext,
+    refetch
+  };
+};
+
+export default usePaginatedQuery;
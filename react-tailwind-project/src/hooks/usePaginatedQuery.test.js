@@ -0,0 +1,102 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import usePaginatedQuery from './usePaginatedQuery';
+import { ApiError, ERROR_CODES } from '../api/errors';
+
+const USERS = Array.from({ length: 5 }, (_, index) => ({ id: index + 1 }));
+
+// Serves USERS two at a time, json-server style
+const createClient = () => ({
+  get: jest.fn(async (url, { params }) => {
+    const start = (params._page - 1) * params._limit;
+    return {
+      data: USERS.slice(start, start + params._limit),
+      headers: { 'x-total-count': String(USERS.length) }
+    };
+  }),
+  cancelRequest: jest.fn()
+});
+
+const pagination = { style: 'page', pageSize: 2, pageParam: '_page', sizeParam: '_limit' };
+
+describe('usePaginatedQuery', () => {
+  test('loads the first page and appends the next ones until the end', async () => {
+    const client = createClient();
+    const { result } = renderHook(() => usePaginatedQuery('/users', {
+      pagination,
+      params: { q: 'a' },
+      client
+    }));
+
+    await waitFor(() => expect(result.current.items).toHaveLength(2));
+    expect(result.current).toMatchObject({ hasMore: true, total: 5, isLoading: false });
+    expect(client.get).toHaveBeenCalledWith('/users', { params: { q: 'a', _page: 1, _limit: 2 } }, 'paginated:/users');
+
+    await act(() => result.current.fetchNext());
+    await act(() => result.current.fetchNext());
+
+    expect(result.current.pages.map((page) => page.map((user) => user.id))).toEqual([[1, 2], [3, 4], [5]]);
+    expect(result.current.hasMore).toBe(false);
+
+    await act(() => result.current.fetchNext());
+    expect(client.get).toHaveBeenCalledTimes(3);
+  });
+
+  test('refetch starts over from the first page', async () => {
+    const client = createClient();
+    const { result } = renderHook(() => usePaginatedQuery('/users', { pagination, client }));
+
+    await waitFor(() => expect(result.current.hasMore).toBe(true));
+    await act(() => result.current.fetchNext());
+    expect(result.current.items).toHaveLength(4);
+
+    await act(() => result.current.refetch());
+
+    expect(client.cancelRequest).toHaveBeenCalledWith('paginated:/users');
+    expect(result.current.items.map((user) => user.id)).toEqual([1, 2]);
+  });
+
+  test('reports errors but ignores cancellations', async () => {
+    const client = createClient();
+    client.get
+      .mockRejectedValueOnce(new ApiError('cancelled', { code: ERROR_CODES.CANCELLED }))
+      .mockRejectedValueOnce(new ApiError('boom', { code: ERROR_CODES.SERVER_ERROR }));
+    const { result } = renderHook(() => usePaginatedQuery('/users', { pagination, client }));
+
+    await waitFor(() => expect(client.get).toHaveBeenCalledTimes(1));
+    expect(result.current.error).toBeNull();
+
+    await act(() => result.current.refetch());
+    expect(result.current.error.code).toBe(ERROR_CODES.SERVER_ERROR);
+  });
+
+  test('stops loading when a page is cancelled from outside', async () => {
+    const client = createClient();
+    const { result } = renderHook(() => usePaginatedQuery('/users', { pagination, client }));
+    await waitFor(() => expect(result.current.items).toHaveLength(2));
+    client.get.mockRejectedValueOnce(new ApiError('cancelled', { code: ERROR_CODES.CANCELLED }));
+
+    await act(() => result.current.fetchNext());
+
+    expect(result.current).toMatchObject({ isLoading: false, isFetchingNext: false, hasMore: true, error: null });
+    expect(result.current.items).toHaveLength(2);
+
+    client.get.mockRejectedValueOnce(new ApiError('cancelled', { code: ERROR_CODES.CANCELLED }));
+    await act(() => result.current.refetch());
+    expect(result.current.isLoading).toBe(false);
+  });
+
+  test('waits while disabled and cancels on unmount', async () => {
+    const client = createClient();
+    const { result, rerender, unmount } = renderHook(
+      ({ enabled }) => usePaginatedQuery('/users', { pagination, client, enabled }),
+      { initialProps: { enabled: false } }
+    );
+
+    expect(client.get).not.toHaveBeenCalled();
+    rerender({ enabled: true });
+    await waitFor(() => expect(result.current.items).toHaveLength(2));
+
+    unmount();
+    expect(client.cancelRequest).toHaveBeenCalledWith('paginated:/users');
+  });
+});
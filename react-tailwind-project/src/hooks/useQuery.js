@@ -0,0 +1,139 @@
+import { useEffect, useCallback, useRef, useMemo, useSyncExternalStore } from 'react';
+import { queryCache } from '../api/axiosConfig';
+import { hashQueryKey, QUERY_STATUS } from '../api/queryCache';
+import { REQUEST_PRIORITIES } from '../api/requestScheduler';
+
+/**
+ * Whether the page is in the foreground
+ * @returns {boolean} False while the tab is hidden
+ */
+const isVisible = () => typeof document === 'undefined' || document.visibilityState !== 'hidden';
+
+/**
+ * Read a query from the shared cache, fetching it when it is stale
+ * Components using the same key share the data and the in-flight request.
+ * The fetcher receives `{ queryKey, signal, requestKey, priority }` and should
+ * pass `signal` (and `priority`) on to the API client, so the request is
+ * cancelled once no mounted component uses the query.
+ * @param {Array|string} queryKey - Query key, e.g. `['users', { page: 2 }]`
+ * @param {Function} fetcher - Resolves with the query data
+ * @param {Object} options - Hook options
+ * @param {boolean} options.enabled - Set to false to hold off automatic fetches (`refetch` still works)
+ * @param {number} options.staleTime - How long data stays fresh (ms)
+ * @param {number} options.gcTime - How long unobserved data is kept (ms)
+ * @param {number} options.retry - Extra attempts after a failure
+ * @param {number|Function} options.retryDelay - Delay before a retry (ms), or `(attempt, error) => ms`
+ * @param {string} options.requestKey - Cancellation key, `query:<hash>` by default
+ * @param {boolean} options.refetchOnWindowFocus - Refetch stale data when the window regains focus
+ * @param {boolean} options.refetchOnReconnect - Refetch stale data when the browser comes back online
+ * @param {number|false} options.refetchInterval - Poll every n ms, with background priority
+ * @param {boolean} options.refetchIntervalInBackground - Keep polling while the tab is hidden
+ * @param {boolean} options.keepPreviousData - Show the last key's data while a new key loads
+ * @param {QueryCache} options.cache - Cache to use (defaults to the shared one)
+ * @returns {Object} `{ data, error, status, isLoading, isFetching, isError, isSuccess,
+ *   isPreviousData, failureCount, dataUpdatedAt, refetch }`
+ */
+const useQuery = (queryKey, fetcher, {
+  enabled = true,
+  staleTime,
+  gcTime,
+  retry,
+  retryDelay,
+  requestKey,
+  refetchOnWindowFocus = true,
+  refetchOnReconnect = true,
+  refetchInterval = false,
+  refetchIntervalInBackground = false,
+  keepPreviousData = false,
+  cache = queryCache
+} = {}) => {
+  // Keys usually arrive as fresh literals, so they are compared by hash
+  const hash = hashQueryKey(queryKey);
+  const key = useMemo(() => JSON.parse(hash), [hash]);
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+  const freshFor = staleTime ?? cache.defaults.staleTime;
+
+  const subscribe = useCallback((onChange) => cache.subscribe(key, onChange), [cache, key]);
+  const state = useSyncExternalStore(subscribe, () => cache.getState(key));
+
+  const fetchQuery = useCallback(({ force = false, priority = REQUEST_PRIORITIES.USER } = {}) => (
+    cache.fetchQuery(key, (context) => fetcherRef.current(context), {
+      staleTime,
+      gcTime,
+      retry,
+      retryDelay,
+      requestKey,
+      force,
+      priority
+    }).catch(() => undefined)
+  ), [cache, key, staleTime, gcTime, retry, retryDelay, requestKey]);
+
+  // Fetch on mount and on key change, unless the cached data is still fresh
+  useEffect(() => {
+    if (enabled && cache.isStale(key, freshFor)) {
+      fetchQuery();
+    }
+  }, [enabled, cache, key, freshFor, fetchQuery]);
+
+  // Refetch stale data when the user comes back to the tab or the network returns
+  useEffect(() => {
+    if (!enabled || (!refetchOnWindowFocus && !refetchOnReconnect)) return undefined;
+
+    const refetchIfStale = () => {
+      if (isVisible() && cache.isStale(key, freshFor)) {
+        fetchQuery({ priority: REQUEST_PRIORITIES.BACKGROUND });
+      }
+    };
+
+    if (refetchOnWindowFocus) {
+      window.addEventListener('focus', refetchIfStale);
+      document.addEventListener('visibilitychange', refetchIfStale);
+    }
+    if (refetchOnReconnect) {
+      window.addEventListener('online', refetchIfStale);
+    }
+    return () => {
+      window.removeEventListener('focus', refetchIfStale);
+      document.removeEventListener('visibilitychange', refetchIfStale);
+      window.removeEventListener('online', refetchIfStale);
+    };
+  }, [enabled, cache, key, freshFor, fetchQuery, refetchOnWindowFocus, refetchOnReconnect]);
+
+  // Polling
+  useEffect(() => {
+    if (!enabled || !refetchInterval) return undefined;
+
+    const intervalId = setInterval(() => {
+      if (refetchIntervalInBackground || isVisible()) {
+        fetchQuery({ priority: REQUEST_PRIORITIES.BACKGROUND });
+      }
+    }, refetchInterval);
+    return () => clearInterval(intervalId);
+  }, [enabled, refetchInterval, refetchIntervalInBackground, fetchQuery]);
+
+  // Last data seen under any key, for keepPreviousData
+  const previousData = useRef(undefined);
+  if (state.data !== undefined) {
+    previousData.current = state.data;
+  }
+  const isPreviousData = keepPreviousData && state.data === undefined && previousData.current !== undefined;
+
+  const refetch = useCallback(() => fetchQuery({ force: true }), [fetchQuery]);
+
+  return {
+    data: isPreviousData ? previousData.current : state.data,
+    error: state.error,
+    status: state.status,
+    isLoading: state.status === QUERY_STATUS.LOADING,
+    isFetching: state.isFetching,
+    isError: state.status === QUERY_STATUS.ERROR,
+    isSuccess: state.status === QUERY_STATUS.SUCCESS,
+    isPreviousData,
+    failureCount: state.failureCount,
+    dataUpdatedAt: state.updatedAt,
+    refetch
+  };
+};
+
+export default useQuery;
@@ -0,0 +1,94 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useQuery from './useQuery';
+import { QueryCache } from '../api/queryCache';
+import { REQUEST_PRIORITIES } from '../api/requestScheduler';
+
+describe('useQuery', () => {
+  test('shares cached data between components using the same key', async () => {
+    const cache = new QueryCache();
+    const fetcher = jest.fn(async () => ['Ada']);
+
+    const { result: first } = renderHook(() => useQuery(['users'], fetcher, { cache, staleTime: 60000 }));
+    await waitFor(() => expect(first.current.data).toEqual(['Ada']));
+
+    const { result: second } = renderHook(() => useQuery(['users'], fetcher, { cache, staleTime: 60000 }));
+
+    expect(second.current).toMatchObject({ data: ['Ada'], isLoading: false, isFetching: false });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  test('refetches stale data on focus and reconnect in the background', async () => {
+    const cache = new QueryCache();
+    const fetcher = jest.fn(async () => 'data');
+    const { result } = renderHook(() => useQuery(['stats'], fetcher, { cache }));
+    await waitFor(() => expect(result.current.isSuccess).toBe(true));
+
+    await act(async () => {
+      window.dispatchEvent(new Event('focus'));
+    });
+    await act(async () => {
+      window.dispatchEvent(new Event('online'));
+    });
+
+    expect(fetcher).toHaveBeenCalledTimes(3);
+    expect(fetcher).toHaveBeenLastCalledWith(expect.objectContaining({ priority: REQUEST_PRIORITIES.BACKGROUND }));
+  });
+
+  test('polls while enabled', async () => {
+    jest.useFakeTimers();
+    const cache = new QueryCache();
+    const fetcher = jest.fn(async () => 'tick');
+    const { result, rerender } = renderHook(
+      ({ enabled }) => useQuery(['poll'], fetcher, { cache, enabled, refetchInterval: 1000 }),
+      { initialProps: { enabled: false } }
+    );
+
+    await act(async () => {
+      jest.advanceTimersByTime(3000);
+    });
+    expect(fetcher).not.toHaveBeenCalled();
+
+    rerender({ enabled: true });
+    await waitFor(() => expect(result.current.dataUpdatedAt).toBeGreaterThan(0));
+    await act(async () => {
+      jest.advanceTimersByTime(1000);
+    });
+    await act(async () => {
+      jest.advanceTimersByTime(1000);
+    });
+
+    expect(fetcher).toHaveBeenCalledTimes(3);
+    jest.useRealTimers();
+  });
+
+  test('cancels the request on unmount', async () => {
+    const cache = new QueryCache();
+    let signal;
+    const fetcher = jest.fn((context) => {
+      signal = context.signal;
+      return new Promise(() => {});
+    });
+
+    const { result, unmount } = renderHook(() => useQuery(['slow'], fetcher, { cache }));
+    expect(result.current.isLoading).toBe(true);
+
+    unmount();
+    expect(signal.aborted).toBe(true);
+  });
+
+  test('keeps the previous data while a new key loads', async () => {
+    const cache = new QueryCache();
+    const fetcher = jest.fn(async ({ queryKey }) => `page ${queryKey[1]}`);
+    const { result, rerender } = renderHook(
+      ({ page }) => useQuery(['pages', page], fetcher, { cache, keepPreviousData: true }),
+      { initialProps: { page: 1 } }
+    );
+    await waitFor(() => expect(result.current.data).toBe('page 1'));
+
+    rerender({ page: 2 });
+    expect(result.current).toMatchObject({ data: 'page 1', isPreviousData: true, isFetching: true });
+
+    await waitFor(() => expect(result.current.data).toBe('page 2'));
+    expect(result.current.isPreviousData).toBe(false);
+  });
+});
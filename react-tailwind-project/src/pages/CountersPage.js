@@ -0,0 +1,67 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import CounterList from '../components/CounterList';
+import CounterConstraints from '../components/CounterConstraints';
+import ReduxCounter from '../components/ReduxCounter';
+import CounterDashboard from '../components/CounterDashboard';
+
+/**
+ * Counters page: manage the named Redux counters and work with the selected one
+ * Picking a counter in the list switches ReduxCounter and CounterDashboard to it
+ */
+const CountersPage = () => {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-indigo-500 via-purple-500 to-pink-500 py-8">
+      <div className="container mx-auto px-4">
+        {/* Navigation */}
+        <nav className="mb-8 flex items-center justify-between">
+          <Link 
+            to="/" 
+            className="inline-flex items-center text-white hover:text-gray-200 transition-colors group"
+          >
+            <svg 
+              className="w-5 h-5 mr-2 transform group-hover:-translate-x-1 transition-transform" 
+              fill="none" 
+              stroke="currentColor" 
+              viewBox="0 0 24 24"
+            >
+              <path 
+                strokeLinecap="round" 
+                strokeLinejoin="round" 
+                strokeWidth={2} 
+                d="M10 19l-7-7m0 0l7-7m-7 7h18" 
+              />
+            </svg>
+            Back to Home
+          </Link>
+          <Link to="/redux" className="text-white hover:text-gray-200 transition-colors">
+            🔄 Redux Demo →
+          </Link>
+        </nav>
+
+        {/* Page Header */}
+        <div className="text-center mb-12">
+          <h1 className="text-5xl font-bold text-white mb-4 drop-shadow-lg">
+            🗂️ My Counters
+          </h1>
+          <p className="text-xl text-white/80 mb-6 max-w-3xl mx-auto">
+            One counter per habit or task, each with its own step, history and totals
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          <div className="space-y-8">
+            <CounterList />
+            <CounterConstraints />
+          </div>
+          <div className="space-y-8">
+            <ReduxCounter />
+            <CounterDashboard />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CountersPage;
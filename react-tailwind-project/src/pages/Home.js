@@ -68,6 +68,12 @@ const Home = () => {
             >
               🔄 Redux
             </Link>
+            <Link
+              to="/counters"
+              className="px-6 py-3 bg-orange-600 text-white rounded-lg font-semibold hover:bg-orange-700 transition-colors"
+            >
+              🗂️ My Counters
+            </Link>
             <button
               onClick={handleNavigateToProfile}
               className="px-6 py-3 bg-purple-600 text-white rounded-lg font-semibold hover:bg-purple-700 transition-colors"
@@ -73,6 +73,9 @@ const ReduxPage = () => {
             <p className="text-white/80">
               Main counter component using multiple selectors
             </p>
+            <Link to="/counters" className="inline-block mt-2 text-white underline hover:text-gray-200">
+              🗂️ Manage counters
+            </Link>
           </div>
           <ReduxCounter />
         </div>
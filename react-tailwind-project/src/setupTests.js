@@ -3,3 +3,11 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom doesn't implement Web Crypto; expose Node's implementation so
+// crypto-backed ID generators run the same way they do in the browser
+import { webcrypto } from 'crypto';
+
+if (!window.crypto) {
+  Object.defineProperty(window, 'crypto', { value: webcrypto });
+}
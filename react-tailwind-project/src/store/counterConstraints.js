@@ -0,0 +1,177 @@
+/**
+ * Counter Constraints
+ *
+ * Rules every counter change is checked against, configurable per counter:
+ * - `min` / `max`: allowed values (null for no bound); out-of-range values are
+ *   clamped to the bound or rejected, depending on `outOfRange`
+ * - `minStep` / `maxStep`: allowed step sizes; other steps are rejected
+ * - `integerOnly`: reject fractional values, amounts and steps
+ *
+ * Values that are not finite numbers (NaN from unparsable input, Infinity) are
+ * always rejected, and values never go beyond Number.MAX_SAFE_INTEGER either way.
+ * Rejections are plain, serializable errors the slice stores in `lastError`.
+ */
+
+// What happens to a value outside min/max
+export const OUT_OF_RANGE_MODES = {
+  CLAMP: 'clamp',
+  REJECT: 'reject',
+};
+
+// Codes of rejected changes
+export const COUNTER_ERRORS = {
+  NOT_A_NUMBER: 'NOT_A_NUMBER',
+  NOT_AN_INTEGER: 'NOT_AN_INTEGER',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  STEP_OUT_OF_RANGE: 'STEP_OUT_OF_RANGE',
+  INVALID_CONSTRAINTS: 'INVALID_CONSTRAINTS',
+};
+
+// Constraints of a new counter
+export const DEFAULT_CONSTRAINTS = {
+  min: null,
+  max: null,
+  outOfRange: OUT_OF_RANGE_MODES.CLAMP,
+  minStep: 1,
+  maxStep: 1000,
+  integerOnly: false,
+};
+
+// Hard limit of every value, so counts stay exact
+const SAFE_LIMIT = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Create a rejection
+ * @param {string} code - One of COUNTER_ERRORS
+ * @param {string} message - Explanation for the user
+ * @param {any} attempted - Rejected input
+ * @returns {Object} `{ code, message, attempted }`
+ */
+const createError = (code, message, attempted) => ({
+  code,
+  message,
+  // NaN and Infinity don't survive JSON, keep them readable
+  attempted: typeof attempted === 'number' && !Number.isFinite(attempted) ? String(attempted) : attempted
+});
+
+/**
+ * Effective value bounds
+ * @param {Object} constraints - Counter constraints
+ * @returns {Object} `{ min, max }`, never beyond the safe integer range,
+ *   and whole numbers in integer-only mode
+ */
+export const getBounds = ({ min, max, integerOnly }) => {
+  const lower = min === null ? -SAFE_LIMIT : Math.max(min, -SAFE_LIMIT);
+  const upper = max === null ? SAFE_LIMIT : Math.min(max, SAFE_LIMIT);
+  return integerOnly ? { min: Math.ceil(lower), max: Math.floor(upper) } : { min: lower, max: upper };
+};
+
+/**
+ * Check a number given to an action
+ * @param {any} number - Value, amount or step
+ * @param {Object} constraints - Counter constraints
+ * @param {string} name - What the number is, for the message
+ * @returns {Object|null} Rejection, or null when it is usable
+ */
+export const checkNumber = (number, { integerOnly }, name = 'Value') => {
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    return createError(COUNTER_ERRORS.NOT_A_NUMBER, `${name} must be a number, got ${String(number)}`, number);
+  }
+  if (integerOnly && !Number.isInteger(number)) {
+    return createError(COUNTER_ERRORS.NOT_AN_INTEGER, `${name} must be a whole number, got ${number}`, number);
+  }
+  return null;
+};
+
+/**
+ * Fit a new value into the bounds
+ * @param {number} value - Requested value
+ * @param {Object} constraints - Counter constraints
+ * @param {number} current - Current value; clamping back onto it is a rejection
+ * @returns {Object} `{ value, clamped }`, or `{ error }`
+ */
+export const constrainValue = (value, constraints, current) => {
+  const error = checkNumber(value, constraints);
+  if (error) return { error };
+
+  const { min, max } = getBounds(constraints);
+  if (value >= min && value <= max) {
+    return { value, clamped: false };
+  }
+
+  const bound = value < min ? min : max;
+  if (constraints.outOfRange === OUT_OF_RANGE_MODES.CLAMP && bound !== current) {
+    return { value: bound, clamped: true };
+  }
+  return {
+    error: createError(
+      COUNTER_ERRORS.OUT_OF_RANGE,
+      bound === current
+        ? `The counter is already at its ${value < min ? 'minimum' : 'maximum'} of ${bound}`
+        : `${value} is outside the allowed range ${min} to ${max}`,
+      value
+    )
+  };
+};
+
+/**
+ * Check a new step size
+ * @param {number} step - Requested step
+ * @param {Object} constraints - Counter constraints
+ * @returns {Object|null} Rejection, or null when it is allowed
+ */
+export const checkStep = (step, constraints) => {
+  const error = checkNumber(step, constraints, 'Step');
+  if (error) return error;
+
+  if (step < constraints.minStep || step > constraints.maxStep) {
+    return createError(
+      COUNTER_ERRORS.STEP_OUT_OF_RANGE,
+      `Step must be between ${constraints.minStep} and ${constraints.maxStep}, got ${step}`,
+      step
+    );
+  }
+  return null;
+};
+
+/**
+ * Check a set of constraints
+ * @param {Object} constraints - Complete constraints
+ * @returns {Object|null} Rejection, or null when they are consistent
+ */
+export const validateConstraints = (constraints) => {
+  const { min, max, outOfRange, minStep, maxStep } = constraints;
+  const invalid = (message) => createError(COUNTER_ERRORS.INVALID_CONSTRAINTS, message, constraints);
+
+  if ([min, max].some((bound) => bound !== null && (typeof bound !== 'number' || !Number.isFinite(bound)))) {
+    return invalid('Minimum and maximum must be numbers or empty');
+  }
+  if (min !== null && max !== null && min > max) {
+    return invalid(`Minimum ${min} is greater than maximum ${max}`);
+  }
+  if (![minStep, maxStep].every((step) => typeof step === 'number' && Number.isFinite(step) && step > 0)) {
+    return invalid('Step limits must be positive numbers');
+  }
+  if (minStep > maxStep) {
+    return invalid(`Smallest step ${minStep} is greater than largest step ${maxStep}`);
+  }
+  if (!Object.values(OUT_OF_RANGE_MODES).includes(outOfRange)) {
+    return invalid(`Unknown out-of-range mode "${outOfRange}"`);
+  }
+  return null;
+};
+
+/**
+ * Bring a value and step within constraints, e.g. after the constraints changed
+ * @param {Object} present - `{ value, step }`
+ * @param {Object} constraints - Counter constraints
+ * @returns {Object} `{ value, step }` inside the bounds and step range
+ */
+export const fitToConstraints = ({ value, step }, constraints) => {
+  const { min, max } = getBounds(constraints);
+  const round = constraints.integerOnly ? Math.round : (number) => number;
+  return {
+    value: Math.min(Math.max(round(value), min), max),
+    step: Math.min(Math.max(round(step), constraints.minStep), constraints.maxStep)
+  };
+};
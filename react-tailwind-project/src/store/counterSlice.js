@@ -1,65 +1,308 @@
-import { createSlice } from '@reduxjs/toolkit';
+import { createSlice, createEntityAdapter, nanoid } from '@reduxjs/toolkit';
+import {
+  DEFAULT_CONSTRAINTS,
+  checkNumber,
+  checkStep,
+  constrainValue,
+  validateConstraints,
+  fitToConstraints
+} from './counterConstraints';
+import { isRemoteAction } from './crossTabSync';
+
+// Maximum number of undo steps kept in `past`
+export const MAX_HISTORY_LENGTH = 50;
+
+// Consecutive increments (or decrements) closer than this are undone together (ms)
+export const HISTORY_GROUP_WINDOW = 500;
+
+// The counter every store starts with, and that older persisted state becomes
+export const DEFAULT_COUNTER_ID = 'default';
+const DEFAULT_COUNTER_NAME = 'Counter';
+
+// Counters keyed by id; `ids` keeps the order chosen by the user
+const countersAdapter = createEntityAdapter();
+
+/**
+ * Create a counter with an empty history
+ * @param {string} id - Counter id
+ * @param {string} name - Display name
+ * @returns {Object} Counter entity
+ */
+const createCounter = (id, name) => ({
+  id,
+  name,
+  past: [],
+  present: { value: 0, step: 1, label: 'start' },
+  future: [],
+  group: null,
+  lastAction: null,
+  totalClicks: 0,
+  constraints: { ...DEFAULT_CONSTRAINTS },
+  lastError: null
+});
+
+/**
+ * Address an action to one counter; without an id it targets the selected counter
+ * @param {any} payload - Action payload
+ * @param {string} counterId - Counter id
+ * @returns {Object} Action with `meta.counterId`
+ */
+const toCounter = (payload, counterId) => ({ payload, meta: { counterId } });
+
+/**
+ * Stamp an action with its time, so rapid repeats can be grouped into one undo step
+ * @param {string} counterId - Counter id, the selected counter by default
+ * @returns {Object} Action with `meta.timestamp`
+ */
+const withTimestamp = (counterId) => ({ payload: undefined, meta: { timestamp: Date.now(), counterId } });
+
+/**
+ * Run a case reducer on the counter an action targets
+ * @param {Function} reducer - `(counter, action)`, counter being an Immer draft
+ * @returns {Function} Slice case reducer; actions for unknown counters are ignored
+ */
+const forCounter = (reducer) => (state, action) => {
+  const counter = state.entities[action.meta?.counterId ?? state.selectedId];
+  if (counter) {
+    reducer(counter, action);
+  }
+};
+
+/**
+ * Case reducer plus the prepare callback that addresses it to a counter
+ * @param {Function} reducer - `(counter, action)`
+ * @param {Function} prepare - Prepare callback, toCounter by default
+ * @returns {Object} `{ reducer, prepare }`
+ */
+const counterCase = (reducer, prepare = toCounter) => ({ reducer: forCounter(reducer), prepare });
+
+/**
+ * Make a change undoable: the present moves to `past` and `future` is dropped
+ * @param {Object} state - Counter entity (Immer draft)
+ * @param {Object} changes - New `value` and/or `step`
+ * @param {string} label - Description shown in the history timeline
+ * @param {Object} group - `{ key, timestamp }` for changes that may merge with the previous one
+ */
+const record = (state, changes, label, group = null) => {
+  const grouped = group !== null
+    && group.timestamp !== undefined
+    && state.group?.key === group.key
+    && group.timestamp - state.group.timestamp <= HISTORY_GROUP_WINDOW;
+
+  if (!grouped) {
+    state.past.push(state.present);
+    if (state.past.length > MAX_HISTORY_LENGTH) {
+      state.past.splice(0, state.past.length - MAX_HISTORY_LENGTH);
+    }
+  }
+
+  state.present = { ...state.present, ...changes, label };
+  state.future = [];
+  state.group = group;
+  state.lastAction = label;
+  state.lastError = null;
+};
+
+/**
+ * Move to another point of the timeline (past, present, future)
+ * Snapshots taken under looser constraints are brought within the current ones.
+ * @param {Object} state - Counter entity (Immer draft)
+ * @param {number} index - Timeline index; `past.length` is the present
+ * @param {string} label - Last action description
+ */
+const travelTo = (state, index, label) => {
+  const timeline = [...state.past, state.present, ...state.future];
+  state.past = timeline.slice(0, index);
+  state.present = { ...timeline[index], ...fitToConstraints(timeline[index], state.constraints) };
+  state.future = timeline.slice(index + 1);
+  state.group = null;
+  state.lastAction = label;
+  state.lastError = null;
+};
+
+/**
+ * Refuse a change, keeping the reason for the UI
+ * @param {Object} counter - Counter entity (Immer draft)
+ * @param {Object} error - Rejection from counterConstraints.js
+ * @param {string} label - Description of the refused action
+ */
+const reject = (counter, error, label) => {
+  counter.lastError = { ...error, action: label };
+};
+
+/**
+ * Change the value within the counter's constraints
+ * @param {Object} counter - Counter entity (Immer draft)
+ * @param {number} value - Requested value
+ * @param {string} label - Description shown in the history timeline
+ * @param {Object} group - Grouping of rapid repeats (see record)
+ * @returns {boolean} Whether the value changed; otherwise `lastError` says why
+ */
+const changeValue = (counter, value, label, group = null) => {
+  const result = constrainValue(value, counter.constraints, counter.present.value);
+  if (result.error) {
+    reject(counter, result.error, label);
+    return false;
+  }
+  record(counter, { value: result.value }, result.clamped ? `${label} (clamped)` : label, group);
+  return true;
+};
+
+/**
+ * Change the value by an amount given to an action
+ * @param {Object} counter - Counter entity (Immer draft)
+ * @param {number} amount - Amount from the action payload
+ * @param {number} direction - 1 to add it, -1 to subtract it
+ * @param {string} label - Description shown in the history timeline
+ * @returns {boolean} Whether the value changed
+ */
+const changeValueBy = (counter, amount, direction, label) => {
+  const error = checkNumber(amount, counter.constraints, 'Amount');
+  if (error) {
+    reject(counter, error, label);
+    return false;
+  }
+  return changeValue(counter, counter.present.value + direction * amount, label);
+};
 
 /**
  * Counter slice using Redux Toolkit
- * Manages counter state with actions and reducers
+ * Manages any number of named counters, stored with createEntityAdapter.
+ * Each counter's `present` holds its current value and step; every change to it
+ * is undoable, with the previous snapshots in `past` and undone ones in `future`.
+ * Counter actions take an optional counter id (e.g. `setStep(5, id)`) and
+ * otherwise apply to the selected counter.
+ * Changes are checked against the counter's constraints (see counterConstraints.js);
+ * a refused change leaves the state as it was and explains why in `lastError`.
  */
 const counterSlice = createSlice({
   name: 'counter',
-  initialState: {
-    value: 0,
-    step: 1,
-    history: [0],
-    lastAction: null,
-    totalClicks: 0
-  },
+  initialState: countersAdapter.addOne(
+    countersAdapter.getInitialState({ selectedId: DEFAULT_COUNTER_ID }),
+    createCounter(DEFAULT_COUNTER_ID, DEFAULT_COUNTER_NAME)
+  ),
   reducers: {
-    increment: (state) => {
-      state.value += state.step;
-      state.history.push(state.value);
-      state.lastAction = 'increment';
-      state.totalClicks += 1;
-    },
-    decrement: (state) => {
-      state.value -= state.step;
-      state.history.push(state.value);
-      state.lastAction = 'decrement';
-      state.totalClicks += 1;
-    },
-    incrementByAmount: (state, action) => {
-      state.value += action.payload;
-      state.history.push(state.value);
-      state.lastAction = `incrementByAmount(${action.payload})`;
-      state.totalClicks += 1;
+    increment: counterCase((counter, action) => {
+      const changed = changeValue(counter, counter.present.value + counter.present.step, 'increment', {
+        key: 'increment',
+        timestamp: action.meta?.timestamp
+      });
+      if (changed) {
+        counter.totalClicks += 1;
+      }
+    }, withTimestamp),
+    decrement: counterCase((counter, action) => {
+      const changed = changeValue(counter, counter.present.value - counter.present.step, 'decrement', {
+        key: 'decrement',
+        timestamp: action.meta?.timestamp
+      });
+      if (changed) {
+        counter.totalClicks += 1;
+      }
+    }, withTimestamp),
+    incrementByAmount: counterCase((counter, action) => {
+      if (changeValueBy(counter, action.payload, 1, `incrementByAmount(${action.payload})`)) {
+        counter.totalClicks += 1;
+      }
+    }),
+    decrementByAmount: counterCase((counter, action) => {
+      if (changeValueBy(counter, action.payload, -1, `decrementByAmount(${action.payload})`)) {
+        counter.totalClicks += 1;
+      }
+    }),
+    setStep: counterCase((counter, action) => {
+      const label = `setStep(${action.payload})`;
+      const error = checkStep(action.payload, counter.constraints);
+      if (error) {
+        reject(counter, error, label);
+        return;
+      }
+      record(counter, { step: action.payload }, label);
+    }),
+    reset: counterCase((counter) => {
+      // Zero and one may be out of bounds, so the closest allowed value and step are used
+      record(counter, fitToConstraints({ value: 0, step: 1 }, counter.constraints), 'reset');
+      counter.totalClicks = 0;
+    }, (counterId) => toCounter(undefined, counterId)),
+    undo: counterCase((counter) => {
+      if (counter.past.length > 0) {
+        travelTo(counter, counter.past.length - 1, 'undo');
+      }
+    }, (counterId) => toCounter(undefined, counterId)),
+    redo: counterCase((counter) => {
+      if (counter.future.length > 0) {
+        travelTo(counter, counter.past.length + 1, 'redo');
+      }
+    }, (counterId) => toCounter(undefined, counterId)),
+    jumpToHistoryIndex: counterCase((counter, action) => {
+      const index = action.payload;
+      const length = counter.past.length + 1 + counter.future.length;
+      if (Number.isInteger(index) && index >= 0 && index < length && index !== counter.past.length) {
+        travelTo(counter, index, `jumpToHistoryIndex(${index})`);
+      }
+    }),
+    setCounterValue: counterCase((counter, action) => {
+      changeValue(counter, action.payload, `setCounterValue(${action.payload})`);
+    }),
+    setConstraints: counterCase((counter, action) => {
+      const label = 'setConstraints';
+      const constraints = { ...counter.constraints, ...action.payload };
+      const error = validateConstraints(constraints);
+      if (error) {
+        reject(counter, error, label);
+        return;
+      }
+
+      counter.constraints = constraints;
+      const fitted = fitToConstraints(counter.present, constraints);
+      if (fitted.value !== counter.present.value || fitted.step !== counter.present.step) {
+        record(counter, fitted, label);
+      } else {
+        counter.lastError = null;
+      }
+    }),
+    clearError: counterCase((counter) => {
+      counter.lastError = null;
+    }, (counterId) => toCounter(undefined, counterId)),
+    addCounter: {
+      reducer: (state, action) => {
+        const { id, name } = action.payload;
+        countersAdapter.addOne(state, createCounter(id, name || `${DEFAULT_COUNTER_NAME} ${state.ids.length + 1}`));
+        // Only the tab that added the counter switches to it
+        if (!isRemoteAction(action)) {
+          state.selectedId = id;
+        }
+      },
+      prepare: (name = '') => ({ payload: { id: nanoid(), name: name.trim() } })
     },
-    decrementByAmount: (state, action) => {
-      state.value -= action.payload;
-      state.history.push(state.value);
-      state.lastAction = `decrementByAmount(${action.payload})`;
-      state.totalClicks += 1;
+    renameCounter: (state, action) => {
+      const name = action.payload.name.trim();
+      if (name) {
+        countersAdapter.updateOne(state, { id: action.payload.id, changes: { name } });
+      }
     },
-    setStep: (state, action) => {
-      state.step = action.payload;
-      state.lastAction = `setStep(${action.payload})`;
+    removeCounter: (state, action) => {
+      const index = state.ids.indexOf(action.payload);
+      // There is always a counter to show
+      if (index === -1 || state.ids.length === 1) return;
+
+      countersAdapter.removeOne(state, action.payload);
+      if (state.selectedId === action.payload) {
+        state.selectedId = state.ids[Math.min(index, state.ids.length - 1)];
+      }
     },
-    reset: (state) => {
-      state.value = 0;
-      state.step = 1;
-      state.history = [0];
-      state.lastAction = 'reset';
-      state.totalClicks = 0;
+    moveCounter: (state, action) => {
+      const { id, toIndex } = action.payload;
+      const index = state.ids.indexOf(id);
+      if (index === -1 || !Number.isInteger(toIndex)) return;
+
+      state.ids.splice(index, 1);
+      state.ids.splice(Math.max(0, Math.min(toIndex, state.ids.length)), 0, id);
     },
-    undo: (state) => {
-      if (state.history.length > 1) {
-        state.history.pop(); // Remove current value
-        state.value = state.history[state.history.length - 1];
-        state.lastAction = 'undo';
+    selectCounter: (state, action) => {
+      if (state.entities[action.payload]) {
+        state.selectedId = action.payload;
       }
-    },
-    setCounterValue: (state, action) => {
-      state.value = action.payload;
-      state.history.push(state.value);
-      state.lastAction = `setCounterValue(${action.payload})`;
     }
   }
 });
@@ -73,8 +316,76 @@ export const {
   setStep,
   reset,
   undo,
-  setCounterValue
+  redo,
+  jumpToHistoryIndex,
+  setCounterValue,
+  setConstraints,
+  clearError,
+  addCounter,
+  renameCounter,
+  removeCounter,
+  moveCounter,
+  selectCounter
 } = counterSlice.actions;
 
+// Actions aimed at one counter; without a counter id they change the selected one
+export const counterActions = [
+  increment,
+  decrement,
+  incrementByAmount,
+  decrementByAmount,
+  setStep,
+  reset,
+  undo,
+  redo,
+  jumpToHistoryIndex,
+  setCounterValue,
+  setConstraints,
+  clearError
+];
+
+// Version of the persisted counter shape (see store/persistence.js).
+// Bump it and add a migration to counterMigrations when the persisted fields change.
+export const COUNTER_STATE_VERSION = 4;
+
+// Upgrades of persisted counter state, keyed by the version they produce
+export const counterMigrations = {
+  // Version 1 kept a flat value/step and the list of past values
+  2: ({ value = 0, step = 1, history = [value], ...state }) => ({
+    ...state,
+    past: history.slice(0, -1).slice(-MAX_HISTORY_LENGTH).map((pastValue) => ({
+      value: pastValue,
+      step,
+      label: 'restored'
+    })),
+    present: { value, step, label: 'restored' },
+    future: []
+  }),
+  // Version 2 held a single counter, which becomes the default one
+  3: ({ past = [], present, future = [], totalClicks = 0 }) => {
+    const counter = createCounter(DEFAULT_COUNTER_ID, DEFAULT_COUNTER_NAME);
+    return {
+      ids: [counter.id],
+      entities: {
+        [counter.id]: { ...counter, past, present: present ?? counter.present, future, totalClicks }
+      },
+      selectedId: counter.id
+    };
+  },
+  // Version 3 counters had no constraints
+  4: ({ entities = {}, ...state }) => ({
+    ...state,
+    entities: Object.fromEntries(Object.entries(entities).map(([id, counter]) => [
+      id,
+      { constraints: { ...DEFAULT_CONSTRAINTS }, lastError: null, ...counter }
+    ]))
+  })
+};
+
+// Fields restored after a reload: every counter with its history, and the selected one
+export const COUNTER_PERSISTED_FIELDS = ['ids', 'entities', 'selectedId'];
+
+export { countersAdapter };
+
 // Export reducer
 export default counterSlice.reducer;
@@ -0,0 +1,405 @@
+/**
+ * Tests for the counter slice: named counters, undo/redo history, constraints
+ * and persisted state migrations
+ */
+
+import { configureStore } from '@reduxjs/toolkit';
+import counterReducer, {
+  increment,
+  decrement,
+  incrementByAmount,
+  setStep,
+  reset,
+  undo,
+  redo,
+  jumpToHistoryIndex,
+  decrementByAmount,
+  setCounterValue,
+  setConstraints,
+  clearError,
+  addCounter,
+  renameCounter,
+  removeCounter,
+  moveCounter,
+  selectCounter,
+  counterMigrations,
+  COUNTER_STATE_VERSION,
+  DEFAULT_COUNTER_ID,
+  MAX_HISTORY_LENGTH,
+  HISTORY_GROUP_WINDOW
+} from './counterSlice';
+import { COUNTER_ERRORS, DEFAULT_CONSTRAINTS, OUT_OF_RANGE_MODES } from './counterConstraints';
+import {
+  selectAllCounters,
+  selectCounterIds,
+  selectSelectedCounterId,
+  selectCounterEntity,
+  selectCountersTotals,
+  makeSelectCounterAboveThreshold,
+  makeSelectCountersAboveThreshold,
+  selectCounterValue,
+  selectCounterStep,
+  selectCounterHistory,
+  selectHistoryTimeline,
+  selectCanUndo,
+  selectCanRedo,
+  selectPast,
+  selectFuture,
+  selectLastError,
+  selectLastErrorMessage,
+  selectCounterLimits,
+  selectCounterConstraints,
+  selectTotalClicks
+} from './selectors';
+import { migrateState } from './persistence';
+
+const createStore = () => configureStore({ reducer: { counter: counterReducer } });
+
+// Increments far enough apart not to be grouped
+const at = (timestamp, action) => ({ ...action, meta: { timestamp } });
+
+describe('counterSlice history', () => {
+  test('undoes and redoes value and step changes', () => {
+    const store = createStore();
+    store.dispatch(incrementByAmount(5));
+    store.dispatch(setStep(2));
+    store.dispatch(reset());
+
+    store.dispatch(undo());
+    expect(selectCounterValue(store.getState())).toBe(5);
+    expect(selectCounterStep(store.getState())).toBe(2);
+
+    store.dispatch(undo());
+    expect(selectCounterStep(store.getState())).toBe(1);
+    expect(selectCanRedo(store.getState())).toBe(true);
+    expect(selectFuture(store.getState()).map((entry) => entry.label)).toEqual(['setStep(2)', 'reset']);
+
+    store.dispatch(redo());
+    store.dispatch(redo());
+    expect(selectCounterValue(store.getState())).toBe(0);
+    expect(selectCanRedo(store.getState())).toBe(false);
+    expect(selectCounterEntity(store.getState()).lastAction).toBe('redo');
+  });
+
+  test('a new change drops the undone future', () => {
+    const store = createStore();
+    store.dispatch(setCounterValue(3));
+    store.dispatch(setCounterValue(4));
+    store.dispatch(undo());
+    store.dispatch(setCounterValue(10));
+
+    expect(selectFuture(store.getState())).toEqual([]);
+    expect(selectCounterHistory(store.getState())).toEqual([0, 3, 10]);
+  });
+
+  test('jumps to any point of the timeline', () => {
+    const store = createStore();
+    [1, 2, 3, 4].forEach((value) => store.dispatch(setCounterValue(value)));
+
+    store.dispatch(jumpToHistoryIndex(1));
+    expect(selectCounterValue(store.getState())).toBe(1);
+    expect(selectHistoryTimeline(store.getState()).map(({ value, isCurrent, isFuture }) => [value, isCurrent, isFuture]))
+      .toEqual([[0, false, false], [1, true, false], [2, false, true], [3, false, true], [4, false, true]]);
+
+    store.dispatch(jumpToHistoryIndex(4));
+    expect(selectCounterValue(store.getState())).toBe(4);
+    expect(selectCanRedo(store.getState())).toBe(false);
+
+    const before = selectCounterEntity(store.getState());
+    store.dispatch(jumpToHistoryIndex(9));
+    store.dispatch(jumpToHistoryIndex(-1));
+    expect(selectCounterEntity(store.getState())).toBe(before);
+  });
+
+  test('groups rapid consecutive increments into one undo step', () => {
+    let state = counterReducer(undefined, at(1000, increment()));
+    state = counterReducer(state, at(1000 + HISTORY_GROUP_WINDOW, increment()));
+    state = counterReducer(state, at(1200 + HISTORY_GROUP_WINDOW, increment()));
+    // A different action type or a pause starts a new step
+    state = counterReducer(state, at(1300 + HISTORY_GROUP_WINDOW, decrement()));
+    state = counterReducer(state, at(5000, decrement()));
+
+    const counter = state.entities[DEFAULT_COUNTER_ID];
+    expect(counter.present.value).toBe(1);
+    expect(counter.past.map((entry) => entry.value)).toEqual([0, 3, 2]);
+    expect(counter.totalClicks).toBe(5);
+
+    state = counterReducer(state, undo());
+    state = counterReducer(state, undo());
+    expect(state.entities[DEFAULT_COUNTER_ID].present.value).toBe(3);
+  });
+
+  test('keeps at most MAX_HISTORY_LENGTH undo steps', () => {
+    const store = createStore();
+    for (let value = 1; value <= MAX_HISTORY_LENGTH + 5; value += 1) {
+      store.dispatch(setCounterValue(value));
+    }
+
+    const past = selectPast(store.getState());
+    expect(past).toHaveLength(MAX_HISTORY_LENGTH);
+    expect(past[0].value).toBe(5);
+    expect(selectCanUndo(store.getState())).toBe(true);
+  });
+
+  test('migrates version 1 persisted state to past/present/future', () => {
+    const persisted = { version: 1, state: { value: 7, step: 2, history: [0, 5, 7], totalClicks: 2 } };
+
+    expect(migrateState(persisted, { key: 'counter', version: 2, migrations: counterMigrations })).toEqual({
+      totalClicks: 2,
+      past: [
+        { value: 0, step: 2, label: 'restored' },
+        { value: 5, step: 2, label: 'restored' }
+      ],
+      present: { value: 7, step: 2, label: 'restored' },
+      future: []
+    });
+  });
+
+  test('migrates version 2 persisted state to the default counter', () => {
+    const present = { value: 4, step: 2, label: 'setCounterValue(4)' };
+    const persisted = { version: 2, state: { past: [{ value: 0, step: 2, label: 'start' }], present, future: [], totalClicks: 3 } };
+
+    const state = migrateState(persisted, { key: 'counter', version: COUNTER_STATE_VERSION, migrations: counterMigrations });
+    expect(state.ids).toEqual([DEFAULT_COUNTER_ID]);
+    expect(state.selectedId).toBe(DEFAULT_COUNTER_ID);
+    expect(state.entities[DEFAULT_COUNTER_ID]).toMatchObject({ name: 'Counter', present, totalClicks: 3 });
+    expect(state.entities[DEFAULT_COUNTER_ID].past).toHaveLength(1);
+  });
+});
+
+describe('counterSlice counters', () => {
+  test('keeps a separate step, history and totals per counter', () => {
+    const store = createStore();
+    store.dispatch(addCounter('  Push-ups '));
+    const pushUps = selectSelectedCounterId(store.getState());
+
+    store.dispatch(setStep(10));
+    store.dispatch(increment());
+    store.dispatch(incrementByAmount(2, DEFAULT_COUNTER_ID));
+    store.dispatch(undo(DEFAULT_COUNTER_ID));
+
+    const state = store.getState();
+    expect(selectCounterEntity(state, pushUps)).toMatchObject({ name: 'Push-ups', totalClicks: 1 });
+    expect(selectCounterValue(state, pushUps)).toBe(10);
+    expect(selectCounterValue(state, DEFAULT_COUNTER_ID)).toBe(0);
+    expect(selectCounterStep(state, DEFAULT_COUNTER_ID)).toBe(1);
+    expect(selectCanRedo(state, DEFAULT_COUNTER_ID)).toBe(true);
+    expect(selectCanRedo(state, pushUps)).toBe(false);
+    expect(selectCountersTotals(state)).toEqual({ count: 2, totalValue: 10, totalClicks: 2 });
+  });
+
+  test('renames, reorders, selects and removes counters', () => {
+    const store = createStore();
+    store.dispatch(addCounter('Reading'));
+    store.dispatch(addCounter());
+    const [, reading, third] = selectCounterIds(store.getState());
+
+    store.dispatch(renameCounter({ id: third, name: 'Water' }));
+    store.dispatch(renameCounter({ id: reading, name: '   ' }));
+    store.dispatch(moveCounter({ id: third, toIndex: 0 }));
+    store.dispatch(moveCounter({ id: DEFAULT_COUNTER_ID, toIndex: 99 }));
+    expect(selectAllCounters(store.getState()).map((counter) => counter.name)).toEqual(['Water', 'Reading', 'Counter']);
+
+    store.dispatch(selectCounter(reading));
+    store.dispatch(selectCounter('missing'));
+    expect(selectSelectedCounterId(store.getState())).toBe(reading);
+
+    // Removing the selected counter selects the one that took its place
+    store.dispatch(removeCounter(reading));
+    expect(selectCounterIds(store.getState())).toEqual([third, DEFAULT_COUNTER_ID]);
+    expect(selectSelectedCounterId(store.getState())).toBe(DEFAULT_COUNTER_ID);
+
+    store.dispatch(removeCounter(DEFAULT_COUNTER_ID));
+    store.dispatch(removeCounter(third));
+    expect(selectCounterIds(store.getState())).toEqual([third]);
+    expect(selectSelectedCounterId(store.getState())).toBe(third);
+  });
+
+  test('threshold selectors take a counter id', () => {
+    const store = createStore();
+    store.dispatch(addCounter('Steps'));
+    const steps = selectSelectedCounterId(store.getState());
+    store.dispatch(incrementByAmount(8));
+
+    const selectAboveThreshold = makeSelectCounterAboveThreshold();
+    expect(selectAboveThreshold(store.getState(), steps, 5)).toBe(true);
+    expect(selectAboveThreshold(store.getState(), DEFAULT_COUNTER_ID, 5)).toBe(false);
+
+    const selectCountersAbove = makeSelectCountersAboveThreshold();
+    expect(selectCountersAbove(store.getState(), 5).map((counter) => counter.id)).toEqual([steps]);
+  });
+});
+
+describe('counterSlice constraints', () => {
+  const createConstrainedStore = (constraints) => {
+    const store = createStore();
+    store.dispatch(setConstraints(constraints));
+    return store;
+  };
+
+  test('rejects NaN from unparsable input and other non-numbers', () => {
+    const store = createStore();
+    store.dispatch(setCounterValue(3));
+    const before = selectCounterEntity(store.getState());
+
+    // What ReduxCounter.handleCustomValue dispatches for "abc"
+    store.dispatch(setCounterValue(Number('abc')));
+    expect(selectLastError(store.getState())).toEqual({
+      code: COUNTER_ERRORS.NOT_A_NUMBER,
+      message: 'Value must be a number, got NaN',
+      attempted: 'NaN',
+      action: 'setCounterValue(NaN)'
+    });
+
+    store.dispatch(incrementByAmount(Infinity));
+    store.dispatch(decrementByAmount('5'));
+    store.dispatch(setStep(undefined));
+    const state = store.getState();
+    expect(selectLastError(state).code).toBe(COUNTER_ERRORS.NOT_A_NUMBER);
+    expect(selectCounterValue(state)).toBe(3);
+    expect(selectPast(state)).toBe(before.past);
+    expect(selectTotalClicks(state)).toBe(before.totalClicks);
+
+    store.dispatch(increment());
+    expect(selectLastError(store.getState())).toBeNull();
+  });
+
+  test('clamps out-of-range values to the nearest bound', () => {
+    const store = createConstrainedStore({ min: 0, max: 10 });
+
+    store.dispatch(setCounterValue(15));
+    expect(selectCounterValue(store.getState())).toBe(10);
+    expect(selectCounterEntity(store.getState()).lastAction).toBe('setCounterValue(15) (clamped)');
+    expect(selectLastError(store.getState())).toBeNull();
+
+    // Nothing left to clamp to: refused rather than recorded as a no-op
+    store.dispatch(increment());
+    expect(selectLastError(store.getState())).toMatchObject({
+      code: COUNTER_ERRORS.OUT_OF_RANGE,
+      message: 'The counter is already at its maximum of 10'
+    });
+    expect(selectCounterHistory(store.getState())).toEqual([0, 10]);
+
+    store.dispatch(decrementByAmount(50));
+    expect(selectCounterValue(store.getState())).toBe(0);
+    expect(selectTotalClicks(store.getState())).toBe(1);
+  });
+
+  test('rejects out-of-range values in reject mode', () => {
+    const store = createConstrainedStore({ min: -5, max: 10, outOfRange: OUT_OF_RANGE_MODES.REJECT });
+    store.dispatch(setCounterValue(8));
+    store.dispatch(setStep(5));
+
+    store.dispatch(increment());
+    expect(selectCounterValue(store.getState())).toBe(8);
+    expect(selectLastErrorMessage(store.getState())).toBe('increment: 13 is outside the allowed range -5 to 10');
+    expect(selectCounterLimits(store.getState())).toEqual({ min: -5, max: 10, canIncrement: false, canDecrement: true });
+
+    store.dispatch(setCounterValue(-6));
+    expect(selectLastError(store.getState()).code).toBe(COUNTER_ERRORS.OUT_OF_RANGE);
+    store.dispatch(clearError());
+    expect(selectLastError(store.getState())).toBeNull();
+    expect(selectCounterValue(store.getState())).toBe(8);
+  });
+
+  test('never goes beyond the safe integer range', () => {
+    const store = createStore();
+    store.dispatch(setCounterValue(1e20));
+    expect(selectCounterValue(store.getState())).toBe(Number.MAX_SAFE_INTEGER);
+
+    store.dispatch(setConstraints({ outOfRange: OUT_OF_RANGE_MODES.REJECT }));
+    store.dispatch(decrementByAmount(2e20));
+    expect(selectCounterValue(store.getState())).toBe(Number.MAX_SAFE_INTEGER);
+    expect(selectLastError(store.getState()).code).toBe(COUNTER_ERRORS.OUT_OF_RANGE);
+  });
+
+  test('only allows steps within the step range', () => {
+    const store = createConstrainedStore({ minStep: 1, maxStep: 20 });
+
+    [-1, 0, 21].forEach((step) => {
+      store.dispatch(setStep(step));
+      expect(selectLastError(store.getState())).toMatchObject({
+        code: COUNTER_ERRORS.STEP_OUT_OF_RANGE,
+        message: `Step must be between 1 and 20, got ${step}`
+      });
+    });
+    expect(selectCounterStep(store.getState())).toBe(1);
+
+    store.dispatch(setStep(20));
+    expect(selectCounterStep(store.getState())).toBe(20);
+    expect(selectLastError(store.getState())).toBeNull();
+  });
+
+  test('refuses fractions in integer-only mode', () => {
+    const store = createConstrainedStore({ integerOnly: true });
+
+    store.dispatch(incrementByAmount(1.5));
+    expect(selectLastError(store.getState())).toMatchObject({ code: COUNTER_ERRORS.NOT_AN_INTEGER, attempted: 1.5 });
+    store.dispatch(setStep(2.5));
+    expect(selectLastError(store.getState()).code).toBe(COUNTER_ERRORS.NOT_AN_INTEGER);
+    store.dispatch(setCounterValue(0.1));
+    expect(selectCounterValue(store.getState())).toBe(0);
+
+    store.dispatch(incrementByAmount(2));
+    expect(selectCounterValue(store.getState())).toBe(2);
+  });
+
+  test('refuses inconsistent constraints', () => {
+    const store = createStore();
+
+    [
+      { min: 10, max: 5 },
+      { minStep: 0 },
+      { minStep: 5, maxStep: 2 },
+      { max: NaN },
+      { outOfRange: 'wrap' }
+    ].forEach((constraints) => {
+      store.dispatch(setConstraints(constraints));
+      expect(selectLastError(store.getState()).code).toBe(COUNTER_ERRORS.INVALID_CONSTRAINTS);
+    });
+    expect(selectCounterConstraints(store.getState())).toEqual(DEFAULT_CONSTRAINTS);
+  });
+
+  test('new constraints bring the value and step within bounds, also on undo', () => {
+    const store = createStore();
+    store.dispatch(setCounterValue(20.6));
+    store.dispatch(setStep(50));
+
+    store.dispatch(setConstraints({ min: 5, max: 10, maxStep: 10, integerOnly: true }));
+    expect(selectCounterValue(store.getState())).toBe(10);
+    expect(selectCounterStep(store.getState())).toBe(10);
+
+    // Reset picks the closest allowed value and step
+    store.dispatch(reset());
+    expect(selectCounterValue(store.getState())).toBe(5);
+    expect(selectCounterStep(store.getState())).toBe(1);
+
+    // Snapshots from before the constraints are restored within them
+    store.dispatch(undo());
+    store.dispatch(undo());
+    expect(selectCounterValue(store.getState())).toBe(10);
+    expect(selectCounterStep(store.getState())).toBe(10);
+    expect(selectCanUndo(store.getState())).toBe(true);
+    store.dispatch(jumpToHistoryIndex(0));
+    expect(selectCounterValue(store.getState())).toBe(5);
+  });
+
+  test('constraints belong to one counter', () => {
+    const store = createStore();
+    store.dispatch(setConstraints({ max: 3 }, DEFAULT_COUNTER_ID));
+    store.dispatch(addCounter('Free'));
+
+    store.dispatch(setCounterValue(100));
+    store.dispatch(setCounterValue(100, DEFAULT_COUNTER_ID));
+    expect(selectCounterValue(store.getState())).toBe(100);
+    expect(selectCounterValue(store.getState(), DEFAULT_COUNTER_ID)).toBe(3);
+  });
+
+  test('migrates version 3 persisted counters to default constraints', () => {
+    const counter = { id: DEFAULT_COUNTER_ID, name: 'Counter', past: [], present: { value: 2, step: 1, label: 'start' }, future: [], totalClicks: 2 };
+    const persisted = { version: 3, state: { ids: [DEFAULT_COUNTER_ID], entities: { [DEFAULT_COUNTER_ID]: counter }, selectedId: DEFAULT_COUNTER_ID } };
+
+    const state = migrateState(persisted, { key: 'counter', version: COUNTER_STATE_VERSION, migrations: counterMigrations });
+    expect(state.entities[DEFAULT_COUNTER_ID]).toEqual({ ...counter, constraints: DEFAULT_CONSTRAINTS, lastError: null });
+  });
+});
@@ -0,0 +1,358 @@
+/**
+ * Cross-Tab Synchronization of Redux actions
+ *
+ * Keeps the stores of several tabs in step by replaying actions:
+ * - opted-in actions are broadcast through BroadcastChannel, or through
+ *   `storage` events where BroadcastChannel is unavailable
+ * - remote actions are dispatched with `meta.crossTab` and never broadcast again
+ * - every action carries a Lamport clock, and `(clock, tabId)` stamps put all
+ *   of them in one order that every tab agrees on
+ * - each tab keeps its last actions with the slice state before them; an action
+ *   that arrives after later ones were applied is slotted in and those are
+ *   replayed, so tabs end in the same state whatever order messages arrive in
+ *   (a reset and a concurrent increment give the same value, history and clicks)
+ * - heartbeats carry each tab's clock: actions every other tab has moved past
+ *   leave the log, and a new tab holds its synced actions until it has listened
+ *   for one heartbeat interval, so its first stamp comes after every action
+ *   already in the state it started from
+ * - a leader election (see leaderElection.js) picks the one tab that runs side effects
+ *
+ * The state itself is not sent: a newly opened tab starts from the persisted
+ * state and follows the actions from there.
+ */
+
+import { nanoid } from '@reduxjs/toolkit';
+import {
+  createLeaderElection,
+  LEADER_MESSAGES,
+  HEARTBEAT_INTERVAL,
+  LEADER_TIMEOUT
+} from './leaderElection';
+
+// Default BroadcastChannel name
+const DEFAULT_CHANNEL_NAME = 'redux-cross-tab';
+
+// Prefix of the localStorage key used by the storage-event fallback
+const STORAGE_KEY_PREFIX = 'cross-tab:';
+
+// Message kind of a broadcast action
+const ACTION_MESSAGE = 'sync/action';
+
+// Key of the meta field marking remote actions
+const REMOTE_META = 'crossTab';
+
+// Swaps in a slice state rebuilt by replaying actions
+const REPLACE_STATE = 'sync/replaceState';
+
+/**
+ * Create a transport over BroadcastChannel
+ * @param {string} channelName - Channel name
+ * @returns {Object} Transport: `{ post, subscribe, close }`
+ */
+export const createBroadcastChannelTransport = (channelName = DEFAULT_CHANNEL_NAME) => {
+  const channel = new BroadcastChannel(channelName);
+  const listeners = new Set();
+  channel.onmessage = (event) => listeners.forEach((listener) => listener(event.data));
+
+  return {
+    post(message) {
+      try {
+        channel.postMessage(message);
+      } catch (error) {
+        console.error('❌ Failed to broadcast cross-tab message:', error);
+      }
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+    close() {
+      listeners.clear();
+      channel.close();
+    }
+  };
+};
+
+/**
+ * Create a transport over `storage` events: each message is written to
+ * localStorage and removed at once, which other tabs see as an event
+ * @param {string} channelName - Channel name, part of the storage key
+ * @param {Storage} storage - Storage shared by the tabs
+ * @returns {Object} Transport: `{ post, subscribe, close }`
+ */
+export const createStorageTransport = (channelName = DEFAULT_CHANNEL_NAME, storage = window.localStorage) => {
+  const key = `${STORAGE_KEY_PREFIX}${channelName}`;
+  const listeners = new Set();
+
+  const handleStorage = (event) => {
+    // The removal right after each write comes through with a null value
+    if (event.storageArea !== storage || event.key !== key || !event.newValue) return;
+    try {
+      const { message } = JSON.parse(event.newValue);
+      listeners.forEach((listener) => listener(message));
+    } catch (error) {
+      console.error('❌ Failed to read cross-tab message:', error);
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+
+  return {
+    post(message) {
+      try {
+        // The id makes repeated messages differ, otherwise no event fires
+        storage.setItem(key, JSON.stringify({ id: nanoid(), message }));
+        storage.removeItem(key);
+      } catch (error) {
+        console.error('❌ Failed to broadcast cross-tab message:', error);
+      }
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+    close() {
+      listeners.clear();
+      window.removeEventListener('storage', handleStorage);
+    }
+  };
+};
+
+/**
+ * Pick the best transport available
+ * @param {string} channelName - Channel name
+ * @returns {Object} BroadcastChannel transport, storage transport, or one that
+ *   goes nowhere outside a browser
+ */
+export const createCrossTabTransport = (channelName = DEFAULT_CHANNEL_NAME) => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    return createBroadcastChannelTransport(channelName);
+  }
+  try {
+    return createStorageTransport(channelName, window.localStorage);
+  } catch (error) {
+    console.warn('⚠️ No cross-tab transport available, tabs will not be synchronized');
+    return { post: () => {}, subscribe: () => () => {}, close: () => {} };
+  }
+};
+
+/**
+ * Order two stamps
+ * @param {Object} a - `{ clock, tabId }`
+ * @param {Object} b - `{ clock, tabId }`
+ * @returns {number} Negative when `a` happened before `b`; ties go to the tab id
+ */
+export const compareStamps = (a, b) => {
+  if (a.clock !== b.clock) return a.clock - b.clock;
+  if (a.tabId === b.tabId) return 0;
+  return a.tabId < b.tabId ? -1 : 1;
+};
+
+/**
+ * Whether an action was replayed from another tab
+ * Side effects reacting to actions usually skip these
+ * @param {Object} action - Redux action
+ * @returns {boolean} True for remote actions
+ */
+export const isRemoteAction = (action) => Boolean(action?.meta?.[REMOTE_META]);
+
+/**
+ * Action types of a list of action creators or type strings
+ * @param {Array} actions - Action creators or types
+ * @returns {Set<string>} Action types
+ */
+const toTypes = (actions) => new Set(actions.map((action) => (typeof action === 'string' ? action : action.type)));
+
+/**
+ * Synchronize actions between the tabs of the app
+ * @param {Object} options - Sync options
+ * @param {string} options.key - State key of the synchronized slice; mount its reducer
+ *   wrapped with the returned `reducer`
+ * @param {Array} options.actions - Action creators (or types) to broadcast
+ * @param {Function} options.resolveAction - `(action, state) => action`, makes an action
+ *   mean the same in every tab before it is broadcast (e.g. fill in a target id)
+ * @param {string} options.channelName - Channel name
+ * @param {Object} options.transport - Transport (createCrossTabTransport by default)
+ * @param {string} options.tabId - Id of this tab
+ * @param {Object} options.election - Leader election options (see leaderElection.js)
+ * @returns {Object} `{ reducer, middleware, leader, tabId, getClock, close }`
+ */
+export const createCrossTabSync = ({
+  key,
+  actions = [],
+  resolveAction = (action) => action,
+  channelName = DEFAULT_CHANNEL_NAME,
+  transport = createCrossTabTransport(channelName),
+  tabId = nanoid(),
+  election = {}
+} = {}) => {
+  const syncedTypes = toTypes(actions);
+  const { heartbeatInterval = HEARTBEAT_INTERVAL, timeout = LEADER_TIMEOUT } = election;
+  // Recent actions on the slice in stamp order, with the state before each: `{ stamp, action, before }`
+  const log = [];
+  // Latest clock heard from each other tab: `tabId -> { clock, lastSeen }`
+  const peers = new Map();
+  const unsubscribers = [];
+  let sliceReducer = (state) => state;
+  let clock = 0;
+  let listeningTimer = null;
+
+  /**
+   * Drop the actions every live tab has moved past: messages from one tab arrive
+   * in order, and its next stamps are above the clock it last sent, so nothing
+   * can be slotted in before them any more
+   */
+  const trim = () => {
+    const now = Date.now();
+    peers.forEach((peer, peerId) => {
+      if (now - peer.lastSeen > timeout) {
+        peers.delete(peerId);
+      }
+    });
+    const settled = Math.min(...[...peers.values()].map((peer) => peer.clock));
+    const kept = log.findIndex((entry) => entry.stamp.clock > settled);
+    log.splice(0, kept === -1 ? log.length : kept);
+  };
+
+  const append = (entry) => {
+    log.push(entry);
+    trim();
+  };
+
+  const hear = (peerId, peerClock) => {
+    peers.set(peerId, { clock: Math.max(peers.get(peerId)?.clock ?? 0, peerClock), lastSeen: Date.now() });
+  };
+
+  // Subscribed before the election starts, so the answers to its first heartbeat count
+  unsubscribers.push(transport.subscribe((message) => {
+    if (message.tabId === tabId) return;
+
+    if (message.kind === LEADER_MESSAGES.HEARTBEAT && Number.isFinite(message.clock)) {
+      clock = Math.max(clock, message.clock);
+      hear(message.tabId, message.clock);
+      trim();
+    } else if (message.kind === LEADER_MESSAGES.GOODBYE) {
+      peers.delete(message.tabId);
+      trim();
+    }
+  }));
+
+  const leader = createLeaderElection(transport, {
+    tabId,
+    ...election,
+    getHeartbeatData: () => ({ clock })
+  });
+
+  /**
+   * Wrap the reducer of the synchronized slice, so replays can run it
+   * @param {Function} wrapped - Slice reducer, as mounted in the store
+   * @returns {Function} Reducer that also accepts rebuilt states
+   */
+  const reducer = (wrapped) => {
+    sliceReducer = wrapped;
+    return (state, action) => (action.type === REPLACE_STATE && action.key === key
+      ? action.payload
+      : wrapped(state, action));
+  };
+
+  const middleware = (store) => {
+    // Slot in an action older than some already applied, and replay those
+    const insert = (stamp, action) => {
+      const later = log.splice(log.findIndex((entry) => compareStamps(entry.stamp, stamp) > 0));
+      let state = later[0].before;
+      [{ stamp, action }, ...later].forEach((entry) => {
+        append({ stamp: entry.stamp, action: entry.action, before: state });
+        state = sliceReducer(state, entry.action);
+      });
+      store.dispatch({ type: REPLACE_STATE, key, payload: state });
+    };
+
+    unsubscribers.push(transport.subscribe((message) => {
+      if (message.kind !== ACTION_MESSAGE || message.tabId === tabId) return;
+
+      clock = Math.max(clock, message.clock) + 1;
+      hear(message.tabId, message.clock);
+      const stamp = { clock: message.clock, tabId: message.tabId };
+      const action = { ...message.action, meta: { ...message.action.meta, [REMOTE_META]: stamp } };
+
+      const last = log[log.length - 1];
+      if (!last || compareStamps(stamp, last.stamp) > 0) {
+        store.dispatch(action);
+      } else {
+        insert(stamp, action);
+      }
+    }));
+
+    return (next) => {
+      const apply = (action, stamp) => {
+        const before = store.getState()[key];
+        const result = next(action);
+        // Synced actions are kept even when they changed nothing (a rejected increment may
+        // pass once an earlier reset is slotted in), local-only changes (selection,
+        // rehydration) so a replay doesn't undo them
+        if (stamp || store.getState()[key] !== before) {
+          append({ stamp: stamp ?? { clock: (clock += 1), tabId }, action, before });
+        }
+        return result;
+      };
+
+      const send = (action) => {
+        const stamp = { clock: (clock += 1), tabId };
+        const result = apply(action, stamp);
+        transport.post({ kind: ACTION_MESSAGE, ...stamp, action });
+        return result;
+      };
+
+      // Synced actions made before the other tabs answered with their clocks
+      let held = [];
+      listeningTimer = setTimeout(() => {
+        listeningTimer = null;
+        held.forEach(send);
+        held = null;
+      }, heartbeatInterval);
+
+      return (action) => {
+        if (action?.type === REPLACE_STATE) {
+          return next(action);
+        }
+
+        const remoteStamp = action?.meta?.[REMOTE_META];
+        if (remoteStamp || !syncedTypes.has(action?.type)) {
+          return apply(action, remoteStamp);
+        }
+
+        const resolved = resolveAction(action, store.getState());
+        if (held) {
+          held.push(resolved);
+          return resolved;
+        }
+        return send(resolved);
+      };
+    };
+  };
+
+  return {
+    reducer,
+    middleware,
+    leader,
+    tabId,
+    /**
+     * @returns {number} Current Lamport clock of this tab
+     */
+    getClock: () => clock,
+    /**
+     * Stop synchronizing and leave the leader election
+     */
+    close() {
+      clearTimeout(listeningTimer);
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+      leader.close();
+      transport.close();
+    }
+  };
+};
+
+export { DEFAULT_CHANNEL_NAME, REMOTE_META, REPLACE_STATE };
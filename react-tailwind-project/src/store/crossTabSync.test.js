@@ -0,0 +1,293 @@
+/**
+ * Tests for cross-tab synchronization: transports, echo suppression and conflict resolution
+ */
+
+import { configureStore } from '@reduxjs/toolkit';
+import counterReducer, {
+  increment,
+  setStep,
+  reset,
+  setCounterValue,
+  addCounter,
+  selectCounter,
+  DEFAULT_COUNTER_ID
+} from './counterSlice';
+import { selectCounterValue, selectCounterStep, selectSelectedCounterId } from './selectors';
+import {
+  createCrossTabSync,
+  createStorageTransport,
+  createCrossTabTransport,
+  compareStamps,
+  isRemoteAction
+} from './crossTabSync';
+import { HEARTBEAT_INTERVAL } from './leaderElection';
+
+// In-process BroadcastChannel: messages reach other instances with the same name,
+// right away or, while `held`, once deliver() is called (in the order they were
+// posted, or the reverse)
+class FakeBroadcastChannel {
+  static instances = [];
+
+  static held = false;
+
+  static pending = [];
+
+  static deliver({ reverse = false } = {}) {
+    const pending = FakeBroadcastChannel.pending;
+    FakeBroadcastChannel.pending = [];
+    (reverse ? pending.reverse() : pending).forEach((send) => send());
+  }
+
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeBroadcastChannel.instances.push(this);
+  }
+
+  postMessage(data) {
+    const copy = JSON.parse(JSON.stringify(data));
+    const receivers = FakeBroadcastChannel.instances.filter((channel) => channel !== this && channel.name === this.name);
+    const sends = receivers.map((channel) => () => channel.onmessage?.({ data: copy }));
+    if (FakeBroadcastChannel.held) {
+      FakeBroadcastChannel.pending.push(...sends);
+    } else {
+      sends.forEach((send) => send());
+    }
+  }
+
+  close() {
+    FakeBroadcastChannel.instances = FakeBroadcastChannel.instances.filter((channel) => channel !== this);
+  }
+}
+
+const syncs = [];
+
+// A tab: its own store and sync, synchronizing counter actions like store.js does,
+// started from `preloadedState` like a rehydrated tab; unless told not to, it
+// listens for the other tabs before the test goes on
+const openTab = (tabId, { listen = true, preloadedState } = {}) => {
+  const sync = createCrossTabSync({
+    tabId,
+    key: 'counter',
+    actions: [increment, setStep, reset, setCounterValue, addCounter],
+    resolveAction: (action, state) => (action.type === addCounter.type
+      ? action
+      : { ...action, meta: { ...action.meta, counterId: action.meta?.counterId ?? state.counter.selectedId } })
+  });
+  syncs.push(sync);
+  const dispatched = [];
+  const store = configureStore({
+    reducer: { counter: sync.reducer(counterReducer) },
+    preloadedState,
+    middleware: (getDefaultMiddleware) => getDefaultMiddleware()
+      .concat(() => (next) => (action) => {
+        dispatched.push(action);
+        return next(action);
+      })
+      .prepend(sync.middleware)
+  });
+  if (listen) {
+    jest.advanceTimersByTime(HEARTBEAT_INTERVAL);
+  }
+  return { store, sync, dispatched };
+};
+
+describe('crossTabSync', () => {
+  const originalBroadcastChannel = global.BroadcastChannel;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    global.BroadcastChannel = FakeBroadcastChannel;
+  });
+
+  afterEach(() => {
+    syncs.splice(0).forEach((sync) => sync.close());
+    global.BroadcastChannel = originalBroadcastChannel;
+    FakeBroadcastChannel.instances = [];
+    FakeBroadcastChannel.held = false;
+    FakeBroadcastChannel.pending = [];
+    jest.useRealTimers();
+  });
+
+  test('replays actions in other tabs without echoing them back', () => {
+    const tabA = openTab('a');
+    const tabB = openTab('b');
+
+    tabA.store.dispatch(increment());
+    tabA.store.dispatch(increment());
+
+    expect(selectCounterValue(tabA.store.getState())).toBe(2);
+    expect(selectCounterValue(tabB.store.getState())).toBe(2);
+    expect(tabA.dispatched.filter(isRemoteAction)).toHaveLength(0);
+    expect(tabB.dispatched.every(isRemoteAction)).toBe(true);
+    expect(tabB.dispatched[0].meta.crossTab).toEqual({ clock: 1, tabId: 'a' });
+    expect(tabB.sync.getClock()).toBeGreaterThan(tabA.sync.getClock());
+  });
+
+  test('names the selected counter so each tab keeps its own selection', () => {
+    const tabA = openTab('a');
+    const tabB = openTab('b');
+    tabA.store.dispatch(addCounter('Water'));
+    const water = selectSelectedCounterId(tabA.store.getState());
+    tabB.store.dispatch(selectCounter(DEFAULT_COUNTER_ID));
+
+    tabA.store.dispatch(increment());
+
+    expect(selectCounterValue(tabB.store.getState(), water)).toBe(1);
+    expect(selectCounterValue(tabB.store.getState())).toBe(0);
+  });
+
+  test('concurrent overwrites settle on the same winner in every tab', () => {
+    const tabA = openTab('a');
+    const tabB = openTab('b');
+    FakeBroadcastChannel.held = true;
+
+    tabA.store.dispatch(setStep(2));
+    tabB.store.dispatch(setStep(5));
+    FakeBroadcastChannel.deliver();
+
+    // Same clock: the larger tab id comes last
+    expect(selectCounterStep(tabA.store.getState())).toBe(5);
+    expect(selectCounterStep(tabB.store.getState())).toBe(5);
+
+    // A write made after seeing the other one comes last
+    tabA.store.dispatch(setStep(10));
+    FakeBroadcastChannel.deliver();
+    expect(selectCounterStep(tabB.store.getState())).toBe(10);
+  });
+
+  test.each([
+    ['an increment and a reset', increment(), reset()],
+    ['a reset and an increment', reset(), increment()],
+    ['an increment and a new value', increment(), setCounterValue(7)],
+    ['a new value and an increment', setCounterValue(7), increment()],
+    ['a new step and a new value', setStep(3), setCounterValue(7)]
+  ])('tabs converge on %s received in opposite orders', (_, first, second) => {
+    const tabA = openTab('a');
+    const tabB = openTab('b');
+    const tabC = openTab('c');
+    [tabA, tabB, tabC].forEach(({ store }) => {
+      store.dispatch(increment());
+      store.dispatch(increment());
+    });
+    FakeBroadcastChannel.deliver();
+    FakeBroadcastChannel.held = true;
+
+    // A applies its own action first, B its own; C gets them last to first
+    tabA.store.dispatch(first);
+    tabB.store.dispatch(second);
+    FakeBroadcastChannel.deliver({ reverse: true });
+
+    const counter = tabA.store.getState().counter;
+    expect(tabB.store.getState().counter).toEqual(counter);
+    expect(tabC.store.getState().counter).toEqual(counter);
+  });
+
+  test('only the tab that adds a counter switches to it', () => {
+    const tabA = openTab('a');
+    const tabB = openTab('b');
+
+    tabA.store.dispatch(addCounter('Water'));
+
+    const water = selectSelectedCounterId(tabA.store.getState());
+    expect(water).not.toBe(DEFAULT_COUNTER_ID);
+    expect(tabB.store.getState().counter.ids).toContain(water);
+    expect(selectSelectedCounterId(tabB.store.getState())).toBe(DEFAULT_COUNTER_ID);
+  });
+
+  test('replays local selection changes when slotting in a late action', () => {
+    const tabA = openTab('a');
+    const tabB = openTab('b');
+    tabA.store.dispatch(addCounter('Water'));
+    const water = selectSelectedCounterId(tabA.store.getState());
+    tabA.store.dispatch(selectCounter(DEFAULT_COUNTER_ID));
+    FakeBroadcastChannel.held = true;
+
+    tabA.store.dispatch(increment());
+    tabB.store.dispatch(selectCounter(water));
+    tabB.store.dispatch(setCounterValue(7));
+    FakeBroadcastChannel.deliver();
+
+    expect(selectSelectedCounterId(tabB.store.getState())).toBe(water);
+    expect(selectCounterValue(tabA.store.getState(), water)).toBe(7);
+    expect(selectCounterValue(tabB.store.getState(), water)).toBe(7);
+    expect(selectCounterValue(tabB.store.getState(), DEFAULT_COUNTER_ID)).toBe(1);
+  });
+
+  test('a tab opened after the others have acted orders its actions after theirs', () => {
+    const tabA = openTab('a');
+    tabA.store.dispatch(increment());
+    tabA.store.dispatch(increment());
+    tabA.store.dispatch(setCounterValue(5));
+    // A new tab starts from the state the others reached
+    const tabB = openTab('b', { listen: false, preloadedState: tabA.store.getState() });
+
+    tabB.store.dispatch(reset());
+    // Held until B has heard the other clocks
+    expect(selectCounterValue(tabB.store.getState())).toBe(5);
+    jest.advanceTimersByTime(HEARTBEAT_INTERVAL);
+
+    expect(selectCounterValue(tabA.store.getState())).toBe(0);
+    expect(selectCounterValue(tabB.store.getState())).toBe(0);
+    expect(tabA.store.getState().counter).toEqual(tabB.store.getState().counter);
+  });
+
+  test('keeps every action a tab may still slot a late one in front of', () => {
+    const tabA = openTab('a');
+    const tabB = openTab('b');
+    FakeBroadcastChannel.held = true;
+
+    tabB.store.dispatch(setCounterValue(7));
+    for (let count = 0; count < 150; count += 1) {
+      tabA.store.dispatch(increment());
+    }
+    FakeBroadcastChannel.deliver();
+
+    expect(selectCounterValue(tabA.store.getState())).toBe(selectCounterValue(tabB.store.getState()));
+    expect(tabA.store.getState().counter).toEqual(tabB.store.getState().counter);
+  });
+
+  test('orders stamps by clock, then tab id', () => {
+    expect(compareStamps({ clock: 1, tabId: 'b' }, { clock: 2, tabId: 'a' })).toBeLessThan(0);
+    expect(compareStamps({ clock: 2, tabId: 'b' }, { clock: 2, tabId: 'a' })).toBeGreaterThan(0);
+    expect(compareStamps({ clock: 2, tabId: 'a' }, { clock: 2, tabId: 'a' })).toBe(0);
+  });
+
+  test('falls back to storage events without BroadcastChannel', () => {
+    global.BroadcastChannel = undefined;
+    const transport = createCrossTabTransport('test');
+    const listener = jest.fn();
+    transport.subscribe(listener);
+
+    transport.post({ kind: 'ping' });
+    // Storage events only reach other tabs, so replay the write by hand
+    window.dispatchEvent(new StorageEvent('storage', {
+      key: 'cross-tab:test',
+      newValue: JSON.stringify({ id: '1', message: { kind: 'ping' } }),
+      storageArea: localStorage
+    }));
+    window.dispatchEvent(new StorageEvent('storage', { key: 'cross-tab:test', newValue: null, storageArea: localStorage }));
+    window.dispatchEvent(new StorageEvent('storage', { key: 'persist:counter', newValue: '{}', storageArea: localStorage }));
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ kind: 'ping' });
+    expect(localStorage.getItem('cross-tab:test')).toBeNull();
+    transport.close();
+  });
+
+  test('storage transport writes each message under its channel key', () => {
+    const setItem = jest.spyOn(Storage.prototype, 'setItem');
+    const transport = createStorageTransport('test');
+
+    transport.post({ kind: 'ping' });
+    transport.post({ kind: 'ping' });
+
+    const writes = setItem.mock.calls.filter(([key]) => key === 'cross-tab:test').map(([, value]) => value);
+    expect(writes).toHaveLength(2);
+    // Identical messages still produce distinct values, so each fires an event
+    expect(writes[0]).not.toBe(writes[1]);
+    expect(JSON.parse(writes[0]).message).toEqual({ kind: 'ping' });
+    setItem.mockRestore();
+    transport.close();
+  });
+});
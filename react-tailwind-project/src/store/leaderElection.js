@@ -0,0 +1,148 @@
+/**
+ * Leader Election between tabs
+ *
+ * Tabs sharing a cross-tab transport agree on one leader, so work that must
+ * happen once (writing persisted state, polling, notifications) runs in a
+ * single tab:
+ * - every tab sends a heartbeat with the time it started
+ * - the oldest live tab leads; ties go to the smaller tab id
+ * - a new tab follows until it has listened for one heartbeat interval, so it
+ *   never leads next to an existing leader it hasn't heard from yet
+ * - a tab that stops sending heartbeats drops out after `timeout`,
+ *   one that says goodbye (close, pagehide) drops out at once
+ *
+ * Every tab reaches the same answer from the heartbeats it has seen, so no
+ * voting round is needed.
+ */
+
+import { nanoid } from '@reduxjs/toolkit';
+
+// Message kinds on the transport
+export const LEADER_MESSAGES = {
+  HEARTBEAT: 'leader/heartbeat',
+  GOODBYE: 'leader/goodbye',
+};
+
+// Delay between two heartbeats (ms)
+const HEARTBEAT_INTERVAL = 1000;
+
+// A tab not heard from for this long is considered gone (ms)
+const LEADER_TIMEOUT = 3000;
+
+/**
+ * Whether a tab takes precedence over another
+ * @param {Object} a - `{ tabId, startedAt }`
+ * @param {Object} b - `{ tabId, startedAt }`
+ * @returns {boolean} True when `a` started first, or at the same time with a smaller id
+ */
+const outranks = (a, b) => a.startedAt < b.startedAt || (a.startedAt === b.startedAt && a.tabId < b.tabId);
+
+/**
+ * Take part in the leader election
+ * @param {Object} transport - Cross-tab transport with post/subscribe (see crossTabSync.js)
+ * @param {Object} options - Election options
+ * @param {string} options.tabId - Id of this tab
+ * @param {number} options.heartbeatInterval - Delay between two heartbeats (ms)
+ * @param {number} options.timeout - Silence after which a tab is considered gone (ms)
+ * @param {Function} options.getHeartbeatData - Returns extra fields sent with each heartbeat
+ * @returns {Object} `{ tabId, isLeader, subscribe, close }`
+ */
+export const createLeaderElection = (transport, {
+  tabId = nanoid(),
+  heartbeatInterval = HEARTBEAT_INTERVAL,
+  timeout = LEADER_TIMEOUT,
+  getHeartbeatData = () => ({})
+} = {}) => {
+  const self = { tabId, startedAt: Date.now() };
+  const peers = new Map();
+  const listeners = new Set();
+  let leader = false;
+
+  const update = () => {
+    const now = Date.now();
+    // Still listening for the other tabs
+    if (now - self.startedAt < heartbeatInterval) return;
+
+    peers.forEach((peer, peerId) => {
+      if (now - peer.lastSeen > timeout) {
+        peers.delete(peerId);
+      }
+    });
+
+    const isLeader = [...peers.values()].every((peer) => outranks(self, peer));
+    if (isLeader !== leader) {
+      leader = isLeader;
+      listeners.forEach((listener) => listener(leader));
+    }
+  };
+
+  const sendHeartbeat = () => transport.post({ ...getHeartbeatData(), kind: LEADER_MESSAGES.HEARTBEAT, ...self });
+
+  const heartbeat = () => {
+    sendHeartbeat();
+    update();
+  };
+
+  const unsubscribe = transport.subscribe((message) => {
+    if (message.tabId === tabId) return;
+
+    if (message.kind === LEADER_MESSAGES.HEARTBEAT) {
+      const known = peers.has(message.tabId);
+      peers.set(message.tabId, { tabId: message.tabId, startedAt: message.startedAt, lastSeen: Date.now() });
+      // Answer newcomers right away so they don't lead until our next heartbeat
+      if (!known) {
+        sendHeartbeat();
+      }
+      update();
+    } else if (message.kind === LEADER_MESSAGES.GOODBYE) {
+      peers.delete(message.tabId);
+      update();
+    }
+  });
+
+  // Let the other tabs take over without waiting for the timeout.
+  // A tab restored from the back/forward cache rejoins with its next heartbeat.
+  const sayGoodbye = () => transport.post({ kind: LEADER_MESSAGES.GOODBYE, tabId });
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', sayGoodbye);
+  }
+
+  heartbeat();
+  const intervalId = setInterval(heartbeat, heartbeatInterval);
+
+  return {
+    tabId,
+    /**
+     * @returns {boolean} Whether this tab currently leads
+     */
+    isLeader: () => leader,
+    /**
+     * Listen for leadership changes
+     * @param {Function} listener - Called with `isLeader` when it changes
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+    /**
+     * Leave the election; another tab takes over
+     */
+    close() {
+      clearInterval(intervalId);
+      unsubscribe();
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('pagehide', sayGoodbye);
+      }
+      sayGoodbye();
+      if (leader) {
+        leader = false;
+        listeners.forEach((listener) => listener(false));
+      }
+    }
+  };
+};
+
+export { HEARTBEAT_INTERVAL, LEADER_TIMEOUT };
@@ -0,0 +1,145 @@
+/**
+ * Tests for the leader election between tabs
+ */
+
+import { createLeaderElection, HEARTBEAT_INTERVAL, LEADER_TIMEOUT } from './leaderElection';
+
+// Transports connected in-process, delivering after `latency` ms;
+// a muted one stops sending, like a frozen tab
+const createNetwork = ({ latency = 0 } = {}) => {
+  const transports = [];
+  return () => {
+    const listeners = new Set();
+    const transport = {
+      muted: false,
+      listeners,
+      post(message) {
+        if (transport.muted) return;
+        const send = () => transports
+          .filter((other) => other !== transport)
+          .forEach((other) => other.listeners.forEach((listener) => listener(message)));
+        if (latency) {
+          setTimeout(send, latency);
+        } else {
+          send();
+        }
+      },
+      subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+      }
+    };
+    transports.push(transport);
+    return transport;
+  };
+};
+
+describe('createLeaderElection', () => {
+  const elections = [];
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    elections.splice(0).forEach((election) => election.close());
+    jest.useRealTimers();
+  });
+
+  const join = (connect, tabId) => {
+    const election = createLeaderElection(connect(), { tabId });
+    elections.push(election);
+    return election;
+  };
+
+  test('the oldest tab leads', () => {
+    const connect = createNetwork();
+    const first = join(connect, 'b');
+    jest.advanceTimersByTime(10);
+    const second = join(connect, 'a');
+
+    expect(first.isLeader()).toBe(false);
+    jest.advanceTimersByTime(HEARTBEAT_INTERVAL);
+    expect(first.isLeader()).toBe(true);
+    expect(second.isLeader()).toBe(false);
+
+    jest.advanceTimersByTime(HEARTBEAT_INTERVAL * 3);
+    expect(first.isLeader()).toBe(true);
+    expect(second.isLeader()).toBe(false);
+  });
+
+  test('another tab takes over when the leader closes', () => {
+    const connect = createNetwork();
+    const first = join(connect, 'a');
+    const second = join(connect, 'b');
+    const listener = jest.fn();
+    second.subscribe(listener);
+    jest.advanceTimersByTime(HEARTBEAT_INTERVAL);
+    expect(first.isLeader()).toBe(true);
+
+    first.close();
+
+    expect(second.isLeader()).toBe(true);
+    expect(listener).toHaveBeenCalledWith(true);
+  });
+
+  test('a silent leader is replaced after the timeout', () => {
+    const connect = createNetwork();
+    const leaderTransport = connect();
+    elections.push(createLeaderElection(leaderTransport, { tabId: 'a' }));
+    const follower = join(connect, 'b');
+    jest.advanceTimersByTime(HEARTBEAT_INTERVAL);
+    expect(follower.isLeader()).toBe(false);
+
+    leaderTransport.muted = true;
+    jest.advanceTimersByTime(LEADER_TIMEOUT);
+    expect(follower.isLeader()).toBe(false);
+    jest.advanceTimersByTime(HEARTBEAT_INTERVAL * 2);
+    expect(follower.isLeader()).toBe(true);
+  });
+
+  test('heartbeats carry the extra fields and answer newcomers at once', () => {
+    const connect = createNetwork();
+    let clock = 3;
+    elections.push(createLeaderElection(connect(), { tabId: 'a', getHeartbeatData: () => ({ clock }) }));
+    clock = 4;
+    const newcomer = connect();
+    const heard = [];
+    newcomer.subscribe((message) => heard.push(message));
+
+    elections.push(createLeaderElection(newcomer, { tabId: 'b' }));
+
+    expect(heard).toEqual([expect.objectContaining({ kind: 'leader/heartbeat', tabId: 'a', clock: 4 })]);
+  });
+
+  test('a tab alone leads once it has listened for one heartbeat interval', () => {
+    const election = join(createNetwork(), 'a');
+    expect(election.isLeader()).toBe(false);
+
+    jest.advanceTimersByTime(HEARTBEAT_INTERVAL);
+    expect(election.isLeader()).toBe(true);
+  });
+
+  test('a new tab never leads next to an existing leader', () => {
+    const connect = createNetwork({ latency: 50 });
+    const first = join(connect, 'b');
+    jest.advanceTimersByTime(HEARTBEAT_INTERVAL);
+    expect(first.isLeader()).toBe(true);
+    const firstListener = jest.fn();
+    first.subscribe(firstListener);
+
+    // The leader's heartbeats reach the newcomer only after the latency
+    const second = join(connect, 'a');
+    const secondListener = jest.fn();
+    second.subscribe(secondListener);
+    expect(second.isLeader()).toBe(false);
+
+    for (let elapsed = 0; elapsed < HEARTBEAT_INTERVAL * 3; elapsed += 10) {
+      jest.advanceTimersByTime(10);
+      expect(second.isLeader()).toBe(false);
+      expect(first.isLeader()).toBe(true);
+    }
+    expect(secondListener).not.toHaveBeenCalled();
+    expect(firstListener).not.toHaveBeenCalled();
+  });
+});
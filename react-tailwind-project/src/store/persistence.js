@@ -0,0 +1,292 @@
+/**
+ * Redux Store Persistence
+ *
+ * Saves opted-in slices to storage and restores them on startup:
+ * - per-slice opt-in: wrap a slice reducer with persistReducer(config, reducer)
+ * - pluggable storage: anything with getItem/setItem/removeItem, sync or async
+ *   (localStorage, sessionStorage, memory, IndexedDB wrappers...)
+ * - throttled writes, flushed when the page is hidden
+ * - a schema version per slice plus migrations that upgrade older persisted shapes
+ *
+ * persistStore(store) dispatches PERSIST, which every persisted slice answers
+ * by registering its config, then reads each slice and dispatches REHYDRATE.
+ * The returned persistor tells PersistGate when rehydration has finished.
+ */
+
+// Action types; store.js exempts them from the serializable check
+export const PERSIST = 'persist/PERSIST';
+export const REHYDRATE = 'persist/REHYDRATE';
+
+// Prefix of every persisted entry
+const STORAGE_KEY_PREFIX = 'persist:';
+
+// Version of state persisted without one
+const DEFAULT_VERSION = -1;
+
+// Default delay between two writes of the same slice (ms)
+const DEFAULT_THROTTLE = 1000;
+
+/**
+ * Create a storage that lives only in this tab
+ * @returns {Object} Storage with getItem/setItem/removeItem
+ */
+export const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    }
+  };
+};
+
+/**
+ * Use localStorage or sessionStorage, falling back to memory where Web Storage
+ * is unavailable (SSR, privacy modes)
+ * @param {string} type - 'local' or 'session'
+ * @returns {Object} Storage with getItem/setItem/removeItem
+ */
+export const createWebStorage = (type = 'local') => {
+  try {
+    const storage = window[`${type}Storage`];
+    const probe = `${STORAGE_KEY_PREFIX}probe`;
+    storage.setItem(probe, probe);
+    storage.removeItem(probe);
+    return storage;
+  } catch (error) {
+    console.error(`❌ ${type}Storage is unavailable, persisting in memory:`, error);
+    return createMemoryStorage();
+  }
+};
+
+/**
+ * Storage key of a persisted slice
+ * @param {Object} config - Persist config
+ * @returns {string} e.g. `persist:counter`
+ */
+const getStorageKey = (config) => `${STORAGE_KEY_PREFIX}${config.key}`;
+
+/**
+ * Fields of a slice that get persisted
+ * @param {Object} state - Slice state
+ * @param {Object} config - Persist config with optional `whitelist` or `blacklist`
+ * @returns {Object} Persisted part of the state
+ */
+export const pickPersistedFields = (state, { whitelist, blacklist } = {}) => Object.fromEntries(
+  Object.entries(state).filter(([field]) => (
+    whitelist ? whitelist.includes(field) : !blacklist?.includes(field)
+  ))
+);
+
+/**
+ * Upgrade persisted state to the current version
+ * Migrations are keyed by the version they upgrade to and run in order, e.g.
+ * `{ 2: (state) => ({ ...state, step: state.increment }) }` turns version 1 into 2
+ * @param {Object} persisted - `{ version, state }` read from storage
+ * @param {Object} config - Persist config with `version` and `migrations`
+ * @returns {Object|undefined} Current-version state, or undefined when it can't be used
+ */
+export const migrateState = (persisted, { key, version = DEFAULT_VERSION, migrations = {} }) => {
+  const from = persisted.version ?? DEFAULT_VERSION;
+  if (from === version) {
+    return persisted.state;
+  }
+  if (from > version) {
+    console.warn(`⚠️ Ignoring persisted "${key}" state: version ${from} is newer than ${version}`);
+    return undefined;
+  }
+
+  return Object.keys(migrations)
+    .map(Number)
+    .filter((target) => target > from && target <= version)
+    .sort((a, b) => a - b)
+    .reduce((state, target) => migrations[target](state), persisted.state);
+};
+
+/**
+ * Opt a slice into persistence
+ * @param {Object} config - Persist config
+ * @param {string} config.key - Name of the slice in the root state
+ * @param {Object} config.storage - Storage with getItem/setItem/removeItem
+ * @param {number} config.version - Version of the persisted shape
+ * @param {Object<number, Function>} config.migrations - Upgrades from older versions (see migrateState)
+ * @param {string[]} config.whitelist - Fields to persist (all by default)
+ * @param {string[]} config.blacklist - Fields never to persist
+ * @param {number} config.throttle - Minimum delay between two writes (ms)
+ * @param {Function} reducer - Slice reducer
+ * @returns {Function} Reducer that registers with the persistor and merges rehydrated state
+ */
+export const persistReducer = (config, reducer) => (state, action) => {
+  if (action.type === PERSIST) {
+    action.register(config);
+  }
+
+  const nextState = reducer(state, action);
+  if (action.type === REHYDRATE && action.key === config.key && action.payload) {
+    // Fields added since the state was persisted keep their initial values
+    return { ...nextState, ...pickPersistedFields(action.payload, config) };
+  }
+  return nextState;
+};
+
+/**
+ * Rehydrate the persisted slices of a store and keep them saved
+ * @param {Object} store - Redux store
+ * @returns {Object} Persistor: `{ subscribe, getState, flush, purge, pause, persist }`
+ */
+export const persistStore = (store) => {
+  const configs = [];
+  const rehydrated = new Set();
+  const written = new Map();
+  const timers = new Map();
+  const listeners = new Set();
+  let paused = false;
+  let persistorState = { bootstrapped: false, registry: [] };
+
+  const setPersistorState = (patch) => {
+    persistorState = { ...persistorState, ...patch };
+    listeners.forEach((listener) => listener());
+  };
+
+  const cancelWrite = (config) => {
+    clearTimeout(timers.get(config.key));
+    timers.delete(config.key);
+  };
+
+  const writeSlice = async (config) => {
+    cancelWrite(config);
+    if (paused) return;
+
+    const sliceState = store.getState()[config.key];
+    if (sliceState === written.get(config.key)) return;
+    written.set(config.key, sliceState);
+
+    try {
+      await config.storage.setItem(getStorageKey(config), JSON.stringify({
+        version: config.version ?? DEFAULT_VERSION,
+        state: pickPersistedFields(sliceState, config)
+      }));
+    } catch (error) {
+      console.error(`❌ Failed to persist "${config.key}" state:`, error);
+    }
+  };
+
+  const scheduleWrite = (config) => {
+    if (paused || timers.has(config.key)) return;
+    timers.set(config.key, setTimeout(() => writeSlice(config), config.throttle ?? DEFAULT_THROTTLE));
+  };
+
+  const rehydrateSlice = async (config) => {
+    let payload;
+    let err;
+    let migrated = false;
+    try {
+      const raw = await config.storage.getItem(getStorageKey(config));
+      if (raw) {
+        const persisted = JSON.parse(raw);
+        payload = migrateState(persisted, config);
+        migrated = payload !== undefined && (persisted.version ?? DEFAULT_VERSION) !== (config.version ?? DEFAULT_VERSION);
+      }
+    } catch (error) {
+      err = error;
+      console.error(`❌ Failed to rehydrate "${config.key}" state:`, error);
+    }
+
+    store.dispatch({ type: REHYDRATE, key: config.key, payload, err });
+    rehydrated.add(config.key);
+    // Storage already holds this state, unless it was migrated to a new shape;
+    // while paused, persist() writes the upgrade
+    written.set(config.key, migrated ? undefined : store.getState()[config.key]);
+    if (migrated) {
+      scheduleWrite(config);
+    }
+
+    const registry = persistorState.registry.filter((key) => key !== config.key);
+    setPersistorState({ registry, bootstrapped: registry.length === 0 });
+  };
+
+  store.subscribe(() => {
+    const state = store.getState();
+    configs.forEach((config) => {
+      if (rehydrated.has(config.key) && state[config.key] !== written.get(config.key)) {
+        scheduleWrite(config);
+      }
+    });
+  });
+
+  store.dispatch({
+    type: PERSIST,
+    register: (config) => {
+      configs.push(config);
+    }
+  });
+
+  const flush = () => Promise.all(configs
+    .filter((config) => rehydrated.has(config.key))
+    .map(writeSlice));
+
+  if (typeof window !== 'undefined') {
+    // Throttled writes must not be lost when the tab goes away
+    window.addEventListener('pagehide', flush);
+  }
+
+  setPersistorState({ registry: configs.map((config) => config.key), bootstrapped: configs.length === 0 });
+  configs.forEach(rehydrateSlice);
+
+  return {
+    /**
+     * Listen for rehydration progress
+     * @param {Function} listener - Called when the persistor state changes
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+    /**
+     * @returns {Object} `{ bootstrapped, registry }`, registry lists slices still rehydrating
+     */
+    getState: () => persistorState,
+    /**
+     * Write pending changes now (nothing while paused)
+     * @returns {Promise} Resolves once every slice is written
+     */
+    flush,
+    /**
+     * Delete every persisted slice from storage
+     * @returns {Promise} Resolves once storage is cleared
+     */
+    purge: () => Promise.all(configs.map(async (config) => {
+      cancelWrite(config);
+      try {
+        await config.storage.removeItem(getStorageKey(config));
+      } catch (error) {
+        console.error(`❌ Failed to purge "${config.key}" state:`, error);
+      }
+    })),
+    /**
+     * Stop writing changes until persist() is called; pending writes are
+     * dropped, persist() catches up with everything changed meanwhile
+     */
+    pause: () => {
+      paused = true;
+      configs.forEach(cancelWrite);
+    },
+    /**
+     * Resume writing changes
+     */
+    persist: () => {
+      paused = false;
+      configs.forEach((config) => {
+        if (rehydrated.has(config.key)) scheduleWrite(config);
+      });
+    }
+  };
+};
+
+export { DEFAULT_THROTTLE, DEFAULT_VERSION };
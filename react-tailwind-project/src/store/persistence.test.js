@@ -0,0 +1,196 @@
+/**
+ * Tests for store persistence, rehydration and migrations
+ */
+
+import { configureStore, createSlice } from '@reduxjs/toolkit';
+import {
+  persistReducer,
+  persistStore,
+  createMemoryStorage,
+  migrateState,
+  PERSIST,
+  REHYDRATE
+} from './persistence';
+
+const counterSlice = createSlice({
+  name: 'counter',
+  initialState: { value: 0, step: 1, lastAction: null },
+  reducers: {
+    increment: (state) => {
+      state.value += state.step;
+      state.lastAction = 'increment';
+    }
+  }
+});
+const { increment } = counterSlice.actions;
+
+const themeSlice = createSlice({
+  name: 'theme',
+  initialState: { mode: 'light' },
+  reducers: {}
+});
+
+const createTestStore = (config) => configureStore({
+  reducer: {
+    counter: persistReducer({ key: 'counter', version: 1, throttle: 100, ...config }, counterSlice.reducer),
+    theme: themeSlice.reducer
+  },
+  middleware: (getDefaultMiddleware) => getDefaultMiddleware({
+    serializableCheck: { ignoredActions: [PERSIST, REHYDRATE] }
+  })
+});
+
+// Let async storage reads settle
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('store persistence', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.error.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('rehydrates whitelisted fields of opted-in slices', async () => {
+    const storage = createMemoryStorage();
+    storage.setItem('persist:counter', JSON.stringify({ version: 1, state: { value: 7, step: 2, lastAction: 'x' } }));
+    const store = createTestStore({ storage, whitelist: ['value', 'step'] });
+    const persistor = persistStore(store);
+
+    expect(persistor.getState()).toEqual({ bootstrapped: false, registry: ['counter'] });
+    await flushPromises();
+
+    expect(persistor.getState().bootstrapped).toBe(true);
+    expect(store.getState().counter).toEqual({ value: 7, step: 2, lastAction: null });
+    expect(store.getState().theme).toEqual({ mode: 'light' });
+  });
+
+  test('throttles writes and flushes on demand', async () => {
+    const storage = createMemoryStorage();
+    const setItem = jest.spyOn(storage, 'setItem');
+    const store = createTestStore({ storage, blacklist: ['lastAction'] });
+    const persistor = persistStore(store);
+    await flushPromises();
+
+    jest.useFakeTimers();
+    store.dispatch(increment());
+    store.dispatch(increment());
+    jest.advanceTimersByTime(99);
+    expect(setItem).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(setItem).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(storage.getItem('persist:counter'))).toEqual({ version: 1, state: { value: 2, step: 1 } });
+
+    store.dispatch(increment());
+    await persistor.flush();
+    expect(setItem).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(storage.getItem('persist:counter')).state.value).toBe(3);
+  });
+
+  test('does not write while paused', async () => {
+    const storage = createMemoryStorage();
+    const store = createTestStore({ storage, throttle: 0 });
+    const persistor = persistStore(store);
+    await flushPromises();
+
+    persistor.pause();
+    store.dispatch(increment());
+    await flushPromises();
+    expect(storage.getItem('persist:counter')).toBeNull();
+
+    persistor.persist();
+    await flushPromises();
+    expect(JSON.parse(storage.getItem('persist:counter')).state.value).toBe(1);
+
+    await persistor.purge();
+    expect(storage.getItem('persist:counter')).toBeNull();
+  });
+
+  test('pausing drops pending writes, flushes and migration writes until persist()', async () => {
+    const storage = createMemoryStorage();
+    storage.setItem('persist:counter', JSON.stringify({ version: 0, state: { value: 4 } }));
+    const setItem = jest.spyOn(storage, 'setItem');
+    const store = createTestStore({ storage, migrations: { 1: (state) => ({ ...state, step: 5 }) } });
+    const persistor = persistStore(store);
+    persistor.pause();
+    await flushPromises();
+    expect(store.getState().counter).toMatchObject({ value: 4, step: 5 });
+
+    jest.useFakeTimers();
+    persistor.persist();
+    store.dispatch(increment());
+    persistor.pause();
+    jest.advanceTimersByTime(100);
+    await persistor.flush();
+    window.dispatchEvent(new Event('pagehide'));
+    expect(setItem).not.toHaveBeenCalled();
+
+    persistor.persist();
+    jest.advanceTimersByTime(100);
+    expect(setItem).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(storage.getItem('persist:counter'))).toEqual({
+      version: 1,
+      state: { value: 9, step: 5, lastAction: 'increment' }
+    });
+  });
+
+  test('migrates older persisted shapes and saves the upgrade', async () => {
+    const storage = createMemoryStorage();
+    storage.setItem('persist:counter', JSON.stringify({ version: 0, state: { count: 4 } }));
+    const migrations = {
+      1: ({ count, ...state }) => ({ ...state, value: count }),
+      2: (state) => ({ ...state, step: 5 })
+    };
+    const store = createTestStore({ storage, version: 2, migrations, throttle: 0 });
+    persistStore(store);
+    await flushPromises();
+    await flushPromises();
+
+    expect(store.getState().counter).toMatchObject({ value: 4, step: 5 });
+    expect(JSON.parse(storage.getItem('persist:counter'))).toMatchObject({ version: 2, state: { value: 4, step: 5 } });
+  });
+
+  test('ignores state from a newer version or that fails to parse', async () => {
+    expect(migrateState({ version: 3, state: { value: 1 } }, { key: 'counter', version: 2 })).toBeUndefined();
+    expect(migrateState({ state: { value: 1 } }, { key: 'counter', version: -1 })).toEqual({ value: 1 });
+
+    const storage = createMemoryStorage();
+    storage.setItem('persist:counter', '{not json');
+    const store = createTestStore({ storage });
+    const persistor = persistStore(store);
+    await flushPromises();
+
+    expect(persistor.getState().bootstrapped).toBe(true);
+    expect(store.getState().counter.value).toBe(0);
+    expect(console.error).toHaveBeenCalledWith('❌ Failed to rehydrate "counter" state:', expect.any(SyntaxError));
+  });
+
+  test('waits for async storage', async () => {
+    let resolveRead;
+    const storage = {
+      ...createMemoryStorage(),
+      getItem: () => new Promise((resolve) => {
+        resolveRead = resolve;
+      })
+    };
+    const store = createTestStore({ storage });
+    const persistor = persistStore(store);
+    const listener = jest.fn();
+    persistor.subscribe(listener);
+
+    await flushPromises();
+    expect(persistor.getState().bootstrapped).toBe(false);
+
+    resolveRead(JSON.stringify({ version: 1, state: { value: 9 } }));
+    await flushPromises();
+
+    expect(persistor.getState().bootstrapped).toBe(true);
+    expect(store.getState().counter.value).toBe(9);
+    expect(listener).toHaveBeenCalled();
+  });
+});
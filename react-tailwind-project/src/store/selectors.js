@@ -1,19 +1,84 @@
 import { createSelector } from '@reduxjs/toolkit';
+import { countersAdapter } from './counterSlice';
+import { getBounds, OUT_OF_RANGE_MODES } from './counterConstraints';
 
 /**
  * Redux selectors for accessing counter state
  * Demonstrates different selector patterns and memoization
+ * Counter selectors take an optional counter id, `(state, counterId)`,
+ * and read the selected counter without one.
  */
 
-// Basic selectors - direct state access
+// Entity selectors - every counter, in the user's order
 export const selectCounterState = (state) => state.counter;
-export const selectCounterValue = (state) => state.counter.value;
-export const selectCounterStep = (state) => state.counter.step;
-export const selectCounterHistory = (state) => state.counter.history;
-export const selectLastAction = (state) => state.counter.lastAction;
-export const selectTotalClicks = (state) => state.counter.totalClicks;
+export const {
+  selectAll: selectAllCounters,
+  selectById: selectCounterById,
+  selectIds: selectCounterIds,
+  selectTotal: selectCounterCount
+} = countersAdapter.getSelectors(selectCounterState);
+export const selectSelectedCounterId = (state) => state.counter.selectedId;
+export const selectSelectedCounter = (state) => state.counter.entities[state.counter.selectedId];
+
+// Basic selectors - direct state access
+export const selectCounterEntity = (state, counterId) => (
+  state.counter.entities[counterId ?? state.counter.selectedId]
+);
+export const selectCounterPresent = (state, counterId) => selectCounterEntity(state, counterId).present;
+export const selectCounterValue = (state, counterId) => selectCounterPresent(state, counterId).value;
+export const selectCounterStep = (state, counterId) => selectCounterPresent(state, counterId).step;
+export const selectCounterName = (state, counterId) => selectCounterEntity(state, counterId).name;
+export const selectPast = (state, counterId) => selectCounterEntity(state, counterId).past;
+export const selectFuture = (state, counterId) => selectCounterEntity(state, counterId).future;
+export const selectLastAction = (state, counterId) => selectCounterEntity(state, counterId).lastAction;
+export const selectTotalClicks = (state, counterId) => selectCounterEntity(state, counterId).totalClicks;
+export const selectCounterConstraints = (state, counterId) => selectCounterEntity(state, counterId).constraints;
+export const selectLastError = (state, counterId) => selectCounterEntity(state, counterId).lastError;
+
+// Values up to and including the present (undone values are in selectFuture)
+export const selectCounterHistory = createSelector(
+  [selectPast, selectCounterPresent],
+  (past, present) => [...past, present].map((entry) => entry.value)
+);
+
+// Every snapshot, oldest first; its index is what jumpToHistoryIndex expects
+export const selectHistoryTimeline = createSelector(
+  [selectPast, selectCounterPresent, selectFuture],
+  (past, present, future) => [...past, present, ...future].map((entry, index) => ({
+    ...entry,
+    index,
+    isCurrent: index === past.length,
+    isFuture: index > past.length
+  }))
+);
 
 // Memoized selectors using createSelector
+export const selectHasError = createSelector(
+  [selectLastError],
+  (lastError) => lastError !== null
+);
+
+// Why the last change was refused, for display
+export const selectLastErrorMessage = createSelector(
+  [selectLastError],
+  (lastError) => (lastError ? `${lastError.action}: ${lastError.message}` : null)
+);
+
+// Effective bounds, and whether the next step up or down would be accepted
+export const selectCounterLimits = createSelector(
+  [selectCounterValue, selectCounterStep, selectCounterConstraints],
+  (value, step, constraints) => {
+    const { min, max } = getBounds(constraints);
+    const clamps = constraints.outOfRange === OUT_OF_RANGE_MODES.CLAMP;
+    return {
+      min: constraints.min === null ? null : min,
+      max: constraints.max === null ? null : max,
+      canIncrement: clamps ? value < max : value + step <= max,
+      canDecrement: clamps ? value > min : value - step >= min
+    };
+  }
+);
+
 export const selectCounterStatus = createSelector(
   [selectCounterValue],
   (value) => {
@@ -67,8 +132,13 @@ export const selectCounterCategory = createSelector(
 );
 
 export const selectCanUndo = createSelector(
-  [selectCounterHistory],
-  (history) => history.length > 1
+  [selectPast],
+  (past) => past.length > 0
+);
+
+export const selectCanRedo = createSelector(
+  [selectFuture],
+  (future) => future.length > 0
 );
 
 export const selectHistoryLength = createSelector(
@@ -117,12 +187,27 @@ export const selectCounterRange = createSelector(
   }
 );
 
-// Parameterized selector factory
+// Totals across every counter
+export const selectCountersTotals = createSelector(
+  [selectAllCounters],
+  (counters) => ({
+    count: counters.length,
+    totalValue: counters.reduce((sum, counter) => sum + counter.present.value, 0),
+    totalClicks: counters.reduce((sum, counter) => sum + counter.totalClicks, 0)
+  })
+);
+
+// Parameterized selector factories: one instance per component, called as `(state, counterId, ...)`
 export const makeSelectCounterAboveThreshold = () => createSelector(
-  [selectCounterValue, (state, threshold) => threshold],
+  [selectCounterValue, (state, counterId, threshold) => threshold],
   (value, threshold) => value > threshold
 );
 
+export const makeSelectCountersAboveThreshold = () => createSelector(
+  [selectAllCounters, (state, threshold) => threshold],
+  (counters, threshold) => counters.filter((counter) => counter.present.value > threshold)
+);
+
 // Selector for getting multiple values at once
 export const selectCounterSummary = createSelector(
   [
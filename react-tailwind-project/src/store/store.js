@@ -1,22 +1,63 @@
-import { configureStore } from '@reduxjs/toolkit';
-import counterReducer from './counterSlice';
+import { configureStore, isAnyOf } from '@reduxjs/toolkit';
+import counterReducer, {
+  counterActions,
+  addCounter,
+  renameCounter,
+  removeCounter,
+  moveCounter,
+  COUNTER_STATE_VERSION,
+  counterMigrations,
+  COUNTER_PERSISTED_FIELDS
+} from './counterSlice';
+import { persistReducer, persistStore, createWebStorage, PERSIST, REHYDRATE } from './persistence';
+import { createCrossTabSync } from './crossTabSync';
+
+// Slices that survive a reload opt in here
+const counterPersistConfig = {
+  key: 'counter',
+  storage: createWebStorage('local'),
+  version: COUNTER_STATE_VERSION,
+  migrations: counterMigrations,
+  whitelist: COUNTER_PERSISTED_FIELDS,
+  throttle: 500,
+};
+
+const isCounterAction = isAnyOf(...counterActions);
+
+// Counter changes are replayed in the other open tabs; which counter is
+// selected stays per tab, so actions on "the selected counter" name it first
+export const crossTabSync = createCrossTabSync({
+  key: 'counter',
+  actions: [...counterActions, addCounter, renameCounter, removeCounter, moveCounter],
+  resolveAction: (action, state) => (isCounterAction(action)
+    ? { ...action, meta: { ...action.meta, counterId: action.meta?.counterId ?? state.counter.selectedId } }
+    : action),
+});
 
 /**
  * Redux store configuration using Redux Toolkit
- * Includes DevTools integration and middleware setup
+ * Includes DevTools integration, middleware setup, cross-tab sync and persistence of opted-in slices
  */
 export const store = configureStore({
   reducer: {
-    counter: counterReducer,
+    counter: crossTabSync.reducer(persistReducer(counterPersistConfig, counterReducer)),
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
       serializableCheck: {
-        ignoredActions: ['persist/PERSIST', 'persist/REHYDRATE'],
+        ignoredActions: [PERSIST, REHYDRATE],
       },
-    }),
+    }).concat(crossTabSync.middleware),
   devTools: process.env.NODE_ENV !== 'production', // Enable Redux DevTools in development
 });
 
+// Rehydrates the persisted slices; render through <PersistGate persistor={persistor}>
+export const persistor = persistStore(store);
+
+// Tabs share the same storage and state, so only the leader tab writes it
+const followLeadership = (isLeader) => (isLeader ? persistor.persist() : persistor.pause());
+followLeadership(crossTabSync.leader.isLeader());
+crossTabSync.leader.subscribe(followLeadership);
+
 export type RootState = ReturnType<typeof store.getState>;
 export type AppDispatch = typeof store.dispatch;
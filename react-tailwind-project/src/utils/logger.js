@@ -0,0 +1,250 @@
+/**
+ * Structured logger with pluggable sinks and redaction
+ *
+ * - Levels: debug, info, warn, error (plus silent to turn logging off)
+ * - Sinks: console, in-memory ring buffer, batched POST to a collector
+ * - Redaction of header names and JSON body paths before any sink sees an entry;
+ *   paths match at any depth, and validation messages (which quote the values)
+ *   are always redacted
+ */
+
+// Numeric severity for each level
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+// Replacement for redacted values
+export const REDACTED = '[REDACTED]';
+
+// Redaction applied when none is configured
+export const DEFAULT_REDACTION = {
+  headers: ['authorization', 'cookie', 'set-cookie', 'x-api-key', 'proxy-authorization'],
+  paths: ['password', 'accessToken', 'refreshToken', 'token'],
+};
+
+/**
+ * Redact header values by case-insensitive name
+ * @param {Object} headers - Headers object (plain or AxiosHeaders)
+ * @param {string[]} names - Header names to redact
+ * @returns {Object|undefined} Plain copy with redacted values
+ */
+export const redactHeaders = (headers, names = DEFAULT_REDACTION.headers) => {
+  if (!headers || typeof headers !== 'object') {
+    return headers;
+  }
+  const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+  const blocked = new Set(names.map((name) => name.toLowerCase()));
+
+  return Object.fromEntries(
+    Object.entries(plain).map(([name, value]) => [name, blocked.has(name.toLowerCase()) ? REDACTED : value])
+  );
+};
+
+/**
+ * Redact one dot path (with `*` matching any key or index) in place
+ * @param {any} target - Object being redacted
+ * @param {string[]} segments - Remaining path segments
+ */
+const redactPath = (target, segments) => {
+  if (!target || typeof target !== 'object') return;
+  const [head, ...rest] = segments;
+  const keys = head === '*' ? Object.keys(target) : [head];
+
+  keys.forEach((key) => {
+    if (!(key in target)) return;
+    if (rest.length === 0) {
+      target[key] = REDACTED;
+    } else {
+      redactPath(target[key], rest);
+    }
+  });
+};
+
+/**
+ * Redact paths in an object and in every object nested in it
+ * @param {any} target - Object being redacted
+ * @param {string[][]} paths - Paths as segments
+ */
+const redactDeep = (target, paths) => {
+  if (!target || typeof target !== 'object') return;
+  paths.forEach((segments) => redactPath(target, segments));
+  Object.values(target).forEach((value) => redactDeep(value, paths));
+};
+
+/**
+ * Redact JSON body fields by dot path, e.g. `user.password` or `items.*.card`
+ * A path matches at any depth: `password` also redacts `user.password`
+ * @param {any} body - Body object or JSON string
+ * @param {string[]} paths - Paths to redact
+ * @returns {any} Redacted copy (the input is left untouched)
+ */
+export const redactBody = (body, paths = DEFAULT_REDACTION.paths) => {
+  let value = body;
+  if (typeof body === 'string') {
+    try {
+      value = JSON.parse(body);
+    } catch {
+      return body;
+    }
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const copy = JSON.parse(JSON.stringify(value));
+  redactDeep(copy, paths.map((path) => path.split('.')));
+  return copy;
+};
+
+/**
+ * Redact validation messages, keeping the field paths
+ * Yup messages quote the rejected value, e.g. "must be a `number` type, but the final value was: ..."
+ * @param {Object<string, string[]>} fieldErrors - Messages keyed by field path
+ * @returns {Object<string, string[]>} Copy with every message redacted
+ */
+export const redactFieldErrors = (fieldErrors) => {
+  if (!fieldErrors || typeof fieldErrors !== 'object') {
+    return fieldErrors;
+  }
+  return Object.fromEntries(
+    Object.entries(fieldErrors).map(([path, messages]) => [path, [].concat(messages).map(() => REDACTED)])
+  );
+};
+
+/**
+ * Sink that writes to the browser console
+ * @returns {Function} Sink
+ */
+export const createConsoleSink = () => ({ level, message, timestamp, ...fields }) => {
+  const method = level === 'debug' ? 'log' : level;
+  console[method](message, fields);
+};
+
+/**
+ * Sink that keeps the most recent entries in memory
+ * @param {Object} options - Sink options
+ * @param {number} options.size - Number of entries kept
+ * @returns {Function} Sink with `entries()` and `clear()`
+ */
+export const createRingBufferSink = ({ size = 200 } = {}) => {
+  let buffer = [];
+  const sink = (entry) => {
+    buffer = [...buffer.slice(buffer.length >= size ? buffer.length - size + 1 : 0), entry];
+  };
+  sink.entries = () => buffer;
+  sink.clear = () => {
+    buffer = [];
+  };
+  return sink;
+};
+
+/**
+ * Sink that POSTs batches of entries to a log collector
+ * Uses fetch directly so shipping logs never goes through the API client
+ * @param {Object} options - Sink options
+ * @param {string} options.url - Collector endpoint
+ * @param {number} options.batchSize - Entries per request
+ * @param {number} options.flushInterval - Max time an entry waits before sending (ms)
+ * @param {Function} options.send - Transport, `(url, entries) => Promise`, fetch by default
+ * @returns {Function} Sink with `flush()`
+ */
+export const createHttpSink = ({
+  url,
+  batchSize = 20,
+  flushInterval = 5000,
+  send = (endpoint, entries) => fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ entries }),
+    keepalive: true
+  })
+} = {}) => {
+  let pending = [];
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (pending.length === 0) {
+      return Promise.resolve();
+    }
+    const batch = pending;
+    pending = [];
+    return Promise.resolve(send(url, batch)).catch(() => {
+      // Dropping logs is better than failing the request that produced them
+    });
+  };
+
+  const sink = (entry) => {
+    pending.push(entry);
+    if (pending.length >= batchSize) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, flushInterval);
+    }
+  };
+  sink.flush = flush;
+  return sink;
+};
+
+/**
+ * Create a logger
+ * @param {Object} options - Logger options
+ * @param {string} options.level - Minimum level written to sinks
+ * @param {Function[]} options.sinks - Sinks receiving each entry
+ * @param {Object} options.redact - `{ headers: string[], paths: string[] }`
+ * @param {Object} options.context - Fields added to every entry
+ * @returns {Object} Logger with log(level, ...)/debug/info/warn/error, child() and configure()
+ */
+export const createLogger = ({
+  level = 'info',
+  sinks = [createConsoleSink()],
+  redact = DEFAULT_REDACTION,
+  context = {}
+} = {}) => {
+  const settings = { level, sinks, redact };
+
+  const build = (boundContext) => {
+    const write = (entryLevel, message, fields = {}) => {
+      if (LOG_LEVELS[entryLevel] < LOG_LEVELS[settings.level]) {
+        return;
+      }
+
+      const entry = {
+        timestamp: new Date().toISOString(),
+        level: entryLevel,
+        message,
+        ...boundContext,
+        ...fields
+      };
+      if ('headers' in entry) {
+        entry.headers = redactHeaders(entry.headers, settings.redact.headers);
+      }
+      if ('data' in entry) {
+        entry.data = redactBody(entry.data, settings.redact.paths);
+      }
+      if ('fieldErrors' in entry) {
+        entry.fieldErrors = redactFieldErrors(entry.fieldErrors);
+      }
+
+      settings.sinks.forEach((sink) => sink(entry));
+    };
+
+    return {
+      log: write,
+      debug: (message, fields) => write('debug', message, fields),
+      info: (message, fields) => write('info', message, fields),
+      warn: (message, fields) => write('warn', message, fields),
+      error: (message, fields) => write('error', message, fields),
+      isEnabled: (entryLevel) => LOG_LEVELS[entryLevel] >= LOG_LEVELS[settings.level],
+      child: (childContext) => build({ ...boundContext, ...childContext }),
+      configure: (options) => Object.assign(settings, options)
+    };
+  };
+
+  return build(context);
+};
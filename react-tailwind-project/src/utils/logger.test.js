@@ -0,0 +1,183 @@
+/**
+ * Tests for the structured logger, its sinks and redaction
+ */
+
+import {
+  createLogger,
+  createRingBufferSink,
+  createHttpSink,
+  createConsoleSink,
+  redactHeaders,
+  redactBody,
+  redactFieldErrors,
+  REDACTED
+} from './logger';
+
+describe('logger', () => {
+  describe('levels', () => {
+    test('drops entries below the configured level', () => {
+      const sink = createRingBufferSink();
+      const logger = createLogger({ level: 'warn', sinks: [sink] });
+
+      logger.log('debug', 'debug');
+      logger.info('info');
+      logger.warn('warn');
+      logger.error('error');
+
+      expect(sink.entries().map((entry) => entry.level)).toEqual(['warn', 'error']);
+    });
+
+    test('silent turns logging off and configure changes the level at runtime', () => {
+      const sink = createRingBufferSink();
+      const logger = createLogger({ level: 'silent', sinks: [sink] });
+
+      logger.error('hidden');
+      logger.configure({ level: 'debug' });
+      logger.log('debug', 'shown');
+
+      expect(sink.entries().map((entry) => entry.message)).toEqual(['shown']);
+      expect(logger.isEnabled('debug')).toBe(true);
+    });
+  });
+
+  test('builds structured entries with child context', () => {
+    const sink = createRingBufferSink();
+    const logger = createLogger({ level: 'debug', sinks: [sink], context: { app: 'web' } });
+
+    logger.child({ client: 'billing' }).info('Fetched', { event: 'api.response', status: 200 });
+
+    expect(sink.entries()[0]).toEqual({
+      timestamp: expect.any(String),
+      level: 'info',
+      message: 'Fetched',
+      app: 'web',
+      client: 'billing',
+      event: 'api.response',
+      status: 200
+    });
+  });
+
+  describe('redaction', () => {
+    test('redacts header names case-insensitively', () => {
+      expect(redactHeaders({ Authorization: 'Bearer abc', 'X-Request-ID': 'req_1' }, ['authorization'])).toEqual({
+        Authorization: REDACTED,
+        'X-Request-ID': 'req_1'
+      });
+    });
+
+    test('redacts body paths, wildcards and JSON strings without mutating the input', () => {
+      const body = { password: 'p', user: { token: 't', name: 'n' }, cards: [{ number: '4242' }, { number: '5555' }] };
+
+      const redacted = redactBody(body, ['password', 'user.token', 'cards.*.number', 'missing.path']);
+
+      expect(redacted).toEqual({
+        password: REDACTED,
+        user: { token: REDACTED, name: 'n' },
+        cards: [{ number: REDACTED }, { number: REDACTED }]
+      });
+      expect(body.password).toBe('p');
+      expect(redactBody('{"password":"p"}', ['password'])).toEqual({ password: REDACTED });
+      expect(redactBody('plain text', ['password'])).toBe('plain text');
+    });
+
+    test('redacts paths at any depth', () => {
+      const body = { password: 'p', user: { password: 'q', session: { token: 't' } }, items: [{ password: 'r' }] };
+
+      expect(redactBody(body, ['password', 'session.token'])).toEqual({
+        password: REDACTED,
+        user: { password: REDACTED, session: { token: REDACTED } },
+        items: [{ password: REDACTED }]
+      });
+    });
+
+    test('redacts validation messages but keeps the field paths', () => {
+      const fieldErrors = {
+        'user.pin': ['user.pin must be a `number` type, but the final value was: `"1234x"`.'],
+        email: ['email is required', 'email must be a valid email']
+      };
+
+      expect(redactFieldErrors(fieldErrors)).toEqual({ 'user.pin': [REDACTED], email: [REDACTED, REDACTED] });
+      expect(redactFieldErrors(undefined)).toBeUndefined();
+    });
+
+    test('applies the configured redaction to headers and data fields', () => {
+      const sink = createRingBufferSink();
+      const logger = createLogger({
+        level: 'debug',
+        sinks: [sink],
+        redact: { headers: ['x-secret'], paths: ['pin'] }
+      });
+
+      logger.log('debug', 'Request', { headers: { 'X-Secret': 's' }, data: { pin: '1234', amount: 5 } });
+      logger.warn('Mismatch', { fieldErrors: { pin: ['pin must be a `number` type, but the final value was: `"12a4"`.'] } });
+
+      expect(sink.entries()[0].headers).toEqual({ 'X-Secret': REDACTED });
+      expect(sink.entries()[0].data).toEqual({ pin: REDACTED, amount: 5 });
+      expect(sink.entries()[1].fieldErrors).toEqual({ pin: [REDACTED] });
+    });
+  });
+
+  describe('sinks', () => {
+    test('ring buffer keeps only the most recent entries', () => {
+      const sink = createRingBufferSink({ size: 2 });
+      const logger = createLogger({ level: 'debug', sinks: [sink] });
+
+      ['a', 'b', 'c'].forEach((message) => logger.info(message));
+
+      expect(sink.entries().map((entry) => entry.message)).toEqual(['b', 'c']);
+      sink.clear();
+      expect(sink.entries()).toEqual([]);
+    });
+
+    test('console sink maps levels to console methods', () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const logger = createLogger({ level: 'debug', sinks: [createConsoleSink()] });
+
+      logger.log('debug', 'Request', { requestId: 'req_1' });
+      logger.error('Failed', { status: 500 });
+
+      expect(log).toHaveBeenCalledWith('Request', { requestId: 'req_1' });
+      expect(error).toHaveBeenCalledWith('Failed', { status: 500 });
+      log.mockRestore();
+      error.mockRestore();
+    });
+
+    describe('http sink', () => {
+      beforeEach(() => {
+        jest.useFakeTimers();
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      test('posts full batches immediately and partial batches after the interval', () => {
+        const send = jest.fn().mockResolvedValue({});
+        const sink = createHttpSink({ url: '/logs', batchSize: 2, flushInterval: 1000, send });
+        const logger = createLogger({ level: 'debug', sinks: [sink] });
+
+        logger.info('one');
+        logger.info('two');
+        logger.info('three');
+
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(send.mock.calls[0][1].map((entry) => entry.message)).toEqual(['one', 'two']);
+
+        jest.advanceTimersByTime(1000);
+
+        expect(send).toHaveBeenCalledTimes(2);
+        expect(send.mock.calls[1]).toEqual(['/logs', [expect.objectContaining({ message: 'three' })]]);
+      });
+
+      test('swallows transport failures', async () => {
+        const send = jest.fn().mockRejectedValue(new Error('offline'));
+        const sink = createHttpSink({ url: '/logs', send });
+
+        sink({ message: 'one' });
+
+        await expect(sink.flush()).resolves.toBeUndefined();
+      });
+    });
+  });
+});
@@ -1,31 +1,305 @@
 /**
  * Utility functions for generating unique request IDs
+ *
+ * - RFC 4122 v4 UUIDs and W3C trace IDs from the Web Crypto RNG
+ * - Time-ordered UUIDv7 and ULID IDs that sort by creation time, which keeps
+ *   log lines for one session in order when grouped by request ID
+ * - A configurable generator (prefix + format) used by the API client
+ * - Validation and parsing helpers that extract the timestamp of an ID
  */
 
+// Formats understood by createRequestIdGenerator and parseRequestId
+export const REQUEST_ID_FORMATS = {
+  LEGACY: 'legacy',
+  UUID_V4: 'uuidv4',
+  UUID_V7: 'uuidv7',
+  ULID: 'ulid',
+};
+
+// Prefix added to request IDs by default
+export const DEFAULT_REQUEST_ID_PREFIX = 'req_';
+
+// Crockford base32 alphabet used by ULIDs
+const ULID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-([1-8])[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const ULID_PATTERN = /^[0-7][0-9A-HJKMNP-TV-Z]{25}$/i;
+const LEGACY_PATTERN = /^([0-9a-z]{1,11})_([0-9a-z]{6})$/;
+
 /**
- * Generate a unique request ID using timestamp and random string
- * @returns {string} Unique request ID
+ * Fill a byte array from the Web Crypto RNG
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} Random bytes
  */
-export const generateRequestId = () => {
-  const timestamp = Date.now().toString(36);
-  const randomStr = Math.random().toString(36).substring(2, 8);
-  return `req_${timestamp}_${randomStr}`;
+export const getRandomBytes = (length) => {
+  if (typeof crypto === 'undefined' || typeof crypto.getRandomValues !== 'function') {
+    throw new Error('Web Crypto is not available; secure random IDs cannot be generated');
+  }
+  return crypto.getRandomValues(new Uint8Array(length));
 };
 
 /**
- * Generate a UUID v4 style request ID (more robust)
- * @returns {string} UUID-style request ID
+ * Encode bytes as lowercase hex
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Hex string, two characters per byte
+ */
+export const bytesToHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Format 16 bytes as a UUID string
+ * @param {Uint8Array} bytes - UUID bytes with version and variant already set
+ * @returns {string} e.g. `0190f2a4-5b1c-7d2e-8f00-1a2b3c4d5e6f`
+ */
+const formatUUID = (bytes) => {
+  const hex = bytesToHex(bytes);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+/**
+ * Write a millisecond timestamp as a 48-bit big-endian integer
+ * @param {Uint8Array} bytes - Target bytes
+ * @param {number} timestamp - Unix time (ms)
+ */
+const writeTimestamp = (bytes, timestamp) => {
+  let remaining = timestamp;
+  for (let index = 5; index >= 0; index -= 1) {
+    bytes[index] = remaining % 256;
+    remaining = Math.floor(remaining / 256);
+  }
+};
+
+/**
+ * Generate an RFC 4122 version 4 (random) UUID
+ * @returns {string} UUID
+ */
+export const generateUUIDv4 = () => {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  const bytes = getRandomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  return formatUUID(bytes);
+};
+
+// Last timestamp and counter used for UUIDv7, so IDs created in the same
+// millisecond still sort in creation order
+const uuidV7State = { timestamp: -1, counter: 0 };
+
+/**
+ * Generate a time-ordered UUID version 7
+ * The 12 bits after the version hold a counter seeded randomly each
+ * millisecond, so IDs from one tab are strictly increasing
+ * @param {number} now - Unix time (ms), `Date.now()` by default
+ * @returns {string} UUID
+ */
+export const generateUUIDv7 = (now = Date.now()) => {
+  const bytes = getRandomBytes(16);
+
+  if (now > uuidV7State.timestamp) {
+    uuidV7State.timestamp = now;
+    // Seed in the lower half of the range to leave room for increments
+    uuidV7State.counter = ((bytes[6] & 0x07) << 8) | bytes[7];
+  } else {
+    uuidV7State.counter += 1;
+    if (uuidV7State.counter > 0xfff) {
+      uuidV7State.timestamp += 1;
+      uuidV7State.counter = 0;
+    }
+  }
+
+  writeTimestamp(bytes, uuidV7State.timestamp);
+  bytes[6] = 0x70 | (uuidV7State.counter >> 8);
+  bytes[7] = uuidV7State.counter & 0xff;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  return formatUUID(bytes);
+};
+
+// Last timestamp and random part used for ULIDs (monotonic within a millisecond)
+const ulidState = { timestamp: -1, random: null };
+
+/**
+ * Encode bytes as Crockford base32, five bits per character
+ * @param {Uint8Array} bytes - Bytes to encode (10 bytes give 16 characters)
+ * @returns {string} Encoded string
  */
-export const generateUUIDRequestId = () => {
-  return 'req_' + 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c === 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
+const encodeBase32 = (bytes) => {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+
+  bytes.forEach((byte) => {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += ULID_ALPHABET[(buffer >> (bits - 5)) & 31];
+      bits -= 5;
+    }
   });
+  return output;
+};
+
+/**
+ * Increment a big-endian byte array in place
+ * @param {Uint8Array} bytes - Bytes to increment
+ * @returns {boolean} False if the value overflowed
+ */
+const incrementBytes = (bytes) => {
+  for (let index = bytes.length - 1; index >= 0; index -= 1) {
+    if (bytes[index] < 255) {
+      bytes[index] += 1;
+      return true;
+    }
+    bytes[index] = 0;
+  }
+  return false;
+};
+
+/**
+ * Generate a ULID (48-bit time + 80-bit random, Crockford base32)
+ * IDs created in the same millisecond increment the random part, so they
+ * stay strictly increasing
+ * @param {number} now - Unix time (ms), `Date.now()` by default
+ * @returns {string} 26-character ULID
+ */
+export const generateULID = (now = Date.now()) => {
+  if (now > ulidState.timestamp || !incrementBytes(ulidState.random)) {
+    ulidState.timestamp = Math.max(now, ulidState.timestamp + 1);
+    ulidState.random = getRandomBytes(10);
+  }
+
+  let time = '';
+  let remaining = ulidState.timestamp;
+  for (let index = 0; index < 10; index += 1) {
+    time = ULID_ALPHABET[remaining % 32] + time;
+    remaining = Math.floor(remaining / 32);
+  }
+  return time + encodeBase32(ulidState.random);
+};
+
+/**
+ * Legacy `{base36 time}_{6 random chars}` body, now with crypto randomness
+ * @returns {string} ID body
+ */
+const generateLegacyId = () => {
+  const randomStr = Array.from(getRandomBytes(6), (byte) => (byte % 36).toString(36)).join('');
+  return `${Date.now().toString(36)}_${randomStr}`;
+};
+
+// Body generator for each built-in format
+const FORMAT_GENERATORS = {
+  [REQUEST_ID_FORMATS.LEGACY]: generateLegacyId,
+  [REQUEST_ID_FORMATS.UUID_V4]: generateUUIDv4,
+  [REQUEST_ID_FORMATS.UUID_V7]: generateUUIDv7,
+  [REQUEST_ID_FORMATS.ULID]: generateULID,
+};
+
+/**
+ * Create a request ID generator
+ * @param {Object} options - Generator options
+ * @param {string|Function} options.format - One of REQUEST_ID_FORMATS, or a custom `() => string`
+ * @param {string} options.prefix - Prefix added to every ID ('' for none)
+ * @returns {Function} `() => string`
+ */
+export const createRequestIdGenerator = ({
+  format = REQUEST_ID_FORMATS.UUID_V7,
+  prefix = DEFAULT_REQUEST_ID_PREFIX
+} = {}) => {
+  const generate = typeof format === 'function' ? format : FORMAT_GENERATORS[format];
+  if (!generate) {
+    throw new Error(
+      `Unknown request ID format "${format}". Expected one of: ${Object.values(REQUEST_ID_FORMATS).join(', ')}`
+    );
+  }
+  return () => `${prefix}${generate()}`;
+};
+
+/**
+ * Generate a unique, time-ordered request ID
+ * @returns {string} e.g. `req_0190f2a4-5b1c-7d2e-8f00-1a2b3c4d5e6f`
+ */
+export const generateRequestId = createRequestIdGenerator();
+
+/**
+ * Generate a UUID v4 request ID
+ * @returns {string} UUID-style request ID
+ */
+export const generateUUIDRequestId = createRequestIdGenerator({ format: REQUEST_ID_FORMATS.UUID_V4 });
+
+/**
+ * Decode a ULID's 48-bit timestamp
+ * @param {string} ulid - Valid ULID
+ * @returns {number} Unix time (ms)
+ */
+const decodeULIDTime = (ulid) => ulid
+  .slice(0, 10)
+  .toUpperCase()
+  .split('')
+  .reduce((time, char) => time * 32 + ULID_ALPHABET.indexOf(char), 0);
+
+/**
+ * Parse a request ID
+ * @param {string} id - Request ID
+ * @param {Object} options - Parse options
+ * @param {string} options.prefix - Expected prefix, stripped before parsing
+ * @returns {Object|null} `{ prefix, value, format, timestamp }` where timestamp is
+ *   Unix ms for time-ordered formats and null otherwise; null if the ID isn't valid
+ */
+export const parseRequestId = (id, { prefix = DEFAULT_REQUEST_ID_PREFIX } = {}) => {
+  if (typeof id !== 'string') {
+    return null;
+  }
+
+  const hasPrefix = prefix !== '' && id.startsWith(prefix);
+  const value = hasPrefix ? id.slice(prefix.length) : id;
+  const parsed = { prefix: hasPrefix ? prefix : '', value };
+
+  const uuid = UUID_PATTERN.exec(value);
+  if (uuid && uuid[1] === '7') {
+    return { ...parsed, format: REQUEST_ID_FORMATS.UUID_V7, timestamp: parseInt(value.replace(/-/g, '').slice(0, 12), 16) };
+  }
+  if (uuid && uuid[1] === '4') {
+    return { ...parsed, format: REQUEST_ID_FORMATS.UUID_V4, timestamp: null };
+  }
+  if (ULID_PATTERN.test(value)) {
+    return { ...parsed, format: REQUEST_ID_FORMATS.ULID, timestamp: decodeULIDTime(value) };
+  }
+
+  const legacy = LEGACY_PATTERN.exec(value);
+  if (legacy) {
+    return { ...parsed, format: REQUEST_ID_FORMATS.LEGACY, timestamp: parseInt(legacy[1], 36) };
+  }
+  return null;
+};
+
+/**
+ * Check whether a string is a request ID in one of the known formats
+ * @param {string} id - Candidate ID
+ * @param {Object} options - Same as parseRequestId, plus:
+ * @param {string} options.format - Require this format
+ * @returns {boolean} True if valid
+ */
+export const isValidRequestId = (id, { format, ...options } = {}) => {
+  const parsed = parseRequestId(id, options);
+  return Boolean(parsed) && (!format || parsed.format === format);
+};
+
+/**
+ * Creation time of a time-ordered request ID
+ * @param {string} id - Request ID
+ * @param {Object} options - Same as parseRequestId
+ * @returns {Date|null} Creation time, or null for random or invalid IDs
+ */
+export const getRequestIdTimestamp = (id, options) => {
+  const timestamp = parseRequestId(id, options)?.timestamp;
+  return typeof timestamp === 'number' ? new Date(timestamp) : null;
 };
 
 /**
  * Get request ID from session storage or generate new one
+ * The ID never rotates; for session IDs that rotate on login, logout and
+ * idle timeout, use the CorrelationContext in api/correlationContext.js
  * @param {string} key - Storage key for the request ID
  * @returns {string} Request ID
  */
@@ -0,0 +1,155 @@
+/**
+ * Tests for request ID generators, validation and timestamp parsing
+ */
+
+import {
+  REQUEST_ID_FORMATS,
+  generateUUIDv4,
+  generateUUIDv7,
+  generateULID,
+  generateRequestId,
+  generateUUIDRequestId,
+  createRequestIdGenerator,
+  parseRequestId,
+  isValidRequestId,
+  getRequestIdTimestamp,
+  getRandomBytes
+} from './requestId';
+
+const BATCH_SIZE = 100000;
+
+// Generate `count` IDs and return how many were duplicates
+const countCollisions = (generate, count = BATCH_SIZE) => {
+  const seen = new Set();
+  for (let index = 0; index < count; index += 1) {
+    seen.add(generate());
+  }
+  return count - seen.size;
+};
+
+describe('requestId', () => {
+  describe('generators', () => {
+    test('generates RFC 4122 v4 UUIDs', () => {
+      expect(generateUUIDv4()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    });
+
+    test('builds v4 UUIDs from random bytes when randomUUID is missing', () => {
+      Object.defineProperty(crypto, 'randomUUID', { value: undefined, configurable: true });
+
+      try {
+        expect(generateUUIDv4()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      } finally {
+        delete crypto.randomUUID;
+      }
+    });
+
+    test('generates UUIDv7 with the timestamp in the first 48 bits', () => {
+      const id = generateUUIDv7(Date.UTC(2030, 0, 1));
+
+      expect(id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(parseInt(id.replace(/-/g, '').slice(0, 12), 16)).toBe(Date.UTC(2030, 0, 1));
+    });
+
+    test('generates 26-character Crockford base32 ULIDs', () => {
+      expect(generateULID()).toMatch(/^[0-7][0-9A-HJKMNP-TV-Z]{25}$/);
+    });
+
+    test('throws a clear error without Web Crypto', () => {
+      Object.defineProperty(crypto, 'getRandomValues', { value: undefined, configurable: true });
+
+      try {
+        expect(() => getRandomBytes(4)).toThrow('Web Crypto is not available');
+      } finally {
+        delete crypto.getRandomValues;
+      }
+    });
+  });
+
+  describe('ordering', () => {
+    test.each([
+      ['UUIDv7', generateUUIDv7],
+      ['ULID', generateULID]
+    ])('%s IDs sort in creation order, within and across milliseconds', (_, generate) => {
+      const start = Date.UTC(2031, 5, 1);
+      const ids = [
+        ...Array.from({ length: 50 }, () => generate(start)),
+        ...Array.from({ length: 50 }, () => generate(start + 1))
+      ];
+
+      expect([...ids].sort()).toEqual(ids);
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    test('UUIDv7 IDs stay ordered when the clock goes backwards', () => {
+      const later = generateUUIDv7(Date.UTC(2032, 0, 1, 0, 0, 1));
+      const earlier = generateUUIDv7(Date.UTC(2032, 0, 1));
+
+      expect(earlier > later).toBe(true);
+    });
+  });
+
+  describe('collision rate', () => {
+    test.each([
+      ['UUIDv4', generateUUIDv4],
+      ['UUIDv7', () => generateUUIDv7()],
+      ['ULID', () => generateULID()]
+    ])('%s has no collisions over a large batch', (_, generate) => {
+      expect(countCollisions(generate)).toBe(0);
+    });
+  });
+
+  describe('createRequestIdGenerator', () => {
+    test('defaults to prefixed, time-ordered IDs', () => {
+      expect(generateRequestId()).toMatch(/^req_[0-9a-f]{8}-[0-9a-f]{4}-7/);
+      expect(generateUUIDRequestId()).toMatch(/^req_[0-9a-f]{8}-[0-9a-f]{4}-4/);
+    });
+
+    test('accepts a prefix and a custom format function', () => {
+      let counter = 0;
+      const generate = createRequestIdGenerator({ prefix: 'web-', format: () => `n${(counter += 1)}` });
+
+      expect([generate(), generate()]).toEqual(['web-n1', 'web-n2']);
+      expect(createRequestIdGenerator({ format: REQUEST_ID_FORMATS.ULID, prefix: '' })()).toHaveLength(26);
+    });
+
+    test('rejects unknown formats', () => {
+      expect(() => createRequestIdGenerator({ format: 'snowflake' })).toThrow('Unknown request ID format "snowflake"');
+    });
+  });
+
+  describe('parsing', () => {
+    test('extracts the timestamp of time-ordered IDs', () => {
+      const now = Date.UTC(2033, 2, 4, 5, 6, 7, 8);
+      const uuid = createRequestIdGenerator({ format: () => generateUUIDv7(now) })();
+      const ulid = createRequestIdGenerator({ format: () => generateULID(now), prefix: 'log_' })();
+
+      expect(parseRequestId(uuid)).toEqual({
+        prefix: 'req_',
+        value: uuid.slice(4),
+        format: REQUEST_ID_FORMATS.UUID_V7,
+        timestamp: now
+      });
+      expect(parseRequestId(ulid, { prefix: 'log_' })).toMatchObject({ format: REQUEST_ID_FORMATS.ULID, timestamp: now });
+      expect(getRequestIdTimestamp(uuid)).toEqual(new Date(now));
+      expect(getRequestIdTimestamp(ulid.toLowerCase(), { prefix: 'log_' })).toEqual(new Date(now));
+    });
+
+    test('parses legacy and random IDs without a prefix', () => {
+      expect(parseRequestId('req_lq2x3k9a_4f8z1p')).toMatchObject({
+        format: REQUEST_ID_FORMATS.LEGACY,
+        timestamp: parseInt('lq2x3k9a', 36)
+      });
+      expect(parseRequestId(generateUUIDv4())).toMatchObject({ prefix: '', format: REQUEST_ID_FORMATS.UUID_V4, timestamp: null });
+      expect(getRequestIdTimestamp(generateUUIDRequestId())).toBeNull();
+    });
+
+    test('validates IDs, optionally against one format', () => {
+      expect(isValidRequestId(generateRequestId())).toBe(true);
+      expect(isValidRequestId(generateRequestId(), { format: REQUEST_ID_FORMATS.ULID })).toBe(false);
+      expect(isValidRequestId('req_not-an-id')).toBe(false);
+      expect(isValidRequestId('8ZZZZZZZZZZZZZZZZZZZZZZZZZ')).toBe(false);
+      expect(isValidRequestId(undefined)).toBe(false);
+      expect(getRequestIdTimestamp('garbage')).toBeNull();
+    });
+  });
+});
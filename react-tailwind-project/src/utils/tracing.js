@@ -0,0 +1,215 @@
+/**
+ * W3C Trace Context helpers
+ *
+ * - Trace and span IDs from the Web Crypto RNG
+ * - `traceparent` / `tracestate` formatting and parsing
+ * - An active span so the requests made by one user action share a trace
+ *
+ * JavaScript has no async context, so the active span is module state: it is
+ * set by `withSpan` until the wrapped function settles. API clients capture it
+ * when a request is made, so calls issued inside `withSpan` (including after
+ * an `await`) become children of that span. Actions that overlap in time
+ * should pass their span explicitly with the `traceSpan` request option.
+ */
+
+import { getRandomBytes, bytesToHex } from './requestId';
+
+// Only version of the traceparent header we emit
+export const TRACEPARENT_VERSION = '00';
+
+// Maximum number of tracestate list members (W3C limit)
+export const TRACESTATE_MAX_MEMBERS = 32;
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const TRACESTATE_KEY_PATTERN = /^(?:[a-z][a-z0-9_\-*/]{0,255}|[a-z0-9][a-z0-9_\-*/]{0,240}@[a-z][a-z0-9_\-*/]{0,13})$/;
+const TRACESTATE_VALUE_PATTERN = /^[\x20-\x2b\x2d-\x3c\x3e-\x7e]{0,255}[\x21-\x2b\x2d-\x3c\x3e-\x7e]$/;
+
+/**
+ * Random lowercase hex ID that is not all zeros (all-zero IDs are invalid)
+ * @param {number} bytes - ID length in bytes
+ * @returns {string} Hex ID
+ */
+const randomId = (bytes) => {
+  let id;
+  do {
+    id = bytesToHex(getRandomBytes(bytes));
+  } while (/^0+$/.test(id));
+  return id;
+};
+
+/**
+ * Generate a 16-byte trace ID
+ * @returns {string} 32 hex characters
+ */
+export const generateTraceId = () => randomId(16);
+
+/**
+ * Generate an 8-byte span ID
+ * @returns {string} 16 hex characters
+ */
+export const generateSpanId = () => randomId(8);
+
+/**
+ * Format a span as a `traceparent` header value
+ * @param {Object} span - `{ traceId, spanId, sampled }`
+ * @returns {string} e.g. `00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01`
+ */
+export const formatTraceparent = ({ traceId, spanId, sampled = true }) => (
+  `${TRACEPARENT_VERSION}-${traceId}-${spanId}-${sampled ? '01' : '00'}`
+);
+
+/**
+ * Parse a `traceparent` header value
+ * @param {string} header - Header value
+ * @returns {Object|null} `{ version, traceId, spanId, sampled }`, or null if invalid
+ */
+export const parseTraceparent = (header) => {
+  const match = TRACEPARENT_PATTERN.exec(String(header ?? '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, version, traceId, spanId, flags] = match;
+  if (version === 'ff' || /^0+$/.test(traceId) || /^0+$/.test(spanId)) {
+    return null;
+  }
+  return { version, traceId, spanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+};
+
+/**
+ * Parse a `tracestate` header value, dropping malformed members
+ * @param {string} header - Header value, e.g. `app=web,vendor=abc`
+ * @returns {Array<[string, string]>} Members in header order
+ */
+export const parseTracestate = (header) => {
+  const seen = new Set();
+  return String(header ?? '')
+    .split(',')
+    .map((member) => member.trim())
+    .filter(Boolean)
+    .map((member) => {
+      const separator = member.indexOf('=');
+      return separator > 0 ? [member.slice(0, separator), member.slice(separator + 1)] : [member, ''];
+    })
+    .filter(([key, value]) => {
+      const valid = TRACESTATE_KEY_PATTERN.test(key) && TRACESTATE_VALUE_PATTERN.test(value) && !seen.has(key);
+      seen.add(key);
+      return valid;
+    });
+};
+
+/**
+ * Build a `tracestate` header value
+ * Our own entries go first (W3C: updated members move to the left), followed
+ * by inherited members they don't override
+ * @param {Object|string} entries - Our members, as `{ key: value }` or a header string
+ * @param {string} inherited - tracestate received with the parent span
+ * @returns {string|undefined} Header value, or undefined when empty
+ */
+export const formatTracestate = (entries = {}, inherited) => {
+  const own = typeof entries === 'string' ? parseTracestate(entries) : parseTracestate(
+    Object.entries(entries).map(([key, value]) => `${key}=${value}`).join(',')
+  );
+  const ownKeys = new Set(own.map(([key]) => key));
+  const members = [...own, ...parseTracestate(inherited).filter(([key]) => !ownKeys.has(key))]
+    .slice(0, TRACESTATE_MAX_MEMBERS);
+
+  return members.length > 0 ? members.map(([key, value]) => `${key}=${value}`).join(',') : undefined;
+};
+
+/**
+ * Start a span
+ * @param {string} name - Span name, e.g. `checkout.submit`
+ * @param {Object} options - Span options
+ * @param {Object|string} options.parent - Parent span or `traceparent` header; a new trace starts without one
+ * @param {string} options.tracestate - tracestate received with a `traceparent` parent
+ * @returns {Object} `{ name, traceId, spanId, parentSpanId, sampled, tracestate, startTime }`
+ */
+export const startSpan = (name, { parent, tracestate } = {}) => {
+  const parentSpan = typeof parent === 'string' ? parseTraceparent(parent) : parent;
+
+  return {
+    name,
+    traceId: parentSpan?.traceId || generateTraceId(),
+    spanId: generateSpanId(),
+    parentSpanId: parentSpan?.spanId,
+    sampled: parentSpan?.sampled ?? true,
+    tracestate: tracestate ?? parentSpan?.tracestate,
+    startTime: Date.now()
+  };
+};
+
+let activeSpan = null;
+let lastTraceId = null;
+const endedSpans = new WeakSet();
+const previousActive = new WeakMap();
+
+/**
+ * Nearest span in the activation chain that hasn't ended
+ * @param {Object|null} span - Starting span
+ * @returns {Object|null} Live span
+ */
+const liveSpan = (span) => {
+  let current = span;
+  while (current && endedSpans.has(current)) {
+    current = previousActive.get(current) || null;
+  }
+  return current;
+};
+
+/**
+ * Span that requests made right now become children of
+ * @returns {Object|null} Active span
+ */
+export const getActiveSpan = () => activeSpan;
+
+/**
+ * Run a user action inside a span so every request it makes shares one trace
+ * The span stays active until `fn` (sync or async) settles
+ * @param {string} name - Span name
+ * @param {Function} fn - Action, called with the span
+ * @param {Object} options - Same as startSpan; defaults the parent to the active span
+ * @returns {any} Whatever `fn` returns
+ */
+export const withSpan = (name, fn, options = {}) => {
+  const span = startSpan(name, { parent: activeSpan || undefined, ...options });
+  previousActive.set(span, activeSpan);
+  activeSpan = span;
+
+  const end = () => {
+    endedSpans.add(span);
+    span.endTime = Date.now();
+    if (activeSpan === span) {
+      activeSpan = liveSpan(previousActive.get(span));
+    }
+  };
+
+  let result;
+  try {
+    result = fn(span);
+  } catch (error) {
+    end();
+    throw error;
+  }
+
+  if (result && typeof result.then === 'function') {
+    return Promise.resolve(result).finally(end);
+  }
+  end();
+  return result;
+};
+
+/**
+ * Record the trace of the most recent request (called by the API client)
+ * @param {string} traceId - Trace ID
+ */
+export const recordTraceId = (traceId) => {
+  lastTraceId = traceId;
+};
+
+/**
+ * Trace ID to attach to error reports: the active span's trace, or the trace
+ * of the most recent request
+ * @returns {string|null} Trace ID
+ */
+export const getCurrentTraceId = () => activeSpan?.traceId || lastTraceId;
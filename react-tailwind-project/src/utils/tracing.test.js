@@ -0,0 +1,145 @@
+/**
+ * Tests for W3C trace context helpers and the active span
+ */
+
+import {
+  generateTraceId,
+  generateSpanId,
+  formatTraceparent,
+  parseTraceparent,
+  parseTracestate,
+  formatTracestate,
+  startSpan,
+  withSpan,
+  getActiveSpan,
+  getCurrentTraceId,
+  recordTraceId
+} from './tracing';
+
+const TRACEPARENT = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+describe('tracing', () => {
+  describe('IDs', () => {
+    test('generates lowercase hex trace and span IDs of the W3C lengths', () => {
+      expect(generateTraceId()).toMatch(/^[0-9a-f]{32}$/);
+      expect(generateSpanId()).toMatch(/^[0-9a-f]{16}$/);
+      expect(generateTraceId()).not.toBe(generateTraceId());
+    });
+
+    test('never returns an all-zero ID', () => {
+      const getRandomValues = jest.spyOn(crypto, 'getRandomValues')
+        .mockImplementationOnce((bytes) => bytes);
+
+      expect(generateSpanId()).not.toMatch(/^0+$/);
+      expect(getRandomValues).toHaveBeenCalledTimes(2);
+      getRandomValues.mockRestore();
+    });
+  });
+
+  describe('traceparent', () => {
+    test('round-trips a span', () => {
+      const span = { traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7', sampled: false };
+
+      expect(formatTraceparent(span)).toBe('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-00');
+      expect(parseTraceparent(formatTraceparent(span))).toEqual({ version: '00', ...span });
+    });
+
+    test('rejects malformed and invalid values', () => {
+      expect(parseTraceparent('garbage')).toBeNull();
+      expect(parseTraceparent(TRACEPARENT.toUpperCase())).toBeNull();
+      expect(parseTraceparent('ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01')).toBeNull();
+      expect(parseTraceparent('00-00000000000000000000000000000000-00f067aa0ba902b7-01')).toBeNull();
+      expect(parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-0000000000000000-01')).toBeNull();
+      expect(parseTraceparent(undefined)).toBeNull();
+    });
+  });
+
+  describe('tracestate', () => {
+    test('parses members and drops malformed or duplicate ones', () => {
+      expect(parseTracestate('app=web, bad, Upper=1,tenant@vendor=x,app=again')).toEqual([
+        ['app', 'web'],
+        ['tenant@vendor', 'x']
+      ]);
+    });
+
+    test('puts our members first and keeps inherited ones we do not override', () => {
+      expect(formatTracestate({ app: 'web' }, 'vendor=abc,app=old')).toBe('app=web,vendor=abc');
+      expect(formatTracestate('app=web')).toBe('app=web');
+      expect(formatTracestate({})).toBeUndefined();
+    });
+
+    test('caps the list at 32 members', () => {
+      const entries = Object.fromEntries(Array.from({ length: 40 }, (_, index) => [`k${index}`, 'v']));
+
+      expect(formatTracestate(entries).split(',')).toHaveLength(32);
+    });
+  });
+
+  describe('spans', () => {
+    test('starts a new trace or continues a parent span or header', () => {
+      const root = startSpan('root');
+      const child = startSpan('child', { parent: root });
+      const remote = startSpan('remote', { parent: TRACEPARENT, tracestate: 'vendor=abc' });
+
+      expect(root.parentSpanId).toBeUndefined();
+      expect(child).toMatchObject({ traceId: root.traceId, parentSpanId: root.spanId });
+      expect(remote).toMatchObject({
+        traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+        parentSpanId: '00f067aa0ba902b7',
+        tracestate: 'vendor=abc'
+      });
+    });
+
+    test('keeps a span active until its async action settles', async () => {
+      let release;
+      const action = withSpan('action', () => new Promise((resolve) => {
+        release = resolve;
+      }));
+      const { traceId } = getActiveSpan();
+
+      expect(getCurrentTraceId()).toBe(traceId);
+      release('done');
+
+      await expect(action).resolves.toBe('done');
+      expect(getActiveSpan()).toBeNull();
+    });
+
+    test('nests spans and restores the parent after sync actions and throws', () => {
+      withSpan('outer', (outer) => {
+        const inner = withSpan('inner', (span) => span);
+
+        expect(inner).toMatchObject({ traceId: outer.traceId, parentSpanId: outer.spanId });
+        expect(() => withSpan('failing', () => {
+          throw new Error('boom');
+        })).toThrow('boom');
+        expect(getActiveSpan()).toBe(outer);
+      });
+
+      expect(getActiveSpan()).toBeNull();
+    });
+
+    test('skips ended spans when overlapping actions finish out of order', async () => {
+      let finishFirst;
+      let finishSecond;
+      const first = withSpan('first', () => new Promise((resolve) => {
+        finishFirst = resolve;
+      }));
+      const second = withSpan('second', () => new Promise((resolve) => {
+        finishSecond = resolve;
+      }));
+
+      finishFirst();
+      await first;
+      finishSecond();
+      await second;
+
+      expect(getActiveSpan()).toBeNull();
+    });
+
+    test('falls back to the trace of the last request', () => {
+      recordTraceId('4bf92f3577b34da6a3ce929d0e0e4736');
+
+      expect(getCurrentTraceId()).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+    });
+  });
+});